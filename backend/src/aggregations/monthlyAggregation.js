@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 const Transaction = require('../models/Transaction');
+const SplitUtils = require('../utils/splitUtils');
+const RefundUtils = require('../utils/refundUtils');
 
 async function aggregateMonthlyData(userId, year, month) {
   const startOfMonth = new Date(year, month, 1);
@@ -8,11 +10,19 @@ async function aggregateMonthlyData(userId, year, month) {
   const aggregation = await Transaction.aggregate([
     {
       $match: {
-        userId: mongoose.Types.ObjectId(userId),
+        userId: new mongoose.Types.ObjectId(userId),
         date: { $gte: startOfMonth, $lte: endOfMonth },
+        // Refunds are netted off the purchases they reverse
+        type: { $in: ['income', 'expense'] },
         status: 'completed'
       }
     },
+    // Reporting-currency amounts, net of refunds
+    {
+      $addFields: {
+        netAmount: RefundUtils.netAmountExpr()
+      }
+    },
     {
       $facet: {
         summary: [
@@ -20,13 +30,13 @@ async function aggregateMonthlyData(userId, year, month) {
             $group: {
               _id: null,
               totalIncome: {
-                $sum: { $cond: [{ $eq: ['$type', 'income'] }, '$amount', 0] }
+                $sum: { $cond: [{ $eq: ['$type', 'income'] }, '$netAmount', 0] }
               },
               totalExpenses: {
-                $sum: { $cond: [{ $eq: ['$type', 'expense'] }, '$amount', 0] }
+                $sum: { $cond: [{ $eq: ['$type', 'expense'] }, '$netAmount', 0] }
               },
               transactionCount: { $sum: 1 },
-              averageTransaction: { $avg: '$amount' }
+              averageTransaction: { $avg: '$netAmount' }
             }
           }
         ],
@@ -34,12 +44,14 @@ async function aggregateMonthlyData(userId, year, month) {
           {
             $match: { type: 'expense' }
           },
+          // Split transactions contribute each line to its own category
+          ...SplitUtils.categoryLineStages(),
           {
             $group: {
               _id: '$categoryId',
-              total: { $sum: '$amount' },
+              total: { $sum: '$lineAmount' },
               count: { $sum: 1 },
-              avgAmount: { $avg: '$amount' }
+              avgAmount: { $avg: '$lineAmount' }
             }
           },
           {
@@ -61,7 +73,7 @@ async function aggregateMonthlyData(userId, year, month) {
                 day: { $dayOfMonth: '$date' },
                 type: '$type'
               },
-              total: { $sum: '$amount' },
+              total: { $sum: '$netAmount' },
               count: { $sum: 1 }
             }
           },
@@ -73,7 +85,7 @@ async function aggregateMonthlyData(userId, year, month) {
           {
             $group: {
               _id: '$paymentMethod',
-              total: { $sum: '$amount' },
+              total: { $sum: '$netAmount' },
               count: { $sum: 1 }
             }
           }
@@ -82,7 +94,7 @@ async function aggregateMonthlyData(userId, year, month) {
           {
             $group: {
               _id: '$isRecurring',
-              total: { $sum: '$amount' },
+              total: { $sum: '$netAmount' },
               count: { $sum: 1 }
             }
           }
@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 const Transaction = require('../models/Transaction');
+const SplitUtils = require('../utils/splitUtils');
+const RefundUtils = require('../utils/refundUtils');
 
 async function calculateRollingAverage(userId, days = 30, endDate = new Date()) {
   const startDate = new Date(endDate);
@@ -16,11 +18,19 @@ async function calculateRollingAverage(userId, days = 30, endDate = new Date())
   const aggregation = await Transaction.aggregate([
     {
       $match: {
-        userId: mongoose.Types.ObjectId(userId),
+        userId: new mongoose.Types.ObjectId(userId),
         date: { $gte: startDate, $lte: endDate },
+        // Refunds are netted off the purchases they reverse
+        type: { $in: ['income', 'expense'] },
         status: 'completed'
       }
     },
+    // Reporting-currency amounts, net of refunds
+    {
+      $addFields: {
+        netAmount: RefundUtils.netAmountExpr()
+      }
+    },
     {
       $facet: {
         dailyAverages: [
@@ -30,7 +40,7 @@ async function calculateRollingAverage(userId, days = 30, endDate = new Date())
                 date: { $dateToString: { format: '%Y-%m-%d', date: '$date' } },
                 type: '$type'
               },
-              total: { $sum: '$amount' }
+              total: { $sum: '$netAmount' }
             }
           },
           {
@@ -65,7 +75,7 @@ async function calculateRollingAverage(userId, days = 30, endDate = new Date())
                 week: { $week: '$date' },
                 type: '$type'
               },
-              total: { $sum: '$amount' }
+              total: { $sum: '$netAmount' }
             }
           },
           {
@@ -99,12 +109,14 @@ async function calculateRollingAverage(userId, days = 30, endDate = new Date())
           {
             $match: { type: 'expense' }
           },
+          // Split transactions contribute each line to its own category
+          ...SplitUtils.categoryLineStages(),
           {
             $group: {
               _id: '$categoryId',
-              total: { $sum: '$amount' },
+              total: { $sum: '$lineAmount' },
               count: { $sum: 1 },
-              avgAmount: { $avg: '$amount' }
+              avgAmount: { $avg: '$lineAmount' }
             }
           },
           {
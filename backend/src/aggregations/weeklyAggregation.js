@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 const Transaction = require('../models/Transaction');
+const SplitUtils = require('../utils/splitUtils');
+const RefundUtils = require('../utils/refundUtils');
 
 async function aggregateWeeklyData(userId, date) {
   const startOfWeek = new Date(date);
@@ -13,67 +15,74 @@ async function aggregateWeeklyData(userId, date) {
   const aggregation = await Transaction.aggregate([
     {
       $match: {
-        userId: mongoose.Types.ObjectId(userId),
+        userId: new mongoose.Types.ObjectId(userId),
         date: { $gte: startOfWeek, $lte: endOfWeek },
+        // Refunds are netted off the purchases they reverse
+        type: { $in: ['income', 'expense'] },
         status: 'completed'
       }
     },
+    // Reporting-currency amounts, net of refunds
     {
-      $group: {
-        _id: {
-          categoryId: '$categoryId',
-          type: '$type'
-        },
-        totalAmount: { $sum: '$amount' },
-        transactionCount: { $sum: 1 },
-        avgAmount: { $avg: '$amount' },
-        minAmount: { $min: '$amount' },
-        maxAmount: { $max: '$amount' }
+      $addFields: {
+        netAmount: RefundUtils.netAmountExpr()
       }
     },
     {
-      $lookup: {
-        from: 'categories',
-        localField: '_id.categoryId',
-        foreignField: '_id',
-        as: 'category'
-      }
-    },
-    {
-      $group: {
-        _id: null,
-        totalIncome: {
-          $sum: {
-            $cond: [{ $eq: ['$_id.type', 'income'] }, '$totalAmount', 0]
+      $facet: {
+        summary: [
+          {
+            $group: {
+              _id: null,
+              totalIncome: {
+                $sum: { $cond: [{ $eq: ['$type', 'income'] }, '$netAmount', 0] }
+              },
+              totalExpenses: {
+                $sum: { $cond: [{ $eq: ['$type', 'expense'] }, '$netAmount', 0] }
+              },
+              totalTransactions: { $sum: 1 }
+            }
           }
-        },
-        totalExpenses: {
-          $sum: {
-            $cond: [{ $eq: ['$_id.type', 'expense'] }, '$totalAmount', 0]
+        ],
+        categoryBreakdown: [
+          // Split transactions contribute each line to its own category
+          ...SplitUtils.categoryLineStages(),
+          {
+            $group: {
+              _id: {
+                categoryId: '$categoryId',
+                type: '$type'
+              },
+              totalAmount: { $sum: '$lineAmount' },
+              transactionCount: { $sum: 1 },
+              avgAmount: { $avg: '$lineAmount' },
+              minAmount: { $min: '$lineAmount' },
+              maxAmount: { $max: '$lineAmount' }
+            }
+          },
+          {
+            $lookup: {
+              from: 'categories',
+              localField: '_id.categoryId',
+              foreignField: '_id',
+              as: 'category'
+            }
           }
-        },
-        netSavings: {
-          $sum: {
-            $cond: [
-              { $eq: ['$_id.type', 'expense'] },
-              { $multiply: ['$totalAmount', -1] },
-              '$totalAmount'
-            ]
-          }
-        },
-        categoryBreakdown: { $push: '$$ROOT' },
-        totalTransactions: { $sum: '$transactionCount' }
+        ]
       }
     },
+    {
+      $unwind: '$summary'
+    },
     {
       $project: {
         _id: 0,
         weekStart: startOfWeek,
         weekEnd: endOfWeek,
-        totalIncome: 1,
-        totalExpenses: 1,
-        netSavings: 1,
-        totalTransactions: 1,
+        totalIncome: '$summary.totalIncome',
+        totalExpenses: '$summary.totalExpenses',
+        netSavings: { $subtract: ['$summary.totalIncome', '$summary.totalExpenses'] },
+        totalTransactions: '$summary.totalTransactions',
         categoryBreakdown: 1,
         metadata: {
           generatedAt: new Date(),
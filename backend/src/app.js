@@ -54,4 +54,32 @@ app.use(errorHandler);
 const WeeklyScheduler = require('./services/weekly/scheduler.service');
 WeeklyScheduler.start();
 
+// Start budget period rollover
+const BudgetService = require('./services/financial/budget.service');
+BudgetService.start();
+
+// Start subscription billing and reminders
+const SubscriptionService = require('./services/financial/subscription.service');
+SubscriptionService.start();
+
+// Start savings auto-save
+const SavingsService = require('./services/financial/savings.service');
+SavingsService.start();
+
+// Start daily net worth snapshots
+const NetWorthService = require('./services/financial/netWorth.service');
+NetWorthService.start();
+
+// Start reconversion of transactions after exchange rate changes
+const ExchangeRateService = require('./services/financial/exchangeRate.service');
+ExchangeRateService.start();
+
+// Start purge of accounts past their deletion grace period
+const UserDataService = require('./services/user/userData.service');
+UserDataService.start();
+
+// Create or promote the ADMIN_EMAIL account
+const AdminService = require('./services/user/admin.service');
+AdminService.seedAdmin().catch(error => console.error('Admin seeding failed:', error));
+
 module.exports = app;
\ No newline at end of file
@@ -0,0 +1,123 @@
+const AdminService = require('../services/user/admin.service');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+const getActor = (req) => ({
+  id: req.userId,
+  email: req.user.email,
+  role: req.user.role,
+  ipAddress: req.ip,
+  userAgent: req.get('User-Agent')
+});
+
+/**
+ * Get scheduler and background job stats
+ */
+const getSchedulerStats = asyncHandler(async (req, res) => {
+  const stats = await AdminService.getSchedulerStats(getActor(req), req.query.days || 7);
+
+  res.json({
+    success: true,
+    data: stats
+  });
+});
+
+/**
+ * Retry failed weekly summary generations
+ */
+const retryWeeklyGenerations = asyncHandler(async (req, res) => {
+  const result = await AdminService.retryWeeklyGenerations(getActor(req), req.body.daysBack || 7);
+
+  res.json({
+    success: true,
+    data: result,
+    message: `Regenerated ${result.succeeded} of ${result.attempted} missing summaries`
+  });
+});
+
+/**
+ * Archive old financial signals
+ */
+const archiveSignals = asyncHandler(async (req, res) => {
+  const result = await AdminService.archiveSignals(getActor(req), req.body.days || 90);
+
+  res.json({
+    success: true,
+    data: result
+  });
+});
+
+/**
+ * Delete old suggestion audit logs
+ */
+const cleanAuditLogs = asyncHandler(async (req, res) => {
+  const result = await AdminService.cleanAuditLogs(getActor(req), req.body.days || 90);
+
+  res.json({
+    success: true,
+    data: result
+  });
+});
+
+/**
+ * Get the admin audit log
+ */
+const getAuditLog = asyncHandler(async (req, res) => {
+  const { operation, actorId, limit } = req.query;
+  const entries = await AdminService.getAuditLog({ operation, actorId, limit });
+
+  res.json({
+    success: true,
+    data: entries,
+    count: entries.length
+  });
+});
+
+/**
+ * Search users
+ */
+const findUsers = asyncHandler(async (req, res) => {
+  const { email, q, role, limit } = req.query;
+  const users = await AdminService.findUsers(getActor(req), { email, q, role, limit });
+
+  res.json({
+    success: true,
+    data: users,
+    count: users.length
+  });
+});
+
+/**
+ * Get a single user
+ */
+const getUser = asyncHandler(async (req, res) => {
+  const user = await AdminService.getUser(getActor(req), req.params.id);
+
+  res.json({
+    success: true,
+    data: user
+  });
+});
+
+/**
+ * Change a user's role
+ */
+const updateUserRole = asyncHandler(async (req, res) => {
+  const result = await AdminService.updateRole(getActor(req), req.params.id, req.body.role);
+
+  res.json({
+    success: true,
+    data: result,
+    message: `Role changed from ${result.previousRole} to ${result.role}`
+  });
+});
+
+module.exports = {
+  getSchedulerStats,
+  retryWeeklyGenerations,
+  archiveSignals,
+  cleanAuditLogs,
+  getAuditLog,
+  findUsers,
+  getUser,
+  updateUserRole
+};
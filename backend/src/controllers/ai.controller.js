@@ -1,5 +1,6 @@
 const AIService = require('../services/ai');
 const SignalStorage = require('../services/analysis/signal/signal.storage');
+const AIInsight = require('../models/AIInsight');
 const { asyncHandler, ServiceError } = require('../middleware/errorHandler');
 
 /**
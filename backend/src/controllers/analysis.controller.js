@@ -1,5 +1,9 @@
 const AnalysisService = require('../services/analysis');
 const SignalStorage = require('../services/analysis/signal/signal.storage');
+const RecurringChargeDetector = require('../services/analysis/detectors/recurringCharge.detector');
+const Category = require('../models/Category');
+const SplitUtils = require('../utils/splitUtils');
+const CategoryTreeUtils = require('../utils/categoryTreeUtils');
 const { asyncHandler, ServiceError } = require('../middleware/errorHandler');
 
 /**
@@ -69,6 +73,25 @@ const getRisks = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * Get the day-by-day balance forecast
+ */
+const getForecast = asyncHandler(async (req, res) => {
+  const { days, threshold, storeSignals } = req.query;
+
+  const forecast = await AnalysisService.forecast.generateForecast(req.userId, {
+    ...(days && { days: parseInt(days) }),
+    ...(threshold !== undefined && { threshold: parseFloat(threshold) }),
+    // Viewing the forecast is read-only unless signals are asked for
+    storeSignals: storeSignals === 'true'
+  });
+
+  res.json({
+    success: true,
+    data: forecast
+  });
+});
+
 /**
  * Get all active signals
  */
@@ -174,38 +197,61 @@ const getDashboardSummary = asyncHandler(async (req, res) => {
  */
 const analyzeCategory = asyncHandler(async (req, res) => {
   const { categoryId } = req.params;
-  const { period = 90 } = req.query;
+  const period = parseInt(req.query.period) || 90;
 
   const endDate = new Date();
   const startDate = new Date();
   startDate.setDate(startDate.getDate() - period);
 
+  // A parent category is analyzed together with its children
+  const categories = await Category.find({ userId: req.userId }).select('name type color icon parentCategory').lean();
+  const category = categories.find(c => c._id.toString() === categoryId);
+
+  if (!category) {
+    throw new ServiceError('Category not found', 404);
+  }
+
+  const categoryIds = CategoryTreeUtils.getDescendantIds(categories, categoryId);
+  const inTree = new Set(categoryIds);
+
   const transactions = await require('../models/Transaction').find({
     userId: req.userId,
-    categoryId,
+    ...SplitUtils.categoryMatch(categoryIds),
     date: { $gte: startDate, $lte: endDate },
     type: 'expense',
     status: 'completed'
-  }).populate('categoryId');
+  }).sort({ date: -1 }).populate('categoryId');
 
   if (transactions.length === 0) {
     throw new ServiceError('No transactions found for this category', 404);
   }
 
+  // Only the split lines inside the category tree count
+  const lines = transactions.flatMap(t => SplitUtils.getCategoryLines(t)
+    .filter(line => inTree.has(CategoryTreeUtils.toKey(line.categoryId)))
+    .map(line => ({ ...line, date: t.date })));
+
   // Calculate analysis
-  const total = transactions.reduce((sum, t) => sum + t.amount, 0);
+  const total = lines.reduce((sum, line) => sum + line.amount, 0);
   const average = total / transactions.length;
   const byMonth = {};
+  const byCategory = {};
 
-  transactions.forEach(t => {
-    const key = `${t.date.getFullYear()}-${t.date.getMonth() + 1}`;
-    byMonth[key] = (byMonth[key] || 0) + t.amount;
+  lines.forEach(line => {
+    const key = `${line.date.getFullYear()}-${line.date.getMonth() + 1}`;
+    byMonth[key] = (byMonth[key] || 0) + line.amount;
+
+    const categoryKey = CategoryTreeUtils.toKey(line.categoryId);
+    byCategory[categoryKey] = (byCategory[categoryKey] || 0) + line.amount;
   });
 
   res.json({
     success: true,
     data: {
-      category: transactions[0].categoryId,
+      category,
+      subcategories: categories
+        .filter(c => inTree.has(c._id.toString()) && c._id.toString() !== categoryId)
+        .map(c => ({ _id: c._id, name: c.name, parentCategory: c.parentCategory, total: byCategory[c._id.toString()] || 0 })),
       period: { start: startDate, end: endDate, days: period },
       summary: {
         total,
@@ -286,22 +332,71 @@ const comparePeriods = asyncHandler(async (req, res) => {
     }
   });
 
+  // Parent categories compared on totals that include their children
+  comparison.parentCategoryChanges = AnalysisService.aggregation.categoryCalculator
+    .calculateParentDeltas(period1.categoryRollups, period2.categoryRollups)
+    .map(change => ({
+      categoryId: change.categoryId,
+      categoryName: change.categoryName,
+      childCount: change.childCount,
+      delta: deltaCalculator.calculateDelta(change.currentTotal, change.previousTotal)
+    }));
+
   res.json({
     success: true,
     data: comparison
   });
 });
 
+/**
+ * Get recurring charges that are not yet tracked as subscriptions
+ */
+const getRecurringCharges = asyncHandler(async (req, res) => {
+  const candidates = await RecurringChargeDetector.detectRecurringCharges(
+    req.userId,
+    getRecurringOptions(req.query)
+  );
+
+  res.json({
+    success: true,
+    data: candidates,
+    count: candidates.length
+  });
+});
+
+/**
+ * Propose detected recurring charges as subscription suggestions
+ */
+const suggestRecurringCharges = asyncHandler(async (req, res) => {
+  const result = await RecurringChargeDetector.proposeSubscriptions(
+    req.userId,
+    getRecurringOptions(req.query)
+  );
+
+  res.status(201).json({
+    success: true,
+    data: result
+  });
+});
+
+const getRecurringOptions = ({ lookbackDays, amountTolerance }) => ({
+  ...(lookbackDays && { lookbackDays: parseInt(lookbackDays) }),
+  ...(amountTolerance && { amountTolerance: parseFloat(amountTolerance) })
+});
+
 module.exports = {
   getFullAnalysis,
   getAggregation,
   getPatterns,
   getRisks,
+  getForecast,
   getSignals,
   getSignalById,
   updateSignalStatus,
   getSignalStats,
   getDashboardSummary,
   analyzeCategory,
-  comparePeriods
+  comparePeriods,
+  getRecurringCharges,
+  suggestRecurringCharges
 };
\ No newline at end of file
@@ -1,8 +1,15 @@
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const TokenService = require('../services/user/token.service');
+const VerificationService = require('../services/user/verification.service');
+const CategoryService = require('../services/financial/category.service');
 const { apiResponse } = require('../utils/apiResponse');
 
+const getClientContext = (req) => ({
+  userAgent: req.get('User-Agent'),
+  ipAddress: req.ip
+});
+
 const register = async (req, res) => {
   try {
     const { name, email, password } = req.body;
@@ -26,20 +33,35 @@ const register = async (req, res) => {
 
     await user.save();
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user._id },
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+    // Missing defaults can be restored later from the categories API
+    try {
+      await CategoryService.seedDefaults(user._id);
+    } catch (error) {
+      console.error('Failed to seed default categories:', error);
+    }
+
+    // A mail outage shouldn't block sign-up; the user can request a new link
+    try {
+      await VerificationService.sendEmailVerification(user);
+    } catch (error) {
+      console.error('Failed to send verification email:', error);
+    }
+
+    // Start a session for this device
+    const { accessToken, refreshToken, expiresIn } = await TokenService.issueTokens(user, getClientContext(req));
 
     // Remove password from response
     const userResponse = user.toObject();
     delete userResponse.password;
+    delete userResponse.tokenVersion;
+    delete userResponse.emailVerification;
+    delete userResponse.passwordReset;
 
     res.status(201).json(apiResponse.success('User registered successfully', {
       user: userResponse,
-      token
+      accessToken,
+      refreshToken,
+      expiresIn
     }));
   } catch (error) {
     console.error('Registration error:', error);
@@ -63,20 +85,21 @@ const login = async (req, res) => {
       return res.status(401).json(apiResponse.error('Invalid credentials'));
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user._id },
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+    // Start a session for this device
+    const { accessToken, refreshToken, expiresIn } = await TokenService.issueTokens(user, getClientContext(req));
 
     // Remove password from response
     const userResponse = user.toObject();
     delete userResponse.password;
+    delete userResponse.tokenVersion;
+    delete userResponse.emailVerification;
+    delete userResponse.passwordReset;
 
     res.json(apiResponse.success('Login successful', {
       user: userResponse,
-      token
+      accessToken,
+      refreshToken,
+      expiresIn
     }));
   } catch (error) {
     console.error('Login error:', error);
@@ -84,6 +107,29 @@ const login = async (req, res) => {
   }
 };
 
+const refresh = async (req, res) => {
+  try {
+    const { accessToken, refreshToken, expiresIn } = await TokenService.rotateRefreshToken(
+      req.body.refreshToken,
+      getClientContext(req)
+    );
+
+    // Tokens at the top level: the client's refresh interceptor reads them from the raw body
+    res.json({
+      success: true,
+      accessToken,
+      refreshToken,
+      expiresIn
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json(apiResponse.error(error.message));
+    }
+    console.error('Token refresh error:', error);
+    res.status(500).json(apiResponse.error('Token refresh failed'));
+  }
+};
+
 const getCurrentUser = async (req, res) => {
   try {
     const user = req.user;
@@ -96,8 +142,16 @@ const getCurrentUser = async (req, res) => {
 
 const logout = async (req, res) => {
   try {
-    // In a stateless JWT system, logout is handled on the client side
-    // by removing the token. We can optionally implement token blacklisting here.
+    // Revoke this device's session; access tokens tied to it stop working immediately
+    let sessionId = req.sessionId;
+    if (!sessionId && req.body.refreshToken) {
+      sessionId = await TokenService.getFamilyForToken(req.body.refreshToken, req.userId);
+    }
+
+    if (sessionId) {
+      await TokenService.revokeSession(req.userId, sessionId, 'logout');
+    }
+
     res.json(apiResponse.success('Logged out successfully'));
   } catch (error) {
     console.error('Logout error:', error);
@@ -105,9 +159,103 @@ const logout = async (req, res) => {
   }
 };
 
+const logoutAll = async (req, res) => {
+  try {
+    const revoked = await TokenService.revokeAllSessions(req.userId);
+    res.json(apiResponse.success('Logged out of all devices', { revokedSessions: revoked }));
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json(apiResponse.error('Logout failed'));
+  }
+};
+
+const getSessions = async (req, res) => {
+  try {
+    const sessions = await TokenService.getActiveSessions(req.userId, req.sessionId);
+    res.json(apiResponse.success('Sessions retrieved successfully', { sessions }));
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json(apiResponse.error('Failed to get sessions'));
+  }
+};
+
+const revokeSession = async (req, res) => {
+  try {
+    const revoked = await TokenService.revokeSession(req.userId, req.params.sessionId, 'logout');
+    if (!revoked) {
+      return res.status(404).json(apiResponse.error('Session not found'));
+    }
+    res.json(apiResponse.success('Session revoked'));
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json(apiResponse.error('Failed to revoke session'));
+  }
+};
+
+const forgotPassword = async (req, res) => {
+  try {
+    await VerificationService.requestPasswordReset(req.body.email);
+  } catch (error) {
+    // A failure only happens for real accounts, so it must not change the response
+    console.error('Forgot password error:', error);
+  }
+
+  // Same response whether or not the account exists
+  res.json(apiResponse.success('If an account exists for this email, a reset link has been sent'));
+};
+
+const resetPassword = async (req, res) => {
+  try {
+    await VerificationService.resetPassword(req.body.token, req.body.password);
+    res.json(apiResponse.success('Password has been reset. Please log in with your new password'));
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json(apiResponse.error(error.message));
+    }
+    console.error('Reset password error:', error);
+    res.status(500).json(apiResponse.error('Password reset failed'));
+  }
+};
+
+const verifyEmail = async (req, res) => {
+  try {
+    const user = await VerificationService.verifyEmail(req.body.token);
+    res.json(apiResponse.success('Email verified successfully', {
+      emailVerified: user.emailVerified
+    }));
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json(apiResponse.error(error.message));
+    }
+    console.error('Verify email error:', error);
+    res.status(500).json(apiResponse.error('Email verification failed'));
+  }
+};
+
+const resendVerification = async (req, res) => {
+  try {
+    await VerificationService.resendEmailVerification(req.userId);
+    res.json(apiResponse.success('Verification email sent'));
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json(apiResponse.error(error.message));
+    }
+    console.error('Resend verification error:', error);
+    res.status(500).json(apiResponse.error('Failed to send verification email'));
+  }
+};
+
 module.exports = {
   register,
   login,
+  refresh,
   getCurrentUser,
-  logout
+  logout,
+  logoutAll,
+  getSessions,
+  revokeSession,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification
 };
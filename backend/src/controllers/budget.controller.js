@@ -0,0 +1,144 @@
+const BudgetService = require('../services/financial/budget.service');
+const BudgetTemplateService = require('../services/financial/budgetTemplate.service');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+/**
+ * Get user's budgets
+ */
+const getBudgets = asyncHandler(async (req, res) => {
+  const { period, categoryId, includeInactive } = req.query;
+
+  const budgets = await BudgetService.getBudgets(req.userId, {
+    period,
+    categoryId,
+    includeInactive: includeInactive === 'true'
+  });
+
+  res.json({
+    success: true,
+    data: budgets,
+    count: budgets.length
+  });
+});
+
+/**
+ * Get budget by ID
+ */
+const getBudget = asyncHandler(async (req, res) => {
+  const budget = await BudgetService.getBudget(req.params.id, req.userId);
+
+  res.json({
+    success: true,
+    data: BudgetService.withProgress(budget.toObject())
+  });
+});
+
+/**
+ * Create budget
+ */
+const createBudget = asyncHandler(async (req, res) => {
+  const budget = await BudgetService.createBudget(req.userId, req.body);
+
+  res.status(201).json({
+    success: true,
+    data: budget
+  });
+});
+
+/**
+ * Update budget
+ */
+const updateBudget = asyncHandler(async (req, res) => {
+  const budget = await BudgetService.updateBudget(req.params.id, req.userId, req.body);
+
+  res.json({
+    success: true,
+    data: budget
+  });
+});
+
+/**
+ * Archive budget
+ */
+const archiveBudget = asyncHandler(async (req, res) => {
+  const budget = await BudgetService.archiveBudget(req.params.id, req.userId);
+
+  res.json({
+    success: true,
+    data: budget,
+    message: 'Budget archived'
+  });
+});
+
+/**
+ * Get every period of a budget
+ */
+const getBudgetHistory = asyncHandler(async (req, res) => {
+  const history = await BudgetService.getBudgetHistory(req.params.id, req.userId);
+
+  res.json({
+    success: true,
+    data: history
+  });
+});
+
+/**
+ * Recalculate spent from transactions
+ */
+const recalculateBudget = asyncHandler(async (req, res) => {
+  const budget = await BudgetService.getBudget(req.params.id, req.userId);
+  const updated = await BudgetService.recalculateSpent(budget);
+
+  res.json({
+    success: true,
+    data: BudgetService.withProgress(updated.toObject())
+  });
+});
+
+/**
+ * List the built-in budget templates
+ */
+const getTemplates = asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: BudgetTemplateService.getTemplates()
+  });
+});
+
+/**
+ * Preview the budgets a template would create
+ */
+const previewTemplate = asyncHandler(async (req, res) => {
+  const plan = await BudgetTemplateService.generateBudgets(req.userId, req.body);
+
+  res.json({
+    success: true,
+    data: plan
+  });
+});
+
+/**
+ * Propose a template's budgets as a suggestion to review
+ */
+const proposeTemplate = asyncHandler(async (req, res) => {
+  const { plan, suggestion } = await BudgetTemplateService.proposeBudgets(req.userId, req.body);
+
+  res.status(201).json({
+    success: true,
+    data: { plan, suggestion },
+    message: 'Budget plan sent for review'
+  });
+});
+
+module.exports = {
+  getBudgets,
+  getBudget,
+  createBudget,
+  updateBudget,
+  archiveBudget,
+  getBudgetHistory,
+  recalculateBudget,
+  getTemplates,
+  previewTemplate,
+  proposeTemplate
+};
@@ -0,0 +1,84 @@
+const CategorizationRuleService = require('../services/financial/categorizationRule.service');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+/**
+ * Get the user's rules in the order they run
+ */
+const getRules = asyncHandler(async (req, res) => {
+  const rules = await CategorizationRuleService.getRules(req.userId);
+
+  res.json({
+    success: true,
+    data: rules
+  });
+});
+
+/**
+ * Create a rule
+ */
+const createRule = asyncHandler(async (req, res) => {
+  const rule = await CategorizationRuleService.createRule(req.userId, req.body);
+
+  res.status(201).json({
+    success: true,
+    data: rule
+  });
+});
+
+/**
+ * Update a rule
+ */
+const updateRule = asyncHandler(async (req, res) => {
+  const rule = await CategorizationRuleService.updateRule(req.params.id, req.userId, req.body);
+
+  res.json({
+    success: true,
+    data: rule
+  });
+});
+
+/**
+ * Delete a rule
+ */
+const deleteRule = asyncHandler(async (req, res) => {
+  await CategorizationRuleService.deleteRule(req.params.id, req.userId);
+
+  res.json({
+    success: true,
+    message: 'Rule deleted successfully'
+  });
+});
+
+/**
+ * Show what re-running the rules would change on past transactions
+ */
+const previewHistory = asyncHandler(async (req, res) => {
+  const preview = await CategorizationRuleService.previewHistory(req.userId, req.body);
+
+  res.json({
+    success: true,
+    data: preview
+  });
+});
+
+/**
+ * Re-run the rules on past transactions
+ */
+const applyHistory = asyncHandler(async (req, res) => {
+  const result = await CategorizationRuleService.applyHistory(req.userId, req.body);
+
+  res.json({
+    success: true,
+    data: result,
+    message: `${result.updated} transactions updated`
+  });
+});
+
+module.exports = {
+  getRules,
+  createRule,
+  updateRule,
+  deleteRule,
+  previewHistory,
+  applyHistory
+};
@@ -0,0 +1,104 @@
+const CategoryService = require('../services/financial/category.service');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+/**
+ * Get categories as a flat, indented list or a nested tree
+ */
+const getCategories = asyncHandler(async (req, res) => {
+  const categories = await CategoryService.getCategories(req.userId, {
+    tree: req.query.tree,
+    type: req.query.type
+  });
+
+  res.json({
+    success: true,
+    data: categories
+  });
+});
+
+/**
+ * Get a category with its subcategories
+ */
+const getCategory = asyncHandler(async (req, res) => {
+  const category = await CategoryService.getCategory(req.params.id, req.userId);
+
+  res.json({
+    success: true,
+    data: category
+  });
+});
+
+/**
+ * Create a category or subcategory
+ */
+const createCategory = asyncHandler(async (req, res) => {
+  const category = await CategoryService.createCategory(req.userId, req.body);
+
+  res.status(201).json({
+    success: true,
+    data: category
+  });
+});
+
+/**
+ * Update or move a category
+ */
+const updateCategory = asyncHandler(async (req, res) => {
+  const category = await CategoryService.updateCategory(req.params.id, req.userId, req.body);
+
+  res.json({
+    success: true,
+    data: category
+  });
+});
+
+/**
+ * Delete a category, reassigning whatever uses it when asked to
+ */
+const deleteCategory = asyncHandler(async (req, res) => {
+  const result = await CategoryService.deleteCategory(req.params.id, req.userId, {
+    reassignTo: req.query.reassignTo
+  });
+
+  res.json({
+    success: true,
+    data: result,
+    message: 'Category deleted successfully'
+  });
+});
+
+/**
+ * Merge a category into another
+ */
+const mergeCategory = asyncHandler(async (req, res) => {
+  const result = await CategoryService.mergeCategory(req.params.id, req.body.targetId, req.userId);
+
+  res.json({
+    success: true,
+    data: result,
+    message: `Merged into ${result.target.name}`
+  });
+});
+
+/**
+ * Add any default categories the user is missing
+ */
+const restoreDefaults = asyncHandler(async (req, res) => {
+  const created = await CategoryService.seedDefaults(req.userId);
+
+  res.json({
+    success: true,
+    data: created,
+    message: `${created.length} default categories added`
+  });
+});
+
+module.exports = {
+  getCategories,
+  getCategory,
+  createCategory,
+  updateCategory,
+  deleteCategory,
+  mergeCategory,
+  restoreDefaults
+};
@@ -0,0 +1,87 @@
+const EnvelopeService = require('../services/financial/envelope.service');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+/**
+ * Get a month's envelopes and the amount left to assign
+ */
+const getMonth = asyncHandler(async (req, res) => {
+  const month = await EnvelopeService.getMonth(req.userId, req.query.month);
+
+  res.json({
+    success: true,
+    data: month
+  });
+});
+
+/**
+ * Switch to envelope budgeting
+ */
+const enablePlan = asyncHandler(async (req, res) => {
+  const plan = await EnvelopeService.enable(req.userId, req.body);
+
+  res.status(201).json({
+    success: true,
+    data: plan
+  });
+});
+
+/**
+ * Open an envelope for a category
+ */
+const createEnvelope = asyncHandler(async (req, res) => {
+  const envelope = await EnvelopeService.createEnvelope(req.userId, req.body);
+
+  res.status(201).json({
+    success: true,
+    data: EnvelopeService.withBalance(envelope.toObject())
+  });
+});
+
+/**
+ * Assign money from the pool to an envelope, or return it
+ */
+const assignFunds = asyncHandler(async (req, res) => {
+  const envelope = await EnvelopeService.assign(req.userId, req.params.id, req.body.amount);
+
+  res.json({
+    success: true,
+    data: EnvelopeService.withBalance(envelope.toObject())
+  });
+});
+
+/**
+ * Move money between envelopes
+ */
+const moveFunds = asyncHandler(async (req, res) => {
+  const { from, to } = await EnvelopeService.moveFunds(req.userId, req.body);
+
+  res.json({
+    success: true,
+    data: {
+      from: EnvelopeService.withBalance(from.toObject()),
+      to: EnvelopeService.withBalance(to.toObject())
+    }
+  });
+});
+
+/**
+ * Cover an overspent envelope
+ */
+const coverOverspending = asyncHandler(async (req, res) => {
+  const envelope = await EnvelopeService.coverOverspending(req.userId, req.params.id, req.body);
+
+  res.json({
+    success: true,
+    data: EnvelopeService.withBalance(envelope.toObject()),
+    message: 'Overspending covered'
+  });
+});
+
+module.exports = {
+  getMonth,
+  enablePlan,
+  createEnvelope,
+  assignFunds,
+  moveFunds,
+  coverOverspending
+};
@@ -0,0 +1,120 @@
+const multer = require('multer');
+const fs = require('fs');
+const ExchangeRateService = require('../services/financial/exchangeRate.service');
+const { asyncHandler, ServiceError } = require('../middleware/errorHandler');
+
+const upload = multer({
+  dest: 'uploads/rates',
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype === 'text/csv' || file.originalname.endsWith('.csv')) {
+      cb(null, true);
+    } else {
+      cb(new ServiceError('Only CSV files are allowed', 400), false);
+    }
+  },
+  limits: { fileSize: 5 * 1024 * 1024 } // 5MB limit
+});
+
+/**
+ * List exchange rates
+ */
+const getRates = asyncHandler(async (req, res) => {
+  const { base, quote, startDate, endDate } = req.query;
+
+  const { rates, pagination } = await ExchangeRateService.getRates(
+    { base, quote, startDate, endDate },
+    {
+      page: req.query.page || 1,
+      limit: req.query.limit || 100
+    }
+  );
+
+  res.json({
+    success: true,
+    data: rates,
+    pagination
+  });
+});
+
+/**
+ * Convert an amount between currencies
+ */
+const convertAmount = asyncHandler(async (req, res) => {
+  const { amount, from, to } = req.query;
+  const date = req.query.date ? new Date(req.query.date) : new Date();
+
+  const converted = await ExchangeRateService.convert(amount, from, to, date);
+
+  if (!converted) {
+    throw new ServiceError(`No ${from}/${to} exchange rate available`, 404);
+  }
+
+  res.json({
+    success: true,
+    data: {
+      amount,
+      currency: from,
+      converted: converted.amount,
+      convertedCurrency: converted.currency,
+      rate: converted.rate,
+      rateDate: converted.rateDate
+    }
+  });
+});
+
+/**
+ * Add or replace a daily rate
+ */
+const setRate = asyncHandler(async (req, res) => {
+  const { rate, refresh } = await ExchangeRateService.setRate(req.body, req.userId);
+
+  res.status(201).json({
+    success: true,
+    data: rate,
+    refresh
+  });
+});
+
+/**
+ * Import daily rates from a CSV file (date, base, quote, rate)
+ */
+const importRates = asyncHandler(async (req, res) => {
+  if (!req.file) {
+    throw new ServiceError('CSV file is required', 400);
+  }
+
+  try {
+    const result = await ExchangeRateService.importRates(req.file.path, req.userId);
+
+    res.status(result.success ? 201 : 207).json({
+      success: result.success,
+      data: result
+    });
+  } finally {
+    fs.unlink(req.file.path, (err) => {
+      if (err) console.error('Error deleting rates file:', err);
+    });
+  }
+});
+
+/**
+ * Delete a rate
+ */
+const deleteRate = asyncHandler(async (req, res) => {
+  const { refresh } = await ExchangeRateService.deleteRate(req.params.id);
+
+  res.json({
+    success: true,
+    refresh,
+    message: 'Exchange rate deleted'
+  });
+});
+
+module.exports = {
+  getRates,
+  convertAmount,
+  setRate,
+  importRates,
+  deleteRate,
+  upload: upload.single('file')
+};
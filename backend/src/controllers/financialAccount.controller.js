@@ -0,0 +1,137 @@
+const AccountService = require('../services/financial/account.service');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+/**
+ * Get user's accounts
+ */
+const getAccounts = asyncHandler(async (req, res) => {
+  const { type, status, includeClosed } = req.query;
+
+  const { accounts, totals } = await AccountService.getAccounts(req.userId, {
+    type,
+    status,
+    includeClosed
+  });
+
+  res.json({
+    success: true,
+    data: accounts,
+    totals,
+    count: accounts.length
+  });
+});
+
+/**
+ * Get single account
+ */
+const getAccount = asyncHandler(async (req, res) => {
+  const account = await AccountService.getAccount(req.params.id, req.userId);
+
+  res.json({
+    success: true,
+    data: account
+  });
+});
+
+/**
+ * Create account
+ */
+const createAccount = asyncHandler(async (req, res) => {
+  const account = await AccountService.createAccount(req.userId, req.body);
+
+  res.status(201).json({
+    success: true,
+    data: account
+  });
+});
+
+/**
+ * Update account
+ */
+const updateAccount = asyncHandler(async (req, res) => {
+  const account = await AccountService.updateAccount(req.params.id, req.userId, req.body);
+
+  res.json({
+    success: true,
+    data: account
+  });
+});
+
+/**
+ * Close (or delete an unused) account
+ */
+const closeAccount = asyncHandler(async (req, res) => {
+  const { deleted, account } = await AccountService.closeAccount(req.params.id, req.userId);
+
+  res.json({
+    success: true,
+    data: account,
+    message: deleted ? 'Account deleted' : 'Account closed'
+  });
+});
+
+/**
+ * Get account register with running balances
+ */
+const getRegister = asyncHandler(async (req, res) => {
+  const register = await AccountService.getRegister(req.params.id, req.userId, {
+    page: req.query.page || 1,
+    limit: req.query.limit || 50
+  });
+
+  res.json({
+    success: true,
+    data: register
+  });
+});
+
+/**
+ * Recalculate account balance from transactions
+ */
+const recalculateAccount = asyncHandler(async (req, res) => {
+  const account = await AccountService.recalculateAccount(req.params.id, req.userId);
+
+  res.json({
+    success: true,
+    data: account
+  });
+});
+
+/**
+ * Compare a statement balance with the computed balance
+ */
+const previewReconciliation = asyncHandler(async (req, res) => {
+  const preview = await AccountService.previewReconciliation(req.params.id, req.userId, req.body);
+
+  res.json({
+    success: true,
+    data: preview
+  });
+});
+
+/**
+ * Reconcile account against a statement
+ */
+const reconcileAccount = asyncHandler(async (req, res) => {
+  const result = await AccountService.reconcile(req.params.id, req.userId, req.body);
+
+  res.status(201).json({
+    success: true,
+    data: result,
+    message: result.adjusted
+      ? `Reconciled with an adjustment of ${result.difference.toFixed(2)}`
+      : 'Reconciled with no difference'
+  });
+});
+
+module.exports = {
+  getAccounts,
+  getAccount,
+  createAccount,
+  updateAccount,
+  closeAccount,
+  getRegister,
+  recalculateAccount,
+  previewReconciliation,
+  reconcileAccount
+};
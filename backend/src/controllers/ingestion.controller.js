@@ -92,8 +92,8 @@ const getTransactions = asyncHandler(async (req, res) => {
     req.userId,
     req.query,
     {
-      page: req.query.page,
-      limit: req.query.limit
+      page: parseInt(req.query.page) || 1,
+      limit: parseInt(req.query.limit) || 50
     }
   );
   
@@ -129,7 +129,18 @@ const importCSV = asyncHandler(async (req, res) => {
   }
 
   const mapping = req.body.mapping ? JSON.parse(req.body.mapping) : null;
-  const result = await csvService.importTransactions(req.file.path, req.userId, mapping);
+  const accountId = req.body.accountId || null;
+  const currency = req.body.currency ? String(req.body.currency).toUpperCase() : null;
+
+  if (accountId && !/^[a-f\d]{24}$/i.test(accountId)) {
+    throw new ServiceError('Invalid account ID', 400);
+  }
+
+  if (currency && !/^[A-Z]{3}$/.test(currency)) {
+    throw new ServiceError('Invalid currency code', 400);
+  }
+
+  const result = await csvService.importTransactions(req.file.path, req.userId, mapping, { accountId, currency });
   
   // Clean up file after import
   fs.unlink(req.file.path, (err) => {
@@ -152,18 +163,7 @@ const getCSVTemplate = asyncHandler(async (req, res) => {
   res.setHeader('Content-Disposition', 'attachment; filename=transaction-template.csv');
   res.send(csv);
 });
-module.exports = {
-  upload,
-  previewCSV,
-  importCSV,
-  getCSVTemplate,
-  getTransactions,
-  createTransaction,
-  bulkCreateTransactions,
-  getTransaction,
-  updateTransaction,
-  deleteTransaction
-};
+
 module.exports = {
   // Manual
   createTransaction,
@@ -4,6 +4,7 @@ const FrequencyController = require('../services/learning/frequency.controller')
 const PreferenceManager = require('../services/learning/preference.manager');
 const RulesEngine = require('../services/learning/rules.engine');
 const LearningValidator = require('../services/learning/validators/learning.validator');
+const UserPreference = require('../models/UserPreference');
 const { asyncHandler, ServiceError } = require('../middleware/errorHandler');
 
 /**
@@ -0,0 +1,90 @@
+const MfaService = require('../services/user/mfa.service');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+/**
+ * Get MFA status
+ */
+const getMfaStatus = asyncHandler(async (req, res) => {
+  const status = await MfaService.getStatus(req.userId);
+
+  res.json({
+    success: true,
+    data: status
+  });
+});
+
+/**
+ * Start TOTP enrollment
+ */
+const startEnrollment = asyncHandler(async (req, res) => {
+  const enrollment = await MfaService.startEnrollment(req.userId);
+
+  res.json({
+    success: true,
+    data: enrollment,
+    message: 'Scan the QR code with your authenticator app, then confirm with a code'
+  });
+});
+
+/**
+ * Confirm enrollment and enable MFA
+ */
+const confirmEnrollment = asyncHandler(async (req, res) => {
+  const result = await MfaService.confirmEnrollment(req.userId, req.body.code, req.sessionId);
+
+  res.json({
+    success: true,
+    data: result,
+    message: 'MFA enabled. Store your recovery codes somewhere safe; they will not be shown again'
+  });
+});
+
+/**
+ * Step-up verification for the current session
+ */
+const verifyMfa = asyncHandler(async (req, res) => {
+  const { code, recoveryCode } = req.body;
+  const result = await MfaService.verify(req.userId, { code, recoveryCode }, req.sessionId);
+
+  res.json({
+    success: true,
+    data: result,
+    message: 'MFA verified'
+  });
+});
+
+/**
+ * Replace recovery codes
+ */
+const regenerateRecoveryCodes = asyncHandler(async (req, res) => {
+  const { code, recoveryCode } = req.body;
+  const result = await MfaService.regenerateRecoveryCodes(req.userId, { code, recoveryCode });
+
+  res.json({
+    success: true,
+    data: result,
+    message: 'New recovery codes generated'
+  });
+});
+
+/**
+ * Disable MFA
+ */
+const disableMfa = asyncHandler(async (req, res) => {
+  const { code, recoveryCode } = req.body;
+  await MfaService.disable(req.userId, { code, recoveryCode });
+
+  res.json({
+    success: true,
+    message: 'MFA disabled'
+  });
+});
+
+module.exports = {
+  getMfaStatus,
+  startEnrollment,
+  confirmEnrollment,
+  verifyMfa,
+  regenerateRecoveryCodes,
+  disableMfa
+};
@@ -0,0 +1,117 @@
+const NetWorthService = require('../services/financial/netWorth.service');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+/**
+ * Get net worth history
+ */
+const getHistory = asyncHandler(async (req, res) => {
+  const { startDate, endDate, interval } = req.query;
+
+  const history = await NetWorthService.getHistory(req.userId, { startDate, endDate, interval });
+
+  res.json({
+    success: true,
+    data: history
+  });
+});
+
+/**
+ * Get current net worth with a line per account, goal and item
+ */
+const getCurrent = asyncHandler(async (req, res) => {
+  const netWorth = await NetWorthService.calculateNetWorth(req.userId);
+
+  res.json({
+    success: true,
+    data: netWorth
+  });
+});
+
+/**
+ * Capture today's snapshot now
+ */
+const captureSnapshot = asyncHandler(async (req, res) => {
+  const snapshot = await NetWorthService.captureSnapshot(req.userId, 'manual');
+
+  res.status(201).json({
+    success: true,
+    data: snapshot
+  });
+});
+
+/**
+ * Get manual assets and liabilities
+ */
+const getItems = asyncHandler(async (req, res) => {
+  const { kind, includeInactive } = req.query;
+
+  const items = await NetWorthService.getItems(req.userId, {
+    kind,
+    includeInactive: includeInactive === 'true'
+  });
+
+  res.json({
+    success: true,
+    data: items,
+    count: items.length
+  });
+});
+
+/**
+ * Add a manual asset or liability
+ */
+const createItem = asyncHandler(async (req, res) => {
+  const item = await NetWorthService.createItem(req.userId, req.body);
+
+  res.status(201).json({
+    success: true,
+    data: item
+  });
+});
+
+/**
+ * Update a manual asset or liability
+ */
+const updateItem = asyncHandler(async (req, res) => {
+  const item = await NetWorthService.updateItem(req.params.id, req.userId, req.body);
+
+  res.json({
+    success: true,
+    data: item
+  });
+});
+
+/**
+ * Record a new valuation
+ */
+const addValuation = asyncHandler(async (req, res) => {
+  const item = await NetWorthService.addValuation(req.params.id, req.userId, req.body);
+
+  res.status(201).json({
+    success: true,
+    data: item
+  });
+});
+
+/**
+ * Delete a manual asset or liability
+ */
+const deleteItem = asyncHandler(async (req, res) => {
+  await NetWorthService.deleteItem(req.params.id, req.userId);
+
+  res.json({
+    success: true,
+    message: 'Item deleted'
+  });
+});
+
+module.exports = {
+  getHistory,
+  getCurrent,
+  captureSnapshot,
+  getItems,
+  createItem,
+  updateItem,
+  addValuation,
+  deleteItem
+};
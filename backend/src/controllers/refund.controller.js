@@ -0,0 +1,59 @@
+const RefundService = require('../services/financial/refund.service');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+/**
+ * Get refunds recorded against a transaction
+ */
+const getRefunds = asyncHandler(async (req, res) => {
+  const refunds = await RefundService.getRefunds(req.userId, req.params.id);
+
+  res.json({
+    success: true,
+    data: refunds
+  });
+});
+
+/**
+ * Record a full or partial refund of a transaction
+ */
+const createRefund = asyncHandler(async (req, res) => {
+  const result = await RefundService.createRefund(req.userId, req.params.id, req.body);
+
+  res.status(201).json({
+    success: true,
+    data: result
+  });
+});
+
+/**
+ * Link an existing credit as a refund of another transaction
+ */
+const linkRefund = asyncHandler(async (req, res) => {
+  const result = await RefundService.linkRefund(req.userId, req.params.id, req.body.originalId);
+
+  res.json({
+    success: true,
+    data: result
+  });
+});
+
+/**
+ * Get proposed refund links for recent unlinked credits
+ */
+const getRefundCandidates = asyncHandler(async (req, res) => {
+  const proposals = await RefundService.findRefundCandidates(req.userId, {
+    since: req.query.since
+  });
+
+  res.json({
+    success: true,
+    data: proposals
+  });
+});
+
+module.exports = {
+  getRefunds,
+  createRefund,
+  linkRefund,
+  getRefundCandidates
+};
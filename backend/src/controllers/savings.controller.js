@@ -0,0 +1,124 @@
+const SavingsService = require('../services/financial/savings.service');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+/**
+ * Get user's savings goals
+ */
+const getGoals = asyncHandler(async (req, res) => {
+  const { status, category, includeCancelled } = req.query;
+
+  const goals = await SavingsService.getGoals(req.userId, {
+    status,
+    category,
+    includeCancelled: includeCancelled === 'true'
+  });
+
+  res.json({
+    success: true,
+    data: goals,
+    count: goals.length
+  });
+});
+
+/**
+ * Get savings goal by ID
+ */
+const getGoal = asyncHandler(async (req, res) => {
+  const goal = await SavingsService.getGoal(req.params.id, req.userId);
+
+  res.json({
+    success: true,
+    data: SavingsService.withProgress(goal.toObject())
+  });
+});
+
+/**
+ * Create savings goal
+ */
+const createGoal = asyncHandler(async (req, res) => {
+  const goal = await SavingsService.createGoal(req.userId, req.body);
+
+  res.status(201).json({
+    success: true,
+    data: goal
+  });
+});
+
+/**
+ * Update savings goal
+ */
+const updateGoal = asyncHandler(async (req, res) => {
+  const goal = await SavingsService.updateGoal(req.params.id, req.userId, req.body);
+
+  res.json({
+    success: true,
+    data: SavingsService.withProgress(goal.toObject())
+  });
+});
+
+/**
+ * Cancel savings goal
+ */
+const cancelGoal = asyncHandler(async (req, res) => {
+  const goal = await SavingsService.cancelGoal(req.params.id, req.userId);
+
+  res.json({
+    success: true,
+    data: goal,
+    message: 'Savings goal cancelled'
+  });
+});
+
+/**
+ * Add a contribution
+ */
+const contribute = asyncHandler(async (req, res) => {
+  const { amount, date, notes, fromAccountId } = req.body;
+  const { goal, transaction, transfer } = await SavingsService.contribute(req.params.id, req.userId, amount, {
+    date,
+    notes,
+    fromAccountId
+  });
+
+  res.status(201).json({
+    success: true,
+    data: {
+      goal: SavingsService.withProgress(goal.toObject()),
+      transaction,
+      transferGroupId: transfer.groupId
+    }
+  });
+});
+
+/**
+ * Withdraw from goal
+ */
+const withdraw = asyncHandler(async (req, res) => {
+  const { amount, date, notes, toAccountId } = req.body;
+  const { goal, transaction, transfer, penaltyAmount, penaltyTransaction } = await SavingsService.withdraw(req.params.id, req.userId, amount, {
+    date,
+    notes,
+    toAccountId
+  });
+
+  res.status(201).json({
+    success: true,
+    data: {
+      goal: SavingsService.withProgress(goal.toObject()),
+      transaction,
+      transferGroupId: transfer.groupId,
+      penaltyAmount,
+      penaltyTransaction
+    }
+  });
+});
+
+module.exports = {
+  getGoals,
+  getGoal,
+  createGoal,
+  updateGoal,
+  cancelGoal,
+  contribute,
+  withdraw
+};
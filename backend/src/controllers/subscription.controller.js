@@ -0,0 +1,125 @@
+const SubscriptionService = require('../services/financial/subscription.service');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+/**
+ * Get user's subscriptions
+ */
+const getSubscriptions = asyncHandler(async (req, res) => {
+  const { status, categoryId, includeCancelled } = req.query;
+
+  const subscriptions = await SubscriptionService.getSubscriptions(req.userId, {
+    status,
+    categoryId,
+    includeCancelled: includeCancelled === 'true'
+  });
+
+  res.json({
+    success: true,
+    data: subscriptions,
+    count: subscriptions.length
+  });
+});
+
+/**
+ * Get upcoming charges grouped by day
+ */
+const getBillingCalendar = asyncHandler(async (req, res) => {
+  const { from, to } = req.query;
+
+  const calendar = await SubscriptionService.getBillingCalendar(
+    req.userId,
+    from ? new Date(from) : new Date(),
+    to ? new Date(to) : undefined
+  );
+
+  res.json({
+    success: true,
+    data: calendar
+  });
+});
+
+/**
+ * Get subscription by ID
+ */
+const getSubscription = asyncHandler(async (req, res) => {
+  const subscription = await SubscriptionService.getSubscription(req.params.id, req.userId);
+
+  res.json({
+    success: true,
+    data: subscription
+  });
+});
+
+/**
+ * Create subscription
+ */
+const createSubscription = asyncHandler(async (req, res) => {
+  const subscription = await SubscriptionService.createSubscription(req.userId, req.body);
+
+  res.status(201).json({
+    success: true,
+    data: subscription
+  });
+});
+
+/**
+ * Update subscription
+ */
+const updateSubscription = asyncHandler(async (req, res) => {
+  const subscription = await SubscriptionService.updateSubscription(req.params.id, req.userId, req.body);
+
+  res.json({
+    success: true,
+    data: subscription
+  });
+});
+
+/**
+ * Pause subscription
+ */
+const pauseSubscription = asyncHandler(async (req, res) => {
+  const subscription = await SubscriptionService.pauseSubscription(req.params.id, req.userId);
+
+  res.json({
+    success: true,
+    data: subscription,
+    message: 'Subscription paused'
+  });
+});
+
+/**
+ * Resume subscription
+ */
+const resumeSubscription = asyncHandler(async (req, res) => {
+  const subscription = await SubscriptionService.resumeSubscription(req.params.id, req.userId);
+
+  res.json({
+    success: true,
+    data: subscription,
+    message: 'Subscription resumed'
+  });
+});
+
+/**
+ * Cancel subscription
+ */
+const cancelSubscription = asyncHandler(async (req, res) => {
+  const subscription = await SubscriptionService.cancelSubscription(req.params.id, req.userId);
+
+  res.json({
+    success: true,
+    data: subscription,
+    message: 'Subscription cancelled'
+  });
+});
+
+module.exports = {
+  getSubscriptions,
+  getBillingCalendar,
+  getSubscription,
+  createSubscription,
+  updateSubscription,
+  pauseSubscription,
+  resumeSubscription,
+  cancelSubscription
+};
@@ -92,6 +92,7 @@ const approveSuggestion = asyncHandler(async (req, res) => {
       method,
       notes,
       rating,
+      mfaVerified: req.mfaVerified,
       ipAddress: req.ip,
       userAgent: req.get('User-Agent')
     }
@@ -265,7 +266,7 @@ const batchApprove = asyncHandler(async (req, res) => {
       const suggestion = await SuggestionManager.approveSuggestion(
         id,
         req.userId,
-        { method: 'batch' }
+        { method: 'batch', mfaVerified: req.mfaVerified }
       );
       results.push({ id, status: 'approved', suggestion });
     } catch (error) {
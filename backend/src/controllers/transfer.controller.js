@@ -0,0 +1,80 @@
+const TransferService = require('../services/financial/transfer.service');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+/**
+ * Get user's transfers
+ */
+const getTransfers = asyncHandler(async (req, res) => {
+  const { accountId, startDate, endDate } = req.query;
+
+  const { transfers, pagination } = await TransferService.getTransfers(
+    req.userId,
+    { accountId, startDate, endDate },
+    {
+      page: req.query.page || 1,
+      limit: req.query.limit || 50
+    }
+  );
+
+  res.json({
+    success: true,
+    data: transfers,
+    pagination
+  });
+});
+
+/**
+ * Get single transfer with both legs
+ */
+const getTransfer = asyncHandler(async (req, res) => {
+  const transfer = await TransferService.getTransfer(req.params.groupId, req.userId);
+
+  res.json({
+    success: true,
+    data: transfer
+  });
+});
+
+/**
+ * Create transfer between two accounts
+ */
+const createTransfer = asyncHandler(async (req, res) => {
+  const transfer = await TransferService.createTransfer(req.userId, req.body);
+
+  res.status(201).json({
+    success: true,
+    data: transfer
+  });
+});
+
+/**
+ * Update both legs of a transfer
+ */
+const updateTransfer = asyncHandler(async (req, res) => {
+  const transfer = await TransferService.updateTransfer(req.params.groupId, req.userId, req.body);
+
+  res.json({
+    success: true,
+    data: transfer
+  });
+});
+
+/**
+ * Delete both legs of a transfer
+ */
+const deleteTransfer = asyncHandler(async (req, res) => {
+  await TransferService.deleteTransfer(req.params.groupId, req.userId);
+
+  res.json({
+    success: true,
+    message: 'Transfer deleted successfully'
+  });
+});
+
+module.exports = {
+  getTransfers,
+  getTransfer,
+  createTransfer,
+  updateTransfer,
+  deleteTransfer
+};
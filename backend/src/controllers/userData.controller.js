@@ -0,0 +1,97 @@
+const UserDataService = require('../services/user/userData.service');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+/**
+ * Download all personal data (JSON) or one collection (CSV)
+ */
+const exportData = asyncHandler(async (req, res) => {
+  const { format = 'json', collection } = req.query;
+  const date = new Date().toISOString().split('T')[0];
+
+  if (format === 'csv') {
+    const csv = await UserDataService.exportCollectionCSV(req.userId, collection);
+
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename="${collection}-${date}.csv"`);
+    return res.send(csv);
+  }
+
+  const data = await UserDataService.exportUserData(req.userId);
+
+  res.setHeader('Content-Disposition', `attachment; filename="account-export-${date}.json"`);
+  res.json({
+    success: true,
+    data
+  });
+});
+
+/**
+ * Get collections available for CSV export
+ */
+const getExportCollections = asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: UserDataService.getExportableCollections()
+  });
+});
+
+/**
+ * Get account deletion status
+ */
+const getDeletionStatus = asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: UserDataService.getDeletionStatus(req.user)
+  });
+});
+
+/**
+ * Schedule account deletion
+ */
+const requestDeletion = asyncHandler(async (req, res) => {
+  const { password, reason } = req.body;
+  const status = await UserDataService.requestDeletion(req.userId, password, reason);
+
+  res.json({
+    success: true,
+    data: status,
+    message: `Your account will be deleted on ${status.scheduledFor.toDateString()}`
+  });
+});
+
+/**
+ * Cancel scheduled account deletion
+ */
+const cancelDeletion = asyncHandler(async (req, res) => {
+  const status = await UserDataService.cancelDeletion(req.userId);
+
+  res.json({
+    success: true,
+    data: status,
+    message: 'Account deletion cancelled'
+  });
+});
+
+/**
+ * Change the reporting currency
+ */
+const updateReportingCurrency = asyncHandler(async (req, res) => {
+  const result = await UserDataService.setReportingCurrency(req.userId, req.body.currency);
+
+  res.json({
+    success: true,
+    data: result,
+    message: result.missingRates > 0
+      ? `Reporting currency set to ${result.currency}; ${result.missingRates} transactions have no exchange rate yet`
+      : `Reporting currency set to ${result.currency}`
+  });
+});
+
+module.exports = {
+  exportData,
+  getExportCollections,
+  getDeletionStatus,
+  requestDeletion,
+  cancelDeletion,
+  updateReportingCurrency
+};
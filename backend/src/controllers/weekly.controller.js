@@ -43,6 +43,22 @@ const getSummaryById = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * Mark weekly summary as viewed
+ */
+const markSummaryViewed = asyncHandler(async (req, res) => {
+  const summary = await SummaryGenerator.markAsViewed(req.userId, req.params.id);
+
+  if (!summary) {
+    throw new ServiceError('Summary not found', 404);
+  }
+
+  res.json({
+    success: true,
+    data: summary
+  });
+});
+
 /**
  * Get latest weekly summary
  */
@@ -70,8 +86,9 @@ const getLatestSummary = asyncHandler(async (req, res) => {
 const generateSummary = asyncHandler(async (req, res) => {
   // Check if already generated for this week
   const hasCurrent = await WeeklyScheduler.hasCurrentWeekSummary(req.userId);
-  
-  if (hasCurrent && !req.query.force) {
+  const force = req.query.force === 'true' || req.body.force === true;
+
+  if (hasCurrent && !force) {
     throw new ServiceError('Summary already exists for current week', 400);
   }
 
@@ -171,47 +188,13 @@ const getSummaryTrends = asyncHandler(async (req, res) => {
   });
 });
 
-/**
- * Admin: Get generation stats
- */
-const getGenerationStats = asyncHandler(async (req, res) => {
-  // Check if user is admin
-  if (req.user.role !== 'admin') {
-    throw new ServiceError('Unauthorized', 403);
-  }
-
-  const stats = await WeeklyScheduler.getGenerationStats();
-
-  res.json({
-    success: true,
-    data: stats
-  });
-});
-
-/**
- * Admin: Retry failed generations
- */
-const retryFailed = asyncHandler(async (req, res) => {
-  if (req.user.role !== 'admin') {
-    throw new ServiceError('Unauthorized', 403);
-  }
-
-  const result = await WeeklyScheduler.retryFailed();
-
-  res.json({
-    success: true,
-    data: result
-  });
-});
-
 module.exports = {
   getSummaries,
   getSummaryById,
+  markSummaryViewed,
   getLatestSummary,
   generateSummary,
   getSummaryStats,
   getSummaryBullets,
-  getSummaryTrends,
-  getGenerationStats,
-  retryFailed
+  getSummaryTrends
 };
\ No newline at end of file
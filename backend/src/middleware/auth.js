@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const TokenService = require('../services/user/token.service');
 
 const authenticate = async (req, res, next) => {
   try {
@@ -16,8 +17,16 @@ const authenticate = async (req, res, next) => {
       throw new Error();
     }
 
+    // Reject tokens from logged-out sessions or issued before "log out all devices"
+    const session = await TokenService.checkAccessToken(decoded, user);
+    if (!session.active) {
+      throw new Error();
+    }
+
     req.user = user;
     req.userId = user._id;
+    req.sessionId = decoded.sid;
+    req.mfaVerified = session.mfaVerified;
     next();
   } catch (error) {
     res.status(401).json({
@@ -49,10 +58,11 @@ const authorize = (...roles) => {
 
 const requireMFA = async (req, res, next) => {
   // Check if user has MFA enabled and if it's been verified in this session
-  if (req.user.preferences?.mfaEnabled && !req.session.mfaVerified) {
+  if (req.user.preferences?.mfaEnabled && !req.mfaVerified) {
     return res.status(403).json({
       success: false,
-      error: 'MFA verification required'
+      error: 'MFA verification required',
+      details: { requiresMFA: true }
     });
   }
   next();
@@ -0,0 +1,105 @@
+const { body, param, query, validationResult } = require('express-validator');
+
+const USER_ROLES = ['user', 'support', 'admin'];
+
+const handleErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+const validateAdminUserId = [
+  param('id')
+    .isMongoId().withMessage('Invalid user ID'),
+
+  handleErrors
+];
+
+const validateAdminUserQuery = [
+  query('email')
+    .optional()
+    .isEmail().withMessage('Invalid email')
+    .normalizeEmail(),
+
+  query('q')
+    .optional()
+    .isLength({ min: 2, max: 100 }).withMessage('Search must be 2-100 characters')
+    .trim(),
+
+  query('role')
+    .optional()
+    .isIn(USER_ROLES).withMessage('Invalid role'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+    .toInt(),
+
+  handleErrors
+];
+
+const validateRoleUpdate = [
+  body('role')
+    .isIn(USER_ROLES).withMessage(`Role must be one of: ${USER_ROLES.join(', ')}`),
+
+  handleErrors
+];
+
+const validateStatsQuery = [
+  query('days')
+    .optional()
+    .isInt({ min: 1, max: 90 }).withMessage('Days must be between 1 and 90')
+    .toInt(),
+
+  handleErrors
+];
+
+const validateRetryRequest = [
+  body('daysBack')
+    .optional()
+    .isInt({ min: 1, max: 30 }).withMessage('daysBack must be between 1 and 30')
+    .toInt(),
+
+  handleErrors
+];
+
+const validateRetentionDays = [
+  body('days')
+    .optional()
+    .isInt({ min: 30, max: 3650 }).withMessage('Retention must be between 30 and 3650 days')
+    .toInt(),
+
+  handleErrors
+];
+
+const validateAuditLogQuery = [
+  query('operation')
+    .optional()
+    .matches(/^[a-z_.]+$/).withMessage('Invalid operation'),
+
+  query('actorId')
+    .optional()
+    .isMongoId().withMessage('Invalid actor ID'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 200 }).withMessage('Limit must be between 1 and 200')
+    .toInt(),
+
+  handleErrors
+];
+
+module.exports = {
+  validateAdminUserId,
+  validateAdminUserQuery,
+  validateRoleUpdate,
+  validateStatsQuery,
+  validateRetryRequest,
+  validateRetentionDays,
+  validateAuditLogQuery
+};
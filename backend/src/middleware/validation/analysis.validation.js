@@ -0,0 +1,138 @@
+const { body, param, query, validationResult } = require('express-validator');
+
+const PERIOD_KEYS = ['week', 'month', 'quarter', 'year'];
+const SIGNAL_STATUSES = ['active', 'dismissed', 'actioned'];
+
+const handleErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+const validatePeriod = [
+  query('period')
+    .optional()
+    .isIn(PERIOD_KEYS).withMessage(`Period must be one of: ${PERIOD_KEYS.join(', ')}`),
+
+  handleErrors
+];
+
+const validatePatternQuery = [
+  query('lookbackMonths')
+    .optional()
+    .isInt({ min: 1, max: 24 }).withMessage('Lookback must be between 1 and 24 months'),
+
+  handleErrors
+];
+
+const validateSignalQuery = [
+  query('minPriority')
+    .optional()
+    .isInt({ min: 1, max: 5 }).withMessage('Minimum priority must be between 1 and 5'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 200 }).withMessage('Limit must be between 1 and 200'),
+
+  query('types')
+    .optional()
+    .matches(/^[a-z_]+(,[a-z_]+)*$/).withMessage('Types must be a comma-separated list'),
+
+  handleErrors
+];
+
+const validateStatsQuery = [
+  query('days')
+    .optional()
+    .isInt({ min: 1, max: 365 }).withMessage('Days must be between 1 and 365'),
+
+  handleErrors
+];
+
+const validateSignalId = [
+  param('id')
+    .isMongoId().withMessage('Invalid signal ID'),
+
+  handleErrors
+];
+
+const validateSignalStatus = [
+  body('status')
+    .notEmpty().withMessage('Status is required')
+    .isIn(SIGNAL_STATUSES).withMessage(`Status must be one of: ${SIGNAL_STATUSES.join(', ')}`),
+
+  handleErrors
+];
+
+const validateCategoryAnalysis = [
+  param('categoryId')
+    .isMongoId().withMessage('Invalid category ID'),
+
+  query('period')
+    .optional()
+    .isInt({ min: 1, max: 365 }).withMessage('Period must be between 1 and 365 days'),
+
+  handleErrors
+];
+
+const validatePeriodComparison = [
+  query(['period1Start', 'period1End', 'period2Start', 'period2End'])
+    .notEmpty().withMessage('All period dates are required')
+    .isISO8601().withMessage('Invalid date format'),
+
+  query('period1End')
+    .custom((value, { req }) => new Date(value) >= new Date(req.query.period1Start))
+    .withMessage('First period end must be after its start'),
+
+  query('period2End')
+    .custom((value, { req }) => new Date(value) >= new Date(req.query.period2Start))
+    .withMessage('Second period end must be after its start'),
+
+  handleErrors
+];
+
+const validateRecurringQuery = [
+  query('lookbackDays')
+    .optional()
+    .isInt({ min: 30, max: 730 }).withMessage('Lookback must be between 30 and 730 days'),
+
+  query('amountTolerance')
+    .optional()
+    .isFloat({ min: 0, max: 0.5 }).withMessage('Amount tolerance must be between 0 and 0.5'),
+
+  handleErrors
+];
+
+const validateForecastQuery = [
+  query('days')
+    .optional()
+    .isInt({ min: 7, max: 90 }).withMessage('Forecast must cover between 7 and 90 days'),
+
+  query('threshold')
+    .optional()
+    .isFloat({ min: 0 }).withMessage('Threshold must be zero or more'),
+
+  query('storeSignals')
+    .optional()
+    .isIn(['true', 'false']).withMessage('storeSignals must be true or false'),
+
+  handleErrors
+];
+
+module.exports = {
+  validatePeriod,
+  validatePatternQuery,
+  validateSignalQuery,
+  validateStatsQuery,
+  validateSignalId,
+  validateSignalStatus,
+  validateCategoryAnalysis,
+  validatePeriodComparison,
+  validateRecurringQuery,
+  validateForecastQuery
+};
@@ -1,4 +1,4 @@
-const { body, validationResult } = require('express-validator');
+const { body, param, validationResult } = require('express-validator');
 
 const registerValidation = [
   body('name')
@@ -26,6 +26,68 @@ const loginValidation = [
     .withMessage('Password is required'),
 ];
 
+const refreshValidation = [
+  body('refreshToken')
+    .isString()
+    .isLength({ min: 32, max: 256 })
+    .withMessage('A valid refresh token is required'),
+];
+
+const sessionIdValidation = [
+  param('sessionId')
+    .isUUID(4)
+    .withMessage('Invalid session ID'),
+];
+
+const forgotPasswordValidation = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email'),
+];
+
+const resetPasswordValidation = [
+  body('token')
+    .isHexadecimal()
+    .isLength({ min: 64, max: 64 })
+    .withMessage('Invalid reset token'),
+  body('password')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters long')
+    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+    .withMessage('Password must contain at least one uppercase letter, one lowercase letter, and one number'),
+];
+
+const verifyEmailValidation = [
+  body('token')
+    .isHexadecimal()
+    .isLength({ min: 64, max: 64 })
+    .withMessage('Invalid verification token'),
+];
+
+const mfaCodeValidation = [
+  body('code')
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage('Code must be 6 digits'),
+];
+
+const mfaFactorValidation = [
+  body('code')
+    .optional()
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage('Code must be 6 digits'),
+  body('recoveryCode')
+    .optional()
+    .trim()
+    .matches(/^[a-fA-F0-9]{5}-?[a-fA-F0-9]{5}$/)
+    .withMessage('Invalid recovery code format'),
+  body()
+    .custom(value => !!(value.code || value.recoveryCode))
+    .withMessage('Provide a verification code or a recovery code'),
+];
+
 const validate = (req, res, next) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -41,5 +103,12 @@ const validate = (req, res, next) => {
 module.exports = {
   registerValidation,
   loginValidation,
+  refreshValidation,
+  sessionIdValidation,
+  forgotPasswordValidation,
+  resetPasswordValidation,
+  verifyEmailValidation,
+  mfaCodeValidation,
+  mfaFactorValidation,
   validate
 };
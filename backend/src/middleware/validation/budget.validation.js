@@ -0,0 +1,145 @@
+const { body, param, query, validationResult } = require('express-validator');
+
+const BUDGET_PERIODS = ['weekly', 'monthly', 'yearly', 'custom'];
+const FLEXIBILITY_OPTIONS = ['strict', 'flexible', 'rollover'];
+const BUDGET_TEMPLATES = ['50_30_20', '60_20_20', '70_20_10', '80_20'];
+
+const handleErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+const budgetSettingsRules = [
+  body('name')
+    .optional()
+    .isLength({ min: 2, max: 100 }).withMessage('Name must be between 2 and 100 characters')
+    .trim(),
+
+  body('flexibility')
+    .optional()
+    .isIn(FLEXIBILITY_OPTIONS).withMessage('Invalid flexibility option'),
+
+  body('rolloverConfig.maxRollover')
+    .optional({ nullable: true })
+    .isFloat({ min: 0 }).withMessage('Maximum rollover must be a positive number'),
+
+  body('rolloverConfig.resetDay')
+    .optional()
+    .isInt({ min: 1, max: 31 }).withMessage('Reset day must be between 1 and 31'),
+
+  body('alerts.enabled')
+    .optional()
+    .isBoolean().withMessage('Alerts enabled must be a boolean'),
+
+  body('alerts.threshold')
+    .optional()
+    .isFloat({ min: 0, max: 100 }).withMessage('Alert threshold must be between 0 and 100'),
+
+  body('endDate')
+    .optional()
+    .isISO8601().withMessage('Invalid end date format'),
+
+  body('notes')
+    .optional()
+    .isLength({ max: 500 }).withMessage('Notes too long')
+    .trim()
+];
+
+const validateBudget = [
+  body('categoryId')
+    .notEmpty().withMessage('Category is required')
+    .isMongoId().withMessage('Invalid category ID'),
+
+  body('amount')
+    .notEmpty().withMessage('Amount is required')
+    .isFloat({ min: 0, max: 1000000 }).withMessage('Amount must be between 0 and 1,000,000')
+    .toFloat(),
+
+  body('period')
+    .notEmpty().withMessage('Period is required')
+    .isIn(BUDGET_PERIODS).withMessage('Invalid budget period'),
+
+  body('startDate')
+    .optional()
+    .isISO8601().withMessage('Invalid start date format'),
+
+  ...budgetSettingsRules,
+
+  handleErrors
+];
+
+const validateBudgetUpdate = [
+  body('categoryId')
+    .optional()
+    .isMongoId().withMessage('Invalid category ID'),
+
+  body('amount')
+    .optional()
+    .isFloat({ min: 0, max: 1000000 }).withMessage('Amount must be between 0 and 1,000,000')
+    .toFloat(),
+
+  ...budgetSettingsRules,
+
+  handleErrors
+];
+
+const validateBudgetId = [
+  param('id')
+    .isMongoId().withMessage('Invalid budget ID'),
+
+  handleErrors
+];
+
+const validateBudgetFilters = [
+  query('period')
+    .optional()
+    .isIn(BUDGET_PERIODS).withMessage('Invalid budget period'),
+
+  query('categoryId')
+    .optional()
+    .isMongoId().withMessage('Invalid category ID'),
+
+  query('includeInactive')
+    .optional()
+    .isBoolean().withMessage('includeInactive must be a boolean'),
+
+  handleErrors
+];
+
+const validateBudgetTemplate = [
+  body('template')
+    .optional()
+    .isIn(BUDGET_TEMPLATES).withMessage(`Template must be one of: ${BUDGET_TEMPLATES.join(', ')}`),
+
+  body('ratios')
+    .optional()
+    .isObject().withMessage('Ratios must be an object'),
+
+  body(['ratios.needs', 'ratios.wants', 'ratios.savings'])
+    .optional()
+    .isFloat({ min: 0, max: 100 }).withMessage('Each ratio must be between 0 and 100')
+    .toFloat(),
+
+  body('ratios')
+    .optional()
+    .custom(ratios => {
+      const total = (ratios.needs || 0) + (ratios.wants || 0) + (ratios.savings || 0);
+      return Math.abs(total - 100) < 0.01;
+    }).withMessage('Ratios must add up to 100'),
+
+  handleErrors
+];
+
+module.exports = {
+  validateBudget,
+  validateBudgetUpdate,
+  validateBudgetId,
+  validateBudgetFilters,
+  validateBudgetTemplate
+};
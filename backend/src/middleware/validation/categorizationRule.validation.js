@@ -0,0 +1,135 @@
+const { body, param, validationResult } = require('express-validator');
+
+const handleErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+const PAYMENT_METHODS = ['cash', 'credit_card', 'debit_card', 'bank_transfer', 'digital_wallet', 'other'];
+
+const textCondition = (field) => [
+  body(`conditions.${field}.operator`)
+    .optional()
+    .isIn(['contains', 'regex']).withMessage('Operator must be contains or regex'),
+
+  body(`conditions.${field}.value`)
+    .optional()
+    .isString().withMessage('Value must be text')
+    .isLength({ max: 200 }).withMessage('Value too long')
+    .trim()
+];
+
+const ruleFields = (isUpdate) => [
+  (isUpdate ? body('name').optional() : body('name').notEmpty().withMessage('Name is required'))
+    .isLength({ min: 1, max: 100 }).withMessage('Name must be between 1 and 100 characters')
+    .trim(),
+
+  body('priority')
+    .optional()
+    .isInt({ min: 0, max: 10000 }).withMessage('Priority must be between 0 and 10,000')
+    .toInt(),
+
+  body('isActive')
+    .optional()
+    .isBoolean().withMessage('isActive must be a boolean'),
+
+  ...textCondition('merchant'),
+  ...textCondition('description'),
+
+  body('conditions.amount.min')
+    .optional({ nullable: true })
+    .isFloat({ min: 0 }).withMessage('Minimum amount must be positive')
+    .toFloat(),
+
+  body('conditions.amount.max')
+    .optional({ nullable: true })
+    .isFloat({ min: 0 }).withMessage('Maximum amount must be positive')
+    .toFloat(),
+
+  body('conditions.paymentMethods')
+    .optional()
+    .isArray().withMessage('Payment methods must be an array'),
+
+  body('conditions.paymentMethods.*')
+    .isIn(PAYMENT_METHODS).withMessage('Invalid payment method'),
+
+  body('conditions.transactionType')
+    .optional({ nullable: true })
+    .isIn(['income', 'expense']).withMessage('Transaction type must be income or expense'),
+
+  body('actions.categoryId')
+    .optional({ nullable: true })
+    .isMongoId().withMessage('Invalid category ID'),
+
+  body('actions.addTags')
+    .optional()
+    .isArray({ max: 10 }).withMessage('Tags must be an array of at most 10 items'),
+
+  body('actions.addTags.*')
+    .isString().withMessage('Tags must be text')
+    .isLength({ min: 1, max: 30 }).withMessage('Tags must be between 1 and 30 characters')
+    .trim(),
+
+  body('actions.markRecurring')
+    .optional()
+    .isBoolean().withMessage('markRecurring must be a boolean'),
+
+  body('actions.renameMerchant')
+    .optional({ nullable: true })
+    .isLength({ max: 100 }).withMessage('Merchant name too long')
+    .trim()
+];
+
+const validateRule = [
+  ...ruleFields(false),
+  handleErrors
+];
+
+const validateRuleUpdate = [
+  ...ruleFields(true),
+  handleErrors
+];
+
+const validateRuleId = [
+  param('id')
+    .isMongoId().withMessage('Invalid rule ID'),
+
+  handleErrors
+];
+
+const validateRuleHistory = [
+  body('ruleIds')
+    .optional()
+    .isArray().withMessage('Rule IDs must be an array'),
+
+  body('ruleIds.*')
+    .isMongoId().withMessage('Invalid rule ID'),
+
+  body('startDate')
+    .optional()
+    .isISO8601().withMessage('Invalid start date'),
+
+  body('endDate')
+    .optional()
+    .isISO8601().withMessage('Invalid end date'),
+
+  body('overwrite')
+    .optional()
+    .isBoolean().withMessage('Overwrite must be a boolean')
+    .toBoolean(),
+
+  handleErrors
+];
+
+module.exports = {
+  validateRule,
+  validateRuleUpdate,
+  validateRuleId,
+  validateRuleHistory
+};
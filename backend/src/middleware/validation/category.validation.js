@@ -0,0 +1,106 @@
+const { body, param, query, validationResult } = require('express-validator');
+
+const handleErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+const CATEGORY_TYPES = ['need', 'want', 'saving', 'fixed', 'income'];
+
+const categoryFields = (isUpdate) => [
+  (isUpdate ? body('name').optional() : body('name').notEmpty().withMessage('Name is required'))
+    .isLength({ min: 1, max: 50 }).withMessage('Name must be between 1 and 50 characters')
+    .trim(),
+
+  body('type')
+    .optional()
+    .isIn(CATEGORY_TYPES).withMessage('Invalid category type'),
+
+  body('parentCategory')
+    .optional({ nullable: true, checkFalsy: true })
+    .isMongoId().withMessage('Invalid parent category ID'),
+
+  body('icon')
+    .optional()
+    .isLength({ max: 50 }).withMessage('Icon too long')
+    .trim(),
+
+  body('color')
+    .optional()
+    .matches(/^#[0-9a-fA-F]{6}$/).withMessage('Color must be a hex value like #808080'),
+
+  body('monthlyBudget')
+    .optional({ nullable: true })
+    .isFloat({ min: 0, max: 1000000 }).withMessage('Monthly budget must be between 0 and 1,000,000')
+    .toFloat(),
+
+  body('metadata.description')
+    .optional()
+    .isLength({ max: 200 }).withMessage('Description too long')
+    .trim(),
+
+  body('metadata.tags')
+    .optional()
+    .isArray({ max: 10 }).withMessage('Tags must be an array of at most 10 items')
+];
+
+const validateCategory = [
+  ...categoryFields(false),
+  handleErrors
+];
+
+const validateCategoryUpdate = [
+  ...categoryFields(true),
+  handleErrors
+];
+
+const validateCategoryId = [
+  param('id')
+    .isMongoId().withMessage('Invalid category ID'),
+
+  handleErrors
+];
+
+const validateCategoryQuery = [
+  query('tree')
+    .optional()
+    .isBoolean().withMessage('Tree must be a boolean')
+    .toBoolean(),
+
+  query('type')
+    .optional()
+    .isIn(CATEGORY_TYPES).withMessage('Invalid category type'),
+
+  handleErrors
+];
+
+const validateCategoryMerge = [
+  body('targetId')
+    .notEmpty().withMessage('Target category is required')
+    .isMongoId().withMessage('Invalid target category ID'),
+
+  handleErrors
+];
+
+const validateCategoryDelete = [
+  query('reassignTo')
+    .optional()
+    .isMongoId().withMessage('Invalid category ID to reassign to'),
+
+  handleErrors
+];
+
+module.exports = {
+  validateCategory,
+  validateCategoryUpdate,
+  validateCategoryId,
+  validateCategoryQuery,
+  validateCategoryMerge,
+  validateCategoryDelete
+};
@@ -0,0 +1,127 @@
+const { body, param, query, validationResult } = require('express-validator');
+
+const handleErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+const validateEnvelopePlan = [
+  body('startingBalance')
+    .optional({ nullable: true })
+    .isFloat({ min: -10000000, max: 10000000 }).withMessage('Starting balance must be a number')
+    .toFloat(),
+
+  body('notes')
+    .optional()
+    .isLength({ max: 500 }).withMessage('Notes too long')
+    .trim(),
+
+  handleErrors
+];
+
+const validateEnvelope = [
+  body('categoryId')
+    .notEmpty().withMessage('Category is required')
+    .isMongoId().withMessage('Invalid category ID'),
+
+  body('name')
+    .optional()
+    .isLength({ min: 2, max: 100 }).withMessage('Name must be between 2 and 100 characters')
+    .trim(),
+
+  body('assigned')
+    .optional()
+    .isFloat({ min: 0, max: 1000000 }).withMessage('Assigned amount must be between 0 and 1,000,000')
+    .toFloat(),
+
+  body('alerts.enabled')
+    .optional()
+    .isBoolean().withMessage('Alerts enabled must be a boolean'),
+
+  body('alerts.threshold')
+    .optional()
+    .isFloat({ min: 0, max: 100 }).withMessage('Alert threshold must be between 0 and 100'),
+
+  body('notes')
+    .optional()
+    .isLength({ max: 500 }).withMessage('Notes too long')
+    .trim(),
+
+  handleErrors
+];
+
+const validateEnvelopeId = [
+  param('id')
+    .isMongoId().withMessage('Invalid envelope ID'),
+
+  handleErrors
+];
+
+const validateAssignment = [
+  body('amount')
+    .notEmpty().withMessage('Amount is required')
+    .isFloat({ min: -1000000, max: 1000000 }).withMessage('Amount must be between -1,000,000 and 1,000,000')
+    .custom(value => parseFloat(value) !== 0).withMessage('Amount cannot be zero')
+    .toFloat(),
+
+  handleErrors
+];
+
+const validateEnvelopeMove = [
+  body('fromId')
+    .notEmpty().withMessage('Source envelope is required')
+    .isMongoId().withMessage('Invalid source envelope ID'),
+
+  body('toId')
+    .notEmpty().withMessage('Target envelope is required')
+    .isMongoId().withMessage('Invalid target envelope ID'),
+
+  body('amount')
+    .notEmpty().withMessage('Amount is required')
+    .isFloat({ min: 0.01, max: 1000000 }).withMessage('Amount must be between 0.01 and 1,000,000')
+    .toFloat(),
+
+  body('notes')
+    .optional()
+    .isLength({ max: 200 }).withMessage('Notes too long')
+    .trim(),
+
+  handleErrors
+];
+
+const validateEnvelopeCover = [
+  body('fromId')
+    .optional({ nullable: true })
+    .isMongoId().withMessage('Invalid source envelope ID'),
+
+  body('notes')
+    .optional()
+    .isLength({ max: 200 }).withMessage('Notes too long')
+    .trim(),
+
+  handleErrors
+];
+
+const validateEnvelopeMonth = [
+  query('month')
+    .optional()
+    .matches(/^\d{4}-(0[1-9]|1[0-2])$/).withMessage('Month must be in YYYY-MM format'),
+
+  handleErrors
+];
+
+module.exports = {
+  validateEnvelopePlan,
+  validateEnvelope,
+  validateEnvelopeId,
+  validateAssignment,
+  validateEnvelopeMove,
+  validateEnvelopeCover,
+  validateEnvelopeMonth
+};
@@ -0,0 +1,104 @@
+const { body, param, query, validationResult } = require('express-validator');
+
+const handleErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+const validateExchangeRate = [
+  body('base')
+    .notEmpty().withMessage('Base currency is required')
+    .isISO4217().withMessage('Invalid base currency'),
+
+  body('quote')
+    .notEmpty().withMessage('Quote currency is required')
+    .isISO4217().withMessage('Invalid quote currency')
+    .custom((value, { req }) => {
+      if (value === req.body.base) {
+        throw new Error('Base and quote currencies must differ');
+      }
+      return true;
+    }),
+
+  body('rate')
+    .notEmpty().withMessage('Rate is required')
+    .isFloat({ gt: 0 }).withMessage('Rate must be a positive number')
+    .toFloat(),
+
+  body('date')
+    .optional()
+    .isISO8601().withMessage('Invalid date'),
+
+  handleErrors
+];
+
+const validateExchangeRateId = [
+  param('id')
+    .isMongoId().withMessage('Invalid exchange rate ID'),
+
+  handleErrors
+];
+
+const validateExchangeRateFilters = [
+  query('base')
+    .optional()
+    .isISO4217().withMessage('Invalid base currency'),
+
+  query('quote')
+    .optional()
+    .isISO4217().withMessage('Invalid quote currency'),
+
+  query('startDate')
+    .optional()
+    .isISO8601().withMessage('Invalid start date'),
+
+  query('endDate')
+    .optional()
+    .isISO8601().withMessage('Invalid end date'),
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 }).withMessage('Page must be a positive integer')
+    .toInt(),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 500 }).withMessage('Limit must be between 1 and 500')
+    .toInt(),
+
+  handleErrors
+];
+
+const validateConversion = [
+  query('amount')
+    .notEmpty().withMessage('Amount is required')
+    .isFloat({ min: 0 }).withMessage('Amount must be a positive number')
+    .toFloat(),
+
+  query('from')
+    .notEmpty().withMessage('Source currency is required')
+    .isISO4217().withMessage('Invalid source currency'),
+
+  query('to')
+    .notEmpty().withMessage('Target currency is required')
+    .isISO4217().withMessage('Invalid target currency'),
+
+  query('date')
+    .optional()
+    .isISO8601().withMessage('Invalid date'),
+
+  handleErrors
+];
+
+module.exports = {
+  validateExchangeRate,
+  validateExchangeRateId,
+  validateExchangeRateFilters,
+  validateConversion
+};
@@ -0,0 +1,150 @@
+const { body, param, query, validationResult } = require('express-validator');
+
+const ACCOUNT_TYPES = ['checking', 'savings', 'credit_card', 'cash', 'wallet'];
+
+const handleErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+const accountDetailRules = [
+  body('institution')
+    .optional()
+    .isLength({ max: 100 }).withMessage('Institution name too long')
+    .trim(),
+
+  body('lastFour')
+    .optional()
+    .matches(/^\d{4}$/).withMessage('Last four must be 4 digits'),
+
+  body('creditLimit')
+    .optional()
+    .isFloat({ min: 0 }).withMessage('Credit limit must be positive')
+    .toFloat(),
+
+  body('openingBalance')
+    .optional()
+    .isFloat({ min: -10000000, max: 10000000 }).withMessage('Invalid opening balance')
+    .toFloat(),
+
+  body('openingDate')
+    .optional()
+    .isISO8601().withMessage('Invalid opening date')
+    .toDate(),
+
+  body('notes')
+    .optional()
+    .isLength({ max: 500 }).withMessage('Notes too long')
+    .trim()
+];
+
+const validateFinancialAccount = [
+  body('name')
+    .notEmpty().withMessage('Account name is required')
+    .isLength({ max: 100 }).withMessage('Account name too long')
+    .trim(),
+
+  body('type')
+    .notEmpty().withMessage('Account type is required')
+    .isIn(ACCOUNT_TYPES).withMessage(`Type must be one of: ${ACCOUNT_TYPES.join(', ')}`),
+
+  body('currency')
+    .optional()
+    .isISO4217().withMessage('Invalid currency code'),
+
+  ...accountDetailRules,
+
+  handleErrors
+];
+
+const validateFinancialAccountUpdate = [
+  body('name')
+    .optional()
+    .notEmpty().withMessage('Account name cannot be empty')
+    .isLength({ max: 100 }).withMessage('Account name too long')
+    .trim(),
+
+  body('type')
+    .not().exists().withMessage('Account type cannot be changed'),
+
+  ...accountDetailRules,
+
+  handleErrors
+];
+
+const validateFinancialAccountId = [
+  param('id')
+    .isMongoId().withMessage('Invalid account ID'),
+
+  handleErrors
+];
+
+const validateFinancialAccountFilters = [
+  query('type')
+    .optional()
+    .isIn(ACCOUNT_TYPES).withMessage('Invalid account type'),
+
+  query('status')
+    .optional()
+    .isIn(['active', 'closed']).withMessage('Invalid status'),
+
+  query('includeClosed')
+    .optional()
+    .isBoolean().withMessage('includeClosed must be a boolean')
+    .toBoolean(),
+
+  handleErrors
+];
+
+const validateRegisterQuery = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 }).withMessage('Page must be a positive integer')
+    .toInt(),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 200 }).withMessage('Limit must be between 1 and 200')
+    .toInt(),
+
+  handleErrors
+];
+
+const validateReconciliation = [
+  body('statementBalance')
+    .notEmpty().withMessage('Statement balance is required')
+    .isFloat({ min: -10000000, max: 10000000 }).withMessage('Invalid statement balance')
+    .toFloat(),
+
+  body('statementDate')
+    .optional()
+    .isISO8601().withMessage('Invalid statement date')
+    .custom(value => {
+      if (new Date(value) > new Date()) {
+        throw new Error('Statement date cannot be in the future');
+      }
+      return true;
+    }),
+
+  body('notes')
+    .optional()
+    .isLength({ max: 500 }).withMessage('Notes too long')
+    .trim(),
+
+  handleErrors
+];
+
+module.exports = {
+  validateFinancialAccount,
+  validateFinancialAccountUpdate,
+  validateFinancialAccountId,
+  validateFinancialAccountFilters,
+  validateRegisterQuery,
+  validateReconciliation
+};
@@ -1,9 +1,38 @@
+const { validationResult } = require('express-validator');
 const transactionValidation = require('./transaction.validation');
 const authValidation = require('./auth.validation');
+const analysisValidation = require('./analysis.validation');
+const categoryValidation = require('./category.validation');
+const categorizationRuleValidation = require('./categorizationRule.validation');
+const budgetValidation = require('./budget.validation');
+const envelopeValidation = require('./envelope.validation');
+const subscriptionValidation = require('./subscription.validation');
+const savingsValidation = require('./savings.validation');
+const adminValidation = require('./admin.validation');
+const userDataValidation = require('./userData.validation');
+const financialAccountValidation = require('./financialAccount.validation');
+const transferValidation = require('./transfer.validation');
+const exchangeRateValidation = require('./exchangeRate.validation');
+const refundValidation = require('./refund.validation');
+const netWorthValidation = require('./netWorth.validation');
 
 module.exports = {
   ...transactionValidation,
   ...authValidation,
+  ...analysisValidation,
+  ...categoryValidation,
+  ...categorizationRuleValidation,
+  ...budgetValidation,
+  ...envelopeValidation,
+  ...subscriptionValidation,
+  ...savingsValidation,
+  ...adminValidation,
+  ...userDataValidation,
+  ...financialAccountValidation,
+  ...transferValidation,
+  ...exchangeRateValidation,
+  ...refundValidation,
+  ...netWorthValidation,
   
   // Generic validation handler
   handleValidationErrors: (req, res, next) => {
@@ -0,0 +1,137 @@
+const { body, param, query, validationResult } = require('express-validator');
+
+const ITEM_CATEGORIES = [
+  'property', 'vehicle', 'investment', 'retirement', 'cash', 'valuables',
+  'student_loan', 'mortgage', 'auto_loan', 'personal_loan', 'medical_debt', 'other'
+];
+
+const handleErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+const itemDetailRules = [
+  body('category')
+    .optional()
+    .isIn(ITEM_CATEGORIES).withMessage(`Category must be one of: ${ITEM_CATEGORIES.join(', ')}`),
+
+  body('currency')
+    .optional({ nullable: true })
+    .isISO4217().withMessage('Invalid currency code'),
+
+  body('interestRate')
+    .optional()
+    .isFloat({ min: 0, max: 100 }).withMessage('Interest rate must be between 0 and 100')
+    .toFloat(),
+
+  body('valuedAt')
+    .optional()
+    .isISO8601().withMessage('Invalid valuation date')
+    .toDate(),
+
+  body('notes')
+    .optional()
+    .isLength({ max: 500 }).withMessage('Notes too long')
+    .trim()
+];
+
+const validateNetWorthItem = [
+  body('name')
+    .notEmpty().withMessage('Name is required')
+    .isLength({ max: 100 }).withMessage('Name too long')
+    .trim(),
+
+  body('kind')
+    .optional()
+    .isIn(['asset', 'liability']).withMessage('Kind must be asset or liability'),
+
+  body('value')
+    .notEmpty().withMessage('Value is required')
+    .isFloat({ min: 0, max: 100000000 }).withMessage('Value must be between 0 and 100,000,000')
+    .toFloat(),
+
+  ...itemDetailRules,
+
+  handleErrors
+];
+
+const validateNetWorthItemUpdate = [
+  body('name')
+    .optional()
+    .notEmpty().withMessage('Name cannot be empty')
+    .isLength({ max: 100 }).withMessage('Name too long')
+    .trim(),
+
+  body('kind')
+    .not().exists().withMessage('Kind cannot be changed'),
+
+  body('value')
+    .optional()
+    .isFloat({ min: 0, max: 100000000 }).withMessage('Value must be between 0 and 100,000,000')
+    .toFloat(),
+
+  body('isActive')
+    .optional()
+    .isBoolean().withMessage('isActive must be a boolean')
+    .toBoolean(),
+
+  ...itemDetailRules,
+
+  handleErrors
+];
+
+const validateValuation = [
+  body('value')
+    .notEmpty().withMessage('Value is required')
+    .isFloat({ min: 0, max: 100000000 }).withMessage('Value must be between 0 and 100,000,000')
+    .toFloat(),
+
+  body('date')
+    .optional()
+    .isISO8601().withMessage('Invalid date')
+    .toDate(),
+
+  body('notes')
+    .optional()
+    .isLength({ max: 200 }).withMessage('Notes too long')
+    .trim(),
+
+  handleErrors
+];
+
+const validateNetWorthItemId = [
+  param('id')
+    .isMongoId().withMessage('Invalid item ID'),
+
+  handleErrors
+];
+
+const validateNetWorthHistory = [
+  query('startDate')
+    .optional()
+    .isISO8601().withMessage('Invalid start date'),
+
+  query('endDate')
+    .optional()
+    .isISO8601().withMessage('Invalid end date'),
+
+  query('interval')
+    .optional()
+    .isIn(['day', 'week', 'month']).withMessage('Interval must be day, week or month'),
+
+  handleErrors
+];
+
+module.exports = {
+  validateNetWorthItem,
+  validateNetWorthItemUpdate,
+  validateValuation,
+  validateNetWorthItemId,
+  validateNetWorthHistory
+};
@@ -0,0 +1,81 @@
+const { body, param, query, validationResult } = require('express-validator');
+
+const handleErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+const validateRefund = [
+  param('id')
+    .isMongoId().withMessage('Invalid transaction ID'),
+
+  body('amount')
+    .optional()
+    .isFloat({ min: 0.01, max: 1000000 }).withMessage('Amount must be between 0.01 and 1,000,000')
+    .toFloat(),
+
+  body('date')
+    .optional()
+    .isISO8601().withMessage('Invalid date format')
+    .custom(value => {
+      if (new Date(value) > new Date()) {
+        throw new Error('Date cannot be in the future');
+      }
+      return true;
+    }),
+
+  body('accountId')
+    .optional({ nullable: true })
+    .isMongoId().withMessage('Invalid account ID'),
+
+  body('description')
+    .optional()
+    .isLength({ min: 3, max: 200 }).withMessage('Description must be between 3 and 200 characters')
+    .trim()
+    .escape(),
+
+  body('notes')
+    .optional()
+    .isLength({ max: 500 }).withMessage('Notes too long')
+    .trim()
+    .escape(),
+
+  handleErrors
+];
+
+const validateRefundLink = [
+  param('id')
+    .isMongoId().withMessage('Invalid transaction ID'),
+
+  body('originalId')
+    .notEmpty().withMessage('Original transaction is required')
+    .isMongoId().withMessage('Invalid original transaction ID')
+    .custom((value, { req }) => {
+      if (value === req.params.id) {
+        throw new Error('A transaction cannot refund itself');
+      }
+      return true;
+    }),
+
+  handleErrors
+];
+
+const validateRefundCandidates = [
+  query('since')
+    .optional()
+    .isISO8601().withMessage('Invalid since date'),
+
+  handleErrors
+];
+
+module.exports = {
+  validateRefund,
+  validateRefundLink,
+  validateRefundCandidates
+};
@@ -0,0 +1,183 @@
+const { body, param, query, validationResult } = require('express-validator');
+
+const GOAL_CATEGORIES = ['emergency_fund', 'vacation', 'big_purchase', 'investment', 'debt_repayment', 'education', 'retirement', 'other'];
+const GOAL_STATUSES = ['active', 'paused', 'completed', 'cancelled'];
+const AUTO_SAVE_FREQUENCIES = ['daily', 'weekly', 'monthly'];
+
+const handleErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+const goalSettingsRules = [
+  body('description')
+    .optional()
+    .isLength({ max: 500 }).withMessage('Description too long')
+    .trim(),
+
+  body('priority')
+    .optional()
+    .isInt({ min: 1, max: 5 }).withMessage('Priority must be between 1 and 5')
+    .toInt(),
+
+  body('category')
+    .optional()
+    .isIn(GOAL_CATEGORIES).withMessage('Invalid goal category'),
+
+  body('autoSave.enabled')
+    .optional()
+    .isBoolean().withMessage('Auto-save enabled must be a boolean'),
+
+  body('autoSave.amount')
+    .optional()
+    .isFloat({ min: 0.01, max: 1000000 }).withMessage('Auto-save amount must be between 0.01 and 1,000,000')
+    .toFloat(),
+
+  body('autoSave.frequency')
+    .optional()
+    .isIn(AUTO_SAVE_FREQUENCIES).withMessage('Invalid auto-save frequency'),
+
+  body('autoSave.sourceAccountId')
+    .optional({ nullable: true })
+    .isMongoId().withMessage('Invalid auto-save source account ID'),
+
+  body('accountId')
+    .optional({ nullable: true })
+    .isMongoId().withMessage('Invalid account ID'),
+
+  body('autoSave.dayOfMonth')
+    .optional()
+    .isInt({ min: 1, max: 31 }).withMessage('Day of month must be between 1 and 31')
+    .toInt(),
+
+  body('withdrawalRules.allowEarlyWithdrawal')
+    .optional()
+    .isBoolean().withMessage('allowEarlyWithdrawal must be a boolean'),
+
+  body('withdrawalRules.penalty')
+    .optional()
+    .isFloat({ min: 0, max: 100 }).withMessage('Penalty must be a percentage between 0 and 100')
+    .toFloat(),
+
+  body('withdrawalRules.minimumBalance')
+    .optional()
+    .isFloat({ min: 0 }).withMessage('Minimum balance must be a positive number')
+    .toFloat(),
+
+  body('notes')
+    .optional()
+    .isLength({ max: 500 }).withMessage('Notes too long')
+    .trim()
+];
+
+const validateGoal = [
+  body('name')
+    .notEmpty().withMessage('Name is required')
+    .isLength({ max: 100 }).withMessage('Name too long')
+    .trim(),
+
+  body('targetAmount')
+    .notEmpty().withMessage('Target amount is required')
+    .isFloat({ min: 1, max: 100000000 }).withMessage('Target amount must be between 1 and 100,000,000')
+    .toFloat(),
+
+  body('targetDate')
+    .notEmpty().withMessage('Target date is required')
+    .isISO8601().withMessage('Invalid target date format')
+    .custom(value => new Date(value) > new Date()).withMessage('Target date must be in the future'),
+
+  body('startDate')
+    .optional()
+    .isISO8601().withMessage('Invalid start date format'),
+
+  ...goalSettingsRules,
+
+  handleErrors
+];
+
+const validateGoalUpdate = [
+  body('name')
+    .optional()
+    .isLength({ min: 1, max: 100 }).withMessage('Name must be between 1 and 100 characters')
+    .trim(),
+
+  body('targetAmount')
+    .optional()
+    .isFloat({ min: 1, max: 100000000 }).withMessage('Target amount must be between 1 and 100,000,000')
+    .toFloat(),
+
+  body('targetDate')
+    .optional()
+    .isISO8601().withMessage('Invalid target date format'),
+
+  body('status')
+    .optional()
+    .isIn(['active', 'paused']).withMessage('Status can only be set to active or paused'),
+
+  ...goalSettingsRules,
+
+  handleErrors
+];
+
+const validateGoalMovement = [
+  body('amount')
+    .notEmpty().withMessage('Amount is required')
+    .isFloat({ min: 0.01, max: 1000000 }).withMessage('Amount must be between 0.01 and 1,000,000')
+    .toFloat(),
+
+  body('date')
+    .optional()
+    .isISO8601().withMessage('Invalid date format'),
+
+  body('notes')
+    .optional()
+    .isLength({ max: 200 }).withMessage('Notes too long')
+    .trim(),
+
+  body('fromAccountId')
+    .optional()
+    .isMongoId().withMessage('Invalid source account ID'),
+
+  body('toAccountId')
+    .optional()
+    .isMongoId().withMessage('Invalid destination account ID'),
+
+  handleErrors
+];
+
+const validateGoalId = [
+  param('id')
+    .isMongoId().withMessage('Invalid goal ID'),
+
+  handleErrors
+];
+
+const validateGoalFilters = [
+  query('status')
+    .optional()
+    .isIn(GOAL_STATUSES).withMessage('Invalid goal status'),
+
+  query('category')
+    .optional()
+    .isIn(GOAL_CATEGORIES).withMessage('Invalid goal category'),
+
+  query('includeCancelled')
+    .optional()
+    .isBoolean().withMessage('includeCancelled must be a boolean'),
+
+  handleErrors
+];
+
+module.exports = {
+  validateGoal,
+  validateGoalUpdate,
+  validateGoalMovement,
+  validateGoalId,
+  validateGoalFilters
+};
@@ -0,0 +1,177 @@
+const { body, param, query, validationResult } = require('express-validator');
+
+const FREQUENCIES = ['daily', 'weekly', 'monthly', 'quarterly', 'yearly'];
+const PAYMENT_METHODS = ['credit_card', 'debit_card', 'bank_transfer', 'digital_wallet', 'other'];
+const STATUSES = ['active', 'paused', 'cancelled', 'expired', 'trial'];
+
+const handleErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+const subscriptionSettingsRules = [
+  body('currency')
+    .optional()
+    .isISO4217().withMessage('Invalid currency code'),
+
+  body('recurrence.interval')
+    .optional()
+    .isInt({ min: 1, max: 12 }).withMessage('Interval must be between 1 and 12')
+    .toInt(),
+
+  body('recurrence.billingDate')
+    .optional()
+    .isInt({ min: 1, max: 31 }).withMessage('Billing day must be between 1 and 31')
+    .toInt(),
+
+  body('recurrence.endDate')
+    .optional({ nullable: true })
+    .isISO8601().withMessage('Invalid end date format'),
+
+  body('trialEndsAt')
+    .optional()
+    .isISO8601().withMessage('Invalid trial end date format'),
+
+  body('autoRenew')
+    .optional()
+    .isBoolean().withMessage('autoRenew must be a boolean'),
+
+  body('provider.website')
+    .optional({ checkFalsy: true })
+    .isURL().withMessage('Invalid provider website'),
+
+  body('provider.supportEmail')
+    .optional({ checkFalsy: true })
+    .isEmail().withMessage('Invalid provider support email'),
+
+  body('reminders.beforeBilling.days')
+    .optional()
+    .isInt({ min: 0, max: 30 }).withMessage('Reminder days must be between 0 and 30')
+    .toInt(),
+
+  body('reminders.beforeBilling.enabled')
+    .optional()
+    .isBoolean().withMessage('Reminder enabled must be a boolean'),
+
+  body('reminders.onRenewal.enabled')
+    .optional()
+    .isBoolean().withMessage('Renewal notice enabled must be a boolean'),
+
+  body('notes')
+    .optional()
+    .isLength({ max: 500 }).withMessage('Notes too long')
+    .trim()
+];
+
+const validateSubscription = [
+  body('name')
+    .notEmpty().withMessage('Name is required')
+    .isLength({ max: 100 }).withMessage('Name too long')
+    .trim(),
+
+  body('categoryId')
+    .notEmpty().withMessage('Category is required')
+    .isMongoId().withMessage('Invalid category ID'),
+
+  body('amount')
+    .notEmpty().withMessage('Amount is required')
+    .isFloat({ min: 0.01, max: 1000000 }).withMessage('Amount must be between 0.01 and 1,000,000')
+    .toFloat(),
+
+  body('paymentMethod')
+    .notEmpty().withMessage('Payment method is required')
+    .isIn(PAYMENT_METHODS).withMessage('Invalid payment method'),
+
+  body('recurrence.frequency')
+    .notEmpty().withMessage('Billing frequency is required')
+    .isIn(FREQUENCIES).withMessage('Invalid billing frequency'),
+
+  body('recurrence.nextBillingDate')
+    .notEmpty().withMessage('Next billing date is required')
+    .isISO8601().withMessage('Invalid next billing date format'),
+
+  ...subscriptionSettingsRules,
+
+  handleErrors
+];
+
+const validateSubscriptionUpdate = [
+  body('name')
+    .optional()
+    .isLength({ min: 1, max: 100 }).withMessage('Name must be between 1 and 100 characters')
+    .trim(),
+
+  body('categoryId')
+    .optional()
+    .isMongoId().withMessage('Invalid category ID'),
+
+  body('amount')
+    .optional()
+    .isFloat({ min: 0.01, max: 1000000 }).withMessage('Amount must be between 0.01 and 1,000,000')
+    .toFloat(),
+
+  body('paymentMethod')
+    .optional()
+    .isIn(PAYMENT_METHODS).withMessage('Invalid payment method'),
+
+  body('recurrence.frequency')
+    .optional()
+    .isIn(FREQUENCIES).withMessage('Invalid billing frequency'),
+
+  body('recurrence.nextBillingDate')
+    .optional()
+    .isISO8601().withMessage('Invalid next billing date format'),
+
+  ...subscriptionSettingsRules,
+
+  handleErrors
+];
+
+const validateSubscriptionId = [
+  param('id')
+    .isMongoId().withMessage('Invalid subscription ID'),
+
+  handleErrors
+];
+
+const validateSubscriptionFilters = [
+  query('status')
+    .optional()
+    .isIn(STATUSES).withMessage('Invalid subscription status'),
+
+  query('categoryId')
+    .optional()
+    .isMongoId().withMessage('Invalid category ID'),
+
+  query('includeCancelled')
+    .optional()
+    .isBoolean().withMessage('includeCancelled must be a boolean'),
+
+  handleErrors
+];
+
+const validateCalendarRange = [
+  query('from')
+    .optional()
+    .isISO8601().withMessage('Invalid from date format'),
+
+  query('to')
+    .optional()
+    .isISO8601().withMessage('Invalid to date format'),
+
+  handleErrors
+];
+
+module.exports = {
+  validateSubscription,
+  validateSubscriptionUpdate,
+  validateSubscriptionId,
+  validateSubscriptionFilters,
+  validateCalendarRange
+};
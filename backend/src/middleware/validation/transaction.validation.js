@@ -1,34 +1,54 @@
 const { body, param, query, validationResult } = require('express-validator');
 
-const validateTransaction = [
-  body('amount')
-    .notEmpty().withMessage('Amount is required')
-    .isFloat({ min: 0.01, max: 1000000 }).withMessage('Amount must be between 0.01 and 1,000,000'),
-  
-  body('type')
-    .notEmpty().withMessage('Transaction type is required')
-    .isIn(['income', 'expense', 'transfer']).withMessage('Invalid transaction type'),
-  
-  body('description')
-    .notEmpty().withMessage('Description is required')
-    .isLength({ min: 3, max: 200 }).withMessage('Description must be between 3 and 200 characters')
-    .trim()
-    .escape(),
-  
-  body('date')
-    .notEmpty().withMessage('Date is required')
-    .isISO8601().withMessage('Invalid date format')
-    .custom(value => {
-      const date = new Date(value);
-      if (date > new Date()) {
-        throw new Error('Date cannot be in the future');
-      }
-      return true;
-    }),
-  
+const handleErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+const notInFuture = value => {
+  if (new Date(value) > new Date()) {
+    throw new Error('Date cannot be in the future');
+  }
+  return true;
+};
+
+// Fields that are optional on both create and update
+const transactionDetailRules = [
+  body('currency')
+    .optional({ nullable: true })
+    .isISO4217().withMessage('Invalid currency code'),
+
   body('categoryId')
     .optional()
     .isMongoId().withMessage('Invalid category ID'),
+
+  body('accountId')
+    .optional({ nullable: true })
+    .isMongoId().withMessage('Invalid account ID'),
+
+  body('splits')
+    .optional()
+    .isArray({ max: 20 }).withMessage('Splits must be an array of at most 20 lines'),
+
+  body('splits.*.categoryId')
+    .notEmpty().withMessage('Each split line needs a category')
+    .isMongoId().withMessage('Invalid split category ID'),
+
+  body('splits.*.amount')
+    .notEmpty().withMessage('Each split line needs an amount')
+    .isFloat({ min: 0.01 }).withMessage('Split amounts must be positive'),
+
+  body('splits.*.notes')
+    .optional()
+    .isLength({ max: 200 }).withMessage('Split note too long')
+    .trim()
+    .escape(),
   
   body('paymentMethod')
     .optional()
@@ -50,18 +70,58 @@ const validateTransaction = [
     .optional()
     .isLength({ max: 500 }).withMessage('Notes too long')
     .trim()
+    .escape()
+];
+
+const validateTransaction = [
+  body('amount')
+    .notEmpty().withMessage('Amount is required')
+    .isFloat({ min: 0.01, max: 1000000 }).withMessage('Amount must be between 0.01 and 1,000,000'),
+  
+  body('type')
+    .notEmpty().withMessage('Transaction type is required')
+    .isIn(['income', 'expense']).withMessage('Type must be income or expense; record transfers through /transfers'),
+  
+  body('description')
+    .notEmpty().withMessage('Description is required')
+    .isLength({ min: 3, max: 200 }).withMessage('Description must be between 3 and 200 characters')
+    .trim()
     .escape(),
+  
+  body('date')
+    .notEmpty().withMessage('Date is required')
+    .isISO8601().withMessage('Invalid date format')
+    .custom(notInFuture),
+  
+  ...transactionDetailRules,
 
-  (req, res, next) => {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({
-        success: false,
-        errors: errors.array()
-      });
-    }
-    next();
-  }
+  handleErrors
+];
+
+// Only the fields being changed are sent
+const validateTransactionUpdate = [
+  body('amount')
+    .optional()
+    .isFloat({ min: 0.01, max: 1000000 }).withMessage('Amount must be between 0.01 and 1,000,000'),
+
+  body('type')
+    .optional()
+    .isIn(['income', 'expense']).withMessage('Type must be income or expense; record transfers through /transfers'),
+
+  body('description')
+    .optional()
+    .isLength({ min: 3, max: 200 }).withMessage('Description must be between 3 and 200 characters')
+    .trim()
+    .escape(),
+
+  body('date')
+    .optional()
+    .isISO8601().withMessage('Invalid date format')
+    .custom(notInFuture),
+
+  ...transactionDetailRules,
+
+  handleErrors
 ];
 
 const validateBulkTransactions = [
@@ -75,38 +135,20 @@ const validateBulkTransactions = [
   
   body('*.type')
     .notEmpty().withMessage('Type is required for all transactions')
-    .isIn(['income', 'expense', 'transfer']),
+    .isIn(['income', 'expense']).withMessage('Type must be income or expense; record transfers through /transfers'),
   
   body('*.description')
     .notEmpty().withMessage('Description is required for all transactions')
     .isLength({ min: 3, max: 200 }),
 
-  (req, res, next) => {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({
-        success: false,
-        errors: errors.array()
-      });
-    }
-    next();
-  }
+  handleErrors
 ];
 
 const validateTransactionId = [
   param('id')
     .isMongoId().withMessage('Invalid transaction ID'),
 
-  (req, res, next) => {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({
-        success: false,
-        errors: errors.array()
-      });
-    }
-    next();
-  }
+  handleErrors
 ];
 
 const validateQueryFilters = [
@@ -128,7 +170,7 @@ const validateQueryFilters = [
   
   query('type')
     .optional()
-    .isIn(['income', 'expense', 'transfer']).withMessage('Invalid transaction type'),
+    .isIn(['income', 'expense', 'transfer', 'refund']).withMessage('Invalid transaction type'),
   
   query('minAmount')
     .optional()
@@ -138,20 +180,16 @@ const validateQueryFilters = [
     .optional()
     .isFloat({ min: 0 }).withMessage('Maximum amount must be positive'),
 
-  (req, res, next) => {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({
-        success: false,
-        errors: errors.array()
-      });
-    }
-    next();
-  }
+  query('accountId')
+    .optional()
+    .isMongoId().withMessage('Invalid account ID'),
+
+  handleErrors
 ];
 
 module.exports = {
   validateTransaction,
+  validateTransactionUpdate,
   validateBulkTransactions,
   validateTransactionId,
   validateQueryFilters
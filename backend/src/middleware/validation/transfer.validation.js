@@ -0,0 +1,138 @@
+const { body, param, query, validationResult } = require('express-validator');
+
+const handleErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+const transferDetailRules = [
+  body('date')
+    .optional()
+    .isISO8601().withMessage('Invalid date format')
+    .custom(value => {
+      if (new Date(value) > new Date()) {
+        throw new Error('Date cannot be in the future');
+      }
+      return true;
+    }),
+
+  body('description')
+    .optional()
+    .isLength({ min: 3, max: 200 }).withMessage('Description must be between 3 and 200 characters')
+    .trim()
+    .escape(),
+
+  body('toAmount')
+    .optional()
+    .isFloat({ min: 0.01, max: 100000000 }).withMessage('Received amount must be positive')
+    .toFloat(),
+
+  body('status')
+    .optional()
+    .isIn(['pending', 'completed', 'cancelled']).withMessage('Invalid status'),
+
+  body('notes')
+    .optional()
+    .isLength({ max: 500 }).withMessage('Notes too long')
+    .trim(),
+
+  body('tags')
+    .optional()
+    .isArray({ max: 10 }).withMessage('Maximum 10 tags allowed'),
+
+  body('tags.*')
+    .optional()
+    .isString()
+    .isLength({ max: 30 }).withMessage('Tag exceeds 30 characters')
+    .trim()
+];
+
+const validateTransfer = [
+  body('fromAccountId')
+    .notEmpty().withMessage('Source account is required')
+    .isMongoId().withMessage('Invalid source account ID'),
+
+  body('toAccountId')
+    .notEmpty().withMessage('Destination account is required')
+    .isMongoId().withMessage('Invalid destination account ID')
+    .custom((value, { req }) => {
+      if (value === req.body.fromAccountId) {
+        throw new Error('Source and destination accounts must differ');
+      }
+      return true;
+    }),
+
+  body('amount')
+    .notEmpty().withMessage('Amount is required')
+    .isFloat({ min: 0.01, max: 1000000 }).withMessage('Amount must be between 0.01 and 1,000,000')
+    .toFloat(),
+
+  ...transferDetailRules,
+
+  handleErrors
+];
+
+const validateTransferUpdate = [
+  body('fromAccountId')
+    .optional()
+    .isMongoId().withMessage('Invalid source account ID'),
+
+  body('toAccountId')
+    .optional()
+    .isMongoId().withMessage('Invalid destination account ID'),
+
+  body('amount')
+    .optional()
+    .isFloat({ min: 0.01, max: 1000000 }).withMessage('Amount must be between 0.01 and 1,000,000')
+    .toFloat(),
+
+  ...transferDetailRules,
+
+  handleErrors
+];
+
+const validateTransferId = [
+  param('groupId')
+    .isMongoId().withMessage('Invalid transfer ID'),
+
+  handleErrors
+];
+
+const validateTransferFilters = [
+  query('accountId')
+    .optional()
+    .isMongoId().withMessage('Invalid account ID'),
+
+  query('startDate')
+    .optional()
+    .isISO8601().withMessage('Invalid start date'),
+
+  query('endDate')
+    .optional()
+    .isISO8601().withMessage('Invalid end date'),
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 }).withMessage('Page must be a positive integer')
+    .toInt(),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 200 }).withMessage('Limit must be between 1 and 200')
+    .toInt(),
+
+  handleErrors
+];
+
+module.exports = {
+  validateTransfer,
+  validateTransferUpdate,
+  validateTransferId,
+  validateTransferFilters
+};
@@ -0,0 +1,60 @@
+const { body, query, validationResult } = require('express-validator');
+
+const EXPORT_COLLECTIONS = [
+  'profile', 'accounts', 'transactions', 'budgets', 'savingsGoals', 'subscriptions', 'categories',
+  'insights', 'aiSuggestions', 'suggestions', 'suggestionLogs', 'weeklySummaries',
+  'weeklyMetrics', 'signals', 'checkpoints', 'notifications', 'netWorthItems', 'netWorthSnapshots',
+  'envelopePlans', 'categorizationRules'
+];
+
+const REPORTING_CURRENCIES = ['USD', 'EUR', 'GBP', 'JPY', 'CAD'];
+
+const handleErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+const validateDataExport = [
+  query('format')
+    .optional()
+    .isIn(['json', 'csv']).withMessage('Format must be json or csv'),
+
+  query('collection')
+    .if(query('format').equals('csv'))
+    .notEmpty().withMessage('Choose a collection to export as CSV')
+    .isIn(EXPORT_COLLECTIONS).withMessage(`Collection must be one of: ${EXPORT_COLLECTIONS.join(', ')}`),
+
+  handleErrors
+];
+
+const validateDeletionRequest = [
+  body('password')
+    .notEmpty().withMessage('Password is required to delete your account'),
+
+  body('reason')
+    .optional()
+    .isLength({ max: 500 }).withMessage('Reason too long')
+    .trim(),
+
+  handleErrors
+];
+
+const validateReportingCurrency = [
+  body('currency')
+    .notEmpty().withMessage('Currency is required')
+    .isIn(REPORTING_CURRENCIES).withMessage(`Currency must be one of: ${REPORTING_CURRENCIES.join(', ')}`),
+
+  handleErrors
+];
+
+module.exports = {
+  validateDataExport,
+  validateDeletionRequest,
+  validateReportingCurrency
+};
@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+
+const accountSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  type: {
+    type: String,
+    required: true,
+    enum: ['checking', 'savings', 'credit_card', 'cash', 'wallet'],
+    index: true
+  },
+  institution: {
+    type: String,
+    trim: true
+  },
+  lastFour: {
+    type: String,
+    match: /^\d{4}$/
+  },
+  currency: {
+    type: String,
+    default: 'USD'
+  },
+  openingBalance: {
+    type: Number,
+    default: 0,
+    description: 'Balance before the first tracked transaction; negative for money owed'
+  },
+  openingDate: {
+    type: Date,
+    default: Date.now
+  },
+  currentBalance: {
+    type: Number,
+    default: 0,
+    description: 'Cached: opening balance + completed transactions + reconciliation adjustments'
+  },
+  creditLimit: {
+    type: Number,
+    min: 0
+  },
+  status: {
+    type: String,
+    enum: ['active', 'closed'],
+    default: 'active',
+    index: true
+  },
+  closedAt: Date,
+  reconciliations: [{
+    statementDate: {
+      type: Date,
+      required: true
+    },
+    statementBalance: {
+      type: Number,
+      required: true
+    },
+    computedBalance: {
+      type: Number,
+      required: true
+    },
+    adjustment: {
+      type: Number,
+      default: 0,
+      description: 'statementBalance - computedBalance, counted in the balance from statementDate'
+    },
+    transactionCount: {
+      type: Number,
+      default: 0
+    },
+    notes: String,
+    reconciledAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  lastReconciledAt: Date,
+  notes: {
+    type: String,
+    maxlength: 500
+  }
+}, {
+  timestamps: true
+});
+
+accountSchema.index({ userId: 1, name: 1 }, { unique: true });
+
+// Credit cards carry a negative balance for the amount owed
+accountSchema.virtual('isLiability').get(function() {
+  return this.type === 'credit_card';
+});
+
+accountSchema.virtual('availableCredit').get(function() {
+  if (this.type !== 'credit_card' || this.creditLimit == null) return undefined;
+  return this.creditLimit + this.currentBalance;
+});
+
+accountSchema.set('toJSON', { virtuals: true });
+accountSchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('Account', accountSchema);
@@ -33,6 +33,42 @@ const budgetSchema = new mongoose.Schema({
     default: 0,
     min: 0
   },
+  // Envelope budgets hold money assigned from income instead of capping spend
+  mode: {
+    type: String,
+    enum: ['cap', 'envelope'],
+    default: 'cap',
+    index: true
+  },
+  envelope: {
+    // Net amount taken from the to-be-assigned pool this period
+    assigned: {
+      type: Number,
+      default: 0
+    },
+    // Net amount moved in from (or out to) other envelopes
+    moved: {
+      type: Number,
+      default: 0
+    },
+    // Overspending still uncovered when the period closed
+    uncovered: {
+      type: Number,
+      default: 0
+    },
+    moves: [{
+      amount: Number,
+      budgetId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Budget'
+      },
+      date: {
+        type: Date,
+        default: Date.now
+      },
+      notes: String
+    }]
+  },
   flexibility: {
     type: String,
     enum: ['strict', 'flexible', 'rollover'],
@@ -47,6 +83,10 @@ const budgetSchema = new mongoose.Schema({
     resetDay: {
       type: Number,
       default: 1
+    },
+    carriedOver: {
+      type: Number,
+      default: 0
     }
   },
   startDate: {
@@ -63,10 +103,18 @@ const budgetSchema = new mongoose.Schema({
     default: true,
     index: true
   },
+  previousPeriodId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Budget',
+    default: null
+  },
+  closedAt: Date,
+  archivedAt: Date,
   alerts: {
     enabled: { type: Boolean, default: true },
     threshold: { type: Number, default: 80, min: 0, max: 100 },
-    notifiedAt: Date
+    notifiedAt: Date,
+    exceededNotifiedAt: Date
   },
   notes: String,
   metadata: {
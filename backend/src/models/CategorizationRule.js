@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+
+const textConditionSchema = new mongoose.Schema({
+  operator: {
+    type: String,
+    enum: ['contains', 'regex'],
+    default: 'contains'
+  },
+  value: {
+    type: String,
+    trim: true,
+    maxlength: 200
+  }
+}, { _id: false });
+
+// A user's rule for filling in new transactions. Every condition that is set
+// must match; rules run in ascending priority and the first rule to set a
+// field wins, while tags from every matching rule are added.
+const categorizationRuleSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  priority: {
+    type: Number,
+    default: 100,
+    min: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  conditions: {
+    merchant: textConditionSchema,
+    description: textConditionSchema,
+    amount: {
+      min: Number,
+      max: Number
+    },
+    paymentMethods: [{
+      type: String,
+      enum: ['cash', 'credit_card', 'debit_card', 'bank_transfer', 'digital_wallet', 'other']
+    }],
+    transactionType: {
+      type: String,
+      enum: ['income', 'expense', null],
+      default: null
+    }
+  },
+  actions: {
+    categoryId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Category',
+      default: null
+    },
+    addTags: [{
+      type: String,
+      trim: true
+    }],
+    markRecurring: {
+      type: Boolean,
+      default: false
+    },
+    renameMerchant: {
+      type: String,
+      trim: true,
+      maxlength: 100
+    }
+  },
+  stats: {
+    matchCount: {
+      type: Number,
+      default: 0
+    },
+    lastMatchedAt: Date
+  }
+}, {
+  timestamps: true
+});
+
+categorizationRuleSchema.index({ userId: 1, isActive: 1, priority: 1 });
+
+module.exports = mongoose.model('CategorizationRule', categorizationRuleSchema);
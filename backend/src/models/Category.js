@@ -25,6 +25,10 @@ const categorySchema = new mongoose.Schema({
     default: false,
     description: 'System categories cannot be deleted'
   },
+  systemKey: {
+    type: String,
+    description: 'Stable key of a seeded category, kept when it is renamed'
+  },
   userId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// A user's envelope (zero-based) budgeting setup. Income received since the
+// start date, plus the starting balance, forms the pool that envelopes draw on.
+const envelopePlanSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  startDate: {
+    type: Date,
+    required: true
+  },
+  startingBalance: {
+    type: Number,
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  notes: String
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('EnvelopePlan', envelopePlanSchema);
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+// One row per currency pair per day: 1 base = rate quote
+const exchangeRateSchema = new mongoose.Schema({
+  base: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true,
+    match: /^[A-Z]{3}$/
+  },
+  quote: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true,
+    match: /^[A-Z]{3}$/
+  },
+  rate: {
+    type: Number,
+    required: true,
+    min: 0.00000001
+  },
+  date: {
+    type: Date,
+    required: true
+  },
+  source: {
+    type: String,
+    enum: ['manual', 'import'],
+    default: 'manual'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+exchangeRateSchema.index({ base: 1, quote: 1, date: -1 }, { unique: true });
+
+module.exports = mongoose.model('ExchangeRate', exchangeRateSchema);
@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+// Transactions dated on or after `since` need reconverting because a rate
+// changed. The scheduled job claims a marker, reconverts and then removes it.
+const exchangeRateRefreshSchema = new mongoose.Schema({
+  since: {
+    type: Date,
+    required: true
+  },
+  claimedAt: {
+    type: Date,
+    default: null,
+    index: true
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('ExchangeRateRefresh', exchangeRateRefreshSchema);
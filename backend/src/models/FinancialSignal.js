@@ -18,7 +18,8 @@ const financialSignalSchema = new mongoose.Schema({
       'budget_drift',
       'goal_underfunding',
       'income_stability',
-      'expense_volatility'
+      'expense_volatility',
+      'low_balance_forecast'
     ],
     index: true
   },
@@ -18,7 +18,12 @@ const inAppNotificationSchema = new mongoose.Schema({
       'suggestion_rolled_back',
       'suggestion_expiring',
       'suggestion_conflict',
-      'suggestion_failed'
+      'suggestion_failed',
+      'budget_threshold',
+      'budget_exceeded',
+      'subscription_reminder',
+      'subscription_renewed',
+      'goal_milestone'
     ]
   },
   title: {
@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+// Holdings and debts that are not tracked as accounts, valued by hand
+const netWorthItemSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  kind: {
+    type: String,
+    required: true,
+    enum: ['asset', 'liability']
+  },
+  category: {
+    type: String,
+    required: true,
+    enum: [
+      'property', 'vehicle', 'investment', 'retirement', 'cash', 'valuables',
+      'student_loan', 'mortgage', 'auto_loan', 'personal_loan', 'medical_debt', 'other'
+    ],
+    default: 'other'
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  value: {
+    type: Number,
+    required: true,
+    min: 0,
+    description: 'Current value of an asset or outstanding balance of a liability'
+  },
+  currency: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    match: /^[A-Z]{3}$/,
+    default: null
+  },
+  interestRate: {
+    type: Number,
+    min: 0,
+    max: 100
+  },
+  valuations: [{
+    value: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    date: {
+      type: Date,
+      required: true
+    },
+    notes: String
+  }],
+  valuedAt: {
+    type: Date,
+    default: Date.now
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+    index: true
+  },
+  notes: {
+    type: String,
+    maxlength: 500
+  }
+}, {
+  timestamps: true
+});
+
+netWorthItemSchema.index({ userId: 1, kind: 1, isActive: 1 });
+
+module.exports = mongoose.model('NetWorthItem', netWorthItemSchema);
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+const netWorthSnapshotSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // One snapshot per user per day; later captures on the same day replace it
+  date: {
+    type: Date,
+    required: true
+  },
+  currency: {
+    type: String,
+    required: true
+  },
+  totalAssets: {
+    type: Number,
+    required: true
+  },
+  totalLiabilities: {
+    type: Number,
+    required: true
+  },
+  netWorth: {
+    type: Number,
+    required: true
+  },
+  breakdown: {
+    accounts: { type: Number, default: 0 },
+    creditCards: { type: Number, default: 0 },
+    savingsGoals: { type: Number, default: 0 },
+    manualAssets: { type: Number, default: 0 },
+    manualLiabilities: { type: Number, default: 0 }
+  },
+  items: [{
+    _id: false,
+    source: {
+      type: String,
+      enum: ['account', 'savings_goal', 'manual']
+    },
+    refId: mongoose.Schema.Types.ObjectId,
+    name: String,
+    kind: {
+      type: String,
+      enum: ['asset', 'liability']
+    },
+    category: String,
+    value: Number,
+    currency: String,
+    converted: Boolean
+  }],
+  trigger: {
+    type: String,
+    enum: ['scheduled', 'manual', 'valuation'],
+    default: 'scheduled'
+  }
+}, {
+  timestamps: true
+});
+
+netWorthSnapshotSchema.index({ userId: 1, date: -1 }, { unique: true });
+
+module.exports = mongoose.model('NetWorthSnapshot', netWorthSnapshotSchema);
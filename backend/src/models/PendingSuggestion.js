@@ -26,7 +26,8 @@ const pendingSuggestionSchema = new mongoose.Schema({
       'transaction_categorization',
       'subscription_optimization',
       'debt_repayment',
-      'investment_suggestion'
+      'investment_suggestion',
+      'track_subscription'
     ],
     index: true
   },
@@ -318,12 +319,26 @@ pendingSuggestionSchema.methods.calculateBalance = async function() {
 
 // Method to check conflicts
 pendingSuggestionSchema.methods.checkConflicts = async function() {
-  const conflicting = await this.constructor.find({
+  const query = {
     userId: this.userId,
     status: { $in: ['pending', 'approved'] },
-    _id: { $ne: this._id },
-    'proposedChanges.categoryId': this.proposedChanges.categoryId
-  });
+    _id: { $ne: this._id }
+  };
+
+  // Several subscriptions can share a category; only the same merchant conflicts
+  if (this.type === 'track_subscription') {
+    query.type = 'track_subscription';
+    query['proposedChanges.merchantKey'] = this.proposedChanges.merchantKey;
+  } else if (Array.isArray(this.proposedChanges.budgets)) {
+    // A budget template overlaps anything touching one of its categories
+    query['proposedChanges.categoryId'] = {
+      $in: this.proposedChanges.budgets.map(b => b.categoryId)
+    };
+  } else {
+    query['proposedChanges.categoryId'] = this.proposedChanges.categoryId;
+  }
+
+  const conflicting = await this.constructor.find(query);
   
   this.conflicts = conflicting.map(s => ({
     withSuggestionId: s._id,
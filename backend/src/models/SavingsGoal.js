@@ -60,8 +60,18 @@ const savingsGoalSchema = new mongoose.Schema({
     },
     dayOfMonth: Number,
     sourceAccount: String,
+    sourceAccountId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Account'
+    },
     lastAutoSaveAt: Date
   },
+  // Account that holds the goal's money; contributions are transfers into it
+  accountId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account',
+    default: null
+  },
   contributions: [{
     amount: Number,
     date: { type: Date, default: Date.now },
@@ -25,7 +25,9 @@ const subscriptionSchema = new mongoose.Schema({
   currency: {
     type: String,
     default: 'USD',
-    enum: ['USD', 'EUR', 'GBP', 'JPY', 'CAD']
+    uppercase: true,
+    trim: true,
+    match: /^[A-Z]{3}$/
   },
   recurrence: {
     frequency: {
@@ -68,6 +70,12 @@ const subscriptionSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Detected subscriptions are already charged through imported statements,
+  // so billing only advances their schedule instead of posting a charge
+  trackingOnly: {
+    type: Boolean,
+    default: false
+  },
   provider: {
     name: String,
     website: String,
@@ -92,7 +100,8 @@ const subscriptionSchema = new mongoose.Schema({
   reminders: {
     beforeBilling: {
       days: { type: Number, default: 3 },
-      enabled: { type: Boolean, default: true }
+      enabled: { type: Boolean, default: true },
+      lastSentFor: Date
     },
     onRenewal: {
       enabled: { type: Boolean, default: true }
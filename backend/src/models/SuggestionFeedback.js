@@ -27,7 +27,8 @@ const suggestionFeedbackSchema = new mongoose.Schema({
       'category_creation',
       'budget_creation',
       'goal_adjustment',
-      'spending_alert'
+      'spending_alert',
+      'track_subscription'
     ],
     index: true
   },
@@ -10,7 +10,10 @@ const suggestionLogSchema = new mongoose.Schema({
   suggestionId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'PendingSuggestion',
-    required: true,
+    required: function() {
+      // Admin operations are audited here too but don't concern a suggestion
+      return this.action !== 'admin_action';
+    },
     index: true
   },
   action: {
@@ -29,7 +32,8 @@ const suggestionLogSchema = new mongoose.Schema({
       'conflict_detected',
       'prerequisite_checked',
       'notification_sent',
-      'user_feedback'
+      'user_feedback',
+      'admin_action'
     ],
     index: true
   },
@@ -41,7 +45,7 @@ const suggestionLogSchema = new mongoose.Schema({
   actor: {
     type: {
       type: String,
-      enum: ['user', 'system', 'ai', 'scheduler'],
+      enum: ['user', 'system', 'ai', 'scheduler', 'admin'],
       required: true
     },
     id: mongoose.Schema.Types.ObjectId,
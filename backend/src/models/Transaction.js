@@ -15,7 +15,7 @@ const transactionSchema = new mongoose.Schema({
   type: {
     type: String,
     required: true,
-    enum: ['income', 'expense', 'transfer'],
+    enum: ['income', 'expense', 'transfer', 'refund'],
     index: true
   },
   categoryId: {
@@ -26,6 +26,40 @@ const transactionSchema = new mongoose.Schema({
     },
     index: true
   },
+  // Category lines for a transaction split across categories; they add up
+  // to amount and categoryId holds the largest line's category
+  splits: [{
+    categoryId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Category',
+      required: true
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0.01
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: 200
+    }
+  }],
+  // Currency the amount is in; null means the user's reporting currency
+  currency: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    match: /^[A-Z]{3}$/,
+    default: null
+  },
+  // Amount converted to the user's reporting currency when it differs
+  reporting: {
+    amount: Number,
+    currency: String,
+    rate: Number,
+    rateDate: Date
+  },
   description: {
     type: String,
     required: true,
@@ -61,6 +95,41 @@ const transactionSchema = new mongoose.Schema({
     ref: 'Subscription',
     default: null
   },
+  accountId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account',
+    default: null,
+    index: true
+  },
+  reconciledAt: {
+    type: Date,
+    default: null
+  },
+  // Both legs of a transfer share a groupId and point at each other
+  transfer: {
+    groupId: mongoose.Schema.Types.ObjectId,
+    direction: {
+      type: String,
+      enum: ['out', 'in']
+    },
+    counterpartId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Transaction'
+    }
+  },
+  // A refund points at the purchase it reverses and shares its category;
+  // the purchase keeps the running total refunded so far
+  refundOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+    default: null,
+    index: true
+  },
+  refundedAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
   tags: [{
     type: String,
     trim: true
@@ -97,6 +166,9 @@ const transactionSchema = new mongoose.Schema({
 // Compound indexes for common queries
 transactionSchema.index({ userId: 1, date: -1 });
 transactionSchema.index({ userId: 1, categoryId: 1, date: -1 });
+transactionSchema.index({ userId: 1, 'splits.categoryId': 1 }, { sparse: true });
 transactionSchema.index({ userId: 1, type: 1, date: -1 });
+transactionSchema.index({ accountId: 1, date: 1 });
+transactionSchema.index({ 'transfer.groupId': 1 }, { sparse: true });
 
 module.exports = mongoose.model('Transaction', transactionSchema);
\ No newline at end of file
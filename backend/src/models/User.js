@@ -18,6 +18,12 @@ const userSchema = new mongoose.Schema({
     required: true,
     minlength: 6
   },
+  role: {
+    type: String,
+    enum: ['user', 'support', 'admin'],
+    default: 'user',
+    index: true
+  },
   preferences: {
     currency: {
       type: String,
@@ -45,8 +51,51 @@ const userSchema = new mongoose.Schema({
       default: 1,
       min: 1,
       max: 31
+    },
+    mfaEnabled: {
+      type: Boolean,
+      default: false
     }
   },
+  mfa: {
+    secret: { type: String, select: false },
+    pendingSecret: { type: String, select: false },
+    lastUsedStep: { type: Number, select: false },
+    recoveryCodes: {
+      type: [{
+        codeHash: String,
+        usedAt: Date
+      }],
+      select: false
+    },
+    enabledAt: Date
+  },
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: Date,
+  emailVerification: {
+    tokenHash: { type: String, select: false },
+    expiresAt: Date
+  },
+  passwordReset: {
+    tokenHash: { type: String, select: false },
+    expiresAt: Date
+  },
+  passwordChangedAt: Date,
+  deletion: {
+    requestedAt: Date,
+    scheduledFor: {
+      type: Date,
+      index: true
+    },
+    reason: String
+  },
   aiFeedbackHistory: [{
     suggestionId: {
       type: mongoose.Schema.Types.ObjectId,
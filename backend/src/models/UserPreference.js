@@ -57,6 +57,14 @@ const userPreferenceSchema = new mongoose.Schema({
         lastShown: Date,
         lastAction: Date,
         cooldown: { type: Number, default: 30 }
+      },
+      track_subscription: {
+        weight: { type: Number, default: 1.0, min: 0, max: 2 },
+        acceptedCount: { type: Number, default: 0 },
+        rejectedCount: { type: Number, default: 0 },
+        lastShown: Date,
+        lastAction: Date,
+        cooldown: { type: Number, default: 14 }
       }
     },
     global: {
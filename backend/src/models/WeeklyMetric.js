@@ -50,6 +50,16 @@ const weeklyMetricSchema = new mongoose.Schema({
       percentage: Number,
       transactionCount: Number
     }],
+
+    // Parent categories, including their subcategories' spend
+    parentCategories: [{
+      categoryId: mongoose.Schema.Types.ObjectId,
+      name: String,
+      amount: Number,
+      ownAmount: Number,
+      percentage: Number,
+      transactionCount: Number
+    }],
     
     // Budget metrics
     budgetsOnTrack: Number,
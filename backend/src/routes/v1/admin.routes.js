@@ -0,0 +1,45 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getSchedulerStats,
+  retryWeeklyGenerations,
+  archiveSignals,
+  cleanAuditLogs,
+  getAuditLog,
+  findUsers,
+  getUser,
+  updateUserRole
+} = require('../../controllers/admin.controller');
+const {
+  validateAdminUserId,
+  validateAdminUserQuery,
+  validateRoleUpdate,
+  validateStatsQuery,
+  validateRetryRequest,
+  validateRetentionDays,
+  validateAuditLogQuery
+} = require('../../middleware/validation/admin.validation');
+const { sanitizeInput, preventNoSQLInjection } = require('../../middleware/sanitizer');
+const { authenticate, authorize } = require('../../middleware/auth');
+
+// Staff only; read access for support, changes for admins
+router.use(authenticate);
+router.use(sanitizeInput);
+router.use(preventNoSQLInjection);
+router.use(authorize('admin', 'support'));
+
+// Schedulers
+router.get('/scheduler/stats', validateStatsQuery, getSchedulerStats);
+router.post('/scheduler/weekly/retry', authorize('admin'), validateRetryRequest, retryWeeklyGenerations);
+
+// Maintenance jobs
+router.post('/maintenance/archive-signals', authorize('admin'), validateRetentionDays, archiveSignals);
+router.post('/maintenance/clean-audit-logs', authorize('admin'), validateRetentionDays, cleanAuditLogs);
+router.get('/audit-log', authorize('admin'), validateAuditLogQuery, getAuditLog);
+
+// Users
+router.get('/users', validateAdminUserQuery, findUsers);
+router.get('/users/:id', validateAdminUserId, getUser);
+router.patch('/users/:id/role', authorize('admin'), validateAdminUserId, validateRoleUpdate, updateUserRole);
+
+module.exports = router;
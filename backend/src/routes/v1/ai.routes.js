@@ -1,9 +1,39 @@
 const express = require('express');
 const router = express.Router();
+const {
+  generateInsights,
+  getIntegratedAnalysis,
+  getSpendingInsights,
+  getBudgetInsights,
+  getSavingsInsights,
+  getRiskInsights,
+  getUserInsights,
+  getInsightById,
+  provideFeedback,
+  dismissInsight,
+  getInsightStats
+} = require('../../controllers/ai.controller');
+const { sanitizeInput, preventNoSQLInjection } = require('../../middleware/sanitizer');
+const { aiLimiter } = require('../../middleware/rateLimiter');
+const { authenticate } = require('../../middleware/auth');
 
-// Placeholder AI routes
-router.get('/', (req, res) => {
-  res.json({ message: 'AI endpoints - not implemented yet' });
-});
+// All AI routes require authentication
+router.use(authenticate);
+router.use(sanitizeInput);
 
-module.exports = router;
\ No newline at end of file
+// Generation (each call hits the model provider)
+router.post('/insights/generate', aiLimiter, preventNoSQLInjection, generateInsights);
+router.get('/analysis', aiLimiter, getIntegratedAnalysis);
+router.get('/spending', aiLimiter, getSpendingInsights);
+router.get('/budget', aiLimiter, getBudgetInsights);
+router.get('/savings', aiLimiter, getSavingsInsights);
+router.get('/risk', aiLimiter, getRiskInsights);
+
+// Stored insights
+router.get('/insights', getUserInsights);
+router.get('/insights/stats', getInsightStats);
+router.get('/insights/:id', getInsightById);
+router.post('/insights/:id/feedback', preventNoSQLInjection, provideFeedback);
+router.patch('/insights/:id/dismiss', dismissInsight);
+
+module.exports = router;
@@ -1,9 +1,71 @@
 const express = require('express');
 const router = express.Router();
+const {
+  getFullAnalysis,
+  getAggregation,
+  getPatterns,
+  getRisks,
+  getForecast,
+  getSignals,
+  getSignalById,
+  updateSignalStatus,
+  getSignalStats,
+  getDashboardSummary,
+  analyzeCategory,
+  comparePeriods,
+  getRecurringCharges,
+  suggestRecurringCharges
+} = require('../../controllers/analysis.controller');
+const {
+  validatePeriod,
+  validatePatternQuery,
+  validateSignalQuery,
+  validateStatsQuery,
+  validateSignalId,
+  validateSignalStatus,
+  validateCategoryAnalysis,
+  validatePeriodComparison,
+  validateRecurringQuery,
+  validateForecastQuery
+} = require('../../middleware/validation/analysis.validation');
+const { sanitizeInput, preventNoSQLInjection } = require('../../middleware/sanitizer');
+const { authenticate, checkResourceOwnership } = require('../../middleware/auth');
+const FinancialSignal = require('../../models/FinancialSignal');
 
-// Placeholder analysis routes
-router.get('/', (req, res) => {
-  res.json({ message: 'Analysis endpoints - not implemented yet' });
-});
+// All analysis routes require authentication
+router.use(authenticate);
+router.use(sanitizeInput);
 
-module.exports = router;
\ No newline at end of file
+// Analysis runs
+router.get('/', getFullAnalysis);
+router.get('/dashboard', getDashboardSummary);
+router.get('/aggregation', validatePeriod, getAggregation);
+router.get('/patterns', validatePatternQuery, getPatterns);
+router.get('/risks', getRisks);
+router.get('/forecast', validateForecastQuery, getForecast);
+router.get('/compare', validatePeriodComparison, comparePeriods);
+router.get('/categories/:categoryId', validateCategoryAnalysis, analyzeCategory);
+
+// Recurring charge detection
+router.get('/recurring', validateRecurringQuery, getRecurringCharges);
+router.post('/recurring/suggest', validateRecurringQuery, suggestRecurringCharges);
+
+// Signals
+router.get('/signals', validateSignalQuery, getSignals);
+router.get('/signals/stats', validateStatsQuery, getSignalStats);
+router.get(
+  '/signals/:id',
+  validateSignalId,
+  checkResourceOwnership(FinancialSignal),
+  getSignalById
+);
+router.patch(
+  '/signals/:id/status',
+  preventNoSQLInjection,
+  validateSignalId,
+  validateSignalStatus,
+  checkResourceOwnership(FinancialSignal),
+  updateSignalStatus
+);
+
+module.exports = router;
@@ -1,15 +1,64 @@
 const express = require('express');
 const router = express.Router();
-const { register, login, getCurrentUser, logout } = require('../../controllers/auth.controller');
-const { registerValidation, loginValidation, validate } = require('../../middleware/validation/auth.validation');
+const {
+  register,
+  login,
+  refresh,
+  getCurrentUser,
+  logout,
+  logoutAll,
+  getSessions,
+  revokeSession,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification
+} = require('../../controllers/auth.controller');
+const {
+  getMfaStatus,
+  startEnrollment,
+  confirmEnrollment,
+  verifyMfa,
+  regenerateRecoveryCodes,
+  disableMfa
+} = require('../../controllers/mfa.controller');
+const {
+  registerValidation,
+  loginValidation,
+  refreshValidation,
+  sessionIdValidation,
+  forgotPasswordValidation,
+  resetPasswordValidation,
+  verifyEmailValidation,
+  mfaCodeValidation,
+  mfaFactorValidation,
+  validate
+} = require('../../middleware/validation/auth.validation');
 const { authenticate } = require('../../middleware/auth');
+const { authLimiter } = require('../../middleware/rateLimiter');
 
 // Public routes
-router.post('/register', registerValidation, validate, register);
-router.post('/login', loginValidation, validate, login);
+router.post('/register', authLimiter, registerValidation, validate, register);
+router.post('/login', authLimiter, loginValidation, validate, login);
+router.post('/refresh', authLimiter, refreshValidation, validate, refresh);
+router.post('/forgot-password', authLimiter, forgotPasswordValidation, validate, forgotPassword);
+router.post('/reset-password', authLimiter, resetPasswordValidation, validate, resetPassword);
+router.post('/verify-email', authLimiter, verifyEmailValidation, validate, verifyEmail);
 
 // Protected routes
 router.get('/me', authenticate, getCurrentUser);
 router.post('/logout', authenticate, logout);
+router.post('/logout-all', authenticate, logoutAll);
+router.get('/sessions', authenticate, getSessions);
+router.post('/resend-verification', authenticate, authLimiter, resendVerification);
+router.delete('/sessions/:sessionId', authenticate, sessionIdValidation, validate, revokeSession);
 
-module.exports = router;
\ No newline at end of file
+// Multi-factor authentication
+router.get('/mfa', authenticate, getMfaStatus);
+router.post('/mfa/enroll', authenticate, startEnrollment);
+router.post('/mfa/enroll/verify', authenticate, authLimiter, mfaCodeValidation, validate, confirmEnrollment);
+router.post('/mfa/verify', authenticate, authLimiter, mfaFactorValidation, validate, verifyMfa);
+router.post('/mfa/recovery-codes', authenticate, authLimiter, mfaFactorValidation, validate, regenerateRecoveryCodes);
+router.post('/mfa/disable', authenticate, authLimiter, mfaFactorValidation, validate, disableMfa);
+
+module.exports = router;
@@ -1,9 +1,41 @@
 const express = require('express');
 const router = express.Router();
+const {
+  getBudgets,
+  getBudget,
+  createBudget,
+  updateBudget,
+  archiveBudget,
+  getBudgetHistory,
+  recalculateBudget,
+  getTemplates,
+  previewTemplate,
+  proposeTemplate
+} = require('../../controllers/budget.controller');
+const {
+  validateBudget,
+  validateBudgetUpdate,
+  validateBudgetId,
+  validateBudgetFilters,
+  validateBudgetTemplate
+} = require('../../middleware/validation/budget.validation');
+const { sanitizeInput, preventNoSQLInjection } = require('../../middleware/sanitizer');
+const { authenticate } = require('../../middleware/auth');
 
-// Placeholder budget routes
-router.get('/', (req, res) => {
-  res.json({ message: 'Budget endpoints - not implemented yet' });
-});
+// All budget routes require authentication
+router.use(authenticate);
+router.use(sanitizeInput);
+router.use(preventNoSQLInjection);
 
-module.exports = router;
\ No newline at end of file
+router.get('/', validateBudgetFilters, getBudgets);
+router.post('/', validateBudget, createBudget);
+router.get('/templates', getTemplates);
+router.post('/templates/preview', validateBudgetTemplate, previewTemplate);
+router.post('/templates/propose', validateBudgetTemplate, proposeTemplate);
+router.get('/:id', validateBudgetId, getBudget);
+router.put('/:id', validateBudgetId, validateBudgetUpdate, updateBudget);
+router.delete('/:id', validateBudgetId, archiveBudget);
+router.get('/:id/history', validateBudgetId, getBudgetHistory);
+router.post('/:id/recalculate', validateBudgetId, recalculateBudget);
+
+module.exports = router;
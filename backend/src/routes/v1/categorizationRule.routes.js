@@ -0,0 +1,32 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getRules,
+  createRule,
+  updateRule,
+  deleteRule,
+  previewHistory,
+  applyHistory
+} = require('../../controllers/categorizationRule.controller');
+const {
+  validateRule,
+  validateRuleUpdate,
+  validateRuleId,
+  validateRuleHistory
+} = require('../../middleware/validation/categorizationRule.validation');
+const { sanitizeInput, preventNoSQLInjection } = require('../../middleware/sanitizer');
+const { authenticate } = require('../../middleware/auth');
+
+// All rule routes require authentication
+router.use(authenticate);
+router.use(sanitizeInput);
+router.use(preventNoSQLInjection);
+
+router.get('/', getRules);
+router.post('/', validateRule, createRule);
+router.post('/history/preview', validateRuleHistory, previewHistory);
+router.post('/history/apply', validateRuleHistory, applyHistory);
+router.put('/:id', validateRuleId, validateRuleUpdate, updateRule);
+router.delete('/:id', validateRuleId, deleteRule);
+
+module.exports = router;
@@ -0,0 +1,36 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getCategories,
+  getCategory,
+  createCategory,
+  updateCategory,
+  deleteCategory,
+  mergeCategory,
+  restoreDefaults
+} = require('../../controllers/category.controller');
+const {
+  validateCategory,
+  validateCategoryUpdate,
+  validateCategoryId,
+  validateCategoryQuery,
+  validateCategoryMerge,
+  validateCategoryDelete
+} = require('../../middleware/validation/category.validation');
+const { sanitizeInput, preventNoSQLInjection } = require('../../middleware/sanitizer');
+const { authenticate } = require('../../middleware/auth');
+
+// All category routes require authentication
+router.use(authenticate);
+router.use(sanitizeInput);
+router.use(preventNoSQLInjection);
+
+router.get('/', validateCategoryQuery, getCategories);
+router.post('/', validateCategory, createCategory);
+router.post('/defaults', restoreDefaults);
+router.get('/:id', validateCategoryId, getCategory);
+router.put('/:id', validateCategoryId, validateCategoryUpdate, updateCategory);
+router.delete('/:id', validateCategoryId, validateCategoryDelete, deleteCategory);
+router.post('/:id/merge', validateCategoryId, validateCategoryMerge, mergeCategory);
+
+module.exports = router;
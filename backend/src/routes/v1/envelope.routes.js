@@ -0,0 +1,35 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getMonth,
+  enablePlan,
+  createEnvelope,
+  assignFunds,
+  moveFunds,
+  coverOverspending
+} = require('../../controllers/envelope.controller');
+const {
+  validateEnvelopePlan,
+  validateEnvelope,
+  validateEnvelopeId,
+  validateAssignment,
+  validateEnvelopeMove,
+  validateEnvelopeCover,
+  validateEnvelopeMonth
+} = require('../../middleware/validation/envelope.validation');
+const { sanitizeInput, preventNoSQLInjection } = require('../../middleware/sanitizer');
+const { authenticate } = require('../../middleware/auth');
+
+// All envelope routes require authentication
+router.use(authenticate);
+router.use(sanitizeInput);
+router.use(preventNoSQLInjection);
+
+router.get('/', validateEnvelopeMonth, getMonth);
+router.post('/', validateEnvelope, createEnvelope);
+router.post('/enable', validateEnvelopePlan, enablePlan);
+router.post('/move', validateEnvelopeMove, moveFunds);
+router.post('/:id/assign', validateEnvelopeId, validateAssignment, assignFunds);
+router.post('/:id/cover', validateEnvelopeId, validateEnvelopeCover, coverOverspending);
+
+module.exports = router;
@@ -0,0 +1,31 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getRates,
+  convertAmount,
+  setRate,
+  importRates,
+  deleteRate,
+  upload
+} = require('../../controllers/exchangeRate.controller');
+const {
+  validateExchangeRate,
+  validateExchangeRateId,
+  validateExchangeRateFilters,
+  validateConversion
+} = require('../../middleware/validation/exchangeRate.validation');
+const { sanitizeInput, preventNoSQLInjection } = require('../../middleware/sanitizer');
+const { csvUploadLimiter } = require('../../middleware/rateLimiter');
+const { authenticate, authorize } = require('../../middleware/auth');
+
+// Rates are shared by all users; only admins maintain them
+router.use(authenticate);
+
+router.get('/', sanitizeInput, validateExchangeRateFilters, getRates);
+router.get('/convert', sanitizeInput, validateConversion, convertAmount);
+
+router.post('/', authorize('admin'), sanitizeInput, preventNoSQLInjection, validateExchangeRate, setRate);
+router.post('/import', authorize('admin'), csvUploadLimiter, upload, importRates);
+router.delete('/:id', authorize('admin'), validateExchangeRateId, deleteRate);
+
+module.exports = router;
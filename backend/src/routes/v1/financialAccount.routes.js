@@ -0,0 +1,40 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getAccounts,
+  getAccount,
+  createAccount,
+  updateAccount,
+  closeAccount,
+  getRegister,
+  recalculateAccount,
+  previewReconciliation,
+  reconcileAccount
+} = require('../../controllers/financialAccount.controller');
+const {
+  validateFinancialAccount,
+  validateFinancialAccountUpdate,
+  validateFinancialAccountId,
+  validateFinancialAccountFilters,
+  validateRegisterQuery,
+  validateReconciliation
+} = require('../../middleware/validation/financialAccount.validation');
+const { sanitizeInput, preventNoSQLInjection } = require('../../middleware/sanitizer');
+const { authenticate } = require('../../middleware/auth');
+
+// All account routes require authentication
+router.use(authenticate);
+router.use(sanitizeInput);
+router.use(preventNoSQLInjection);
+
+router.get('/', validateFinancialAccountFilters, getAccounts);
+router.post('/', validateFinancialAccount, createAccount);
+router.get('/:id', validateFinancialAccountId, getAccount);
+router.put('/:id', validateFinancialAccountId, validateFinancialAccountUpdate, updateAccount);
+router.delete('/:id', validateFinancialAccountId, closeAccount);
+router.get('/:id/register', validateFinancialAccountId, validateRegisterQuery, getRegister);
+router.post('/:id/recalculate', validateFinancialAccountId, recalculateAccount);
+router.post('/:id/reconcile/preview', validateFinancialAccountId, validateReconciliation, previewReconciliation);
+router.post('/:id/reconcile', validateFinancialAccountId, validateReconciliation, reconcileAccount);
+
+module.exports = router;
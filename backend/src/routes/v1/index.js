@@ -5,23 +5,45 @@ const router = express.Router();
 const authRoutes = require('./auth.routes');
 const transactionRoutes = require('./transaction.routes');
 const ingestionRoutes = require('./ingestion.routes');
+const categoryRoutes = require('./category.routes');
+const categorizationRuleRoutes = require('./categorizationRule.routes');
 const budgetRoutes = require('./budget.routes');
+const envelopeRoutes = require('./envelope.routes');
+const subscriptionRoutes = require('./subscription.routes');
+const savingsRoutes = require('./savings.routes');
+const financialAccountRoutes = require('./financialAccount.routes');
+const transferRoutes = require('./transfer.routes');
+const exchangeRateRoutes = require('./exchangeRate.routes');
+const netWorthRoutes = require('./netWorth.routes');
 const aiRoutes = require('./ai.routes');
 const analysisRoutes = require('./analysis.routes');
 const learningRoutes = require('./learning.routes');
 const suggestionRoutes = require('./suggestion.routes');
 const weeklyRoutes = require('./weekly.routes');
+const adminRoutes = require('./admin.routes');
+const userDataRoutes = require('./userData.routes');
 
 // Mount routes
 router.use('/auth', authRoutes);
 router.use('/transactions', transactionRoutes);
 router.use('/ingestion', ingestionRoutes);
+router.use('/categories', categoryRoutes);
+router.use('/categorization-rules', categorizationRuleRoutes);
 router.use('/budgets', budgetRoutes);
+router.use('/envelopes', envelopeRoutes);
+router.use('/subscriptions', subscriptionRoutes);
+router.use('/savings', savingsRoutes);
+router.use('/accounts', financialAccountRoutes);
+router.use('/transfers', transferRoutes);
+router.use('/exchange-rates', exchangeRateRoutes);
+router.use('/networth', netWorthRoutes);
 router.use('/ai', aiRoutes);
 router.use('/analysis', analysisRoutes);
 router.use('/learning', learningRoutes);
 router.use('/suggestions', suggestionRoutes);
 router.use('/weekly', weeklyRoutes);
+router.use('/me', userDataRoutes);
+router.use('/admin', adminRoutes);
 
 // API info endpoint
 router.get('/', (req, res) => {
@@ -33,12 +55,23 @@ router.get('/', (req, res) => {
       auth: '/api/v1/auth',
       transactions: '/api/v1/transactions',
       ingestion: '/api/v1/ingestion',
+      categories: '/api/v1/categories',
+      categorizationRules: '/api/v1/categorization-rules',
       budgets: '/api/v1/budgets',
+      envelopes: '/api/v1/envelopes',
+      subscriptions: '/api/v1/subscriptions',
+      savings: '/api/v1/savings',
+      accounts: '/api/v1/accounts',
+      transfers: '/api/v1/transfers',
+      exchangeRates: '/api/v1/exchange-rates',
+      networth: '/api/v1/networth',
       ai: '/api/v1/ai',
       analysis: '/api/v1/analysis',
       learning: '/api/v1/learning',
       suggestions: '/api/v1/suggestions',
-      weekly: '/api/v1/weekly'
+      weekly: '/api/v1/weekly',
+      me: '/api/v1/me',
+      admin: '/api/v1/admin'
     }
   });
 });
@@ -1,9 +1,45 @@
 const express = require('express');
 const router = express.Router();
+const {
+  createTransaction,
+  bulkCreateTransactions,
+  previewCSV,
+  importCSV,
+  getCSVTemplate,
+  upload
+} = require('../../controllers/ingestion.controller');
+const {
+  validateTransaction,
+  validateBulkTransactions
+} = require('../../middleware/validation/transaction.validation');
+const { sanitizeInput, preventNoSQLInjection } = require('../../middleware/sanitizer');
+const { ingestionLimiter, csvUploadLimiter } = require('../../middleware/rateLimiter');
+const { authenticate } = require('../../middleware/auth');
 
-// Placeholder ingestion routes
-router.post('/upload', (req, res) => {
-  res.json({ message: 'Upload data - not implemented yet' });
-});
+// All ingestion routes require authentication
+router.use(authenticate);
 
-module.exports = router;
\ No newline at end of file
+// Manual ingestion
+router.post(
+  '/manual',
+  ingestionLimiter,
+  sanitizeInput,
+  preventNoSQLInjection,
+  validateTransaction,
+  createTransaction
+);
+router.post(
+  '/bulk',
+  ingestionLimiter,
+  sanitizeInput,
+  preventNoSQLInjection,
+  validateBulkTransactions,
+  bulkCreateTransactions
+);
+
+// CSV ingestion
+router.get('/csv/template', getCSVTemplate);
+router.post('/csv/preview', csvUploadLimiter, upload, sanitizeInput, previewCSV);
+router.post('/csv/import', csvUploadLimiter, upload, sanitizeInput, preventNoSQLInjection, importCSV);
+
+module.exports = router;
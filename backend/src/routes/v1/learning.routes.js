@@ -1,9 +1,53 @@
 const express = require('express');
 const router = express.Router();
+const {
+  processFeedback,
+  getLearningProfile,
+  updatePreferences,
+  getCategoryPreferences,
+  updateCategoryPreference,
+  getSuggestionPreferences,
+  updateSuggestionTypePreference,
+  getDecisionPatterns,
+  adjustWeights,
+  resetPreferences,
+  getLearningInsights,
+  exportPreferences,
+  importPreferences,
+  getFrequencyRecommendations,
+  updateQuietHours,
+  evaluateSuggestion
+} = require('../../controllers/learning.controller');
+const { sanitizeInput, preventNoSQLInjection } = require('../../middleware/sanitizer');
+const { authenticate } = require('../../middleware/auth');
 
-// Placeholder learning routes
-router.get('/', (req, res) => {
-  res.json({ message: 'Learning endpoints - not implemented yet' });
-});
+// All learning routes require authentication
+router.use(authenticate);
+router.use(sanitizeInput);
+router.use(preventNoSQLInjection);
 
-module.exports = router;
\ No newline at end of file
+// Profile and insights
+router.get('/profile', getLearningProfile);
+router.get('/insights', getLearningInsights);
+router.get('/patterns', getDecisionPatterns);
+router.get('/frequency', getFrequencyRecommendations);
+
+// Feedback
+router.post('/feedback/:suggestionId', processFeedback);
+router.post('/evaluate', evaluateSuggestion);
+router.post('/weights/adjust', adjustWeights);
+
+// Preferences
+router.get('/preferences', getSuggestionPreferences);
+router.patch('/preferences', updatePreferences);
+router.post('/preferences/reset', resetPreferences);
+router.get('/preferences/export', exportPreferences);
+router.post('/preferences/import', importPreferences);
+router.put('/preferences/quiet-hours', updateQuietHours);
+router.patch('/preferences/types/:type', updateSuggestionTypePreference);
+
+// Category preferences
+router.get('/categories', getCategoryPreferences);
+router.patch('/categories/:categoryId', updateCategoryPreference);
+
+module.exports = router;
@@ -0,0 +1,38 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getHistory,
+  getCurrent,
+  captureSnapshot,
+  getItems,
+  createItem,
+  updateItem,
+  addValuation,
+  deleteItem
+} = require('../../controllers/netWorth.controller');
+const {
+  validateNetWorthItem,
+  validateNetWorthItemUpdate,
+  validateValuation,
+  validateNetWorthItemId,
+  validateNetWorthHistory
+} = require('../../middleware/validation/netWorth.validation');
+const { sanitizeInput, preventNoSQLInjection } = require('../../middleware/sanitizer');
+const { authenticate } = require('../../middleware/auth');
+
+// All net worth routes require authentication
+router.use(authenticate);
+router.use(sanitizeInput);
+router.use(preventNoSQLInjection);
+
+router.get('/', validateNetWorthHistory, getHistory);
+router.get('/current', getCurrent);
+router.post('/snapshots', captureSnapshot);
+
+router.get('/items', getItems);
+router.post('/items', validateNetWorthItem, createItem);
+router.put('/items/:id', validateNetWorthItemId, validateNetWorthItemUpdate, updateItem);
+router.delete('/items/:id', validateNetWorthItemId, deleteItem);
+router.post('/items/:id/valuations', validateNetWorthItemId, validateValuation, addValuation);
+
+module.exports = router;
@@ -0,0 +1,35 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getGoals,
+  getGoal,
+  createGoal,
+  updateGoal,
+  cancelGoal,
+  contribute,
+  withdraw
+} = require('../../controllers/savings.controller');
+const {
+  validateGoal,
+  validateGoalUpdate,
+  validateGoalMovement,
+  validateGoalId,
+  validateGoalFilters
+} = require('../../middleware/validation/savings.validation');
+const { sanitizeInput, preventNoSQLInjection } = require('../../middleware/sanitizer');
+const { authenticate } = require('../../middleware/auth');
+
+// All savings routes require authentication
+router.use(authenticate);
+router.use(sanitizeInput);
+router.use(preventNoSQLInjection);
+
+router.get('/', validateGoalFilters, getGoals);
+router.post('/', validateGoal, createGoal);
+router.get('/:id', validateGoalId, getGoal);
+router.put('/:id', validateGoalId, validateGoalUpdate, updateGoal);
+router.delete('/:id', validateGoalId, cancelGoal);
+router.post('/:id/contributions', validateGoalId, validateGoalMovement, contribute);
+router.post('/:id/withdrawals', validateGoalId, validateGoalMovement, withdraw);
+
+module.exports = router;
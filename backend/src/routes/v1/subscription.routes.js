@@ -0,0 +1,37 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getSubscriptions,
+  getBillingCalendar,
+  getSubscription,
+  createSubscription,
+  updateSubscription,
+  pauseSubscription,
+  resumeSubscription,
+  cancelSubscription
+} = require('../../controllers/subscription.controller');
+const {
+  validateSubscription,
+  validateSubscriptionUpdate,
+  validateSubscriptionId,
+  validateSubscriptionFilters,
+  validateCalendarRange
+} = require('../../middleware/validation/subscription.validation');
+const { sanitizeInput, preventNoSQLInjection } = require('../../middleware/sanitizer');
+const { authenticate } = require('../../middleware/auth');
+
+// All subscription routes require authentication
+router.use(authenticate);
+router.use(sanitizeInput);
+router.use(preventNoSQLInjection);
+
+router.get('/', validateSubscriptionFilters, getSubscriptions);
+router.post('/', validateSubscription, createSubscription);
+router.get('/calendar', validateCalendarRange, getBillingCalendar);
+router.get('/:id', validateSubscriptionId, getSubscription);
+router.put('/:id', validateSubscriptionId, validateSubscriptionUpdate, updateSubscription);
+router.delete('/:id', validateSubscriptionId, cancelSubscription);
+router.post('/:id/pause', validateSubscriptionId, pauseSubscription);
+router.post('/:id/resume', validateSubscriptionId, resumeSubscription);
+
+module.exports = router;
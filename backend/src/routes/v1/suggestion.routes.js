@@ -1,9 +1,51 @@
 const express = require('express');
 const router = express.Router();
+const {
+  getPendingSuggestions,
+  getSuggestion,
+  approveSuggestion,
+  rejectSuggestion,
+  applySuggestion,
+  rollbackSuggestion,
+  cancelSuggestion,
+  batchApprove,
+  getSuggestionStats,
+  getAuditTrail,
+  provideFeedback,
+  getApprovalRequirements,
+  validateSuggestion,
+  getNotificationCount,
+  markNotificationRead,
+  markAllNotificationsRead
+} = require('../../controllers/suggestion.controller');
+const { sanitizeInput, preventNoSQLInjection } = require('../../middleware/sanitizer');
+const { authenticate } = require('../../middleware/auth');
 
-// Placeholder suggestion routes
-router.get('/', (req, res) => {
-  res.json({ message: 'Suggestion endpoints - not implemented yet' });
-});
+// All suggestion routes require authentication
+router.use(authenticate);
+router.use(sanitizeInput);
+router.use(preventNoSQLInjection);
 
-module.exports = router;
\ No newline at end of file
+// Collection-level routes (must precede /:id)
+router.get('/', getPendingSuggestions);
+router.get('/stats', getSuggestionStats);
+router.post('/validate', validateSuggestion);
+router.post('/batch/approve', batchApprove);
+router.get('/requirements/:type', getApprovalRequirements);
+
+// Notifications
+router.get('/notifications', getNotificationCount);
+router.patch('/notifications/read-all', markAllNotificationsRead);
+router.patch('/notifications/:id/read', markNotificationRead);
+
+// Single suggestion
+router.get('/:id', getSuggestion);
+router.get('/:id/audit', getAuditTrail);
+router.post('/:id/approve', approveSuggestion);
+router.post('/:id/reject', rejectSuggestion);
+router.post('/:id/apply', applySuggestion);
+router.post('/:id/rollback', rollbackSuggestion);
+router.post('/:id/feedback', provideFeedback);
+router.patch('/:id/dismiss', cancelSuggestion);
+
+module.exports = router;
@@ -1,13 +1,95 @@
 const express = require('express');
 const router = express.Router();
+const {
+  createTransaction,
+  bulkCreateTransactions,
+  updateTransaction,
+  deleteTransaction,
+  getTransaction,
+  getTransactions,
+  previewCSV,
+  importCSV,
+  getCSVTemplate,
+  upload
+} = require('../../controllers/ingestion.controller');
+const {
+  getRefunds,
+  createRefund,
+  linkRefund,
+  getRefundCandidates
+} = require('../../controllers/refund.controller');
+const {
+  validateTransaction,
+  validateTransactionUpdate,
+  validateBulkTransactions,
+  validateTransactionId,
+  validateQueryFilters
+} = require('../../middleware/validation/transaction.validation');
+const {
+  validateRefund,
+  validateRefundLink,
+  validateRefundCandidates
+} = require('../../middleware/validation/refund.validation');
+const { sanitizeInput, preventNoSQLInjection } = require('../../middleware/sanitizer');
+const { ingestionLimiter, csvUploadLimiter } = require('../../middleware/rateLimiter');
+const { authenticate } = require('../../middleware/auth');
 
-// Placeholder transaction routes
-router.get('/', (req, res) => {
-  res.json({ message: 'Get transactions - not implemented yet' });
-});
+// All transaction routes require authentication
+router.use(authenticate);
 
-router.post('/', (req, res) => {
-  res.json({ message: 'Create transaction - not implemented yet' });
-});
+// CSV import (multer must run before the body can be sanitized)
+router.get('/template', getCSVTemplate);
+router.post('/preview', csvUploadLimiter, upload, sanitizeInput, previewCSV);
+router.post('/import', csvUploadLimiter, upload, sanitizeInput, preventNoSQLInjection, importCSV);
 
-module.exports = router;
\ No newline at end of file
+// Bulk creation
+router.post(
+  '/bulk',
+  ingestionLimiter,
+  sanitizeInput,
+  preventNoSQLInjection,
+  validateBulkTransactions,
+  bulkCreateTransactions
+);
+
+// Refunds
+router.get('/refund-candidates', sanitizeInput, validateRefundCandidates, getRefundCandidates);
+router.get('/:id/refunds', validateTransactionId, getRefunds);
+router.post(
+  '/:id/refunds',
+  ingestionLimiter,
+  sanitizeInput,
+  preventNoSQLInjection,
+  validateRefund,
+  createRefund
+);
+router.post(
+  '/:id/link-refund',
+  sanitizeInput,
+  preventNoSQLInjection,
+  validateRefundLink,
+  linkRefund
+);
+
+// CRUD
+router.get('/', sanitizeInput, validateQueryFilters, getTransactions);
+router.post(
+  '/',
+  ingestionLimiter,
+  sanitizeInput,
+  preventNoSQLInjection,
+  validateTransaction,
+  createTransaction
+);
+router.get('/:id', validateTransactionId, getTransaction);
+router.put(
+  '/:id',
+  sanitizeInput,
+  preventNoSQLInjection,
+  validateTransactionId,
+  validateTransactionUpdate,
+  updateTransaction
+);
+router.delete('/:id', validateTransactionId, deleteTransaction);
+
+module.exports = router;
@@ -0,0 +1,30 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getTransfers,
+  getTransfer,
+  createTransfer,
+  updateTransfer,
+  deleteTransfer
+} = require('../../controllers/transfer.controller');
+const {
+  validateTransfer,
+  validateTransferUpdate,
+  validateTransferId,
+  validateTransferFilters
+} = require('../../middleware/validation/transfer.validation');
+const { sanitizeInput, preventNoSQLInjection } = require('../../middleware/sanitizer');
+const { authenticate } = require('../../middleware/auth');
+
+// All transfer routes require authentication
+router.use(authenticate);
+router.use(sanitizeInput);
+router.use(preventNoSQLInjection);
+
+router.get('/', validateTransferFilters, getTransfers);
+router.post('/', validateTransfer, createTransfer);
+router.get('/:groupId', validateTransferId, getTransfer);
+router.put('/:groupId', validateTransferId, validateTransferUpdate, updateTransfer);
+router.delete('/:groupId', validateTransferId, deleteTransfer);
+
+module.exports = router;
@@ -0,0 +1,36 @@
+const express = require('express');
+const router = express.Router();
+const {
+  exportData,
+  getExportCollections,
+  getDeletionStatus,
+  requestDeletion,
+  cancelDeletion,
+  updateReportingCurrency
+} = require('../../controllers/userData.controller');
+const {
+  validateDataExport,
+  validateDeletionRequest,
+  validateReportingCurrency
+} = require('../../middleware/validation/userData.validation');
+const { sanitizeInput, preventNoSQLInjection } = require('../../middleware/sanitizer');
+const { authenticate, requireMFA } = require('../../middleware/auth');
+
+// All routes for the signed-in user's own data require authentication
+router.use(authenticate);
+router.use(sanitizeInput);
+router.use(preventNoSQLInjection);
+
+// Currency used for totals and reports
+router.put('/reporting-currency', validateReportingCurrency, updateReportingCurrency);
+
+// Personal data export
+router.get('/export', validateDataExport, exportData);
+router.get('/export/collections', getExportCollections);
+
+// Account deletion (grace period before data is erased)
+router.get('/deletion', getDeletionStatus);
+router.post('/deletion', requireMFA, validateDeletionRequest, requestDeletion);
+router.delete('/deletion', cancelDeletion);
+
+module.exports = router;
@@ -1,9 +1,33 @@
 const express = require('express');
 const router = express.Router();
+const {
+  getSummaries,
+  getSummaryById,
+  markSummaryViewed,
+  getLatestSummary,
+  generateSummary,
+  getSummaryStats,
+  getSummaryBullets,
+  getSummaryTrends
+} = require('../../controllers/weekly.controller');
+const { sanitizeInput } = require('../../middleware/sanitizer');
+const { aiLimiter } = require('../../middleware/rateLimiter');
+const { authenticate } = require('../../middleware/auth');
 
-// Placeholder weekly routes
-router.get('/', (req, res) => {
-  res.json({ message: 'Weekly endpoints - not implemented yet' });
-});
+// All weekly routes require authentication
+router.use(authenticate);
+router.use(sanitizeInput);
 
-module.exports = router;
\ No newline at end of file
+// Summaries (must precede /:id)
+router.get('/', getSummaries);
+router.get('/latest', getLatestSummary);
+router.get('/bullets', getSummaryBullets);
+router.get('/trends', getSummaryTrends);
+router.get('/stats', getSummaryStats);
+router.post('/generate', aiLimiter, generateSummary);
+
+// Single summary
+router.get('/:id', getSummaryById);
+router.patch('/:id/view', markSummaryViewed);
+
+module.exports = router;
@@ -1,5 +1,8 @@
 const mongoose = require('mongoose');
 const Transaction = require('../../../models/Transaction');
+const Category = require('../../../models/Category');
+const SplitUtils = require('../../../utils/splitUtils');
+const CategoryTreeUtils = require('../../../utils/categoryTreeUtils');
 
 class CategoryCalculator {
   /**
@@ -15,17 +18,23 @@ class CategoryCalculator {
           type: 'expense'
         }
       },
+      // One document per category line so split transactions are attributed
+      // to each of their categories; amounts are in the reporting currency
+      ...SplitUtils.categoryLineStages(),
+      {
+        $addFields: { reportingAmount: '$lineAmount' }
+      },
       {
         $group: {
           _id: '$categoryId',
-          total: { $sum: '$amount' },
+          total: { $sum: '$reportingAmount' },
           count: { $sum: 1 },
-          avgAmount: { $avg: '$amount' },
-          minAmount: { $min: '$amount' },
-          maxAmount: { $max: '$amount' },
+          avgAmount: { $avg: '$reportingAmount' },
+          minAmount: { $min: '$reportingAmount' },
+          maxAmount: { $max: '$reportingAmount' },
           firstTransaction: { $min: '$date' },
           lastTransaction: { $max: '$date' },
-          transactions: { $push: { amount: '$amount', date: '$date' } }
+          transactions: { $push: { amount: '$reportingAmount', date: '$date' } }
         }
       },
       {
@@ -44,6 +53,7 @@ class CategoryCalculator {
           categoryId: '$_id',
           categoryName: '$categoryInfo.name',
           categoryType: '$categoryInfo.type',
+          parentCategoryId: '$categoryInfo.parentCategory',
           total: 1,
           count: 1,
           avgAmount: 1,
@@ -73,13 +83,27 @@ class CategoryCalculator {
     }));
   }
 
+  /**
+   * Category totals rolled up the category tree: each parent's total
+   * includes its children. Pass already computed totals to skip the query.
+   */
+  async calculateRollupTotals(userId, startDate, endDate, totals = null) {
+    const [rows, categories] = await Promise.all([
+      totals || this.calculateCategoryTotals(userId, startDate, endDate),
+      this.getUserCategories(userId)
+    ]);
+
+    return CategoryTreeUtils.rollUp(categories, rows);
+  }
+
   /**
    * Calculate category deltas between two periods
    */
   async calculateCategoryDeltas(userId, currentStart, currentEnd, previousStart, previousEnd) {
-    const [currentPeriod, previousPeriod] = await Promise.all([
+    const [currentPeriod, previousPeriod, categories] = await Promise.all([
       this.calculateCategoryTotals(userId, currentStart, currentEnd),
-      this.calculateCategoryTotals(userId, previousStart, previousEnd)
+      this.calculateCategoryTotals(userId, previousStart, previousEnd),
+      this.getUserCategories(userId)
     ]);
 
     const previousMap = new Map(
@@ -143,6 +167,10 @@ class CategoryCalculator {
         previous: { start: previousStart, end: previousEnd }
       },
       deltas: deltas.sort((a, b) => Math.abs(b.percentageDelta) - Math.abs(a.percentageDelta)),
+      parentDeltas: this.calculateParentDeltas(
+        CategoryTreeUtils.rollUp(categories, currentPeriod),
+        CategoryTreeUtils.rollUp(categories, previousPeriod)
+      ),
       summary: {
         totalCurrent: currentPeriod.reduce((sum, c) => sum + c.total, 0),
         totalPrevious: previousPeriod.reduce((sum, c) => sum + c.total, 0),
@@ -157,13 +185,64 @@ class CategoryCalculator {
   }
 
   /**
-   * Get category spending trends over multiple periods
+   * Change in rolled-up totals for categories that have children
+   */
+  calculateParentDeltas(currentRollups, previousRollups) {
+    const previousMap = new Map(previousRollups.map(r => [r.categoryId.toString(), r]));
+    const currentMap = new Map(currentRollups.map(r => [r.categoryId.toString(), r]));
+    const keys = new Set([...currentMap.keys(), ...previousMap.keys()]);
+
+    return [...keys]
+      .map(key => {
+        const current = currentMap.get(key);
+        const previous = previousMap.get(key);
+        const info = current || previous;
+        const currentTotal = current?.total || 0;
+        const previousTotal = previous?.total || 0;
+        const absoluteDelta = currentTotal - previousTotal;
+
+        return {
+          categoryId: info.categoryId,
+          categoryName: info.categoryName,
+          categoryType: info.categoryType,
+          childCount: info.childCount,
+          currentTotal,
+          previousTotal,
+          absoluteDelta,
+          percentageDelta: previousTotal > 0 ? (absoluteDelta / previousTotal) * 100 : (currentTotal > 0 ? 100 : 0),
+          trend: absoluteDelta > 0 ? 'increasing' : absoluteDelta < 0 ? 'decreasing' : 'stable'
+        };
+      })
+      .filter(delta => delta.childCount > 0)
+      .sort((a, b) => Math.abs(b.absoluteDelta) - Math.abs(a.absoluteDelta));
+  }
+
+  /**
+   * Get category spending trends over multiple periods. A requested parent
+   * category includes the spending of its children.
    */
   async getCategoryTrends(userId, categoryIds, periods = 6) {
     const endDate = new Date();
     const startDate = new Date();
     startDate.setMonth(startDate.getMonth() - periods);
 
+    // Each descendant reports under the requested category it belongs to
+    const rollupTargets = new Map();
+    if (categoryIds) {
+      const categories = await this.getUserCategories(userId);
+      // Requested categories always report under themselves
+      categoryIds.forEach(id => rollupTargets.set(id.toString(), id.toString()));
+      categoryIds.forEach(id => {
+        CategoryTreeUtils.getDescendantIds(categories, id).forEach(key => {
+          if (!rollupTargets.has(key)) rollupTargets.set(key, id.toString());
+        });
+      });
+    }
+
+    const categoryObjectIds = categoryIds
+      ? [...rollupTargets.keys()].map(id => new mongoose.Types.ObjectId(id))
+      : null;
+
     const pipeline = [
       {
         $match: {
@@ -171,9 +250,12 @@ class CategoryCalculator {
           date: { $gte: startDate, $lte: endDate },
           status: 'completed',
           type: 'expense',
-          ...(categoryIds && { categoryId: { $in: categoryIds.map(id => new mongoose.Types.ObjectId(id)) } })
+          ...(categoryIds && SplitUtils.categoryMatch(categoryObjectIds))
         }
       },
+      ...SplitUtils.categoryLineStages(),
+      ...(categoryIds ? [{ $match: { categoryId: { $in: categoryObjectIds } } }] : []),
+      ...(categoryIds ? [{ $addFields: { categoryId: this.rollupTargetExpr(rollupTargets) } }] : []),
       {
         $group: {
           _id: {
@@ -181,7 +263,7 @@ class CategoryCalculator {
             year: { $year: '$date' },
             month: { $month: '$date' }
           },
-          total: { $sum: '$amount' },
+          total: { $sum: '$lineAmount' },
           count: { $sum: 1 }
         }
       },
@@ -220,6 +302,26 @@ class CategoryCalculator {
     return await Transaction.aggregate(pipeline);
   }
 
+  /**
+   * Expression mapping a line's category to the requested category it rolls up to
+   */
+  rollupTargetExpr(rollupTargets) {
+    const branches = [...rollupTargets.entries()]
+      .filter(([key, target]) => key !== target)
+      .map(([key, target]) => ({
+        case: { $eq: ['$categoryId', new mongoose.Types.ObjectId(key)] },
+        then: new mongoose.Types.ObjectId(target)
+      }));
+
+    return branches.length > 0
+      ? { $switch: { branches, default: '$categoryId' } }
+      : '$categoryId';
+  }
+
+  async getUserCategories(userId) {
+    return Category.find({ userId }).select('name type parentCategory').lean();
+  }
+
   getDaysBetween(startDate, endDate) {
     const diffTime = Math.abs(endDate - startDate);
     return Math.ceil(diffTime / (1000 * 60 * 60 * 24));
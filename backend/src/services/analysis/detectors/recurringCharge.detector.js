@@ -0,0 +1,294 @@
+const Transaction = require('../../../models/Transaction');
+const Subscription = require('../../../models/Subscription');
+const AIInsight = require('../../../models/AIInsight');
+const PendingSuggestion = require('../../../models/PendingSuggestion');
+const ClusteringCalculator = require('../calculators/clustering.calculator');
+const SuggestionManager = require('../../suggestions/suggestion.manager');
+const { getNextBillingDate } = require('../../../utils/dateUtils');
+
+class RecurringChargeDetector {
+  constructor() {
+    this.clusteringCalculator = ClusteringCalculator;
+
+    // Expected gap between charges, in days
+    this.frequencies = [
+      { frequency: 'weekly', min: 6, max: 8, perYear: 52 },
+      { frequency: 'monthly', min: 27, max: 33, perYear: 12 },
+      { frequency: 'quarterly', min: 85, max: 97, perYear: 4 },
+      { frequency: 'yearly', min: 355, max: 375, perYear: 1 }
+    ];
+
+    this.minOccurrences = {
+      weekly: 4,
+      monthly: 3,
+      quarterly: 3,
+      yearly: 2
+    };
+  }
+
+  /**
+   * Find charges that repeat at a regular interval with a stable amount
+   */
+  async detectRecurringCharges(userId, options = {}) {
+    const {
+      lookbackDays = 400,
+      amountTolerance = 0.1, // 10% deviation from the typical amount
+      now = new Date()
+    } = options;
+
+    const since = new Date(now);
+    since.setDate(since.getDate() - lookbackDays);
+
+    const [transactions, tracked] = await Promise.all([
+      Transaction.find({
+        userId,
+        type: 'expense',
+        status: 'completed',
+        subscriptionId: null,
+        date: { $gte: since, $lte: now }
+      }).sort({ date: 1 }).lean(),
+      Subscription.find({
+        userId,
+        status: { $nin: ['cancelled', 'expired'] }
+      }).select('name provider.name').lean()
+    ]);
+
+    const trackedKeys = new Set(
+      tracked.flatMap(s => [s.name, s.provider?.name].filter(Boolean).map(n => this.getMerchantKey(n)))
+    );
+
+    const candidates = [];
+
+    for (const [merchantKey, group] of this.groupByMerchant(transactions)) {
+      if (trackedKeys.has(merchantKey)) continue;
+
+      const series = this.filterByAmount(group, amountTolerance);
+      const candidate = this.analyzeSeries(merchantKey, series, now);
+
+      if (candidate) {
+        candidates.push(candidate);
+      }
+    }
+
+    return candidates.sort((a, b) => b.annualCost - a.annualCost);
+  }
+
+  /**
+   * Create a track_subscription suggestion for each newly detected charge
+   */
+  async proposeSubscriptions(userId, options = {}) {
+    const candidates = await this.detectRecurringCharges(userId, options);
+    const suggestions = [];
+
+    // Merchants already waiting for review get no new insight or suggestion
+    const proposed = await PendingSuggestion.find({
+      userId,
+      type: 'track_subscription',
+      status: { $in: ['pending', 'approved'] }
+    }).select('proposedChanges.merchantKey').lean();
+    const proposedKeys = new Set(proposed.map(s => s.proposedChanges?.merchantKey).filter(Boolean));
+
+    for (const candidate of candidates) {
+      if (proposedKeys.has(candidate.merchantKey)) continue;
+
+      try {
+        const insight = await AIInsight.create({
+          userId,
+          type: 'subscription_optimization',
+          title: `Recurring charge detected: ${candidate.name}`,
+          description: `${candidate.name} charged about $${candidate.amount.toFixed(2)} ${candidate.frequency} ` +
+            `(${candidate.occurrences} times since ${candidate.firstDate.toLocaleDateString()}).`,
+          confidence: candidate.confidence,
+          priority: candidate.annualCost > 500 ? 'high' : candidate.annualCost > 100 ? 'medium' : 'low',
+          impact: {
+            type: 'neutral',
+            amount: candidate.annualCost,
+            timeframe: 'yearly'
+          },
+          actionItems: [{
+            type: 'review',
+            description: 'Track this charge as a subscription',
+            priority: 'medium',
+            parameters: { merchantKey: candidate.merchantKey }
+          }]
+        });
+
+        const suggestion = await SuggestionManager.createSuggestion(userId, {
+          _id: insight._id,
+          type: 'track_subscription',
+          title: `Track ${candidate.name} as a subscription`,
+          description: `We found ${candidate.occurrences} ${candidate.frequency} charges of about ` +
+            `$${candidate.amount.toFixed(2)} from ${candidate.name}. Track it to get billing reminders ` +
+            `and see it in your billing calendar.`,
+          proposedChanges: {
+            merchantKey: candidate.merchantKey,
+            name: candidate.name,
+            categoryId: candidate.categoryId,
+            amount: candidate.amount,
+            frequency: candidate.frequency,
+            billingDate: candidate.billingDate,
+            nextBillingDate: candidate.nextBillingDate,
+            paymentMethod: candidate.paymentMethod,
+            transactionIds: candidate.transactionIds
+          },
+          estimatedImpact: {
+            amount: candidate.annualCost,
+            timeframe: 'yearly',
+            confidence: candidate.confidence,
+            description: `About $${candidate.annualCost.toFixed(2)} per year`
+          },
+          metadata: {
+            source: 'system',
+            tags: ['recurring_charge', candidate.frequency]
+          }
+        });
+
+        suggestions.push(suggestion);
+      } catch (error) {
+        console.error(`Failed to propose subscription for ${candidate.name}:`, error);
+      }
+    }
+
+    return {
+      detected: candidates.length,
+      proposed: suggestions.length,
+      suggestions
+    };
+  }
+
+  /**
+   * Group transactions by normalized merchant name (or description)
+   */
+  groupByMerchant(transactions) {
+    const groups = new Map();
+
+    for (const transaction of transactions) {
+      const key = this.getMerchantKey(transaction.merchant?.name || transaction.description);
+      if (!key) continue;
+
+      if (!groups.has(key)) {
+        groups.set(key, []);
+      }
+      groups.get(key).push(transaction);
+    }
+
+    return groups;
+  }
+
+  /**
+   * Normalize a merchant name so "NETFLIX.COM 1234" and "Netflix.com" match
+   */
+  getMerchantKey(name) {
+    return (name || '')
+      .toLowerCase()
+      .replace(/[0-9#*]+/g, ' ')
+      .replace(/[^a-z\s]/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Drop trailing reference numbers from a bank description
+   */
+  getDisplayName(name) {
+    return (name || '').replace(/[\s#*-]*\d[\d\s#*-]*$/, '').trim() || name;
+  }
+
+  /**
+   * Keep transactions whose amount is within tolerance of the group's median
+   */
+  filterByAmount(transactions, tolerance) {
+    if (transactions.length === 0) return [];
+
+    const median = this.getMedian(transactions.map(t => t.amount));
+    return transactions.filter(t => Math.abs(t.amount - median) <= median * tolerance);
+  }
+
+  /**
+   * Infer frequency and next billing date for a merchant's charges
+   */
+  analyzeSeries(merchantKey, series, now) {
+    if (series.length < 2) return null;
+
+    const sorted = series.map(t => ({ ...t, date: new Date(t.date) }));
+    const intervals = [];
+    for (let i = 1; i < sorted.length; i++) {
+      intervals.push((sorted[i].date - sorted[i - 1].date) / (1000 * 60 * 60 * 24));
+    }
+
+    const medianInterval = this.getMedian(intervals);
+    const match = this.frequencies.find(f => medianInterval >= f.min && medianInterval <= f.max);
+    if (!match) return null;
+
+    if (sorted.length < this.minOccurrences[match.frequency]) return null;
+
+    // Two yearly charges can't be checked for consistency; longer series must be periodic
+    if (sorted.length >= 3 && !this.clusteringCalculator.isPeriodic(sorted)) return null;
+
+    const last = sorted[sorted.length - 1];
+    const billingDate = last.date.getDate();
+    const nextBillingDate = getNextBillingDate(match.frequency, 1, billingDate, last.date);
+
+    // A charge that stopped more than one cycle ago is no longer active
+    const graceDays = (match.max - match.min) + 3;
+    if (now - nextBillingDate > graceDays * 24 * 60 * 60 * 1000) return null;
+
+    const amount = Math.round(this.getMedian(sorted.map(t => t.amount)) * 100) / 100;
+
+    return {
+      merchantKey,
+      name: this.getDisplayName(last.merchant?.name || last.description),
+      categoryId: this.getMostCommon(sorted.map(t => t.categoryId?.toString()).filter(Boolean)),
+      paymentMethod: this.getMostCommon(sorted.map(t => t.paymentMethod).filter(Boolean)),
+      amount,
+      frequency: match.frequency,
+      billingDate,
+      nextBillingDate,
+      occurrences: sorted.length,
+      firstDate: sorted[0].date,
+      lastDate: last.date,
+      annualCost: Math.round(amount * match.perYear * 100) / 100,
+      confidence: this.calculateConfidence(sorted, intervals),
+      transactionIds: sorted.map(t => t._id)
+    };
+  }
+
+  /**
+   * Confidence from number of occurrences and regularity of amount and timing
+   */
+  calculateConfidence(series, intervals) {
+    const amounts = series.map(t => t.amount);
+    const amountMean = amounts.reduce((a, b) => a + b, 0) / amounts.length;
+    const intervalMean = intervals.reduce((a, b) => a + b, 0) / intervals.length;
+
+    const amountCv = amountMean > 0
+      ? this.clusteringCalculator.calculateStdDev(amounts, amountMean) / amountMean
+      : 1;
+    const intervalCv = intervalMean > 0
+      ? this.clusteringCalculator.calculateStdDev(intervals, intervalMean) / intervalMean
+      : 1;
+
+    const occurrenceScore = Math.min(series.length / 6, 1) * 40;
+    const amountScore = Math.max(0, 1 - amountCv * 5) * 30;
+    const timingScore = Math.max(0, 1 - intervalCv * 5) * 30;
+
+    return Math.round(occurrenceScore + amountScore + timingScore);
+  }
+
+  getMedian(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+  }
+
+  getMostCommon(values) {
+    const counts = values.reduce((acc, v) => {
+      acc[v] = (acc[v] || 0) + 1;
+      return acc;
+    }, {});
+
+    return Object.keys(counts).sort((a, b) => counts[b] - counts[a])[0];
+  }
+}
+
+module.exports = new RecurringChargeDetector();
@@ -4,6 +4,7 @@ const Category = require('../../../models/Category');
 const CategoryCalculator = require('../calculators/category.calculator');
 const SignalGenerator = require('../signal/signal.generator');
 const SignalStorage = require('../signal/signal.storage');
+const RefundUtils = require('../../../utils/refundUtils');
 const { getDateRangeForAnalysis } = require('../../../utils/dateUtils');
 
 class AggregationEngine {
@@ -38,6 +39,14 @@ class AggregationEngine {
         endDate
       );
 
+      // Parent categories including their children's spend
+      const categoryRollups = await this.categoryCalculator.calculateRollupTotals(
+        userId,
+        startDate,
+        endDate,
+        categoryTotals
+      );
+
       // Get previous period for comparison
       const previousStartDate = new Date(startDate);
       previousStartDate.setDate(previousStartDate.getDate() - days);
@@ -66,6 +75,7 @@ class AggregationEngine {
       results[periodKey] = {
         period: { start: startDate, end: endDate, days },
         categoryTotals,
+        categoryRollups,
         categoryDeltas,
         categoryTrends,
         totals,
@@ -90,7 +100,9 @@ class AggregationEngine {
   }
 
   /**
-   * Calculate overall totals
+   * Calculate overall totals in the user's reporting currency. Transfers are
+   * reported separately and never count as income or expenses; only the
+   * outgoing leg of a pair is summed.
    */
   async calculateTotals(userId, startDate, endDate) {
     const pipeline = [
@@ -98,13 +110,14 @@ class AggregationEngine {
         $match: {
           userId: new mongoose.Types.ObjectId(userId),
           date: { $gte: startDate, $lte: endDate },
-          status: 'completed'
+          status: 'completed',
+          'transfer.direction': { $ne: 'in' }
         }
       },
       {
         $group: {
           _id: '$type',
-          total: { $sum: '$amount' },
+          total: { $sum: RefundUtils.netAmountExpr() },
           count: { $sum: 1 }
         }
       }
@@ -158,7 +171,7 @@ class AggregationEngine {
             date: { $dateToString: { format: '%Y-%m-%d', date: '$date' } },
             type: '$type'
           },
-          dailyTotal: { $sum: '$amount' }
+          dailyTotal: { $sum: RefundUtils.netAmountExpr() }
         }
       },
       {
@@ -288,6 +301,11 @@ class AggregationEngine {
    * Get aggregated data for specific period
    */
   async getAggregatedData(userId, period = 'month') {
+    // Explicit { start, end } ranges are used as given
+    if (period && typeof period === 'object') {
+      return await this.buildPeriodData(userId, period, period.start, period.end);
+    }
+
     const endDate = new Date();
     let startDate;
 
@@ -313,9 +331,16 @@ class AggregationEngine {
         startDate.setMonth(startDate.getMonth() - 1);
     }
 
+    return await this.buildPeriodData(userId, period, startDate, endDate);
+  }
+
+  async buildPeriodData(userId, period, startDate, endDate) {
+    const categoryTotals = await this.categoryCalculator.calculateCategoryTotals(userId, startDate, endDate);
+
     return {
       period,
-      categoryTotals: await this.categoryCalculator.calculateCategoryTotals(userId, startDate, endDate),
+      categoryTotals,
+      categoryRollups: await this.categoryCalculator.calculateRollupTotals(userId, startDate, endDate, categoryTotals),
       totals: await this.calculateTotals(userId, startDate, endDate),
       dailyAverages: await this.calculateDailyAverages(userId, startDate, endDate)
     };
@@ -0,0 +1,386 @@
+const Transaction = require('../../../models/Transaction');
+const Subscription = require('../../../models/Subscription');
+const SavingsGoal = require('../../../models/SavingsGoal');
+const Account = require('../../../models/Account');
+const PatternEngine = require('./pattern.engine');
+const RiskEngine = require('./risk.engine');
+const RecurringChargeDetector = require('../detectors/recurringCharge.detector');
+const SignalGenerator = require('../signal/signal.generator');
+const SignalStorage = require('../signal/signal.storage');
+const AccountService = require('../../financial/account.service');
+const SavingsService = require('../../financial/savings.service');
+const ExchangeRateService = require('../../financial/exchangeRate.service');
+const CurrencyUtils = require('../../../utils/currencyUtils');
+const RefundUtils = require('../../../utils/refundUtils');
+const { getStartOfDay, getNextBillingDate } = require('../../../utils/dateUtils');
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+class ForecastEngine {
+  constructor() {
+    this.patternEngine = PatternEngine;
+    this.recurringChargeDetector = RecurringChargeDetector;
+    this.signalGenerator = SignalGenerator;
+    this.signalStorage = SignalStorage;
+
+    this.defaultHorizonDays = 90;
+    this.incomeLookbackDays = 180;
+    this.spendingLookbackDays = 90;
+    this.defaultLowBalanceThreshold = 100;
+  }
+
+  /**
+   * Project the liquid balance day by day: scheduled subscription charges,
+   * regular income, goal auto-saves that leave the user's accounts and the
+   * average daily discretionary spend. Days below the threshold become
+   * low-balance warnings, stored as signals only when asked to.
+   */
+  async generateForecast(userId, options = {}) {
+    const {
+      days = this.defaultHorizonDays,
+      threshold = this.defaultLowBalanceThreshold,
+      storeSignals = false,
+      now = new Date()
+    } = options;
+
+    const start = getStartOfDay(now);
+    const end = new Date(start.getTime() + days * DAY_MS);
+
+    const [startingBalance, charges, income, autoSaves, dailySpend] = await Promise.all([
+      this.getStartingBalance(userId),
+      this.getSubscriptionCharges(userId, start, end),
+      this.getRecurringIncome(userId, start, end),
+      this.getAutoSaves(userId, start, end),
+      this.getDailyDiscretionarySpend(userId, start)
+    ]);
+
+    const events = [...charges, ...income, ...autoSaves].sort((a, b) => a.date - b.date);
+    const projection = this.buildProjection(startingBalance, events, dailySpend, start, days);
+    const warnings = this.findLowBalanceWindows(projection, threshold);
+
+    const forecast = {
+      userId,
+      generatedAt: new Date(),
+      startDate: start,
+      endDate: end,
+      startingBalance,
+      threshold,
+      assumptions: {
+        dailyDiscretionarySpend: dailySpend,
+        recurringIncome: this.summarizeEvents(income),
+        subscriptionCharges: this.summarizeEvents(charges),
+        autoSaves: this.summarizeEvents(autoSaves)
+      },
+      projection,
+      lowestBalance: projection.reduce(
+        (lowest, day) => (day.balance < lowest.balance ? day : lowest),
+        projection[0] || { balance: startingBalance, date: start }
+      ),
+      endingBalance: projection.length > 0 ? projection[projection.length - 1].balance : startingBalance,
+      warnings
+    };
+
+    if (storeSignals) {
+      await this.generateWarningSignals(userId, forecast);
+    }
+
+    return forecast;
+  }
+
+  /**
+   * Liquid account balances, or recent net cash flow for users without accounts
+   */
+  async getStartingBalance(userId) {
+    const balance = await AccountService.getLiquidBalance(userId);
+    if (balance !== null) return balance;
+
+    return CurrencyUtils.round(await RiskEngine.getCurrentBalance(userId));
+  }
+
+  /**
+   * Every charge of an active subscription due within the horizon
+   */
+  async getSubscriptionCharges(userId, start, end) {
+    const subscriptions = await Subscription.find({
+      userId,
+      status: 'active',
+      'recurrence.nextBillingDate': { $lte: end }
+    }).lean();
+
+    const reportingCurrency = await ExchangeRateService.getReportingCurrency(userId);
+    const cache = new Map();
+    const events = [];
+
+    for (const subscription of subscriptions) {
+      const { frequency, interval, billingDate, endDate } = subscription.recurrence;
+      let date = new Date(subscription.recurrence.nextBillingDate);
+
+      while (date <= end && (!endDate || date <= endDate)) {
+        // Overdue charges are expected to post on the first forecast day
+        const chargeDate = date < start ? start : getStartOfDay(date);
+
+        events.push({
+          type: 'subscription',
+          sourceId: subscription._id,
+          name: subscription.name,
+          date: chargeDate,
+          amount: -await this.toReportingAmount(subscription, reportingCurrency, chargeDate, cache)
+        });
+
+        // Custom schedules are only projected to their next charge
+        if (frequency === 'custom') break;
+        date = getNextBillingDate(frequency, interval || 1, billingDate || 1, date);
+      }
+    }
+
+    return events;
+  }
+
+  /**
+   * Project income sources that arrive at a regular interval
+   */
+  async getRecurringIncome(userId, start, end) {
+    const since = new Date(start.getTime() - this.incomeLookbackDays * DAY_MS);
+
+    const transactions = await Transaction.find({
+      userId,
+      type: 'income',
+      status: 'completed',
+      date: { $gte: since, $lte: start }
+    }).sort({ date: 1 }).lean();
+
+    const events = [];
+
+    for (const [, group] of this.recurringChargeDetector.groupByMerchant(transactions)) {
+      if (!this.patternEngine.isRegularIncome(group)) continue;
+
+      const intervalDays = (group[group.length - 1].date - group[0].date) / DAY_MS / (group.length - 1);
+      if (intervalDays < 1) continue;
+
+      const recent = group.slice(-3);
+      const amount = CurrencyUtils.round(
+        recent.reduce((sum, t) => sum + CurrencyUtils.reportingAmount(t), 0) / recent.length
+      );
+      const last = group[group.length - 1];
+
+      // Sources that have missed more than one payment are treated as stopped
+      if (start - last.date > intervalDays * 2 * DAY_MS) continue;
+
+      let date = new Date(last.date.getTime() + intervalDays * DAY_MS);
+
+      while (date <= end) {
+        // A payment that should already have arrived is expected on the first day
+        events.push({
+          type: 'income',
+          name: last.merchant?.name || last.description,
+          date: date < start ? start : getStartOfDay(date),
+          amount,
+          intervalDays: Math.round(intervalDays)
+        });
+        date = new Date(date.getTime() + intervalDays * DAY_MS);
+      }
+    }
+
+    return events;
+  }
+
+  /**
+   * Auto-save contributions that move money out of the liquid accounts
+   */
+  async getAutoSaves(userId, start, end) {
+    const [goals, liquidAccountIds] = await Promise.all([
+      SavingsGoal.find({
+        userId,
+        status: 'active',
+        'autoSave.enabled': true,
+        'autoSave.amount': { $gt: 0 }
+      }).lean(),
+      Account.distinct('_id', { userId, status: 'active', type: { $in: AccountService.liquidTypes } })
+    ]);
+
+    const liquid = new Set(liquidAccountIds.map(id => id.toString()));
+    const events = [];
+
+    for (const goal of goals) {
+      // Saving into another liquid account leaves the total unchanged
+      if (goal.accountId && liquid.has(goal.accountId.toString())) continue;
+
+      let remaining = goal.targetAmount - goal.currentAmount;
+      let date = SavingsService.getNextAutoSaveDate(goal);
+
+      while (date <= end && remaining >= 0.01) {
+        const amount = Math.min(goal.autoSave.amount, remaining);
+        // An overdue auto-save runs on the next daily job and the schedule continues from there
+        const runDate = date < start ? start : date;
+
+        events.push({
+          type: 'auto_save',
+          sourceId: goal._id,
+          name: goal.name,
+          date: runDate,
+          amount: -CurrencyUtils.round(amount)
+        });
+
+        remaining -= amount;
+        date = SavingsService.getNextAutoSaveDate({
+          ...goal,
+          autoSave: { ...goal.autoSave, lastAutoSaveAt: runDate }
+        });
+      }
+    }
+
+    return events;
+  }
+
+  /**
+   * Average daily spend outside subscriptions, net of refunds
+   */
+  async getDailyDiscretionarySpend(userId, start) {
+    const since = new Date(start.getTime() - this.spendingLookbackDays * DAY_MS);
+
+    const expenses = await Transaction.find({
+      userId,
+      type: 'expense',
+      status: 'completed',
+      subscriptionId: null,
+      date: { $gte: since, $lt: start }
+    }).select('amount reporting refundedAmount').lean();
+
+    const total = expenses.reduce((sum, t) => sum + RefundUtils.netAmount(t), 0);
+    return CurrencyUtils.round(total / this.spendingLookbackDays);
+  }
+
+  /**
+   * Running balance for each day of the horizon
+   */
+  buildProjection(startingBalance, events, dailySpend, start, days) {
+    const byDay = new Map();
+    events.forEach(event => {
+      const key = getStartOfDay(event.date).getTime();
+      if (!byDay.has(key)) byDay.set(key, []);
+      byDay.get(key).push(event);
+    });
+
+    const projection = [];
+    let balance = startingBalance;
+
+    for (let i = 0; i < days; i++) {
+      const date = new Date(start.getTime() + i * DAY_MS);
+      const dayEvents = byDay.get(getStartOfDay(date).getTime()) || [];
+
+      const inflow = dayEvents.filter(e => e.amount > 0).reduce((sum, e) => sum + e.amount, 0);
+      const scheduledOutflow = dayEvents.filter(e => e.amount < 0).reduce((sum, e) => sum - e.amount, 0);
+
+      balance += inflow - scheduledOutflow - dailySpend;
+
+      projection.push({
+        date,
+        balance: CurrencyUtils.round(balance),
+        inflow: CurrencyUtils.round(inflow),
+        outflow: CurrencyUtils.round(scheduledOutflow + dailySpend),
+        events: dayEvents.map(({ type, name, amount }) => ({ type, name, amount }))
+      });
+    }
+
+    return projection;
+  }
+
+  /**
+   * Consecutive days below the threshold, each with its lowest point
+   */
+  findLowBalanceWindows(projection, threshold) {
+    const windows = [];
+    let current = null;
+
+    for (const day of projection) {
+      if (day.balance < threshold) {
+        if (!current) {
+          current = { startDate: day.date, endDate: day.date, lowestBalance: day.balance, lowestDate: day.date };
+          windows.push(current);
+        }
+        current.endDate = day.date;
+        if (day.balance < current.lowestBalance) {
+          current.lowestBalance = day.balance;
+          current.lowestDate = day.date;
+        }
+      } else {
+        current = null;
+      }
+    }
+
+    return windows.map(window => ({
+      type: window.lowestBalance < 0 ? 'negative_balance' : 'low_balance',
+      severity: window.lowestBalance < 0 ? 'high' : 'medium',
+      ...window,
+      days: Math.round((window.endDate - window.startDate) / DAY_MS) + 1
+    }));
+  }
+
+  /**
+   * Store low-balance warnings as signals, replacing those of earlier
+   * forecasts whose windows have since moved or cleared
+   */
+  async generateWarningSignals(userId, forecast) {
+    await this.signalStorage.archiveSignalsOfType(userId, 'low_balance_forecast');
+
+    if (forecast.warnings.length === 0) return [];
+
+    const signals = forecast.warnings.map(warning => this.signalGenerator.createSignal({
+      userId,
+      type: 'low_balance_forecast',
+      name: warning.type === 'negative_balance'
+        ? 'Balance projected to go negative'
+        : 'Balance projected to run low',
+      value: {
+        current: forecast.startingBalance,
+        previous: null,
+        delta: CurrencyUtils.round(warning.lowestBalance - forecast.startingBalance)
+      },
+      period: {
+        startDate: warning.startDate,
+        endDate: warning.endDate
+      },
+      data: {
+        ...warning,
+        threshold: forecast.threshold,
+        generatedAt: forecast.generatedAt
+      },
+      priority: warning.severity === 'high' ? 1 : 2,
+      tags: ['forecast', warning.type]
+    }));
+
+    await this.signalStorage.storeSignals(signals);
+    return signals;
+  }
+
+  /**
+   * A subscription charge in the reporting currency; without a rate the
+   * amount is used as is
+   */
+  async toReportingAmount(subscription, reportingCurrency, date, cache) {
+    const currency = CurrencyUtils.normalize(subscription.currency);
+    if (!currency || currency === reportingCurrency) return subscription.amount;
+
+    const converted = await ExchangeRateService.convert(subscription.amount, currency, reportingCurrency, date, cache);
+    return converted ? converted.amount : subscription.amount;
+  }
+
+  summarizeEvents(events) {
+    const grouped = new Map();
+
+    events.forEach(event => {
+      const key = `${event.type}:${event.sourceId || event.name}`;
+      if (!grouped.has(key)) {
+        grouped.set(key, { name: event.name, occurrences: 0, total: 0, nextDate: event.date });
+      }
+      const summary = grouped.get(key);
+      summary.occurrences++;
+      summary.total = CurrencyUtils.round(summary.total + event.amount);
+      if (event.date < summary.nextDate) summary.nextDate = event.date;
+    });
+
+    return [...grouped.values()];
+  }
+}
+
+module.exports = new ForecastEngine();
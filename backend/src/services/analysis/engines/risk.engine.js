@@ -7,6 +7,7 @@ const BudgetDriftDetector = require('../detectors/budgetDrift.detector');
 const GoalUnderfundingDetector = require('../detectors/goalUnderfunding.detector');
 const SignalGenerator = require('../signal/signal.generator');
 const SignalStorage = require('../signal/signal.storage');
+const AccountService = require('../../financial/account.service');
 
 class RiskEngine {
   constructor() {
@@ -396,10 +397,15 @@ class RiskEngine {
   }
 
   /**
-   * Get current balance (simplified - would need actual account data)
+   * Get current balance from cash-like accounts, falling back to an estimate
+   * from recent cash flow for users who haven't set up accounts
    */
   async getCurrentBalance(userId) {
-    // This is a simplified version - in reality you'd need account data
+    const accountBalance = await AccountService.getLiquidBalance(userId);
+    if (accountBalance !== null) {
+      return Math.max(0, accountBalance);
+    }
+
     const last30Days = new Date();
     last30Days.setDate(last30Days.getDate() - 30);
 
@@ -1,6 +1,7 @@
 const AggregationEngine = require('./engines/aggregation.engine');
 const PatternEngine = require('./engines/pattern.engine');
 const RiskEngine = require('./engines/risk.engine');
+const ForecastEngine = require('./engines/forecast.engine');
 const SignalGenerator = require('./signal/signal.generator');
 const SignalStorage = require('./signal/signal.storage');
 
@@ -9,6 +10,7 @@ class AnalysisService {
     this.aggregation = AggregationEngine;
     this.pattern = PatternEngine;
     this.risk = RiskEngine;
+    this.forecast = ForecastEngine;
     this.signalGenerator = SignalGenerator;
     this.signalStorage = SignalStorage;
   }
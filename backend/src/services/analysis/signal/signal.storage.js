@@ -128,6 +128,20 @@ class SignalStorage {
     );
   }
 
+  /**
+   * Archive a user's active signals of one type, e.g. before a fresh set
+   * replaces them
+   */
+  async archiveSignalsOfType(userId, type) {
+    return await FinancialSignal.updateMany(
+      { userId, type, isActive: true },
+      {
+        isActive: false,
+        archivedAt: new Date()
+      }
+    );
+  }
+
   /**
    * Archive old signals
    */
@@ -0,0 +1,484 @@
+const Account = require('../../models/Account');
+const Transaction = require('../../models/Transaction');
+const { ServiceError } = require('../../middleware/errorHandler');
+const ExchangeRateService = require('./exchangeRate.service');
+const CurrencyUtils = require('../../utils/currencyUtils');
+const { getEndOfDay } = require('../../utils/dateUtils');
+
+class AccountService {
+  constructor() {
+    this.liquidTypes = ['checking', 'savings', 'cash', 'wallet'];
+    this.updatableFields = ['name', 'institution', 'lastFour', 'creditLimit', 'notes'];
+  }
+
+  /**
+   * Create an account
+   */
+  async createAccount(userId, data) {
+    const openingBalance = this.round(data.openingBalance || 0);
+
+    const account = new Account({
+      userId,
+      name: data.name,
+      type: data.type,
+      institution: data.institution,
+      lastFour: data.lastFour,
+      currency: CurrencyUtils.normalize(data.currency) || await ExchangeRateService.getReportingCurrency(userId),
+      openingBalance,
+      openingDate: data.openingDate || new Date(),
+      currentBalance: openingBalance,
+      creditLimit: data.creditLimit,
+      notes: data.notes
+    });
+
+    await account.save();
+    return account;
+  }
+
+  /**
+   * Get user's accounts with asset/liability totals
+   */
+  async getAccounts(userId, filters = {}) {
+    const query = { userId };
+
+    if (filters.status) {
+      query.status = filters.status;
+    } else if (filters.includeClosed !== true) {
+      query.status = 'active';
+    }
+
+    if (filters.type) {
+      query.type = filters.type;
+    }
+
+    const accounts = await Account.find(query)
+      .select('-reconciliations')
+      .sort({ type: 1, name: 1 });
+
+    const { currency, balances, unconverted } = await this.getReportingBalances(userId, accounts);
+
+    const assets = balances
+      .filter(b => b > 0)
+      .reduce((sum, b) => sum + b, 0);
+    const liabilities = balances
+      .filter(b => b < 0)
+      .reduce((sum, b) => sum - b, 0);
+
+    return {
+      accounts,
+      totals: {
+        currency,
+        assets: this.round(assets),
+        liabilities: this.round(liabilities),
+        net: this.round(assets - liabilities),
+        unconverted
+      }
+    };
+  }
+
+  /**
+   * Get single account
+   */
+  async getAccount(accountId, userId) {
+    const account = await Account.findOne({ _id: accountId, userId });
+
+    if (!account) {
+      throw new ServiceError('Account not found', 404);
+    }
+
+    return account;
+  }
+
+  /**
+   * Update account details; changing the opening balance recalculates it
+   */
+  async updateAccount(accountId, userId, updates) {
+    const account = await this.getAccount(accountId, userId);
+
+    for (const field of this.updatableFields) {
+      if (updates[field] !== undefined) {
+        account[field] = updates[field];
+      }
+    }
+
+    if (updates.openingBalance !== undefined || updates.openingDate !== undefined) {
+      if (updates.openingBalance !== undefined) {
+        account.openingBalance = this.round(updates.openingBalance);
+      }
+      if (updates.openingDate !== undefined) {
+        account.openingDate = updates.openingDate;
+      }
+      account.currentBalance = await this.computeBalance(account);
+    }
+
+    await account.save();
+    return account;
+  }
+
+  /**
+   * Close an account, or delete it if nothing was ever recorded against it
+   */
+  async closeAccount(accountId, userId) {
+    const account = await this.getAccount(accountId, userId);
+
+    if (account.status === 'closed') {
+      throw new ServiceError('Account already closed', 400);
+    }
+
+    const transactionCount = await Transaction.countDocuments({ userId, accountId: account._id });
+
+    if (transactionCount === 0 && account.reconciliations.length === 0) {
+      await account.deleteOne();
+      return { deleted: true, account };
+    }
+
+    if (Math.abs(account.currentBalance) >= 0.01) {
+      throw new ServiceError('Only accounts with a zero balance can be closed', 400, {
+        currentBalance: account.currentBalance
+      });
+    }
+
+    account.status = 'closed';
+    account.closedAt = new Date();
+    await account.save();
+
+    return { deleted: false, account };
+  }
+
+  /**
+   * Make sure every referenced account belongs to the user and is open
+   */
+  async assertAccounts(userId, accountIds) {
+    const ids = [...new Set(accountIds.filter(Boolean).map(id => id.toString()))];
+    if (ids.length === 0) return;
+
+    const count = await Account.countDocuments({
+      _id: { $in: ids },
+      userId,
+      status: 'active'
+    });
+
+    if (count !== ids.length) {
+      throw new ServiceError('Account not found or closed', 400);
+    }
+  }
+
+  /**
+   * Currency of an account, or null when no account is given
+   */
+  async getCurrency(userId, accountId) {
+    if (!accountId) return null;
+
+    const account = await Account.findOne({ _id: accountId, userId }).select('currency').lean();
+    return account?.currency || null;
+  }
+
+  /**
+   * Currency for a transaction on an account: the account's own currency,
+   * which a differing requested currency may not override
+   */
+  async resolveCurrency(userId, accountId, currency = null) {
+    const requested = CurrencyUtils.normalize(currency);
+    const accountCurrency = await this.getCurrency(userId, accountId);
+
+    if (!accountCurrency) return requested;
+
+    if (requested && requested !== accountCurrency) {
+      throw new ServiceError('Transaction currency must match the account currency', 400, {
+        currency: requested,
+        accountCurrency
+      });
+    }
+
+    return accountCurrency;
+  }
+
+  /**
+   * Refresh cached balances of the accounts touched by these transactions
+   */
+  async syncBalancesForTransactions(userId, transactions) {
+    const accountIds = [...new Set(
+      transactions
+        .filter(t => t && t.accountId)
+        .map(t => t.accountId.toString())
+    )];
+
+    for (const accountId of accountIds) {
+      try {
+        const account = await Account.findOne({ _id: accountId, userId });
+        if (!account) continue;
+
+        account.currentBalance = await this.computeBalance(account);
+        await account.save();
+      } catch (error) {
+        console.error(`Error syncing balance for account ${accountId}:`, error);
+      }
+    }
+  }
+
+  /**
+   * Recalculate a single account's balance from its transactions
+   */
+  async recalculateAccount(accountId, userId) {
+    const account = await this.getAccount(accountId, userId);
+    account.currentBalance = await this.computeBalance(account);
+    await account.save();
+
+    return account;
+  }
+
+  /**
+   * Opening balance + completed income and refunds - completed expenses +/-
+   * transfer legs + reconciliation adjustments, optionally as of a date
+   */
+  async computeBalance(account, asOf = null) {
+    const match = {
+      userId: account.userId,
+      accountId: account._id,
+      status: 'completed'
+    };
+
+    if (asOf) {
+      match.date = { $lte: asOf };
+    }
+
+    const totals = await Transaction.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: { type: '$type', direction: '$transfer.direction' },
+          total: { $sum: '$amount' }
+        }
+      }
+    ]);
+
+    const byType = totals.reduce((acc, t) => {
+      const key = t._id.type === 'transfer' ? `transfer_${t._id.direction}` : t._id.type;
+      acc[key] = (acc[key] || 0) + t.total;
+      return acc;
+    }, {});
+
+    const adjustments = account.reconciliations
+      .filter(r => !asOf || r.statementDate <= asOf)
+      .reduce((sum, r) => sum + (r.adjustment || 0), 0);
+
+    return this.round(
+      account.openingBalance +
+      (byType.income || 0) +
+      (byType.refund || 0) -
+      (byType.expense || 0) +
+      (byType.transfer_in || 0) -
+      (byType.transfer_out || 0) +
+      adjustments
+    );
+  }
+
+  /**
+   * Account register: transactions and adjustments with the balance after each, newest first
+   */
+  async getRegister(accountId, userId, pagination = {}) {
+    const { page = 1, limit = 50 } = pagination;
+    const account = await this.getAccount(accountId, userId);
+
+    const transactions = await Transaction.find({
+      userId,
+      accountId: account._id,
+      status: 'completed'
+    })
+      .populate('categoryId', 'name icon color')
+      .sort({ date: 1, createdAt: 1 })
+      .lean();
+
+    const entries = [
+      ...transactions.map(t => ({
+        entryType: 'transaction',
+        date: t.date,
+        amount: this.getSignedAmount(t),
+        transaction: t
+      })),
+      ...account.reconciliations
+        .filter(r => Math.abs(r.adjustment) >= 0.01)
+        .map(r => ({
+          entryType: 'adjustment',
+          date: getEndOfDay(r.statementDate),
+          amount: r.adjustment,
+          reconciliationId: r._id,
+          notes: r.notes
+        }))
+    ].sort((a, b) => new Date(a.date) - new Date(b.date));
+
+    let balance = account.openingBalance;
+    for (const entry of entries) {
+      balance = this.round(balance + entry.amount);
+      entry.runningBalance = balance;
+    }
+
+    const newestFirst = entries.reverse();
+    const start = (page - 1) * limit;
+
+    return {
+      account: {
+        _id: account._id,
+        name: account.name,
+        type: account.type,
+        openingBalance: account.openingBalance,
+        currentBalance: account.currentBalance
+      },
+      entries: newestFirst.slice(start, start + limit),
+      pagination: {
+        page,
+        limit,
+        total: newestFirst.length,
+        pages: Math.ceil(newestFirst.length / limit)
+      }
+    };
+  }
+
+  /**
+   * Compare a statement balance with the computed balance without saving anything
+   */
+  async previewReconciliation(accountId, userId, { statementBalance, statementDate }) {
+    const account = await this.getAccount(accountId, userId);
+    return await this.buildReconciliation(account, statementBalance, statementDate);
+  }
+
+  /**
+   * Reconcile against a statement: record the difference as an adjustment and
+   * mark the covered transactions as reconciled
+   */
+  async reconcile(accountId, userId, { statementBalance, statementDate, notes }) {
+    const account = await this.getAccount(accountId, userId);
+    const result = await this.buildReconciliation(account, statementBalance, statementDate);
+
+    const marked = await Transaction.updateMany(
+      {
+        userId,
+        accountId: account._id,
+        status: 'completed',
+        date: { $lte: result.cutoff },
+        reconciledAt: null
+      },
+      { $set: { reconciledAt: new Date() } }
+    );
+
+    account.reconciliations.push({
+      statementDate: result.statementDate,
+      statementBalance: result.statementBalance,
+      computedBalance: result.computedBalance,
+      adjustment: Math.abs(result.difference) >= 0.01 ? result.difference : 0,
+      transactionCount: marked.modifiedCount,
+      notes
+    });
+    account.lastReconciledAt = new Date();
+    account.currentBalance = await this.computeBalance(account);
+    await account.save();
+
+    return {
+      ...result,
+      adjusted: Math.abs(result.difference) >= 0.01,
+      transactionsReconciled: marked.modifiedCount,
+      reconciliation: account.reconciliations[account.reconciliations.length - 1],
+      currentBalance: account.currentBalance
+    };
+  }
+
+  async buildReconciliation(account, statementBalance, statementDate) {
+    if (account.status === 'closed') {
+      throw new ServiceError('Closed accounts cannot be reconciled', 400);
+    }
+
+    const date = statementDate ? new Date(statementDate) : new Date();
+    const cutoff = getEndOfDay(date);
+    const last = account.reconciliations[account.reconciliations.length - 1];
+
+    if (last && date < last.statementDate) {
+      throw new ServiceError('Statement date is before the last reconciliation', 400, {
+        lastStatementDate: last.statementDate
+      });
+    }
+
+    const computedBalance = await this.computeBalance(account, cutoff);
+    const unreconciledCount = await Transaction.countDocuments({
+      userId: account.userId,
+      accountId: account._id,
+      status: 'completed',
+      date: { $lte: cutoff },
+      reconciledAt: null
+    });
+
+    return {
+      statementDate: date,
+      cutoff,
+      statementBalance: this.round(statementBalance),
+      computedBalance,
+      difference: this.round(statementBalance - computedBalance),
+      unreconciledCount
+    };
+  }
+
+  /**
+   * Sum of balances held in cash-like accounts in the reporting currency, or
+   * null when the user has none
+   */
+  async getLiquidBalance(userId) {
+    const accounts = await Account.find({
+      userId,
+      status: 'active',
+      type: { $in: this.liquidTypes }
+    }).select('currency currentBalance').lean();
+
+    if (accounts.length === 0) return null;
+
+    const { balances } = await this.getReportingBalances(userId, accounts);
+    return this.round(balances.reduce((sum, b) => sum + b, 0));
+  }
+
+  /**
+   * Account balances converted to the user's reporting currency at today's
+   * rate; without a rate the balance is kept as is and the account is listed
+   * in `unconverted`
+   */
+  async getReportingBalances(userId, accounts) {
+    const currency = await ExchangeRateService.getReportingCurrency(userId);
+    const cache = new Map();
+    const now = new Date();
+    const balances = [];
+    const unconverted = [];
+
+    for (const account of accounts) {
+      const from = CurrencyUtils.normalize(account.currency);
+
+      if (!from || from === currency) {
+        balances.push(account.currentBalance);
+        continue;
+      }
+
+      const result = await ExchangeRateService.convert(account.currentBalance, from, currency, now, cache);
+      if (result) {
+        balances.push(result.amount);
+      } else {
+        balances.push(account.currentBalance);
+        unconverted.push(account._id);
+      }
+    }
+
+    return { currency, balances, unconverted };
+  }
+
+  /**
+   * Effect of a transaction on its account's balance
+   */
+  getSignedAmount(transaction) {
+    if (transaction.type === 'income' || transaction.type === 'refund') return transaction.amount;
+    if (transaction.type === 'expense') return -transaction.amount;
+    if (transaction.transfer?.direction === 'in') return transaction.amount;
+    if (transaction.transfer?.direction === 'out') return -transaction.amount;
+    return 0;
+  }
+
+  round(value) {
+    return Math.round(value * 100) / 100;
+  }
+}
+
+module.exports = new AccountService();
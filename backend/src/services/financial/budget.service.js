@@ -0,0 +1,609 @@
+const cron = require('node-cron');
+const mongoose = require('mongoose');
+const Budget = require('../../models/Budget');
+const Category = require('../../models/Category');
+const Transaction = require('../../models/Transaction');
+const NotificationService = require('../suggestions/notification.service');
+const CurrencyUtils = require('../../utils/currencyUtils');
+const SplitUtils = require('../../utils/splitUtils');
+const CategoryTreeUtils = require('../../utils/categoryTreeUtils');
+const { ServiceError } = require('../../middleware/errorHandler');
+const { getStartOfDay, getStartOfWeek } = require('../../utils/dateUtils');
+
+class BudgetService {
+  constructor() {
+    this.isRollingOver = false;
+    this.updatableFields = ['name', 'amount', 'categoryId', 'flexibility', 'endDate', 'notes'];
+  }
+
+  /**
+   * Start the daily period rollover job
+   */
+  start() {
+    // Run every day at 00:05
+    cron.schedule('5 0 * * *', () => {
+      this.processPeriodRollovers();
+    });
+
+    console.log('Budget rollover scheduler started');
+  }
+
+  /**
+   * Create a budget for the current (or given) period
+   */
+  async createBudget(userId, data, options = {}) {
+    const mode = options.mode || 'cap';
+
+    const category = await Category.findOne({ _id: data.categoryId, userId });
+    if (!category) {
+      throw new ServiceError('Category not found', 404);
+    }
+
+    const existing = await Budget.findOne({
+      userId,
+      categoryId: data.categoryId,
+      period: data.period,
+      isActive: true
+    });
+
+    if (existing) {
+      throw new ServiceError('An active budget already exists for this category and period', 409, {
+        budgetId: existing._id
+      });
+    }
+
+    const resetDay = data.rolloverConfig?.resetDay ||
+      (data.startDate ? new Date(data.startDate).getDate() : 1);
+
+    const startDate = data.startDate
+      ? getStartOfDay(data.startDate)
+      : this.getCurrentPeriodStart(data.period, resetDay);
+
+    let endDate;
+    if (data.period === 'custom') {
+      if (!data.endDate) {
+        throw new ServiceError('End date is required for custom budgets', 400);
+      }
+      endDate = new Date(data.endDate);
+    } else {
+      endDate = this.getPeriodEnd(data.period, startDate, resetDay);
+    }
+
+    if (endDate <= startDate) {
+      throw new ServiceError('End date must be after start date', 400);
+    }
+
+    const budget = new Budget({
+      userId,
+      name: data.name || `${category.name} budget`,
+      period: data.period,
+      categoryId: data.categoryId,
+      amount: data.amount,
+      mode,
+      flexibility: data.flexibility || 'flexible',
+      rolloverConfig: {
+        maxRollover: data.rolloverConfig?.maxRollover ?? null,
+        resetDay,
+        carriedOver: 0
+      },
+      startDate,
+      endDate,
+      isActive: true,
+      alerts: {
+        enabled: data.alerts?.enabled ?? true,
+        threshold: data.alerts?.threshold ?? 80
+      },
+      notes: data.notes,
+      metadata: data.metadata
+    });
+
+    budget.spent = await this.calculateSpent(budget);
+    await budget.save();
+
+    return budget;
+  }
+
+  /**
+   * Get user's budgets
+   */
+  async getBudgets(userId, filters = {}) {
+    const query = { userId };
+
+    if (filters.includeInactive !== true) {
+      query.isActive = true;
+    }
+
+    if (filters.period) {
+      query.period = filters.period;
+    }
+
+    if (filters.categoryId) {
+      query.categoryId = filters.categoryId;
+    }
+
+    const budgets = await Budget.find(query)
+      .populate('categoryId', 'name type color icon')
+      .sort({ startDate: -1 })
+      .lean();
+
+    return budgets.map(budget => this.withProgress(budget));
+  }
+
+  /**
+   * Get single budget
+   */
+  async getBudget(budgetId, userId) {
+    const budget = await Budget.findOne({ _id: budgetId, userId })
+      .populate('categoryId', 'name type color icon');
+
+    if (!budget) {
+      throw new ServiceError('Budget not found', 404);
+    }
+
+    return budget;
+  }
+
+  /**
+   * Update budget settings
+   */
+  async updateBudget(budgetId, userId, updates) {
+    const budget = await Budget.findOne({ _id: budgetId, userId });
+
+    if (!budget) {
+      throw new ServiceError('Budget not found', 404);
+    }
+
+    if (!budget.isActive) {
+      throw new ServiceError('Closed or archived budgets cannot be edited', 400);
+    }
+
+    if (updates.period && updates.period !== budget.period) {
+      throw new ServiceError('Budget period cannot be changed; archive it and create a new budget', 400);
+    }
+
+    if (updates.categoryId && updates.categoryId.toString() !== budget.categoryId.toString()) {
+      const category = await Category.findOne({ _id: updates.categoryId, userId });
+      if (!category) {
+        throw new ServiceError('Category not found', 404);
+      }
+    }
+
+    if (updates.amount !== undefined && budget.mode === 'envelope') {
+      throw new ServiceError('Envelope funds change by assigning or moving money', 400);
+    }
+
+    if (updates.endDate && budget.period !== 'custom') {
+      throw new ServiceError('Only custom budgets can change their end date', 400);
+    }
+
+    for (const field of this.updatableFields) {
+      if (updates[field] === undefined) continue;
+
+      if (field === 'amount') {
+        // The edited amount is the base; carried-over funds stay on top of it
+        budget.amount = updates.amount + (budget.rolloverConfig?.carriedOver || 0);
+      } else {
+        budget[field] = updates[field];
+      }
+    }
+
+    if (updates.rolloverConfig?.maxRollover !== undefined) {
+      budget.rolloverConfig.maxRollover = updates.rolloverConfig.maxRollover;
+    }
+
+    if (updates.alerts) {
+      if (updates.alerts.enabled !== undefined) budget.alerts.enabled = updates.alerts.enabled;
+      if (updates.alerts.threshold !== undefined) budget.alerts.threshold = updates.alerts.threshold;
+    }
+
+    budget.spent = await this.calculateSpent(budget);
+    await budget.save();
+
+    return budget;
+  }
+
+  /**
+   * Archive budget (stops rollover, keeps history)
+   */
+  async archiveBudget(budgetId, userId) {
+    const budget = await Budget.findOne({ _id: budgetId, userId, isActive: true });
+
+    if (!budget) {
+      throw new ServiceError('Active budget not found', 404);
+    }
+
+    budget.spent = await this.calculateSpent(budget);
+
+    if (budget.mode === 'envelope') {
+      const available = budget.amount - budget.spent;
+
+      if (available < -0.001) {
+        throw new ServiceError('Cover the overspending before archiving this envelope', 400, {
+          overspent: CurrencyUtils.round(-available)
+        });
+      }
+
+      // Whatever is left goes back to the to-be-assigned pool
+      budget.envelope.assigned = CurrencyUtils.round(budget.envelope.assigned - available);
+      budget.amount = budget.spent;
+    }
+
+    budget.isActive = false;
+    budget.archivedAt = new Date();
+    await budget.save();
+
+    return budget;
+  }
+
+  /**
+   * Get all periods of a budget, newest first
+   */
+  async getBudgetHistory(budgetId, userId) {
+    const budget = await Budget.findOne({ _id: budgetId, userId }).lean();
+
+    if (!budget) {
+      throw new ServiceError('Budget not found', 404);
+    }
+
+    const periods = await Budget.find({
+      userId,
+      categoryId: budget.categoryId,
+      period: budget.period
+    }).sort({ startDate: -1 }).lean();
+
+    return periods.map(period => this.withProgress(period));
+  }
+
+  /**
+   * Sum completed expenses in the budget's category and its subcategories
+   * for the period; split transactions count only their lines in them
+   */
+  async calculateSpent(budget, categories = null, session = null) {
+    const categoryIds = await this.getBudgetCategoryIds(budget, categories, session);
+
+    const [result] = await Transaction.aggregate([
+      {
+        $match: {
+          userId: budget.userId,
+          type: 'expense',
+          status: 'completed',
+          date: {
+            $gte: budget.startDate,
+            $lte: budget.endDate || new Date()
+          },
+          ...SplitUtils.categoryMatch(categoryIds)
+        }
+      },
+      ...SplitUtils.categoryLineStages(),
+      { $match: { categoryId: { $in: categoryIds } } },
+      {
+        $group: {
+          _id: null,
+          total: { $sum: '$lineAmount' }
+        }
+      }
+    ]).session(session);
+
+    return result?.total || 0;
+  }
+
+  /**
+   * The budget's category and every category below it
+   */
+  async getBudgetCategoryIds(budget, categories = null, session = null) {
+    const tree = categories || await Category.find({ userId: budget.userId })
+      .select('parentCategory')
+      .session(session)
+      .lean();
+
+    return CategoryTreeUtils.getDescendantIds(tree, budget.categoryId)
+      .map(id => new mongoose.Types.ObjectId(id));
+  }
+
+  /**
+   * Recalculate and persist spent for a budget
+   */
+  async recalculateSpent(budget, categories = null) {
+    budget.spent = await this.calculateSpent(budget, categories);
+    await budget.save();
+    return budget;
+  }
+
+  /**
+   * Refresh spent on every budget period touched by the given transactions.
+   * Pass both the old and new version of an edited transaction.
+   */
+  async syncSpentForTransactions(userId, transactions) {
+    const candidates = transactions.filter(t => t && t.date && SplitUtils.getCategoryIds(t).length > 0);
+    if (candidates.length === 0) return [];
+
+    // Budgets on a parent category count spend in its children too
+    const categories = await Category.find({ userId }).select('parentCategory').lean();
+    const relevant = candidates.map(t => ({
+      date: t.date,
+      categoryIds: [...new Set(
+        SplitUtils.getCategoryIds(t).flatMap(id => CategoryTreeUtils.getAncestorIds(categories, id))
+      )]
+    }));
+
+    const categoryIds = [...new Set(relevant.flatMap(t => t.categoryIds))];
+    const dates = relevant.map(t => new Date(t.date).getTime());
+    const earliest = new Date(Math.min(...dates));
+    const latest = new Date(Math.max(...dates));
+
+    const budgets = await Budget.find({
+      userId,
+      categoryId: { $in: categoryIds },
+      startDate: { $lte: latest },
+      $or: [
+        { endDate: { $gte: earliest } },
+        { endDate: null }
+      ]
+    });
+
+    const updated = [];
+    for (const budget of budgets) {
+      const touched = relevant.some(t =>
+        t.categoryIds.includes(budget.categoryId.toString()) &&
+        new Date(t.date) >= budget.startDate &&
+        (!budget.endDate || new Date(t.date) <= budget.endDate)
+      );
+
+      if (touched) {
+        const recalculated = await this.recalculateSpent(budget, categories);
+        await this.checkAlerts(recalculated);
+        updated.push(recalculated);
+      }
+    }
+
+    return updated;
+  }
+
+  /**
+   * Send threshold / exceeded alerts once per budget period
+   */
+  async checkAlerts(budget) {
+    if (!budget.isActive || !budget.alerts?.enabled || budget.amount <= 0) {
+      return null;
+    }
+
+    const percentUsed = (budget.spent / budget.amount) * 100;
+    let level = null;
+
+    if (percentUsed >= 100 && !budget.alerts.exceededNotifiedAt) {
+      level = 'exceeded';
+    } else if (percentUsed >= budget.alerts.threshold && !budget.alerts.notifiedAt) {
+      level = 'threshold';
+    }
+
+    if (!level) return null;
+
+    // Mark before sending so concurrent imports don't alert twice
+    const now = new Date();
+    budget.alerts.notifiedAt = budget.alerts.notifiedAt || now;
+    if (level === 'exceeded') {
+      budget.alerts.exceededNotifiedAt = now;
+    }
+    await budget.save();
+
+    try {
+      await NotificationService.notifyBudgetAlert(budget, level);
+    } catch (error) {
+      console.error(`Failed to send budget alert for ${budget._id}:`, error);
+    }
+
+    return level;
+  }
+
+  /**
+   * Close every active budget whose period has ended and open the next one
+   */
+  async processPeriodRollovers(now = new Date()) {
+    if (this.isRollingOver) {
+      console.log('Budget rollover already in progress');
+      return null;
+    }
+
+    this.isRollingOver = true;
+    const results = { processed: 0, rolledOver: 0, closed: 0, errors: [] };
+
+    try {
+      // Budgets created elsewhere (e.g. from suggestions) may lack an end date
+      const openEnded = await Budget.find({
+        isActive: true,
+        endDate: null,
+        period: { $ne: 'custom' }
+      });
+
+      for (const budget of openEnded) {
+        budget.endDate = this.getPeriodEnd(budget.period, budget.startDate, budget.rolloverConfig?.resetDay);
+        await budget.save();
+      }
+
+      const dueBudgets = await Budget.find({
+        isActive: true,
+        endDate: { $lt: now }
+      });
+
+      for (const budget of dueBudgets) {
+        results.processed++;
+        try {
+          let current = budget;
+          // Catch up on every period missed while the job was not running
+          while (current && current.endDate < now) {
+            current = await this.rolloverBudget(current);
+          }
+
+          if (current) {
+            results.rolledOver++;
+          } else {
+            results.closed++;
+          }
+        } catch (error) {
+          console.error(`Error rolling over budget ${budget._id}:`, error);
+          results.errors.push({ budgetId: budget._id, error: error.message });
+        }
+      }
+
+      console.log(`Budget rollover complete: ${results.rolledOver} rolled over, ${results.closed} closed`);
+      return results;
+
+    } finally {
+      this.isRollingOver = false;
+    }
+  }
+
+  /**
+   * Close a finished period and create the next one.
+   * Returns the new period, or null for custom budgets which do not repeat.
+   */
+  async rolloverBudget(budget) {
+    budget.spent = await this.calculateSpent(budget);
+    budget.isActive = false;
+    budget.closedAt = new Date();
+
+    const isEnvelope = budget.mode === 'envelope';
+    if (isEnvelope) {
+      // Overspending nobody covered comes out of next month's pool
+      budget.envelope.uncovered = CurrencyUtils.round(Math.max(0, budget.spent - budget.amount));
+    }
+
+    await budget.save();
+
+    if (budget.period === 'custom') {
+      return null;
+    }
+
+    const carriedIn = budget.rolloverConfig?.carriedOver || 0;
+    // Envelopes start each month with only what they carried; new money is assigned
+    const baseAmount = isEnvelope ? 0 : Math.max(0, budget.amount - carriedIn);
+    const carryForward = this.calculateCarryForward(budget);
+
+    const startDate = new Date(budget.endDate.getTime() + 1);
+    const resetDay = budget.rolloverConfig?.resetDay || 1;
+
+    const next = new Budget({
+      userId: budget.userId,
+      name: budget.name,
+      period: budget.period,
+      categoryId: budget.categoryId,
+      amount: baseAmount + carryForward,
+      mode: budget.mode,
+      flexibility: budget.flexibility,
+      rolloverConfig: {
+        maxRollover: budget.rolloverConfig?.maxRollover ?? null,
+        resetDay,
+        carriedOver: carryForward
+      },
+      startDate,
+      endDate: this.getPeriodEnd(budget.period, startDate, resetDay),
+      isActive: true,
+      previousPeriodId: budget._id,
+      alerts: {
+        enabled: budget.alerts?.enabled,
+        threshold: budget.alerts?.threshold
+      },
+      notes: budget.notes,
+      metadata: budget.metadata
+    });
+
+    next.spent = await this.calculateSpent(next);
+    await next.save();
+
+    return next;
+  }
+
+  /**
+   * Unspent amount a closed period passes on to the next one
+   */
+  calculateCarryForward(budget) {
+    // An envelope's whole balance always carries forward
+    if (budget.mode === 'envelope') {
+      return CurrencyUtils.round(Math.max(0, budget.amount - budget.spent));
+    }
+
+    if (budget.flexibility !== 'rollover') {
+      return 0;
+    }
+
+    const unspent = Math.max(0, budget.amount - budget.spent);
+    const maxRollover = budget.rolloverConfig?.maxRollover;
+
+    if (maxRollover === null || maxRollover === undefined) {
+      return unspent;
+    }
+
+    return Math.min(unspent, maxRollover);
+  }
+
+  /**
+   * Start of the period containing the given date
+   */
+  getCurrentPeriodStart(period, resetDay = 1, date = new Date()) {
+    switch(period) {
+      case 'weekly':
+        return getStartOfWeek(date);
+      case 'monthly': {
+        let start = this.getMonthlyStart(date.getFullYear(), date.getMonth(), resetDay);
+        if (start > date) {
+          start = this.getMonthlyStart(date.getFullYear(), date.getMonth() - 1, resetDay);
+        }
+        return start;
+      }
+      case 'yearly':
+        return new Date(date.getFullYear(), 0, 1);
+      default:
+        return getStartOfDay(date);
+    }
+  }
+
+  /**
+   * Last moment of the period beginning at startDate
+   */
+  getPeriodEnd(period, startDate, resetDay = 1) {
+    const start = new Date(startDate);
+    let next;
+
+    switch(period) {
+      case 'weekly':
+        next = new Date(start);
+        next.setDate(next.getDate() + 7);
+        break;
+      case 'monthly':
+        next = this.getMonthlyStart(start.getFullYear(), start.getMonth() + 1, resetDay);
+        break;
+      case 'yearly':
+        next = new Date(start);
+        next.setFullYear(next.getFullYear() + 1);
+        break;
+      default:
+        return null;
+    }
+
+    return new Date(next.getTime() - 1);
+  }
+
+  /**
+   * Reset day in the given month, clamped to the month's length
+   */
+  getMonthlyStart(year, month, day) {
+    const lastDay = new Date(year, month + 1, 0).getDate();
+    return new Date(year, month, Math.min(day, lastDay));
+  }
+
+  /**
+   * Add derived progress fields to a plain budget
+   */
+  withProgress(budget) {
+    const remaining = budget.amount - budget.spent;
+
+    return {
+      ...budget,
+      remaining,
+      percentUsed: budget.amount > 0 ? (budget.spent / budget.amount) * 100 : 0,
+      isOverBudget: remaining < 0
+    };
+  }
+}
+
+module.exports = new BudgetService();
@@ -0,0 +1,227 @@
+const Budget = require('../../models/Budget');
+const Category = require('../../models/Category');
+const AIInsight = require('../../models/AIInsight');
+const SuggestionManager = require('../suggestions/suggestion.manager');
+const ExchangeRateService = require('./exchangeRate.service');
+const CurrencyUtils = require('../../utils/currencyUtils');
+const { calculateRollingAverage } = require('../../aggregations/rollingAverage');
+const { ServiceError } = require('../../middleware/errorHandler');
+
+class BudgetTemplateService {
+  constructor() {
+    // Percentages of monthly income for needs, wants and savings
+    this.templates = {
+      '50_30_20': { needs: 50, wants: 30, savings: 20 },
+      '60_20_20': { needs: 60, wants: 20, savings: 20 },
+      '70_20_10': { needs: 70, wants: 20, savings: 10 },
+      '80_20': { needs: 80, wants: 0, savings: 20 }
+    };
+
+    // Fixed costs are needs that do not change month to month
+    this.bucketTypes = {
+      needs: ['need', 'fixed'],
+      wants: ['want'],
+      savings: ['saving']
+    };
+
+    this.incomeWindowDays = 90;
+    this.daysPerMonth = 30;
+  }
+
+  getTemplates() {
+    return Object.entries(this.templates).map(([key, ratios]) => ({ key, ratios }));
+  }
+
+  /**
+   * Split average monthly income across needs, wants and savings, then across
+   * the categories of each bucket in proportion to what was spent on them.
+   * Categories that already have an active monthly budget keep it and their
+   * amount is taken out of their bucket first.
+   */
+  async generateBudgets(userId, options = {}) {
+    const ratios = this.resolveRatios(options.template, options.ratios);
+    const averages = await calculateRollingAverage(userId, this.incomeWindowDays);
+
+    const totalIncome = averages.dailyAverages.dailyData.reduce((sum, day) => sum + day.income, 0);
+    const monthlyIncome = CurrencyUtils.round((totalIncome / averages.period.days) * this.daysPerMonth);
+
+    if (monthlyIncome <= 0) {
+      throw new ServiceError('No income recorded in the last 90 days to base a budget on', 400);
+    }
+
+    const [categories, existing] = await Promise.all([
+      Category.find({ userId, type: { $ne: 'income' } }).select('name type').lean(),
+      Budget.find({ userId, period: 'monthly', isActive: true }).select('categoryId amount').lean()
+    ]);
+
+    const spendByCategory = new Map(
+      averages.categoryAverages
+        .filter(c => c._id)
+        .map(c => [c._id.toString(), c.monthlyAvg])
+    );
+    const existingByCategory = new Map(existing.map(b => [b.categoryId.toString(), b]));
+
+    const buckets = {};
+    const budgets = [];
+    const skipped = [];
+
+    for (const [bucket, types] of Object.entries(this.bucketTypes)) {
+      const target = CurrencyUtils.round(monthlyIncome * ratios[bucket] / 100);
+      const members = categories.filter(c => types.includes(c.type));
+
+      const covered = members.filter(c => existingByCategory.has(c._id.toString()));
+      const open = members.filter(c => !existingByCategory.has(c._id.toString()));
+      const alreadyBudgeted = covered.reduce((sum, c) => sum + existingByCategory.get(c._id.toString()).amount, 0);
+
+      covered.forEach(c => skipped.push({
+        categoryId: c._id,
+        categoryName: c.name,
+        bucket,
+        budgetId: existingByCategory.get(c._id.toString())._id,
+        amount: existingByCategory.get(c._id.toString()).amount,
+        reason: 'Already has an active monthly budget'
+      }));
+
+      const available = Math.max(0, target - alreadyBudgeted);
+      const lines = this.distribute(open, available, spendByCategory);
+
+      lines.forEach(line => budgets.push({ ...line, bucket, period: 'monthly' }));
+
+      buckets[bucket] = {
+        ratio: ratios[bucket],
+        target,
+        alreadyBudgeted: CurrencyUtils.round(alreadyBudgeted),
+        proposed: lines.reduce((sum, line) => sum + line.amount, 0),
+        categories: members.length
+      };
+    }
+
+    return {
+      template: options.ratios ? 'custom' : options.template || '50_30_20',
+      ratios,
+      monthlyIncome,
+      incomeWindowDays: this.incomeWindowDays,
+      buckets,
+      budgets,
+      skipped,
+      totalProposed: budgets.reduce((sum, b) => sum + b.amount, 0)
+    };
+  }
+
+  /**
+   * Generate a template and store it as a reviewable budget_creation suggestion
+   */
+  async proposeBudgets(userId, options = {}) {
+    const plan = await this.generateBudgets(userId, options);
+
+    if (plan.budgets.length === 0) {
+      throw new ServiceError('Every category already has a monthly budget', 400, { skipped: plan.skipped });
+    }
+
+    const label = this.describeRatios(plan.ratios);
+    const currency = await ExchangeRateService.getReportingCurrency(userId);
+    const format = amount => CurrencyUtils.format(amount, currency);
+
+    const insight = await AIInsight.create({
+      userId,
+      type: 'budget_recommendation',
+      title: `${label} budget plan`,
+      description: `Based on average monthly income of ${format(plan.monthlyIncome)} over the last ` +
+        `${plan.incomeWindowDays} days, split ${label} across needs, wants and savings.`,
+      confidence: 75,
+      priority: 'medium',
+      impact: {
+        type: 'neutral',
+        amount: plan.totalProposed,
+        timeframe: 'monthly'
+      },
+      actionItems: [{
+        type: 'review',
+        description: `Review ${plan.budgets.length} proposed budgets`,
+        priority: 'medium',
+        parameters: { template: plan.template }
+      }]
+    });
+
+    const suggestion = await SuggestionManager.createSuggestion(userId, {
+      _id: insight._id,
+      type: 'budget_creation',
+      title: `Create ${plan.budgets.length} budgets from the ${label} template`,
+      description: `Needs get ${format(plan.buckets.needs.target)}, wants ${format(plan.buckets.wants.target)} ` +
+        `and savings ${format(plan.buckets.savings.target)} a month, shared across categories by your ` +
+        'recent spending.',
+      proposedChanges: {
+        template: plan.template,
+        ratios: plan.ratios,
+        monthlyIncome: plan.monthlyIncome,
+        period: 'monthly',
+        budgets: plan.budgets
+      },
+      estimatedImpact: {
+        amount: plan.totalProposed,
+        timeframe: 'monthly',
+        confidence: 75,
+        description: `${format(plan.totalProposed)} budgeted per month`
+      },
+      metadata: {
+        source: 'system',
+        tags: ['budget_template', plan.template]
+      }
+    });
+
+    return { plan, suggestion };
+  }
+
+  /**
+   * Share an amount across categories by recent spend; evenly when none of
+   * them has any. Amounts are whole units so the plan reads cleanly.
+   */
+  distribute(categories, amount, spendByCategory) {
+    if (categories.length === 0 || amount <= 0) return [];
+
+    const weights = categories.map(c => spendByCategory.get(c._id.toString()) || 0);
+    const totalWeight = weights.reduce((sum, w) => sum + w, 0);
+
+    return categories
+      .map((category, index) => ({
+        categoryId: category._id,
+        categoryName: category.name,
+        categoryType: category.type,
+        averageSpend: CurrencyUtils.round(weights[index]),
+        amount: Math.floor(totalWeight > 0
+          ? amount * (weights[index] / totalWeight)
+          : amount / categories.length)
+      }))
+      .filter(line => line.amount > 0);
+  }
+
+  resolveRatios(template, ratios) {
+    if (ratios) {
+      const resolved = {
+        needs: Number(ratios.needs) || 0,
+        wants: Number(ratios.wants) || 0,
+        savings: Number(ratios.savings) || 0
+      };
+
+      const total = resolved.needs + resolved.wants + resolved.savings;
+      if (Math.abs(total - 100) > 0.01) {
+        throw new ServiceError(`Ratios must add up to 100, got ${total}`, 400);
+      }
+
+      return resolved;
+    }
+
+    const key = template || '50_30_20';
+    if (!this.templates[key]) {
+      throw new ServiceError('Unknown budget template', 400, { templates: Object.keys(this.templates) });
+    }
+
+    return { ...this.templates[key] };
+  }
+
+  describeRatios(ratios) {
+    return [ratios.needs, ratios.wants, ratios.savings].filter(r => r > 0).join('/');
+  }
+}
+
+module.exports = new BudgetTemplateService();
@@ -0,0 +1,427 @@
+const safeRegex = require('safe-regex2');
+const CategorizationRule = require('../../models/CategorizationRule');
+const Category = require('../../models/Category');
+const Transaction = require('../../models/Transaction');
+const BudgetService = require('./budget.service');
+const CategoryService = require('./category.service');
+const { ServiceError } = require('../../middleware/errorHandler');
+
+class CategorizationRuleService {
+  constructor() {
+    this.maxTags = 10;
+    // Re-running rules looks at this many of the most recent transactions
+    this.historyLimit = 5000;
+    this.previewLimit = 100;
+  }
+
+  async getRules(userId) {
+    return CategorizationRule.find({ userId })
+      .populate('actions.categoryId', 'name type color icon')
+      .sort({ priority: 1, createdAt: 1 })
+      .lean();
+  }
+
+  async createRule(userId, data) {
+    await this.assertRule(userId, data);
+
+    const rule = new CategorizationRule({
+      userId,
+      name: data.name,
+      priority: data.priority,
+      isActive: data.isActive,
+      conditions: data.conditions,
+      actions: data.actions
+    });
+
+    await rule.save();
+    return rule;
+  }
+
+  async updateRule(ruleId, userId, updates) {
+    const rule = await CategorizationRule.findOne({ _id: ruleId, userId });
+
+    if (!rule) {
+      throw new ServiceError('Rule not found', 404);
+    }
+
+    const merged = {
+      conditions: updates.conditions ?? rule.conditions.toObject(),
+      actions: updates.actions ?? rule.actions.toObject()
+    };
+    await this.assertRule(userId, merged);
+
+    ['name', 'priority', 'isActive', 'conditions', 'actions'].forEach(field => {
+      if (updates[field] !== undefined) {
+        rule[field] = updates[field];
+      }
+    });
+
+    await rule.save();
+    return rule;
+  }
+
+  async deleteRule(ruleId, userId) {
+    const rule = await CategorizationRule.findOneAndDelete({ _id: ruleId, userId });
+
+    if (!rule) {
+      throw new ServiceError('Rule not found', 404);
+    }
+
+    return rule;
+  }
+
+  /**
+   * A rule needs at least one condition, one action, a valid pattern and a
+   * category the user owns
+   */
+  async assertRule(userId, { conditions = {}, actions = {} }) {
+    const hasCondition = Boolean(
+      conditions.merchant?.value ||
+      conditions.description?.value ||
+      conditions.amount?.min != null ||
+      conditions.amount?.max != null ||
+      conditions.paymentMethods?.length ||
+      conditions.transactionType
+    );
+
+    if (!hasCondition) {
+      throw new ServiceError('A rule needs at least one condition', 400);
+    }
+
+    const hasAction = Boolean(
+      actions.categoryId || actions.addTags?.length || actions.markRecurring || actions.renameMerchant
+    );
+
+    if (!hasAction) {
+      throw new ServiceError('A rule needs at least one action', 400);
+    }
+
+    for (const field of ['merchant', 'description']) {
+      const condition = conditions[field];
+      if (condition?.operator !== 'regex' || !condition.value) continue;
+
+      try {
+        new RegExp(condition.value, 'i');
+      } catch (error) {
+        throw new ServiceError(`Invalid ${field} pattern: ${error.message}`, 400);
+      }
+
+      // Rules run synchronously on every new transaction; nested repetition
+      // such as (a+)+ could stall the server on a single description
+      if (!safeRegex(condition.value)) {
+        throw new ServiceError(`The ${field} pattern could take too long to match; simplify it`, 400);
+      }
+    }
+
+    if (conditions.amount?.min != null && conditions.amount?.max != null &&
+      conditions.amount.min > conditions.amount.max) {
+      throw new ServiceError('Minimum amount cannot be above the maximum', 400);
+    }
+
+    if (actions.categoryId) {
+      const category = await Category.exists({ _id: actions.categoryId, userId });
+      if (!category) {
+        throw new ServiceError('Category not found', 404);
+      }
+    }
+  }
+
+  /**
+   * Active rules and the categories they may assign, loaded once per batch
+   */
+  async getContext(userId, categories = null) {
+    const [rules, userCategories] = await Promise.all([
+      CategorizationRule.find({ userId, isActive: true }).sort({ priority: 1, createdAt: 1 }).lean(),
+      categories || Category.find({ userId }).select('type systemKey').lean()
+    ]);
+
+    const fallbackIds = new Set(
+      ['income', 'expense']
+        .map(type => CategoryService.getFallbackCategory(userCategories, type))
+        .filter(Boolean)
+        .map(category => category._id.toString())
+    );
+
+    return {
+      userId,
+      rules: rules.map(rule => ({
+        ...rule,
+        matchers: {
+          merchant: this.compileMatcher(rule.conditions?.merchant),
+          description: this.compileMatcher(rule.conditions?.description)
+        }
+      })),
+      categories: new Map(userCategories.map(c => [c._id.toString(), c])),
+      fallbackIds,
+      matches: new Map()
+    };
+  }
+
+  /**
+   * Run rules over new transaction data and record which rules matched
+   */
+  async applyToNew(userId, transactions) {
+    const context = await this.getContext(userId);
+    if (context.rules.length === 0) return transactions;
+
+    transactions.forEach(transaction => this.applyToTransaction(context, transaction));
+    await this.recordMatches(context);
+
+    return transactions;
+  }
+
+  /**
+   * Apply matching rules to a plain transaction in place
+   */
+  applyToTransaction(context, transaction, options = {}) {
+    const { changes, ruleIds } = this.evaluate(context, transaction, options);
+
+    if (changes.categoryId) transaction.categoryId = changes.categoryId;
+    if (changes.tags) transaction.tags = [...(transaction.tags || []), ...changes.tags];
+    if (changes.isRecurring) transaction.isRecurring = true;
+    if (changes.merchantName) transaction.merchant = { ...transaction.merchant, name: changes.merchantName };
+
+    ruleIds.forEach(id => context.matches.set(id, (context.matches.get(id) || 0) + 1));
+    return ruleIds;
+  }
+
+  /**
+   * Changes the rules would make to a transaction, without making them. A
+   * category is only filled in when the transaction has none (or the seeded
+   * fallback) unless overwrite is set; split lines are never touched.
+   */
+  evaluate(context, transaction, options = {}) {
+    const changes = {};
+    const ruleIds = [];
+    const tags = new Set(transaction.tags || []);
+    const newTags = [];
+
+    const currentCategory = transaction.categoryId?.toString() || null;
+    const canCategorize = ['income', 'expense'].includes(transaction.type) &&
+      !(transaction.splits?.length > 0) &&
+      !transaction.refundOf &&
+      (!currentCategory || context.fallbackIds.has(currentCategory) || options.overwrite);
+
+    for (const rule of context.rules) {
+      if (!this.matches(rule, transaction)) continue;
+
+      let applied = false;
+      const { actions } = rule;
+
+      if (actions.categoryId && canCategorize && changes.categoryId === undefined) {
+        const category = context.categories.get(actions.categoryId.toString());
+
+        // Income only goes to income categories and expenses only to the rest
+        if (category && (category.type === 'income') === (transaction.type === 'income')) {
+          changes.categoryId = actions.categoryId.toString() !== currentCategory ? actions.categoryId : null;
+          applied = applied || changes.categoryId !== null;
+        }
+      }
+
+      (actions.addTags || []).forEach(tag => {
+        if (!tags.has(tag) && tags.size < this.maxTags) {
+          tags.add(tag);
+          newTags.push(tag);
+          applied = true;
+        }
+      });
+
+      if (actions.markRecurring && !transaction.isRecurring && !changes.isRecurring) {
+        changes.isRecurring = true;
+        applied = true;
+      }
+
+      if (actions.renameMerchant && changes.merchantName === undefined) {
+        changes.merchantName = actions.renameMerchant !== transaction.merchant?.name ? actions.renameMerchant : null;
+        applied = applied || changes.merchantName !== null;
+      }
+
+      if (applied) ruleIds.push(rule._id.toString());
+    }
+
+    if (newTags.length > 0) changes.tags = newTags;
+
+    // Fields a rule claimed but that already had the rule's value
+    if (!changes.categoryId) delete changes.categoryId;
+    if (!changes.merchantName) delete changes.merchantName;
+
+    return { changes, ruleIds };
+  }
+
+  matches(rule, transaction) {
+    const { conditions } = rule;
+
+    const { merchant, description } = rule.matchers;
+
+    if (merchant && !merchant(transaction.merchant?.name)) return false;
+    if (description && !description(transaction.description)) return false;
+
+    if (conditions.amount?.min != null && transaction.amount < conditions.amount.min) return false;
+    if (conditions.amount?.max != null && transaction.amount > conditions.amount.max) return false;
+
+    if (conditions.paymentMethods?.length > 0 &&
+      !conditions.paymentMethods.includes(transaction.paymentMethod || 'other')) {
+      return false;
+    }
+
+    if (conditions.transactionType && transaction.type !== conditions.transactionType) return false;
+
+    return true;
+  }
+
+  /**
+   * Build a text test once per batch instead of once per transaction.
+   * Patterns stored before the safety check that fail it never match.
+   */
+  compileMatcher(condition) {
+    if (!condition?.value) return null;
+
+    if (condition.operator === 'regex') {
+      let pattern = null;
+
+      try {
+        pattern = safeRegex(condition.value) ? new RegExp(condition.value, 'i') : null;
+      } catch (error) {
+        pattern = null;
+      }
+
+      return text => Boolean(pattern && text) && pattern.test(text);
+    }
+
+    const value = condition.value.toLowerCase();
+    return text => Boolean(text) && text.toLowerCase().includes(value);
+  }
+
+  /**
+   * What re-running the rules would change on past transactions
+   */
+  async previewHistory(userId, options = {}) {
+    const { context, candidates } = await this.evaluateHistory(userId, options);
+
+    return {
+      scanned: context.scanned,
+      affected: candidates.length,
+      byRule: this.countByRule(context, candidates),
+      changes: candidates.slice(0, this.previewLimit).map(({ transaction, changes, ruleIds }) => ({
+        transactionId: transaction._id,
+        date: transaction.date,
+        description: transaction.description,
+        merchant: transaction.merchant?.name,
+        amount: transaction.amount,
+        categoryId: transaction.categoryId,
+        changes,
+        ruleIds
+      }))
+    };
+  }
+
+  /**
+   * Re-run the rules on past transactions and save the changes
+   */
+  async applyHistory(userId, options = {}) {
+    const { context, candidates } = await this.evaluateHistory(userId, options);
+
+    if (candidates.length === 0) {
+      return { scanned: context.scanned, updated: 0, byRule: [] };
+    }
+
+    await Transaction.bulkWrite(candidates.map(({ transaction, changes }) => {
+      const $set = {};
+      if (changes.categoryId) $set.categoryId = changes.categoryId;
+      if (changes.isRecurring) $set.isRecurring = true;
+      if (changes.merchantName) $set['merchant.name'] = changes.merchantName;
+
+      const update = { $set };
+      if (changes.tags) update.$addToSet = { tags: { $each: changes.tags } };
+
+      return { updateOne: { filter: { _id: transaction._id, userId }, update } };
+    }));
+
+    // Budgets of both the old and the new category need their spend refreshed
+    const recategorized = candidates.filter(c => c.changes.categoryId);
+    if (recategorized.length > 0) {
+      await BudgetService.syncSpentForTransactions(userId, [
+        ...recategorized.map(c => c.transaction),
+        ...recategorized.map(c => ({ ...c.transaction, categoryId: c.changes.categoryId }))
+      ]);
+    }
+
+    candidates.forEach(({ ruleIds }) => ruleIds.forEach(id => {
+      context.matches.set(id, (context.matches.get(id) || 0) + 1);
+    }));
+    await this.recordMatches(context);
+
+    return {
+      scanned: context.scanned,
+      updated: candidates.length,
+      recategorized: recategorized.length,
+      byRule: this.countByRule(context, candidates)
+    };
+  }
+
+  async evaluateHistory(userId, options = {}) {
+    const context = await this.getContext(userId);
+
+    if (options.ruleIds?.length > 0) {
+      const selected = new Set(options.ruleIds.map(id => id.toString()));
+      context.rules = context.rules.filter(rule => selected.has(rule._id.toString()));
+    }
+
+    const query = {
+      userId,
+      type: { $in: ['income', 'expense'] },
+      status: { $ne: 'cancelled' }
+    };
+
+    if (options.startDate || options.endDate) {
+      query.date = {};
+      if (options.startDate) query.date.$gte = new Date(options.startDate);
+      if (options.endDate) query.date.$lte = new Date(options.endDate);
+    }
+
+    const transactions = context.rules.length > 0
+      ? await Transaction.find(query)
+        .select('type amount date description merchant paymentMethod categoryId splits tags isRecurring refundOf')
+        .sort({ date: -1 })
+        .limit(this.historyLimit)
+        .lean()
+      : [];
+
+    context.scanned = transactions.length;
+
+    const candidates = transactions
+      .map(transaction => ({
+        transaction,
+        ...this.evaluate(context, transaction, { overwrite: options.overwrite })
+      }))
+      .filter(({ changes }) => Object.keys(changes).length > 0);
+
+    return { context, candidates };
+  }
+
+  countByRule(context, candidates) {
+    return context.rules
+      .map(rule => ({
+        ruleId: rule._id,
+        name: rule.name,
+        transactions: candidates.filter(c => c.ruleIds.includes(rule._id.toString())).length
+      }))
+      .filter(rule => rule.transactions > 0);
+  }
+
+  async recordMatches(context) {
+    if (context.matches.size === 0) return;
+
+    const now = new Date();
+    await CategorizationRule.bulkWrite([...context.matches].map(([ruleId, count]) => ({
+      updateOne: {
+        filter: { _id: ruleId, userId: context.userId },
+        update: { $inc: { 'stats.matchCount': count }, $set: { 'stats.lastMatchedAt': now } }
+      }
+    })));
+
+    context.matches.clear();
+  }
+}
+
+module.exports = new CategorizationRuleService();
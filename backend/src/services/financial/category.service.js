@@ -0,0 +1,540 @@
+const mongoose = require('mongoose');
+const Category = require('../../models/Category');
+const CategoryPreference = require('../../models/CategoryPreference');
+const CategorizationRule = require('../../models/CategorizationRule');
+const Transaction = require('../../models/Transaction');
+const Budget = require('../../models/Budget');
+const Subscription = require('../../models/Subscription');
+const BudgetService = require('./budget.service');
+const TransactionUtils = require('../../utils/transaction.utils');
+const CategoryTreeUtils = require('../../utils/categoryTreeUtils');
+const { ServiceError } = require('../../middleware/errorHandler');
+
+class CategoryService {
+  constructor() {
+    this.updatableFields = ['name', 'type', 'icon', 'color', 'monthlyBudget', 'metadata'];
+
+    // Seeded for every new account; a student's usual spending and income
+    this.defaultCategories = [
+      { key: 'housing', name: 'Rent & Housing', type: 'fixed', icon: 'home', color: '#5B6C8F' },
+      { key: 'utilities', name: 'Utilities', type: 'fixed', icon: 'bolt', color: '#7A8CA8', parent: 'housing' },
+      { key: 'phone_internet', name: 'Phone & Internet', type: 'fixed', icon: 'wifi', color: '#6C7A89' },
+      { key: 'education', name: 'Education', type: 'need', icon: 'school', color: '#3F7CAC' },
+      { key: 'tuition', name: 'Tuition & Fees', type: 'fixed', icon: 'school', color: '#3F7CAC', parent: 'education' },
+      { key: 'textbooks', name: 'Textbooks & Supplies', type: 'need', icon: 'book', color: '#5A9BD4', parent: 'education' },
+      { key: 'food', name: 'Food', type: 'need', icon: 'restaurant', color: '#E07A5F' },
+      { key: 'groceries', name: 'Groceries', type: 'need', icon: 'cart', color: '#E07A5F', parent: 'food' },
+      { key: 'meal_plan', name: 'Meal Plan', type: 'fixed', icon: 'restaurant', color: '#D8704F', parent: 'food' },
+      { key: 'dining_out', name: 'Dining Out', type: 'want', icon: 'pizza', color: '#F2A65A', parent: 'food' },
+      { key: 'coffee', name: 'Coffee & Snacks', type: 'want', icon: 'coffee', color: '#B5835A', parent: 'food' },
+      { key: 'transportation', name: 'Transportation', type: 'need', icon: 'bus', color: '#81B29A' },
+      { key: 'health', name: 'Health', type: 'need', icon: 'health', color: '#6AB187' },
+      { key: 'personal_care', name: 'Personal Care', type: 'need', icon: 'person', color: '#9DC3A0' },
+      { key: 'entertainment', name: 'Entertainment', type: 'want', icon: 'ticket', color: '#F4D35E' },
+      { key: 'subscriptions', name: 'Subscriptions', type: 'want', icon: 'repeat', color: '#EE964B' },
+      { key: 'shopping', name: 'Shopping', type: 'want', icon: 'bag', color: '#C97B84' },
+      { key: 'travel', name: 'Travel', type: 'want', icon: 'plane', color: '#8E7DBE' },
+      { key: 'savings', name: 'Savings', type: 'saving', icon: 'piggy-bank', color: '#2A9D8F' },
+      { key: 'emergency_fund', name: 'Emergency Fund', type: 'saving', icon: 'shield', color: '#21867A', parent: 'savings' },
+      { key: 'uncategorized', name: 'Uncategorized', type: 'want', icon: 'default-icon', color: '#808080' },
+      { key: 'part_time_job', name: 'Part-time Job', type: 'income', icon: 'briefcase', color: '#4CAF50' },
+      { key: 'scholarships', name: 'Scholarships & Grants', type: 'income', icon: 'award', color: '#43A047' },
+      { key: 'student_loans', name: 'Student Loans', type: 'income', icon: 'bank', color: '#388E3C' },
+      { key: 'family_support', name: 'Family Support', type: 'income', icon: 'family', color: '#66BB6A' },
+      { key: 'other_income', name: 'Other Income', type: 'income', icon: 'cash', color: '#81C784' }
+    ];
+
+    // Where transactions without a recognisable category end up
+    this.fallbackKeys = {
+      expense: 'uncategorized',
+      income: 'other_income'
+    };
+  }
+
+  /**
+   * Create the default categories a user does not have yet. Existing
+   * categories with the same name are left alone, so this is safe to repeat.
+   */
+  async seedDefaults(userId) {
+    const existing = await Category.find({ userId }).select('name systemKey').lean();
+    const byName = new Map(existing.map(c => [c.name.toLowerCase(), c]));
+    const idsByKey = new Map(existing.filter(c => c.systemKey).map(c => [c.systemKey, c._id]));
+
+    const documents = [];
+
+    // Parents are listed before their children
+    for (const definition of this.defaultCategories) {
+      if (idsByKey.has(definition.key)) continue;
+
+      const sameName = byName.get(definition.name.toLowerCase());
+      if (sameName) {
+        idsByKey.set(definition.key, sameName._id);
+        continue;
+      }
+
+      const _id = new mongoose.Types.ObjectId();
+      idsByKey.set(definition.key, _id);
+
+      documents.push({
+        _id,
+        userId,
+        name: definition.name,
+        type: definition.type,
+        icon: definition.icon,
+        color: definition.color,
+        isSystem: true,
+        systemKey: definition.key,
+        parentCategory: definition.parent ? idsByKey.get(definition.parent) || null : null
+      });
+    }
+
+    if (documents.length > 0) {
+      await Category.insertMany(documents);
+    }
+
+    return documents;
+  }
+
+  /**
+   * Seeded category for uncategorized income or expenses, if the user has it
+   */
+  getFallbackCategory(categories, transactionType) {
+    const key = this.fallbackKeys[transactionType];
+    return key ? categories.find(c => c.systemKey === key) || null : null;
+  }
+
+  /**
+   * Get user's categories, either flat with depth and path or as a tree
+   */
+  async getCategories(userId, options = {}) {
+    const query = { userId };
+
+    if (options.type) {
+      query.type = options.type;
+    }
+
+    const categories = await Category.find(query).sort({ name: 1 }).lean();
+    const tree = CategoryTreeUtils.buildTree(categories);
+
+    return options.tree ? tree : this.flattenTree(tree);
+  }
+
+  /**
+   * Get a category with its direct children
+   */
+  async getCategory(categoryId, userId) {
+    const category = await Category.findOne({ _id: categoryId, userId }).lean();
+
+    if (!category) {
+      throw new ServiceError('Category not found', 404);
+    }
+
+    const children = await Category.find({ userId, parentCategory: category._id })
+      .sort({ name: 1 })
+      .lean();
+
+    return { ...category, children };
+  }
+
+  /**
+   * Create a category, optionally below a parent
+   */
+  async createCategory(userId, data) {
+    const categories = await this.getTree(userId);
+    let type = data.type;
+
+    if (data.parentCategory) {
+      const parent = this.findInTree(categories, data.parentCategory, 'Parent category not found');
+
+      if (CategoryTreeUtils.getDepth(categories, parent._id) >= CategoryTreeUtils.maxDepth) {
+        throw new ServiceError(`Categories can be nested at most ${CategoryTreeUtils.maxDepth} levels deep`, 400);
+      }
+
+      // Subcategories share their parent's type unless told otherwise
+      type = type || parent.type;
+    }
+
+    if (!type) {
+      throw new ServiceError('Category type is required', 400);
+    }
+
+    const category = new Category({
+      userId,
+      name: data.name,
+      type,
+      icon: data.icon,
+      color: data.color,
+      parentCategory: data.parentCategory || null,
+      monthlyBudget: data.monthlyBudget,
+      metadata: data.metadata
+    });
+
+    try {
+      await category.save();
+    } catch (error) {
+      throw this.toServiceError(error, data.name);
+    }
+
+    return category;
+  }
+
+  /**
+   * Update a category; moving it re-totals budgets on its old and new parents
+   */
+  async updateCategory(categoryId, userId, updates) {
+    const category = await Category.findOne({ _id: categoryId, userId });
+
+    if (!category) {
+      throw new ServiceError('Category not found', 404);
+    }
+
+    for (const field of this.updatableFields) {
+      if (updates[field] !== undefined) {
+        category[field] = updates[field];
+      }
+    }
+
+    let affected = [];
+
+    if (updates.parentCategory !== undefined) {
+      const categories = await this.getTree(userId);
+      const newParent = updates.parentCategory || null;
+      const oldParent = category.parentCategory;
+
+      if (newParent) {
+        this.findInTree(categories, newParent, 'Parent category not found');
+
+        if (CategoryTreeUtils.getDescendantIds(categories, category._id).includes(newParent.toString())) {
+          throw new ServiceError('A category cannot be moved below itself or one of its subcategories', 400);
+        }
+
+        const depth = CategoryTreeUtils.getDepth(categories, newParent) + 1 +
+          CategoryTreeUtils.getSubtreeHeight(categories, category._id);
+
+        if (depth > CategoryTreeUtils.maxDepth) {
+          throw new ServiceError(`Categories can be nested at most ${CategoryTreeUtils.maxDepth} levels deep`, 400);
+        }
+      }
+
+      if ((oldParent?.toString() || null) !== (newParent?.toString() || null)) {
+        affected = [
+          ...(oldParent ? CategoryTreeUtils.getAncestorIds(categories, oldParent) : []),
+          ...(newParent ? CategoryTreeUtils.getAncestorIds(categories, newParent) : [])
+        ];
+      }
+
+      category.parentCategory = newParent;
+    }
+
+    try {
+      await category.save();
+    } catch (error) {
+      throw this.toServiceError(error, updates.name);
+    }
+
+    if (affected.length > 0) {
+      await this.refreshBudgets(userId, affected);
+    }
+
+    return category;
+  }
+
+  /**
+   * Delete a category; its subcategories move up to its parent. A category
+   * still in use can only be deleted by reassigning everything to another.
+   */
+  async deleteCategory(categoryId, userId, options = {}) {
+    if (options.reassignTo) {
+      return await this.mergeCategory(categoryId, options.reassignTo, userId);
+    }
+
+    const category = await Category.findOne({ _id: categoryId, userId });
+
+    if (!category) {
+      throw new ServiceError('Category not found', 404);
+    }
+
+    if (category.isSystem) {
+      throw new ServiceError('System categories cannot be deleted', 400);
+    }
+
+    const [transactions, budgets, subscriptions] = await Promise.all([
+      Transaction.countDocuments({
+        userId,
+        $or: [{ categoryId: category._id }, { 'splits.categoryId': category._id }]
+      }),
+      Budget.countDocuments({ userId, categoryId: category._id }),
+      Subscription.countDocuments({ userId, categoryId: category._id })
+    ]);
+
+    if (transactions + budgets + subscriptions > 0) {
+      throw new ServiceError('Category is still in use; choose a category to reassign it to', 409, {
+        transactions,
+        budgets,
+        subscriptions
+      });
+    }
+
+    await this.runInTransaction([
+      session => Category.updateMany(
+        { userId, parentCategory: category._id },
+        { $set: { parentCategory: category.parentCategory || null } },
+        { session }
+      ),
+      session => CategoryPreference.deleteOne({ userId, categoryId: category._id }, { session }),
+      session => CategorizationRule.updateMany(
+        { userId, 'actions.categoryId': category._id },
+        { $set: { 'actions.categoryId': null } },
+        { session }
+      ),
+      session => Category.deleteOne({ _id: category._id }, { session })
+    ]);
+
+    return { deleted: category };
+  }
+
+  /**
+   * Fold one category into another: its transactions, split lines, budgets,
+   * subscriptions, rules and learned preferences move to the target, its
+   * subcategories move below the target and the source is deleted. Budgets
+   * that would collide with one the target already has for the same period
+   * are added into it.
+   */
+  async mergeCategory(sourceId, targetId, userId) {
+    if (sourceId.toString() === targetId.toString()) {
+      throw new ServiceError('A category cannot be merged into itself', 400);
+    }
+
+    const categories = await Category.find({ userId }).select('name type parentCategory isSystem').lean();
+    const source = this.findInTree(categories, sourceId, 'Category not found');
+    const target = this.findInTree(categories, targetId, 'Target category not found');
+
+    if (source.isSystem) {
+      throw new ServiceError('System categories cannot be deleted', 400);
+    }
+
+    if ((source.type === 'income') !== (target.type === 'income')) {
+      throw new ServiceError('Income and expense categories cannot be merged', 400);
+    }
+
+    if (CategoryTreeUtils.getDescendantIds(categories, source._id).includes(target._id.toString())) {
+      throw new ServiceError('A category cannot be merged into one of its subcategories', 400);
+    }
+
+    // The source's children take its place below the target
+    const depth = CategoryTreeUtils.getDepth(categories, target._id) +
+      CategoryTreeUtils.getSubtreeHeight(categories, source._id);
+
+    if (depth > CategoryTreeUtils.maxDepth) {
+      throw new ServiceError(`Categories can be nested at most ${CategoryTreeUtils.maxDepth} levels deep`, 400);
+    }
+
+    const [budgetPlan, preferences] = await Promise.all([
+      this.planBudgetMerge(userId, source._id, target._id),
+      CategoryPreference.find({ userId, categoryId: { $in: [source._id, target._id] } }).lean()
+    ]);
+
+    const sourcePreference = preferences.find(p => p.categoryId.equals(source._id));
+    const targetPreference = preferences.find(p => p.categoryId.equals(target._id));
+
+    const result = await this.runInTransaction([
+      session => Transaction.updateMany(
+        { userId, categoryId: source._id },
+        { $set: { categoryId: target._id } },
+        { session }
+      ),
+      session => Transaction.updateMany(
+        { userId, 'splits.categoryId': source._id },
+        { $set: { 'splits.$[line].categoryId': target._id } },
+        { arrayFilters: [{ 'line.categoryId': source._id }], session }
+      ),
+      session => Subscription.updateMany(
+        { userId, categoryId: source._id },
+        { $set: { categoryId: target._id } },
+        { session }
+      ),
+      session => CategorizationRule.updateMany(
+        { userId, 'actions.categoryId': source._id },
+        { $set: { 'actions.categoryId': target._id } },
+        { session }
+      ),
+      async session => {
+        for (const { budget, into } of budgetPlan.combined) {
+          await Budget.updateOne({ _id: into._id }, { $inc: this.getBudgetIncrements(budget) }, { session });
+        }
+
+        await Budget.deleteMany({ _id: { $in: budgetPlan.combined.map(b => b.budget._id) } }, { session });
+
+        return Budget.updateMany(
+          { _id: { $in: budgetPlan.moved.map(b => b._id) } },
+          { $set: { categoryId: target._id } },
+          { session }
+        );
+      },
+      async session => {
+        if (!sourcePreference) return null;
+
+        if (!targetPreference) {
+          return CategoryPreference.updateOne(
+            { _id: sourcePreference._id },
+            { $set: { categoryId: target._id } },
+            { session }
+          );
+        }
+
+        // Feedback on the source still says something about the merged category
+        await CategoryPreference.updateOne({ _id: targetPreference._id }, {
+          $inc: {
+            'metrics.acceptedCount': sourcePreference.metrics?.acceptedCount || 0,
+            'metrics.rejectedCount': sourcePreference.metrics?.rejectedCount || 0,
+            'metrics.ignoredCount': sourcePreference.metrics?.ignoredCount || 0
+          }
+        }, { session });
+
+        return CategoryPreference.deleteOne({ _id: sourcePreference._id }, { session });
+      },
+      session => Category.updateMany(
+        { userId, parentCategory: source._id },
+        { $set: { parentCategory: target._id } },
+        { session }
+      ),
+      session => Category.deleteOne({ _id: source._id }, { session })
+    ]);
+
+    // Spend moved from the source's parents to the target's
+    await this.refreshBudgets(userId, [
+      ...CategoryTreeUtils.getAncestorIds(categories, target._id),
+      ...CategoryTreeUtils.getAncestorIds(categories, source._id).slice(1)
+    ]);
+
+    const [transactions, splitTransactions, subscriptions, rules] = result.results;
+
+    return {
+      deleted: source,
+      target,
+      reassigned: {
+        transactions: transactions.modifiedCount,
+        splitTransactions: splitTransactions.modifiedCount,
+        subscriptions: subscriptions.modifiedCount,
+        rules: rules.modifiedCount,
+        budgets: budgetPlan.moved.length,
+        budgetsCombined: budgetPlan.combined.length,
+        preferences: sourcePreference ? 1 : 0
+      }
+    };
+  }
+
+  /**
+   * Split the source's budgets into those that can move to the target and
+   * those that would duplicate a target budget for the same period
+   */
+  async planBudgetMerge(userId, sourceId, targetId) {
+    const [sourceBudgets, targetBudgets] = await Promise.all([
+      Budget.find({ userId, categoryId: sourceId }).lean(),
+      Budget.find({ userId, categoryId: targetId }).lean()
+    ]);
+
+    const periodKey = budget => `${budget.period}:${new Date(budget.startDate).getTime()}`;
+    const targetByPeriod = new Map(targetBudgets.map(b => [periodKey(b), b]));
+
+    const plan = { moved: [], combined: [] };
+
+    sourceBudgets.forEach(budget => {
+      const into = targetByPeriod.get(periodKey(budget));
+
+      if (into && into.mode === budget.mode) {
+        plan.combined.push({ budget, into });
+      } else if (into || (budget.isActive && targetBudgets.some(b => b.isActive && b.period === budget.period))) {
+        // A second active budget for the same period is not allowed
+        throw new ServiceError('Both categories have a budget for the same period; archive one first', 409, {
+          budgetId: budget._id
+        });
+      } else {
+        plan.moved.push(budget);
+      }
+    });
+
+    return plan;
+  }
+
+  getBudgetIncrements(budget) {
+    const increments = { amount: budget.amount };
+
+    if (budget.mode === 'envelope') {
+      increments['envelope.assigned'] = budget.envelope?.assigned || 0;
+      increments['envelope.moved'] = budget.envelope?.moved || 0;
+      increments['envelope.uncovered'] = budget.envelope?.uncovered || 0;
+    }
+
+    if (budget.rolloverConfig?.carriedOver) {
+      increments['rolloverConfig.carriedOver'] = budget.rolloverConfig.carriedOver;
+    }
+
+    return increments;
+  }
+
+  /**
+   * Run the operations in one database transaction, surfacing a failure
+   */
+  async runInTransaction(operations) {
+    const result = await TransactionUtils.executeInTransaction(operations);
+
+    if (!result.success) {
+      throw new ServiceError('Category changes could not be saved; nothing was changed', 500, {
+        error: result.error
+      });
+    }
+
+    return result;
+  }
+
+  /**
+   * Depth-first list of tree nodes without their children arrays
+   */
+  flattenTree(nodes) {
+    return nodes.flatMap(({ children, ...node }) => [
+      { ...node, childCount: children.length },
+      ...this.flattenTree(children)
+    ]);
+  }
+
+  async getTree(userId) {
+    return Category.find({ userId }).select('name type parentCategory').lean();
+  }
+
+  findInTree(categories, categoryId, message) {
+    const category = categories.find(c => c._id.toString() === categoryId.toString());
+
+    if (!category) {
+      throw new ServiceError(message, 404);
+    }
+
+    return category;
+  }
+
+  /**
+   * Recalculate spent on active budgets of the given categories
+   */
+  async refreshBudgets(userId, categoryIds) {
+    const budgets = await Budget.find({
+      userId,
+      isActive: true,
+      categoryId: { $in: [...new Set(categoryIds)] }
+    });
+
+    for (const budget of budgets) {
+      await BudgetService.recalculateSpent(budget);
+    }
+
+    return budgets.length;
+  }
+
+  toServiceError(error, name) {
+    if (error.code === 11000) {
+      return new ServiceError(`A category named "${name}" already exists`, 409);
+    }
+    return error;
+  }
+}
+
+module.exports = new CategoryService();
@@ -0,0 +1,306 @@
+const mongoose = require('mongoose');
+const Budget = require('../../models/Budget');
+const EnvelopePlan = require('../../models/EnvelopePlan');
+const Transaction = require('../../models/Transaction');
+const BudgetService = require('./budget.service');
+const AccountService = require('./account.service');
+const ExchangeRateService = require('./exchangeRate.service');
+const CurrencyUtils = require('../../utils/currencyUtils');
+const { ServiceError } = require('../../middleware/errorHandler');
+
+class EnvelopeService {
+  constructor() {
+    // Envelopes always run on calendar months
+    this.resetDay = 1;
+    this.tolerance = 0.001;
+  }
+
+  /**
+   * Switch a user to envelope budgeting. Without a starting balance the
+   * current liquid balance is the first money to assign.
+   */
+  async enable(userId, data = {}) {
+    const existing = await EnvelopePlan.findOne({ userId });
+
+    if (existing?.isActive) {
+      throw new ServiceError('Envelope budgeting is already enabled', 409);
+    }
+
+    const startingBalance = data.startingBalance ?? await AccountService.getLiquidBalance(userId) ?? 0;
+    const startDate = BudgetService.getCurrentPeriodStart('monthly', this.resetDay);
+
+    if (existing) {
+      existing.isActive = true;
+      existing.startDate = startDate;
+      existing.startingBalance = CurrencyUtils.round(startingBalance);
+      await existing.save();
+      return existing;
+    }
+
+    const plan = new EnvelopePlan({
+      userId,
+      startDate,
+      startingBalance: CurrencyUtils.round(startingBalance),
+      notes: data.notes
+    });
+
+    await plan.save();
+    return plan;
+  }
+
+  async getPlan(userId) {
+    const plan = await EnvelopePlan.findOne({ userId, isActive: true });
+
+    if (!plan) {
+      throw new ServiceError('Envelope budgeting is not enabled', 404);
+    }
+
+    return plan;
+  }
+
+  /**
+   * Envelopes of a month with the pool still waiting to be assigned
+   */
+  async getMonth(userId, month = null) {
+    const plan = await this.getPlan(userId);
+    const { startDate, endDate } = this.getMonthRange(month);
+
+    const [envelopes, income, toBeAssigned, currency] = await Promise.all([
+      Budget.find({
+        userId,
+        mode: 'envelope',
+        startDate: { $gte: startDate, $lte: endDate },
+        archivedAt: null
+      })
+        .populate('categoryId', 'name type color icon')
+        .sort({ name: 1 })
+        .lean(),
+      this.sumIncome(userId, startDate, endDate),
+      this.getToBeAssigned(userId, plan, endDate),
+      ExchangeRateService.getReportingCurrency(userId)
+    ]);
+
+    const lines = envelopes.map(envelope => this.withBalance(envelope));
+    const overspent = lines.filter(e => e.isOverspent);
+
+    return {
+      month: `${startDate.getFullYear()}-${String(startDate.getMonth() + 1).padStart(2, '0')}`,
+      startDate,
+      endDate,
+      currency,
+      income,
+      toBeAssigned,
+      assigned: CurrencyUtils.round(lines.reduce((sum, e) => sum + e.assigned, 0)),
+      available: CurrencyUtils.round(lines.reduce((sum, e) => sum + Math.max(0, e.available), 0)),
+      needsCover: CurrencyUtils.round(overspent.reduce((sum, e) => sum - e.available, 0)),
+      overspent: overspent.map(e => ({ budgetId: e._id, name: e.name, amount: -e.available })),
+      envelopes: lines
+    };
+  }
+
+  /**
+   * Open an envelope for a category in the current month, optionally funding it
+   */
+  async createEnvelope(userId, data) {
+    await this.getPlan(userId);
+
+    const budget = await BudgetService.createBudget(userId, {
+      categoryId: data.categoryId,
+      name: data.name,
+      period: 'monthly',
+      amount: 0,
+      rolloverConfig: { resetDay: this.resetDay },
+      alerts: data.alerts,
+      notes: data.notes
+    }, { mode: 'envelope' });
+
+    if (data.assigned > 0) {
+      return await this.assign(userId, budget._id, data.assigned);
+    }
+
+    return budget;
+  }
+
+  /**
+   * Move money from the pool into an envelope; a negative amount returns it
+   */
+  async assign(userId, budgetId, amount) {
+    const plan = await this.getPlan(userId);
+    const envelope = await this.getEnvelope(userId, budgetId);
+    const available = envelope.amount - envelope.spent;
+
+    if (amount > 0) {
+      const toBeAssigned = await this.getToBeAssigned(userId, plan, envelope.endDate);
+
+      if (amount > toBeAssigned + this.tolerance) {
+        throw new ServiceError(`Only ${toBeAssigned.toFixed(2)} is left to assign`, 400, { toBeAssigned });
+      }
+    } else if (-amount > available + this.tolerance) {
+      throw new ServiceError(`Only ${Math.max(0, available).toFixed(2)} can be returned from this envelope`, 400, {
+        available: CurrencyUtils.round(available)
+      });
+    }
+
+    envelope.envelope.assigned = CurrencyUtils.round(envelope.envelope.assigned + amount);
+    envelope.amount = CurrencyUtils.round(envelope.amount + amount);
+    await envelope.save();
+
+    return envelope;
+  }
+
+  /**
+   * Move money between two envelopes of the same month
+   */
+  async moveFunds(userId, { fromId, toId, amount, notes }) {
+    if (fromId.toString() === toId.toString()) {
+      throw new ServiceError('Choose two different envelopes', 400);
+    }
+
+    const [from, to] = await Promise.all([
+      this.getEnvelope(userId, fromId),
+      this.getEnvelope(userId, toId)
+    ]);
+
+    if (from.startDate.getTime() !== to.startDate.getTime()) {
+      throw new ServiceError('Money can only move between envelopes of the same month', 400);
+    }
+
+    const available = from.amount - from.spent;
+    if (amount > available + this.tolerance) {
+      throw new ServiceError(`Only ${Math.max(0, available).toFixed(2)} is available in ${from.name}`, 400, {
+        available: CurrencyUtils.round(available)
+      });
+    }
+
+    const date = new Date();
+    this.applyMove(from, -amount, to._id, date, notes);
+    this.applyMove(to, amount, from._id, date, notes);
+
+    await from.save();
+    await to.save();
+
+    return { from, to };
+  }
+
+  /**
+   * Bring an overspent envelope back to zero from another envelope or,
+   * without one, from the to-be-assigned pool
+   */
+  async coverOverspending(userId, budgetId, { fromId = null, notes } = {}) {
+    const envelope = await this.getEnvelope(userId, budgetId);
+    const shortfall = CurrencyUtils.round(envelope.spent - envelope.amount);
+
+    if (shortfall <= 0) {
+      throw new ServiceError('Envelope is not overspent', 400);
+    }
+
+    if (fromId) {
+      const { to } = await this.moveFunds(userId, { fromId, toId: envelope._id, amount: shortfall, notes });
+      return to;
+    }
+
+    return await this.assign(userId, envelope._id, shortfall);
+  }
+
+  /**
+   * Money not yet given a job as of a month's end: the starting balance and
+   * all income since the plan began, less everything assigned to envelopes
+   * and overspending left uncovered in earlier months
+   */
+  async getToBeAssigned(userId, plan, asOf) {
+    const monthStart = BudgetService.getCurrentPeriodStart('monthly', this.resetDay, new Date(asOf));
+
+    const [income, [envelopes]] = await Promise.all([
+      this.sumIncome(userId, plan.startDate, asOf),
+      Budget.aggregate([
+        {
+          $match: {
+            userId: new mongoose.Types.ObjectId(userId),
+            mode: 'envelope',
+            startDate: { $gte: plan.startDate, $lte: asOf }
+          }
+        },
+        {
+          $group: {
+            _id: null,
+            assigned: { $sum: '$envelope.assigned' },
+            uncovered: {
+              $sum: { $cond: [{ $lt: ['$endDate', monthStart] }, '$envelope.uncovered', 0] }
+            }
+          }
+        }
+      ])
+    ]);
+
+    return CurrencyUtils.round(
+      plan.startingBalance + income - (envelopes?.assigned || 0) - (envelopes?.uncovered || 0)
+    );
+  }
+
+  /**
+   * Completed income in the reporting currency
+   */
+  async sumIncome(userId, startDate, endDate) {
+    const [result] = await Transaction.aggregate([
+      {
+        $match: {
+          userId: new mongoose.Types.ObjectId(userId),
+          type: 'income',
+          status: 'completed',
+          date: { $gte: startDate, $lte: endDate }
+        }
+      },
+      { $group: { _id: null, total: { $sum: CurrencyUtils.reportingAmountExpr() } } }
+    ]);
+
+    return CurrencyUtils.round(result?.total || 0);
+  }
+
+  async getEnvelope(userId, budgetId) {
+    const envelope = await Budget.findOne({ _id: budgetId, userId, mode: 'envelope', isActive: true });
+
+    if (!envelope) {
+      throw new ServiceError('Active envelope not found', 404);
+    }
+
+    envelope.spent = await BudgetService.calculateSpent(envelope);
+    return envelope;
+  }
+
+  applyMove(envelope, amount, counterpartId, date, notes) {
+    envelope.envelope.moved = CurrencyUtils.round(envelope.envelope.moved + amount);
+    envelope.amount = CurrencyUtils.round(envelope.amount + amount);
+    envelope.envelope.moves.push({ amount, budgetId: counterpartId, date, notes });
+  }
+
+  /**
+   * Calendar month containing the given 'YYYY-MM' (default: this month)
+   */
+  getMonthRange(month) {
+    const date = month ? new Date(`${month}-01T00:00:00`) : new Date();
+    const startDate = BudgetService.getCurrentPeriodStart('monthly', this.resetDay, date);
+
+    return {
+      startDate,
+      endDate: BudgetService.getPeriodEnd('monthly', startDate, this.resetDay)
+    };
+  }
+
+  /**
+   * Add balance fields to a plain envelope
+   */
+  withBalance(envelope) {
+    const available = CurrencyUtils.round(envelope.amount - envelope.spent);
+
+    return {
+      ...BudgetService.withProgress(envelope),
+      carriedOver: envelope.rolloverConfig?.carriedOver || 0,
+      assigned: envelope.envelope?.assigned || 0,
+      moved: envelope.envelope?.moved || 0,
+      available,
+      isOverspent: available < 0
+    };
+  }
+}
+
+module.exports = new EnvelopeService();
@@ -0,0 +1,452 @@
+const fs = require('fs');
+const cron = require('node-cron');
+const { parse } = require('csv-parse/sync');
+const ExchangeRate = require('../../models/ExchangeRate');
+const ExchangeRateRefresh = require('../../models/ExchangeRateRefresh');
+const Transaction = require('../../models/Transaction');
+const User = require('../../models/User');
+const BudgetService = require('./budget.service');
+const CurrencyUtils = require('../../utils/currencyUtils');
+const { ServiceError } = require('../../middleware/errorHandler');
+
+class ExchangeRateService {
+  constructor() {
+    // Pairs without a direct rate are converted through this currency
+    this.pivotCurrency = process.env.EXCHANGE_RATE_PIVOT || 'USD';
+    this.defaultReportingCurrency = 'USD';
+    this.maxImportErrors = 50;
+    this.refreshBatchSize = 500;
+
+    // A claimed refresh older than this is assumed to have died with its process
+    this.refreshClaimTimeoutMs = 60 * 60 * 1000;
+    this.isProcessing = false;
+  }
+
+  /**
+   * Start the job that reconverts transactions after rates change
+   */
+  start() {
+    // Run every 5 minutes
+    cron.schedule('*/5 * * * *', () => {
+      this.processPendingRefresh();
+    });
+
+    console.log('Exchange rate refresh scheduler started');
+  }
+
+  /**
+   * Add or replace the rate for a pair on a day
+   */
+  async setRate(data, actorId = null) {
+    const base = CurrencyUtils.normalize(data.base);
+    const quote = CurrencyUtils.normalize(data.quote);
+
+    if (base === quote) {
+      throw new ServiceError('Base and quote currencies must differ', 400);
+    }
+
+    const date = this.toRateDate(data.date || new Date());
+
+    const rate = await ExchangeRate.findOneAndUpdate(
+      { base, quote, date },
+      { $set: { rate: data.rate, source: data.source || 'manual', createdBy: actorId } },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    return { rate, refresh: await this.queueRefresh(date) };
+  }
+
+  /**
+   * Import daily rates from a CSV with date, base, quote and rate columns
+   */
+  async importRates(filePath, actorId = null) {
+    let rows;
+    try {
+      rows = parse(fs.readFileSync(filePath), {
+        columns: header => header.map(h => h.trim().toLowerCase()),
+        trim: true,
+        skip_empty_lines: true
+      });
+    } catch (error) {
+      throw new ServiceError('Could not parse exchange rate file', 400, { reason: error.message });
+    }
+
+    const operations = [];
+    const errors = [];
+    let earliest = null;
+
+    rows.forEach((row, index) => {
+      const base = CurrencyUtils.normalize(row.base || row.from);
+      const quote = CurrencyUtils.normalize(row.quote || row.to);
+      const rate = parseFloat(row.rate);
+      const date = new Date(row.date);
+
+      const problems = [];
+      if (!/^[A-Z]{3}$/.test(base || '')) problems.push('Invalid base currency');
+      if (!/^[A-Z]{3}$/.test(quote || '')) problems.push('Invalid quote currency');
+      if (base && base === quote) problems.push('Base and quote currencies must differ');
+      if (!(rate > 0)) problems.push('Rate must be a positive number');
+      if (isNaN(date.getTime())) problems.push('Invalid date');
+
+      if (problems.length > 0) {
+        if (errors.length < this.maxImportErrors) {
+          errors.push({ row: index + 2, errors: problems });
+        }
+        return;
+      }
+
+      const rateDate = this.toRateDate(date);
+      if (!earliest || rateDate < earliest) earliest = rateDate;
+
+      operations.push({
+        updateOne: {
+          filter: { base, quote, date: rateDate },
+          update: { $set: { rate, source: 'import', createdBy: actorId } },
+          upsert: true
+        }
+      });
+    });
+
+    if (operations.length > 0) {
+      await ExchangeRate.bulkWrite(operations, { ordered: false });
+    }
+
+    const refresh = operations.length > 0 ? await this.queueRefresh(earliest) : { queued: false };
+
+    return {
+      success: operations.length === rows.length,
+      totalRows: rows.length,
+      imported: operations.length,
+      failed: rows.length - operations.length,
+      errors,
+      refresh
+    };
+  }
+
+  /**
+   * List stored rates, newest first
+   */
+  async getRates(filters = {}, pagination = {}) {
+    const { page = 1, limit = 100 } = pagination;
+    const query = {};
+
+    if (filters.base) query.base = CurrencyUtils.normalize(filters.base);
+    if (filters.quote) query.quote = CurrencyUtils.normalize(filters.quote);
+
+    if (filters.startDate || filters.endDate) {
+      query.date = {};
+      if (filters.startDate) query.date.$gte = this.toRateDate(filters.startDate);
+      if (filters.endDate) query.date.$lte = this.toRateDate(filters.endDate);
+    }
+
+    const [rates, total] = await Promise.all([
+      ExchangeRate.find(query)
+        .sort({ date: -1, base: 1, quote: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      ExchangeRate.countDocuments(query)
+    ]);
+
+    return {
+      rates,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Delete a rate and reconvert the transactions that may have used it
+   */
+  async deleteRate(rateId) {
+    const rate = await ExchangeRate.findByIdAndDelete(rateId);
+
+    if (!rate) {
+      throw new ServiceError('Exchange rate not found', 404);
+    }
+
+    return { rate, refresh: await this.queueRefresh(rate.date) };
+  }
+
+  /**
+   * Rate to turn one unit of `from` into `to` on a date: the latest rate on or
+   * before the date (or the earliest after it), inverted or crossed through
+   * the pivot currency when no direct pair exists
+   */
+  async getRate(from, to, date = new Date(), cache = new Map()) {
+    from = CurrencyUtils.normalize(from);
+    to = CurrencyUtils.normalize(to);
+
+    if (!from || !to) return null;
+    if (from === to) return { rate: 1, rateDate: null };
+
+    const key = `${from}:${to}:${this.toRateDate(date).toISOString()}`;
+    if (cache.has(key)) return cache.get(key);
+
+    let result = await this.findPairRate(from, to, date);
+
+    if (!result && from !== this.pivotCurrency && to !== this.pivotCurrency) {
+      const [first, second] = await Promise.all([
+        this.findPairRate(from, this.pivotCurrency, date),
+        this.findPairRate(this.pivotCurrency, to, date)
+      ]);
+
+      if (first && second) {
+        result = {
+          rate: first.rate * second.rate,
+          rateDate: first.rateDate < second.rateDate ? first.rateDate : second.rateDate
+        };
+      }
+    }
+
+    cache.set(key, result);
+    return result;
+  }
+
+  /**
+   * Direct or inverted rate for a pair
+   */
+  async findPairRate(from, to, date) {
+    const direct = await this.findClosestRate(from, to, date);
+    if (direct) return { rate: direct.rate, rateDate: direct.date };
+
+    const inverse = await this.findClosestRate(to, from, date);
+    if (inverse) return { rate: 1 / inverse.rate, rateDate: inverse.date };
+
+    return null;
+  }
+
+  async findClosestRate(base, quote, date) {
+    const before = await ExchangeRate.findOne({ base, quote, date: { $lte: date } })
+      .sort({ date: -1 })
+      .lean();
+
+    if (before) return before;
+
+    return ExchangeRate.findOne({ base, quote, date: { $gt: date } })
+      .sort({ date: 1 })
+      .lean();
+  }
+
+  /**
+   * Convert an amount, or null when no rate is available
+   */
+  async convert(amount, from, to, date = new Date(), cache = new Map()) {
+    const found = await this.getRate(from, to, date, cache);
+    if (!found) return null;
+
+    return {
+      amount: CurrencyUtils.round(amount * found.rate),
+      currency: CurrencyUtils.normalize(to),
+      rate: found.rate,
+      rateDate: found.rateDate
+    };
+  }
+
+  /**
+   * The currency a user reports in
+   */
+  async getReportingCurrency(userId) {
+    const user = await User.findById(userId).select('preferences.currency').lean();
+    return user?.preferences?.currency || this.defaultReportingCurrency;
+  }
+
+  /**
+   * Store reporting-currency amounts on foreign-currency transactions and clear
+   * them on transactions that are already in the reporting currency
+   */
+  async syncReportingAmounts(userId, transactions, reportingCurrency = null) {
+    const target = reportingCurrency || await this.getReportingCurrency(userId);
+    const cache = new Map();
+    const operations = [];
+    const result = { converted: 0, missingRates: 0 };
+
+    for (const transaction of transactions) {
+      if (!transaction?._id) continue;
+
+      const currency = CurrencyUtils.normalize(transaction.currency);
+
+      if (!currency || currency === target) {
+        if (transaction.reporting?.amount !== undefined && transaction.reporting?.amount !== null) {
+          operations.push({
+            updateOne: { filter: { _id: transaction._id }, update: { $unset: { reporting: 1 } } }
+          });
+          transaction.reporting = undefined;
+        }
+        continue;
+      }
+
+      const converted = await this.convert(transaction.amount, currency, target, transaction.date, cache);
+
+      if (converted) {
+        result.converted++;
+        operations.push({
+          updateOne: { filter: { _id: transaction._id }, update: { $set: { reporting: converted } } }
+        });
+        transaction.reporting = converted;
+      } else {
+        // Without a rate the original amount is used until one is added
+        result.missingRates++;
+        if (transaction.reporting) {
+          operations.push({
+            updateOne: { filter: { _id: transaction._id }, update: { $unset: { reporting: 1 } } }
+          });
+          transaction.reporting = undefined;
+        }
+      }
+    }
+
+    if (operations.length > 0) {
+      await Transaction.bulkWrite(operations, { ordered: false });
+    }
+
+    return result;
+  }
+
+  /**
+   * Reconvert all of a user's foreign-currency transactions, e.g. after the
+   * reporting currency changed
+   */
+  async refreshUser(userId, reportingCurrency = null) {
+    const transactions = await Transaction.find({ userId, currency: { $ne: null } })
+      .select('amount currency date reporting')
+      .lean();
+
+    // Transactions with no currency are in the reporting currency by definition
+    return await this.syncReportingAmounts(userId, transactions, reportingCurrency);
+  }
+
+  /**
+   * Mark transactions dated on or after a day as needing reconversion; the
+   * scheduled job picks them up. The marker is stored so a restart or another
+   * instance does not lose it.
+   */
+  async queueRefresh(since) {
+    const marker = await ExchangeRateRefresh.findOneAndUpdate(
+      { claimedAt: null },
+      { $min: { since } },
+      { new: true, upsert: true, setDefaultsOnInsert: true }
+    );
+
+    return { queued: true, since: marker.since };
+  }
+
+  /**
+   * Earliest date still waiting for reconversion, or null
+   */
+  async getPendingRefresh() {
+    const marker = await ExchangeRateRefresh.findOne().sort({ since: 1 }).lean();
+    return marker?.since || null;
+  }
+
+  /**
+   * Claim every queued marker, including ones left behind by a process that
+   * stopped mid-run, and reconvert from the earliest of them
+   */
+  async processPendingRefresh() {
+    if (this.isProcessing) {
+      return null;
+    }
+
+    this.isProcessing = true;
+    const claimed = [];
+
+    try {
+      const staleBefore = new Date(Date.now() - this.refreshClaimTimeoutMs);
+
+      while (true) {
+        const marker = await ExchangeRateRefresh.findOneAndUpdate(
+          { $or: [{ claimedAt: null }, { claimedAt: { $lt: staleBefore } }] },
+          { $set: { claimedAt: new Date() } },
+          { new: true }
+        );
+        if (!marker) break;
+        claimed.push(marker);
+      }
+
+      if (claimed.length === 0) return null;
+
+      const since = new Date(Math.min(...claimed.map(marker => marker.since.getTime())));
+      const totals = await this.refreshConversions({ since });
+
+      await ExchangeRateRefresh.deleteMany({ _id: { $in: claimed.map(marker => marker._id) } });
+      console.log(`Exchange rate refresh complete: ${totals.transactions} transactions for ${totals.users} users`);
+      return totals;
+    } catch (error) {
+      // Release the markers so the next run retries them
+      if (claimed.length > 0) {
+        await ExchangeRateRefresh.updateMany(
+          { _id: { $in: claimed.map(marker => marker._id) } },
+          { $set: { claimedAt: null } }
+        ).catch(releaseError => console.error('Error releasing exchange rate refresh:', releaseError));
+      }
+      console.error('Error refreshing exchange rate conversions:', error);
+      return null;
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  /**
+   * Reconvert foreign-currency transactions dated on or after a day whose
+   * rates changed, a batch at a time, and refresh the budgets they count in
+   */
+  async refreshConversions({ since = null } = {}) {
+    const query = { currency: { $ne: null } };
+    if (since) query.date = { $gte: since };
+
+    const userIds = await Transaction.distinct('userId', query);
+    const totals = { users: userIds.length, transactions: 0, missingRates: 0, budgets: 0 };
+    const budgetIds = new Set();
+
+    for (const userId of userIds) {
+      try {
+        const reportingCurrency = await this.getReportingCurrency(userId);
+        let lastId = null;
+
+        while (true) {
+          const batchQuery = { ...query, userId };
+          if (lastId) batchQuery._id = { $gt: lastId };
+
+          const transactions = await Transaction.find(batchQuery)
+            .select('amount currency date reporting categoryId splits')
+            .sort({ _id: 1 })
+            .limit(this.refreshBatchSize)
+            .lean();
+
+          if (transactions.length === 0) break;
+
+          const result = await this.syncReportingAmounts(userId, transactions, reportingCurrency);
+          totals.transactions += transactions.length;
+          totals.missingRates += result.missingRates;
+
+          // Budget spending is stored in the reporting currency too
+          const budgets = await BudgetService.syncSpentForTransactions(userId, transactions);
+          budgets.forEach(budget => budgetIds.add(budget._id.toString()));
+
+          if (transactions.length < this.refreshBatchSize) break;
+          lastId = transactions[transactions.length - 1]._id;
+        }
+      } catch (error) {
+        console.error(`Error refreshing conversions for user ${userId}:`, error);
+      }
+    }
+
+    totals.budgets = budgetIds.size;
+    return totals;
+  }
+
+  /**
+   * Rates are stored per UTC day
+   */
+  toRateDate(date) {
+    const d = new Date(date);
+    return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
+  }
+}
+
+module.exports = new ExchangeRateService();
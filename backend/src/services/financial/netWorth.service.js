@@ -0,0 +1,386 @@
+const cron = require('node-cron');
+const Account = require('../../models/Account');
+const SavingsGoal = require('../../models/SavingsGoal');
+const NetWorthItem = require('../../models/NetWorthItem');
+const NetWorthSnapshot = require('../../models/NetWorthSnapshot');
+const ExchangeRateService = require('./exchangeRate.service');
+const CurrencyUtils = require('../../utils/currencyUtils');
+const { ServiceError } = require('../../middleware/errorHandler');
+const { getStartOfDay, getStartOfWeek } = require('../../utils/dateUtils');
+
+class NetWorthService {
+  constructor() {
+    this.isProcessing = false;
+    this.liabilityCategories = ['student_loan', 'mortgage', 'auto_loan', 'personal_loan', 'medical_debt'];
+    this.updatableFields = ['name', 'category', 'currency', 'interestRate', 'notes', 'isActive'];
+  }
+
+  /**
+   * Start the daily snapshot job
+   */
+  start() {
+    // Run every day at 04:30
+    cron.schedule('30 4 * * *', () => {
+      this.processSnapshots();
+    });
+
+    console.log('Net worth snapshot scheduler started');
+  }
+
+  /**
+   * Add a manually valued asset or liability
+   */
+  async createItem(userId, data) {
+    const kind = data.kind || (this.liabilityCategories.includes(data.category) ? 'liability' : 'asset');
+    const valuedAt = data.valuedAt ? new Date(data.valuedAt) : new Date();
+
+    const item = new NetWorthItem({
+      userId,
+      kind,
+      category: data.category || 'other',
+      name: data.name,
+      value: data.value,
+      currency: CurrencyUtils.normalize(data.currency),
+      interestRate: data.interestRate,
+      valuations: [{ value: data.value, date: valuedAt, notes: 'Initial value' }],
+      valuedAt,
+      notes: data.notes
+    });
+
+    await item.save();
+    await this.captureSnapshot(userId, 'valuation');
+
+    return item;
+  }
+
+  /**
+   * Get user's manual assets and liabilities
+   */
+  async getItems(userId, filters = {}) {
+    const query = { userId };
+
+    if (filters.kind) {
+      query.kind = filters.kind;
+    }
+
+    if (!filters.includeInactive) {
+      query.isActive = true;
+    }
+
+    return await NetWorthItem.find(query).sort({ kind: 1, value: -1 });
+  }
+
+  async getItem(itemId, userId) {
+    const item = await NetWorthItem.findOne({ _id: itemId, userId });
+
+    if (!item) {
+      throw new ServiceError('Net worth item not found', 404);
+    }
+
+    return item;
+  }
+
+  /**
+   * Update an item's details; a new value is recorded as a valuation
+   */
+  async updateItem(itemId, userId, updates) {
+    const item = await this.getItem(itemId, userId);
+
+    for (const field of this.updatableFields) {
+      if (updates[field] !== undefined) {
+        item[field] = field === 'currency' ? CurrencyUtils.normalize(updates[field]) : updates[field];
+      }
+    }
+
+    if (updates.value !== undefined && updates.value !== item.value) {
+      this.applyValuation(item, { value: updates.value, date: updates.valuedAt });
+    }
+
+    await item.save();
+    await this.captureSnapshot(userId, 'valuation');
+
+    return item;
+  }
+
+  /**
+   * Record a new value, e.g. a property appraisal or a loan statement balance
+   */
+  async addValuation(itemId, userId, data) {
+    const item = await this.getItem(itemId, userId);
+
+    this.applyValuation(item, data);
+
+    await item.save();
+    await this.captureSnapshot(userId, 'valuation');
+
+    return item;
+  }
+
+  async deleteItem(itemId, userId) {
+    const item = await NetWorthItem.findOneAndDelete({ _id: itemId, userId });
+
+    if (!item) {
+      throw new ServiceError('Net worth item not found', 404);
+    }
+
+    await this.captureSnapshot(userId, 'valuation');
+
+    return item;
+  }
+
+  /**
+   * Current net worth in the user's reporting currency: account balances,
+   * savings goals whose money is not held in an account, and manual items
+   */
+  async calculateNetWorth(userId) {
+    const currency = await ExchangeRateService.getReportingCurrency(userId);
+    const cache = new Map();
+    const now = new Date();
+
+    const [accounts, goals, items] = await Promise.all([
+      Account.find({ userId, status: 'active' }).select('name type currency currentBalance').lean(),
+      SavingsGoal.find({
+        userId,
+        status: { $ne: 'cancelled' },
+        accountId: null,
+        currentAmount: { $gt: 0 }
+      }).select('name category currentAmount').lean(),
+      NetWorthItem.find({ userId, isActive: true }).lean()
+    ]);
+
+    const lines = [];
+
+    for (const account of accounts) {
+      // Money owed, e.g. on a credit card, is a negative balance; an overpaid
+      // card holds a positive one and counts as an asset
+      lines.push({
+        source: 'account',
+        refId: account._id,
+        name: account.name,
+        kind: account.currentBalance < 0 ? 'liability' : 'asset',
+        category: account.type,
+        amount: Math.abs(account.currentBalance),
+        currency: account.currency
+      });
+    }
+
+    for (const goal of goals) {
+      lines.push({
+        source: 'savings_goal',
+        refId: goal._id,
+        name: goal.name,
+        kind: 'asset',
+        category: goal.category,
+        amount: goal.currentAmount,
+        currency: null
+      });
+    }
+
+    for (const item of items) {
+      lines.push({
+        source: 'manual',
+        refId: item._id,
+        name: item.name,
+        kind: item.kind,
+        category: item.category,
+        amount: item.value,
+        currency: item.currency
+      });
+    }
+
+    // Signed contributions to the total; they add up to netWorth
+    const breakdown = {
+      accounts: 0,
+      creditCards: 0,
+      savingsGoals: 0,
+      manualAssets: 0,
+      manualLiabilities: 0
+    };
+
+    const converted = [];
+    for (const line of lines) {
+      const value = await this.toReportingCurrency(line.amount, line.currency, currency, now, cache);
+
+      converted.push({
+        source: line.source,
+        refId: line.refId,
+        name: line.name,
+        kind: line.kind,
+        category: line.category,
+        value: value.amount,
+        currency: line.currency || currency,
+        converted: value.converted
+      });
+
+      const signed = line.kind === 'liability' ? -value.amount : value.amount;
+      if (line.source === 'account') {
+        breakdown[line.category === 'credit_card' ? 'creditCards' : 'accounts'] += signed;
+      } else if (line.source === 'savings_goal') {
+        breakdown.savingsGoals += signed;
+      } else {
+        breakdown[line.kind === 'asset' ? 'manualAssets' : 'manualLiabilities'] += signed;
+      }
+    }
+
+    const totalAssets = converted.filter(l => l.kind === 'asset').reduce((sum, l) => sum + l.value, 0);
+    const totalLiabilities = converted.filter(l => l.kind === 'liability').reduce((sum, l) => sum + l.value, 0);
+
+    Object.keys(breakdown).forEach(key => {
+      breakdown[key] = CurrencyUtils.round(breakdown[key]);
+    });
+
+    return {
+      currency,
+      totalAssets: CurrencyUtils.round(totalAssets),
+      totalLiabilities: CurrencyUtils.round(totalLiabilities),
+      netWorth: CurrencyUtils.round(totalAssets - totalLiabilities),
+      breakdown,
+      items: converted
+    };
+  }
+
+  /**
+   * Store today's net worth, replacing an earlier snapshot from the same day
+   */
+  async captureSnapshot(userId, trigger = 'manual') {
+    const current = await this.calculateNetWorth(userId);
+    const date = getStartOfDay();
+
+    return await NetWorthSnapshot.findOneAndUpdate(
+      { userId, date },
+      { $set: { ...current, trigger } },
+      { new: true, upsert: true, setDefaultsOnInsert: true }
+    );
+  }
+
+  /**
+   * Net worth over time, keeping the last snapshot of each day, week or month
+   */
+  async getHistory(userId, options = {}) {
+    const interval = options.interval || 'week';
+    const endDate = options.endDate ? new Date(options.endDate) : new Date();
+    const startDate = options.startDate ? new Date(options.startDate) : new Date(endDate);
+    if (!options.startDate) startDate.setFullYear(startDate.getFullYear() - 1);
+
+    const snapshots = await NetWorthSnapshot.find({
+      userId,
+      date: { $gte: getStartOfDay(startDate), $lte: endDate }
+    })
+      .select('-items')
+      .sort({ date: 1 })
+      .lean();
+
+    const buckets = new Map();
+    for (const snapshot of snapshots) {
+      buckets.set(this.getBucketKey(snapshot.date, interval), snapshot);
+    }
+
+    const points = [...buckets.values()].map(s => ({
+      date: s.date,
+      currency: s.currency,
+      totalAssets: s.totalAssets,
+      totalLiabilities: s.totalLiabilities,
+      netWorth: s.netWorth,
+      breakdown: s.breakdown
+    }));
+
+    const first = points[0];
+    const last = points[points.length - 1];
+
+    return {
+      interval,
+      startDate,
+      endDate,
+      points,
+      change: first && last && first.currency === last.currency ? {
+        amount: CurrencyUtils.round(last.netWorth - first.netWorth),
+        percentage: first.netWorth !== 0
+          ? Math.round(((last.netWorth - first.netWorth) / Math.abs(first.netWorth)) * 10000) / 100
+          : null
+      } : null
+    };
+  }
+
+  /**
+   * Snapshot every user with accounts, goals or manual items
+   */
+  async processSnapshots() {
+    if (this.isProcessing) {
+      console.log('Net worth snapshots already in progress');
+      return null;
+    }
+
+    this.isProcessing = true;
+    const results = { processed: 0, captured: 0, errors: [] };
+
+    try {
+      const userIds = new Set();
+      const [accountUsers, goalUsers, itemUsers] = await Promise.all([
+        Account.distinct('userId', { status: 'active' }),
+        SavingsGoal.distinct('userId', { status: { $ne: 'cancelled' } }),
+        NetWorthItem.distinct('userId', { isActive: true })
+      ]);
+      [...accountUsers, ...goalUsers, ...itemUsers].forEach(id => userIds.add(id.toString()));
+
+      for (const userId of userIds) {
+        results.processed++;
+
+        try {
+          await this.captureSnapshot(userId, 'scheduled');
+          results.captured++;
+        } catch (error) {
+          console.error(`Error capturing net worth for user ${userId}:`, error);
+          results.errors.push({ userId, error: error.message });
+        }
+      }
+
+      console.log(`Net worth snapshots complete: ${results.captured} captured`);
+      return results;
+
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  applyValuation(item, { value, date, notes }) {
+    const valuedAt = date ? new Date(date) : new Date();
+
+    item.valuations.push({ value, date: valuedAt, notes });
+
+    // An older valuation entered late does not replace a newer current value
+    if (!item.valuedAt || valuedAt >= item.valuedAt) {
+      item.value = value;
+      item.valuedAt = valuedAt;
+    }
+  }
+
+  /**
+   * Convert to the reporting currency; without a rate the amount is kept as is
+   */
+  async toReportingCurrency(amount, from, to, date, cache) {
+    if (!from || CurrencyUtils.normalize(from) === to) {
+      return { amount: CurrencyUtils.round(amount), converted: true };
+    }
+
+    const result = await ExchangeRateService.convert(amount, from, to, date, cache);
+    return result
+      ? { amount: result.amount, converted: true }
+      : { amount: CurrencyUtils.round(amount), converted: false };
+  }
+
+  getBucketKey(date, interval) {
+    const d = new Date(date);
+
+    if (interval === 'month') {
+      return `${d.getFullYear()}-${d.getMonth()}`;
+    }
+
+    if (interval === 'week') {
+      return getStartOfWeek(d).toISOString();
+    }
+
+    return getStartOfDay(d).toISOString();
+  }
+}
+
+module.exports = new NetWorthService();
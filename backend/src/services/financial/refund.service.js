@@ -0,0 +1,308 @@
+const Transaction = require('../../models/Transaction');
+const BudgetService = require('./budget.service');
+const AccountService = require('./account.service');
+const ExchangeRateService = require('./exchangeRate.service');
+const CurrencyUtils = require('../../utils/currencyUtils');
+const RefundUtils = require('../../utils/refundUtils');
+const { ServiceError } = require('../../middleware/errorHandler');
+
+class RefundService {
+  constructor() {
+    // Credits are only matched to purchases made this many days before them
+    this.matchWindowDays = 90;
+    this.maxCandidatesPerCredit = 3;
+  }
+
+  /**
+   * Record a full or partial refund of a purchase. The refund is filed under
+   * the purchase's category and, by default, its account.
+   */
+  async createRefund(userId, originalId, data) {
+    const original = await this.getRefundableTransaction(userId, originalId);
+    const amount = CurrencyUtils.round(data.amount ?? RefundUtils.refundableAmount(original));
+    const date = data.date ? new Date(data.date) : new Date();
+
+    this.assertRefundFits(original, amount, date);
+
+    const accountId = data.accountId !== undefined ? data.accountId || null : original.accountId;
+    await AccountService.assertAccounts(userId, [accountId]);
+
+    const refund = new Transaction({
+      userId,
+      type: 'refund',
+      amount,
+      currency: original.currency,
+      categoryId: original.categoryId,
+      accountId,
+      date,
+      description: (data.description || `Refund: ${original.description}`).slice(0, 200),
+      merchant: original.merchant,
+      paymentMethod: original.paymentMethod,
+      status: 'completed',
+      notes: data.notes,
+      refundOf: original._id
+    });
+
+    // Reserve the amount on the purchase first so concurrent refunds cannot exceed it
+    const updated = await this.adjustRefundedAmount(original, amount);
+
+    try {
+      await refund.save();
+    } catch (error) {
+      await this.adjustRefundedAmount(original, -amount);
+      throw error;
+    }
+
+    await ExchangeRateService.syncReportingAmounts(userId, [refund]);
+    await BudgetService.syncSpentForTransactions(userId, [updated]);
+    await AccountService.syncBalancesForTransactions(userId, [refund]);
+
+    return { refund, original: updated };
+  }
+
+  /**
+   * Turn an existing credit (e.g. an imported income row) into a refund of a purchase
+   */
+  async linkRefund(userId, creditId, originalId) {
+    const credit = await Transaction.findOne({ _id: creditId, userId });
+
+    if (!credit) {
+      throw new ServiceError('Transaction not found', 404);
+    }
+
+    if (credit.type !== 'income' || credit.refundOf) {
+      throw new ServiceError('Only unlinked income transactions can be linked as refunds', 400);
+    }
+
+    const original = await this.getRefundableTransaction(userId, originalId);
+
+    if (CurrencyUtils.normalize(credit.currency) !== CurrencyUtils.normalize(original.currency)) {
+      throw new ServiceError('A refund must be in the same currency as the purchase', 400, {
+        currency: credit.currency,
+        originalCurrency: original.currency
+      });
+    }
+
+    this.assertRefundFits(original, credit.amount, credit.date);
+
+    const updated = await this.adjustRefundedAmount(original, credit.amount);
+
+    credit.type = 'refund';
+    credit.refundOf = original._id;
+    credit.categoryId = original.categoryId;
+    credit.splits = [];
+
+    try {
+      await credit.save();
+    } catch (error) {
+      await this.adjustRefundedAmount(original, -credit.amount);
+      throw error;
+    }
+
+    await BudgetService.syncSpentForTransactions(userId, [updated]);
+    await AccountService.syncBalancesForTransactions(userId, [credit]);
+
+    return { refund: credit, original: updated };
+  }
+
+  /**
+   * Undo a refund's effect on its purchase once the refund has been deleted
+   */
+  async releaseRefund(userId, refund) {
+    if (!refund?.refundOf) return null;
+
+    const original = await Transaction.findOne({ _id: refund.refundOf, userId });
+    if (!original) return null;
+
+    const updated = await this.adjustRefundedAmount(original, -refund.amount);
+    await BudgetService.syncSpentForTransactions(userId, [updated]);
+
+    return updated;
+  }
+
+  /**
+   * Refunds recorded against a purchase
+   */
+  async getRefunds(userId, originalId) {
+    const original = await Transaction.findOne({ _id: originalId, userId }).lean();
+
+    if (!original) {
+      throw new ServiceError('Transaction not found', 404);
+    }
+
+    const refunds = await Transaction.find({ userId, refundOf: original._id })
+      .sort({ date: 1 })
+      .lean();
+
+    return {
+      transactionId: original._id,
+      amount: original.amount,
+      refundedAmount: original.refundedAmount || 0,
+      refundableAmount: RefundUtils.refundableAmount(original),
+      refunds
+    };
+  }
+
+  /**
+   * Propose purchases that unlinked credits may be refunds of: an earlier
+   * expense from the same merchant, in the same currency, with enough left
+   * to refund. Exact amount matches and closer dates rank first.
+   */
+  async findRefundCandidates(userId, options = {}) {
+    const creditQuery = {
+      userId,
+      type: 'income',
+      refundOf: null,
+      status: 'completed',
+      'merchant.name': { $nin: [null, ''] }
+    };
+
+    if (options.transactionIds) {
+      creditQuery._id = { $in: options.transactionIds };
+    } else {
+      const since = options.since ? new Date(options.since) : new Date();
+      if (!options.since) since.setDate(since.getDate() - 30);
+      creditQuery.date = { $gte: since };
+    }
+
+    const credits = await Transaction.find(creditQuery).sort({ date: -1 }).limit(200).lean();
+    const proposals = [];
+
+    for (const credit of credits) {
+      const merchant = credit.merchant.name.trim();
+      const windowStart = new Date(credit.date);
+      windowStart.setDate(windowStart.getDate() - this.matchWindowDays);
+
+      const purchases = await Transaction.find({
+        userId,
+        type: 'expense',
+        status: 'completed',
+        currency: credit.currency || null,
+        date: { $gte: windowStart, $lte: credit.date },
+        'merchant.name': { $regex: `^${this.escapeRegex(merchant)}$`, $options: 'i' }
+      })
+        .populate('categoryId', 'name')
+        .lean();
+
+      const candidates = purchases
+        .filter(p => RefundUtils.refundableAmount(p) >= credit.amount)
+        .map(p => ({
+          originalId: p._id,
+          description: p.description,
+          date: p.date,
+          amount: p.amount,
+          refundableAmount: RefundUtils.refundableAmount(p),
+          category: p.categoryId?.name || null,
+          confidence: this.scoreCandidate(credit, p)
+        }))
+        .sort((a, b) => b.confidence - a.confidence)
+        .slice(0, this.maxCandidatesPerCredit);
+
+      if (candidates.length > 0) {
+        proposals.push({
+          transactionId: credit._id,
+          description: credit.description,
+          merchant,
+          date: credit.date,
+          amount: credit.amount,
+          candidates
+        });
+      }
+    }
+
+    return proposals;
+  }
+
+  /**
+   * 0-1 confidence that a credit refunds a purchase
+   */
+  scoreCandidate(credit, purchase) {
+    const days = (new Date(credit.date) - new Date(purchase.date)) / (1000 * 60 * 60 * 24);
+    const recency = Math.max(0, 1 - days / this.matchWindowDays);
+    const exact = Math.abs(RefundUtils.refundableAmount(purchase) - credit.amount) < 0.01;
+
+    return Math.round((exact ? 0.6 : 0.3) * 100 + recency * 40) / 100;
+  }
+
+  async getRefundableTransaction(userId, originalId) {
+    const original = await Transaction.findOne({ _id: originalId, userId });
+
+    if (!original) {
+      throw new ServiceError('Original transaction not found', 404);
+    }
+
+    if (original.type !== 'expense') {
+      throw new ServiceError('Only expenses can be refunded', 400);
+    }
+
+    return original;
+  }
+
+  assertRefundFits(original, amount, date) {
+    const refundable = RefundUtils.refundableAmount(original);
+
+    if (amount > refundable + 0.001) {
+      throw new ServiceError(`Refund exceeds the ${refundable.toFixed(2)} left to refund`, 400, {
+        refundableAmount: refundable
+      });
+    }
+
+    if (new Date(date) < original.date) {
+      throw new ServiceError('A refund cannot be dated before the purchase', 400);
+    }
+  }
+
+  /**
+   * Move a purchase's refunded total by delta in one atomic update. An
+   * increase only applies while it still fits the purchase amount, so two
+   * refunds racing each other cannot both take the last of it.
+   */
+  async adjustRefundedAmount(original, delta) {
+    const tolerance = 0.001;
+
+    if (delta > 0) {
+      const updated = await Transaction.findOneAndUpdate(
+        {
+          _id: original._id,
+          type: 'expense',
+          $or: [
+            { refundedAmount: { $lte: original.amount - delta + tolerance } },
+            { refundedAmount: null }
+          ]
+        },
+        { $inc: { refundedAmount: delta } },
+        { new: true }
+      );
+
+      if (!updated) {
+        const current = await Transaction.findById(original._id).lean();
+        const refundable = current ? RefundUtils.refundableAmount(current) : 0;
+
+        throw new ServiceError(`Refund exceeds the ${refundable.toFixed(2)} left to refund`, 409, {
+          refundableAmount: refundable
+        });
+      }
+
+      return updated;
+    }
+
+    const released = await Transaction.findOneAndUpdate(
+      { _id: original._id, refundedAmount: { $gte: -delta - tolerance } },
+      { $inc: { refundedAmount: delta } },
+      { new: true }
+    );
+
+    // The total never goes below zero, even if it had drifted
+    return released || await Transaction.findByIdAndUpdate(
+      original._id,
+      { $set: { refundedAmount: 0 } },
+      { new: true }
+    );
+  }
+
+  escapeRegex(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+}
+
+module.exports = new RefundService();
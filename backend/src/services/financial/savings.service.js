@@ -0,0 +1,520 @@
+const cron = require('node-cron');
+const SavingsGoal = require('../../models/SavingsGoal');
+const Category = require('../../models/Category');
+const Transaction = require('../../models/Transaction');
+const AccountService = require('./account.service');
+const TransferService = require('./transfer.service');
+const CategoryService = require('./category.service');
+const BudgetService = require('./budget.service');
+const ExchangeRateService = require('./exchangeRate.service');
+const NotificationService = require('../suggestions/notification.service');
+const CurrencyUtils = require('../../utils/currencyUtils');
+const { ServiceError } = require('../../middleware/errorHandler');
+const { getStartOfDay } = require('../../utils/dateUtils');
+
+class SavingsService {
+  constructor() {
+    this.isProcessing = false;
+    this.milestonePercentages = [25, 50, 75, 100];
+    this.updatableFields = [
+      'name', 'description', 'targetAmount', 'priority', 'category',
+      'targetDate', 'notes', 'metadata'
+    ];
+  }
+
+  /**
+   * Start the daily auto-save job
+   */
+  start() {
+    // Run every day at 07:00
+    cron.schedule('0 7 * * *', () => {
+      this.processAutoSaves();
+    });
+
+    console.log('Savings auto-save scheduler started');
+  }
+
+  /**
+   * Create a savings goal
+   */
+  async createGoal(userId, data) {
+    await AccountService.assertAccounts(userId, [data.accountId, data.autoSave?.sourceAccountId]);
+
+    const goal = new SavingsGoal({
+      userId,
+      name: data.name,
+      description: data.description,
+      targetAmount: data.targetAmount,
+      currentAmount: 0,
+      priority: data.priority || 3,
+      category: data.category || 'other',
+      targetDate: data.targetDate,
+      startDate: data.startDate || new Date(),
+      status: 'active',
+      autoSave: this.buildAutoSave(data.autoSave),
+      accountId: data.accountId || null,
+      withdrawalRules: data.withdrawalRules,
+      milestones: this.buildMilestones(data.targetAmount),
+      notes: data.notes,
+      metadata: data.metadata
+    });
+
+    await goal.save();
+    return goal;
+  }
+
+  /**
+   * Get user's savings goals
+   */
+  async getGoals(userId, filters = {}) {
+    const query = { userId };
+
+    if (filters.status) {
+      query.status = filters.status;
+    } else if (filters.includeCancelled !== true) {
+      query.status = { $ne: 'cancelled' };
+    }
+
+    if (filters.category) {
+      query.category = filters.category;
+    }
+
+    const goals = await SavingsGoal.find(query)
+      .sort({ priority: 1, targetDate: 1 })
+      .lean();
+
+    return goals.map(goal => this.withProgress(goal));
+  }
+
+  /**
+   * Get single goal
+   */
+  async getGoal(goalId, userId) {
+    const goal = await SavingsGoal.findOne({ _id: goalId, userId });
+
+    if (!goal) {
+      throw new ServiceError('Savings goal not found', 404);
+    }
+
+    return goal;
+  }
+
+  /**
+   * Update goal settings
+   */
+  async updateGoal(goalId, userId, updates) {
+    const goal = await this.getGoal(goalId, userId);
+
+    if (goal.status === 'cancelled') {
+      throw new ServiceError('Cancelled goals cannot be edited', 400);
+    }
+
+    await AccountService.assertAccounts(userId, [updates.accountId, updates.autoSave?.sourceAccountId]);
+
+    if (updates.accountId !== undefined) {
+      goal.accountId = updates.accountId || null;
+    }
+
+    for (const field of this.updatableFields) {
+      if (updates[field] !== undefined) {
+        goal[field] = updates[field];
+      }
+    }
+
+    if (updates.status !== undefined) {
+      if (!['active', 'paused'].includes(updates.status) || goal.status === 'completed') {
+        throw new ServiceError('Goals can only be paused or resumed', 400);
+      }
+      goal.status = updates.status;
+    }
+
+    const current = goal.toObject();
+
+    if (updates.autoSave) {
+      goal.autoSave = this.buildAutoSave({
+        ...current.autoSave,
+        ...updates.autoSave
+      });
+    }
+
+    if (updates.withdrawalRules) {
+      goal.withdrawalRules = {
+        ...current.withdrawalRules,
+        ...updates.withdrawalRules
+      };
+    }
+
+    if (updates.targetAmount !== undefined) {
+      // Unreached milestones move with the target; reached ones keep their history
+      const reached = goal.milestones.filter(m => m.achievedAt);
+      const pending = this.buildMilestones(goal.targetAmount)
+        .filter(m => !reached.some(r => r.amount >= m.amount));
+      goal.milestones = [...reached, ...pending];
+    }
+
+    await this.checkMilestones(goal);
+    await goal.save();
+
+    return goal;
+  }
+
+  /**
+   * Cancel goal (keeps contributions and transactions)
+   */
+  async cancelGoal(goalId, userId) {
+    const goal = await this.getGoal(goalId, userId);
+
+    if (goal.status === 'cancelled') {
+      throw new ServiceError('Savings goal already cancelled', 400);
+    }
+
+    goal.status = 'cancelled';
+    goal.autoSave.enabled = false;
+    await goal.save();
+
+    return goal;
+  }
+
+  /**
+   * Add money to a goal
+   */
+  async contribute(goalId, userId, amount, options = {}) {
+    const goal = await this.getGoal(goalId, userId);
+
+    if (['cancelled', 'completed'].includes(goal.status)) {
+      throw new ServiceError(`Cannot contribute to a ${goal.status} goal`, 400);
+    }
+
+    return await this.recordContribution(goal, amount, {
+      date: options.date ? new Date(options.date) : new Date(),
+      notes: options.notes,
+      fromAccountId: options.fromAccountId
+    });
+  }
+
+  /**
+   * Take money out of a goal, enforcing its withdrawal rules
+   */
+  async withdraw(goalId, userId, amount, options = {}) {
+    const goal = await this.getGoal(goalId, userId);
+    const rules = goal.withdrawalRules || {};
+    const reachedTarget = goal.currentAmount >= goal.targetAmount;
+
+    if (goal.status === 'cancelled' && goal.currentAmount <= 0) {
+      throw new ServiceError('Nothing left to withdraw', 400);
+    }
+
+    if (amount > goal.currentAmount) {
+      throw new ServiceError('Withdrawal exceeds the saved amount', 400, {
+        available: goal.currentAmount
+      });
+    }
+
+    // Cancelled goals release their funds; otherwise early withdrawal must be allowed
+    if (goal.status !== 'cancelled' && !reachedTarget && !rules.allowEarlyWithdrawal) {
+      throw new ServiceError('Early withdrawal is not allowed for this goal', 403);
+    }
+
+    const currency = await ExchangeRateService.getReportingCurrency(goal.userId);
+
+    if (goal.status !== 'cancelled' && rules.minimumBalance &&
+        goal.currentAmount - amount < rules.minimumBalance) {
+      throw new ServiceError(`Goal balance cannot drop below ${CurrencyUtils.format(rules.minimumBalance, currency)}`, 400, {
+        available: Math.max(0, goal.currentAmount - rules.minimumBalance)
+      });
+    }
+
+    const penaltyAmount = !reachedTarget && rules.penalty
+      ? Math.round(amount * (rules.penalty / 100) * 100) / 100
+      : 0;
+    const date = options.date ? new Date(options.date) : new Date();
+
+    // The penalty is an expense on the goal's account, so the transfer and the
+    // penalty together take the full amount out of the goal
+    const penaltyCategory = penaltyAmount > 0 ? await this.getPenaltyCategory(goal.userId) : null;
+
+    const transfer = await TransferService.createTransfer(goal.userId, {
+      fromAccountId: goal.accountId,
+      toAccountId: options.toAccountId || goal.autoSave?.sourceAccountId,
+      amount: amount - penaltyAmount,
+      description: `Withdrawal from savings: ${goal.name}`,
+      date,
+      tags: ['savings', 'withdrawal'],
+      notes: penaltyAmount > 0
+        ? `Early withdrawal penalty of ${CurrencyUtils.format(penaltyAmount, currency)} applied`
+        : options.notes
+    });
+    const transaction = transfer.outgoing;
+
+    const penaltyTransaction = penaltyAmount > 0
+      ? await this.recordPenalty(goal, penaltyAmount, penaltyCategory, date)
+      : null;
+
+    goal.currentAmount = Math.max(0, goal.currentAmount - amount);
+    goal.contributions.push({
+      amount: -amount,
+      date: transaction.date,
+      transactionId: transaction._id,
+      notes: options.notes || 'Withdrawal'
+    });
+
+    await goal.save();
+
+    return {
+      goal,
+      transaction,
+      transfer,
+      penaltyAmount,
+      penaltyTransaction
+    };
+  }
+
+  /**
+   * Category early withdrawal penalties are filed under
+   */
+  async getPenaltyCategory(userId) {
+    const categories = await Category.find({ userId }).select('systemKey').lean();
+    const category = CategoryService.getFallbackCategory(categories, 'expense');
+
+    if (!category) {
+      throw new ServiceError('An uncategorized expense category is needed to record the withdrawal penalty', 400);
+    }
+
+    return category;
+  }
+
+  /**
+   * Record an early withdrawal penalty as an expense on the goal's account
+   */
+  async recordPenalty(goal, penaltyAmount, category, date) {
+    const transaction = new Transaction({
+      userId: goal.userId,
+      accountId: goal.accountId,
+      amount: penaltyAmount,
+      currency: await AccountService.getCurrency(goal.userId, goal.accountId),
+      type: 'expense',
+      categoryId: category._id,
+      description: `Early withdrawal penalty: ${goal.name}`,
+      date,
+      status: 'completed',
+      tags: ['savings', 'penalty'],
+      metadata: {
+        importSource: 'savings'
+      }
+    });
+    await transaction.save();
+
+    await ExchangeRateService.syncReportingAmounts(goal.userId, [transaction]);
+    await BudgetService.syncSpentForTransactions(goal.userId, [transaction]);
+    await AccountService.syncBalancesForTransactions(goal.userId, [transaction]);
+
+    return transaction;
+  }
+
+  /**
+   * Move money into the goal as a transfer and update progress. The incoming
+   * leg lands on the goal's account, the outgoing one on the source account.
+   */
+  async recordContribution(goal, amount, { date = new Date(), notes, automatic = false, fromAccountId } = {}) {
+    const transfer = await TransferService.createTransfer(goal.userId, {
+      fromAccountId: fromAccountId || goal.autoSave?.sourceAccountId,
+      toAccountId: goal.accountId,
+      amount,
+      description: `${automatic ? 'Auto-save' : 'Contribution'} to savings: ${goal.name}`,
+      date,
+      isRecurring: automatic,
+      tags: ['savings', 'contribution'],
+      notes
+    });
+    const transaction = transfer.incoming;
+
+    goal.currentAmount += amount;
+    goal.contributions.push({
+      amount,
+      date,
+      transactionId: transaction._id,
+      notes: notes || (automatic ? 'Auto-save' : undefined)
+    });
+
+    if (automatic) {
+      goal.autoSave.lastAutoSaveAt = date;
+    }
+
+    await this.checkMilestones(goal);
+    await goal.save();
+
+    return { goal, transaction, transfer };
+  }
+
+  /**
+   * Run every auto-save that is due
+   */
+  async processAutoSaves(now = new Date()) {
+    if (this.isProcessing) {
+      console.log('Auto-save already in progress');
+      return null;
+    }
+
+    this.isProcessing = true;
+    const results = { processed: 0, saved: 0, skipped: 0, errors: [] };
+
+    try {
+      const goals = await SavingsGoal.find({
+        status: 'active',
+        'autoSave.enabled': true,
+        'autoSave.amount': { $gt: 0 }
+      });
+
+      for (const goal of goals) {
+        results.processed++;
+
+        try {
+          const due = this.getNextAutoSaveDate(goal);
+          if (due > now) {
+            results.skipped++;
+            continue;
+          }
+
+          // Never save past the target
+          const amount = Math.min(goal.autoSave.amount, goal.targetAmount - goal.currentAmount);
+          if (amount < 0.01) {
+            results.skipped++;
+            continue;
+          }
+
+          await this.recordContribution(goal, amount, { date: now, automatic: true });
+          results.saved++;
+        } catch (error) {
+          console.error(`Error running auto-save for goal ${goal._id}:`, error);
+          results.errors.push({ goalId: goal._id, error: error.message });
+        }
+      }
+
+      console.log(`Auto-save complete: ${results.saved} contributions made`);
+      return results;
+
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  /**
+   * Date the next auto-save is due
+   */
+  getNextAutoSaveDate(goal) {
+    const { frequency, dayOfMonth, lastAutoSaveAt } = goal.autoSave;
+
+    if (!lastAutoSaveAt) {
+      return getStartOfDay(goal.startDate || goal.createdAt);
+    }
+
+    const next = getStartOfDay(lastAutoSaveAt);
+
+    switch(frequency) {
+      case 'daily':
+        next.setDate(next.getDate() + 1);
+        return next;
+      case 'weekly':
+        next.setDate(next.getDate() + 7);
+        return next;
+      case 'monthly':
+      default: {
+        next.setDate(1);
+        next.setMonth(next.getMonth() + 1);
+        const lastDay = new Date(next.getFullYear(), next.getMonth() + 1, 0).getDate();
+        next.setDate(Math.min(dayOfMonth || lastAutoSaveAt.getDate(), lastDay));
+        return next;
+      }
+    }
+  }
+
+  /**
+   * Mark reached milestones, notify once for each, and complete the goal at 100%
+   */
+  async checkMilestones(goal) {
+    const reached = [];
+
+    for (const milestone of goal.milestones) {
+      if (!milestone.achievedAt && goal.currentAmount >= milestone.amount) {
+        milestone.achievedAt = new Date();
+      }
+
+      if (milestone.achievedAt && !milestone.notified) {
+        reached.push(milestone);
+      }
+    }
+
+    if (goal.currentAmount >= goal.targetAmount && goal.status === 'active') {
+      goal.status = 'completed';
+      goal.completedAt = new Date();
+      goal.autoSave.enabled = false;
+    }
+
+    // Only announce the highest milestone reached in one go
+    const latest = reached.sort((a, b) => b.amount - a.amount)[0];
+    for (const milestone of reached) {
+      milestone.notified = true;
+    }
+
+    if (latest) {
+      const percentage = Math.round((latest.amount / goal.targetAmount) * 100);
+      try {
+        await NotificationService.notifyGoalMilestone(goal, percentage);
+      } catch (error) {
+        console.error(`Failed to send milestone notification for goal ${goal._id}:`, error);
+      }
+    }
+
+    return reached;
+  }
+
+  /**
+   * Milestone amounts for a target
+   */
+  buildMilestones(targetAmount) {
+    return this.milestonePercentages.map(percentage => ({
+      amount: Math.round(targetAmount * percentage) / 100,
+      notified: false
+    }));
+  }
+
+  /**
+   * Normalize auto-save settings
+   */
+  buildAutoSave(autoSave = {}) {
+    const enabled = !!autoSave.enabled;
+
+    if (enabled && !(autoSave.amount > 0)) {
+      throw new ServiceError('Auto-save amount is required when auto-save is enabled', 400);
+    }
+
+    return {
+      enabled,
+      amount: autoSave.amount,
+      frequency: autoSave.frequency || 'monthly',
+      dayOfMonth: autoSave.dayOfMonth,
+      sourceAccount: autoSave.sourceAccount,
+      sourceAccountId: autoSave.sourceAccountId || null,
+      lastAutoSaveAt: autoSave.lastAutoSaveAt
+    };
+  }
+
+  /**
+   * Add derived progress fields to a plain goal
+   */
+  withProgress(goal) {
+    const remaining = Math.max(0, goal.targetAmount - goal.currentAmount);
+    const daysLeft = Math.ceil((new Date(goal.targetDate) - new Date()) / (1000 * 60 * 60 * 24));
+    const monthsLeft = Math.max(daysLeft / 30, 0);
+
+    return {
+      ...goal,
+      remaining,
+      progressPercentage: goal.targetAmount > 0 ? (goal.currentAmount / goal.targetAmount) * 100 : 0,
+      remainingDays: daysLeft,
+      requiredMonthly: monthsLeft > 0 ? remaining / monthsLeft : remaining
+    };
+  }
+}
+
+module.exports = new SavingsService();
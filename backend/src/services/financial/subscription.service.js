@@ -0,0 +1,492 @@
+const cron = require('node-cron');
+const Subscription = require('../../models/Subscription');
+const Category = require('../../models/Category');
+const Transaction = require('../../models/Transaction');
+const BudgetService = require('./budget.service');
+const ExchangeRateService = require('./exchangeRate.service');
+const NotificationService = require('../suggestions/notification.service');
+const { ServiceError } = require('../../middleware/errorHandler');
+const { getStartOfDay, getEndOfDay, getNextBillingDate } = require('../../utils/dateUtils');
+
+class SubscriptionService {
+  constructor() {
+    this.isProcessing = false;
+    this.maxCalendarDays = 366;
+    this.updatableFields = [
+      'name', 'categoryId', 'amount', 'currency', 'paymentMethod',
+      'autoRenew', 'trialEndsAt', 'provider', 'notes', 'metadata'
+    ];
+  }
+
+  /**
+   * Start the daily billing and reminder job
+   */
+  start() {
+    // Run every day at 06:00
+    cron.schedule('0 6 * * *', async () => {
+      await this.processDueBillings();
+      await this.sendBillingReminders();
+    });
+
+    console.log('Subscription billing scheduler started');
+  }
+
+  /**
+   * Create a subscription
+   */
+  async createSubscription(userId, data) {
+    await this.assertCategory(userId, data.categoryId);
+    this.assertSchedulable(data.recurrence.frequency);
+
+    const nextBillingDate = getStartOfDay(data.recurrence.nextBillingDate);
+
+    const subscription = new Subscription({
+      userId,
+      name: data.name,
+      categoryId: data.categoryId,
+      amount: data.amount,
+      currency: data.currency,
+      recurrence: {
+        frequency: data.recurrence.frequency,
+        interval: data.recurrence.interval || 1,
+        billingDate: data.recurrence.billingDate || nextBillingDate.getDate(),
+        nextBillingDate,
+        endDate: data.recurrence.endDate
+      },
+      paymentMethod: data.paymentMethod,
+      status: data.trialEndsAt ? 'trial' : 'active',
+      trialEndsAt: data.trialEndsAt,
+      autoRenew: data.autoRenew ?? true,
+      provider: data.provider,
+      notes: data.notes,
+      reminders: data.reminders,
+      metadata: data.metadata
+    });
+
+    await subscription.save();
+    return subscription;
+  }
+
+  /**
+   * Get user's subscriptions
+   */
+  async getSubscriptions(userId, filters = {}) {
+    const query = { userId };
+
+    if (filters.status) {
+      query.status = filters.status;
+    } else if (filters.includeCancelled !== true) {
+      query.status = { $nin: ['cancelled', 'expired'] };
+    }
+
+    if (filters.categoryId) {
+      query.categoryId = filters.categoryId;
+    }
+
+    return await Subscription.find(query)
+      .populate('categoryId', 'name type color icon')
+      .sort({ 'recurrence.nextBillingDate': 1 })
+      .lean();
+  }
+
+  /**
+   * Get single subscription
+   */
+  async getSubscription(subscriptionId, userId) {
+    const subscription = await Subscription.findOne({ _id: subscriptionId, userId })
+      .populate('categoryId', 'name type color icon');
+
+    if (!subscription) {
+      throw new ServiceError('Subscription not found', 404);
+    }
+
+    return subscription;
+  }
+
+  /**
+   * Update subscription details and schedule
+   */
+  async updateSubscription(subscriptionId, userId, updates) {
+    const subscription = await this.findOwned(subscriptionId, userId);
+
+    if (['cancelled', 'expired'].includes(subscription.status)) {
+      throw new ServiceError('Cancelled or expired subscriptions cannot be edited', 400);
+    }
+
+    if (updates.categoryId && updates.categoryId.toString() !== subscription.categoryId.toString()) {
+      await this.assertCategory(userId, updates.categoryId);
+    }
+
+    for (const field of this.updatableFields) {
+      if (updates[field] !== undefined) {
+        subscription[field] = updates[field];
+      }
+    }
+
+    if (updates.recurrence) {
+      const { frequency, interval, billingDate, nextBillingDate, endDate } = updates.recurrence;
+
+      if (frequency !== undefined) {
+        this.assertSchedulable(frequency);
+        subscription.recurrence.frequency = frequency;
+      }
+      if (interval !== undefined) subscription.recurrence.interval = interval;
+      if (billingDate !== undefined) subscription.recurrence.billingDate = billingDate;
+      if (endDate !== undefined) subscription.recurrence.endDate = endDate;
+
+      if (nextBillingDate !== undefined) {
+        subscription.recurrence.nextBillingDate = getStartOfDay(nextBillingDate);
+        subscription.reminders.beforeBilling.lastSentFor = undefined;
+      }
+    }
+
+    if (updates.reminders?.beforeBilling) {
+      const { days, enabled } = updates.reminders.beforeBilling;
+      if (days !== undefined) subscription.reminders.beforeBilling.days = days;
+      if (enabled !== undefined) subscription.reminders.beforeBilling.enabled = enabled;
+    }
+
+    if (updates.reminders?.onRenewal?.enabled !== undefined) {
+      subscription.reminders.onRenewal.enabled = updates.reminders.onRenewal.enabled;
+    }
+
+    await subscription.save();
+    return subscription;
+  }
+
+  /**
+   * Pause billing without cancelling
+   */
+  async pauseSubscription(subscriptionId, userId) {
+    const subscription = await this.findOwned(subscriptionId, userId);
+
+    if (!['active', 'trial'].includes(subscription.status)) {
+      throw new ServiceError(`Cannot pause a ${subscription.status} subscription`, 400);
+    }
+
+    subscription.status = 'paused';
+    await subscription.save();
+    return subscription;
+  }
+
+  /**
+   * Resume a paused subscription; billing dates missed while paused are skipped
+   */
+  async resumeSubscription(subscriptionId, userId) {
+    const subscription = await this.findOwned(subscriptionId, userId);
+
+    if (subscription.status !== 'paused') {
+      throw new ServiceError('Only paused subscriptions can be resumed', 400);
+    }
+
+    const today = getStartOfDay();
+    while (subscription.recurrence.nextBillingDate < today) {
+      subscription.recurrence.nextBillingDate = this.getFollowingBillingDate(subscription);
+    }
+
+    subscription.status = 'active';
+    await subscription.save();
+    return subscription;
+  }
+
+  /**
+   * Cancel subscription (keeps billing history and posted transactions)
+   */
+  async cancelSubscription(subscriptionId, userId) {
+    const subscription = await this.findOwned(subscriptionId, userId);
+
+    if (subscription.status === 'cancelled') {
+      throw new ServiceError('Subscription already cancelled', 400);
+    }
+
+    subscription.status = 'cancelled';
+    subscription.autoRenew = false;
+    await subscription.save();
+    return subscription;
+  }
+
+  /**
+   * Projected charges for every billable subscription within a date range
+   */
+  async getBillingCalendar(userId, from = new Date(), to) {
+    const start = getStartOfDay(from);
+    const end = getEndOfDay(to || new Date(start.getTime() + 30 * 24 * 60 * 60 * 1000));
+
+    if (end < start) {
+      throw new ServiceError('End date must be after start date', 400);
+    }
+
+    if ((end - start) / (24 * 60 * 60 * 1000) > this.maxCalendarDays) {
+      throw new ServiceError(`Calendar range cannot exceed ${this.maxCalendarDays} days`, 400);
+    }
+
+    const subscriptions = await Subscription.find({
+      userId,
+      status: { $in: ['active', 'trial'] },
+      'recurrence.frequency': { $ne: 'custom' },
+      'recurrence.nextBillingDate': { $lte: end }
+    }).populate('categoryId', 'name color icon').lean();
+
+    const events = [];
+
+    for (const subscription of subscriptions) {
+      let date = new Date(subscription.recurrence.nextBillingDate);
+
+      while (date <= end && this.isBillable(subscription, date)) {
+        if (date >= start) {
+          events.push({
+            date,
+            subscriptionId: subscription._id,
+            name: subscription.name,
+            amount: subscription.amount,
+            currency: subscription.currency,
+            category: subscription.categoryId
+          });
+        }
+
+        date = this.getFollowingBillingDate(subscription, date);
+      }
+    }
+
+    events.sort((a, b) => a.date - b.date);
+
+    const days = {};
+    for (const event of events) {
+      const key = event.date.toISOString().split('T')[0];
+      if (!days[key]) {
+        days[key] = { date: key, total: 0, charges: [] };
+      }
+      days[key].total += event.amount;
+      days[key].charges.push(event);
+    }
+
+    return {
+      from: start,
+      to: end,
+      total: events.reduce((sum, e) => sum + e.amount, 0),
+      count: events.length,
+      days: Object.values(days)
+    };
+  }
+
+  /**
+   * Post a transaction for every billing date that has arrived
+   */
+  async processDueBillings(now = new Date()) {
+    if (this.isProcessing) {
+      console.log('Subscription billing already in progress');
+      return null;
+    }
+
+    this.isProcessing = true;
+    const results = { processed: 0, charged: 0, expired: 0, errors: [] };
+
+    try {
+      // Trials that have ended become regular subscriptions
+      await Subscription.updateMany(
+        { status: 'trial', trialEndsAt: { $lte: now } },
+        { $set: { status: 'active' } }
+      );
+
+      const due = await Subscription.find({
+        status: 'active',
+        'recurrence.frequency': { $ne: 'custom' },
+        'recurrence.nextBillingDate': { $lte: now }
+      });
+
+      for (const subscription of due) {
+        results.processed++;
+        try {
+          const outcome = await this.billSubscription(subscription, now);
+          results.charged += outcome.charged;
+          if (outcome.expired) results.expired++;
+        } catch (error) {
+          console.error(`Error billing subscription ${subscription._id}:`, error);
+          results.errors.push({ subscriptionId: subscription._id, error: error.message });
+        }
+      }
+
+      console.log(`Subscription billing complete: ${results.charged} charges posted, ${results.expired} expired`);
+      return results;
+
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  /**
+   * Post every missed charge for one subscription and advance its schedule
+   */
+  async billSubscription(subscription, now = new Date()) {
+    const posted = [];
+    let expired = false;
+
+    while (subscription.recurrence.nextBillingDate <= now) {
+      const billingDate = subscription.recurrence.nextBillingDate;
+
+      if (!this.isBillable(subscription, billingDate) ||
+          (!subscription.autoRenew && subscription.lastBilledAt)) {
+        subscription.status = 'expired';
+        expired = true;
+        break;
+      }
+
+      if (subscription.trackingOnly) {
+        subscription.recurrence.nextBillingDate = this.getFollowingBillingDate(subscription);
+        subscription.reminders.beforeBilling.lastSentFor = undefined;
+        await subscription.save();
+        continue;
+      }
+
+      // Guard against double posting if a previous run failed after creating the charge
+      let transaction = await Transaction.findOne({
+        userId: subscription.userId,
+        subscriptionId: subscription._id,
+        date: billingDate
+      });
+
+      if (!transaction) {
+        transaction = new Transaction({
+          userId: subscription.userId,
+          amount: subscription.amount,
+          currency: subscription.currency,
+          type: 'expense',
+          categoryId: subscription.categoryId,
+          description: subscription.name,
+          date: billingDate,
+          merchant: subscription.provider?.name ? { name: subscription.provider.name } : undefined,
+          paymentMethod: subscription.paymentMethod,
+          status: 'completed',
+          isRecurring: true,
+          subscriptionId: subscription._id,
+          metadata: {
+            importSource: 'subscription'
+          }
+        });
+        await transaction.save();
+      }
+
+      subscription.billingHistory.push({
+        date: billingDate,
+        amount: transaction.amount,
+        transactionId: transaction._id
+      });
+      subscription.totalSpent += transaction.amount;
+      subscription.lastBilledAt = billingDate;
+      subscription.lastBilledAmount = transaction.amount;
+      subscription.recurrence.nextBillingDate = this.getFollowingBillingDate(subscription);
+      subscription.reminders.beforeBilling.lastSentFor = undefined;
+
+      await subscription.save();
+      posted.push(transaction);
+    }
+
+    if (expired) {
+      await subscription.save();
+    }
+
+    if (posted.length > 0) {
+      await ExchangeRateService.syncReportingAmounts(subscription.userId, posted);
+      await BudgetService.syncSpentForTransactions(subscription.userId, posted);
+
+      if (subscription.reminders?.onRenewal?.enabled) {
+        try {
+          await NotificationService.notifySubscriptionRenewed(subscription, posted[posted.length - 1]);
+        } catch (error) {
+          console.error(`Failed to send renewal notice for ${subscription._id}:`, error);
+        }
+      }
+    }
+
+    return { charged: posted.length, expired };
+  }
+
+  /**
+   * Send "charge coming up" reminders, once per billing date
+   */
+  async sendBillingReminders(now = new Date()) {
+    const today = getStartOfDay(now);
+    const subscriptions = await Subscription.find({
+      status: { $in: ['active', 'trial'] },
+      autoRenew: true,
+      'recurrence.frequency': { $ne: 'custom' },
+      'reminders.beforeBilling.enabled': true,
+      'recurrence.nextBillingDate': { $gte: today }
+    });
+
+    let sent = 0;
+
+    for (const subscription of subscriptions) {
+      const billingDate = subscription.recurrence.nextBillingDate;
+      const daysUntil = Math.round((getStartOfDay(billingDate) - today) / (24 * 60 * 60 * 1000));
+      const lastSentFor = subscription.reminders.beforeBilling.lastSentFor;
+
+      if (daysUntil > subscription.reminders.beforeBilling.days) continue;
+      if (lastSentFor && lastSentFor.getTime() === billingDate.getTime()) continue;
+      if (!this.isBillable(subscription, billingDate)) continue;
+
+      subscription.reminders.beforeBilling.lastSentFor = billingDate;
+      await subscription.save();
+
+      try {
+        await NotificationService.notifySubscriptionReminder(subscription, daysUntil);
+        sent++;
+      } catch (error) {
+        console.error(`Failed to send billing reminder for ${subscription._id}:`, error);
+      }
+    }
+
+    return sent;
+  }
+
+  /**
+   * Billing date after the given one (defaults to the current next billing date)
+   */
+  getFollowingBillingDate(subscription, fromDate) {
+    const { frequency, interval, billingDate, nextBillingDate } = subscription.recurrence;
+    return getNextBillingDate(frequency, interval || 1, billingDate || 1, fromDate || nextBillingDate);
+  }
+
+  /**
+   * Whether a charge on this date falls within the subscription's term
+   */
+  isBillable(subscription, date) {
+    const endDate = subscription.recurrence?.endDate;
+    return !endDate || date <= endDate;
+  }
+
+  /**
+   * Custom (cron) schedules cannot be advanced automatically
+   */
+  assertSchedulable(frequency) {
+    if (frequency === 'custom') {
+      throw new ServiceError('Custom recurrence is not supported for automatic billing', 400);
+    }
+  }
+
+  /**
+   * Find a subscription owned by the user or throw
+   */
+  async findOwned(subscriptionId, userId) {
+    const subscription = await Subscription.findOne({ _id: subscriptionId, userId });
+
+    if (!subscription) {
+      throw new ServiceError('Subscription not found', 404);
+    }
+
+    return subscription;
+  }
+
+  /**
+   * Ensure the category belongs to the user
+   */
+  async assertCategory(userId, categoryId) {
+    const category = await Category.findOne({ _id: categoryId, userId });
+    if (!category) {
+      throw new ServiceError('Category not found', 404);
+    }
+    return category;
+  }
+}
+
+module.exports = new SubscriptionService();
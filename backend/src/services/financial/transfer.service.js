@@ -0,0 +1,313 @@
+const mongoose = require('mongoose');
+const Transaction = require('../../models/Transaction');
+const SavingsGoal = require('../../models/SavingsGoal');
+const AccountService = require('./account.service');
+const ExchangeRateService = require('./exchangeRate.service');
+const { ServiceError } = require('../../middleware/errorHandler');
+
+class TransferService {
+  constructor() {
+    // Copied to both legs; amounts are set per leg since the accounts may use different currencies
+    this.sharedFields = ['date', 'description', 'notes', 'tags', 'status', 'paymentMethod'];
+
+    // Fields a savings goal's progress depends on
+    this.goalLinkedFields = ['amount', 'toAmount', 'date', 'status', 'fromAccountId', 'toAccountId'];
+  }
+
+  /**
+   * Record a transfer as two linked transactions: an outgoing leg on the
+   * source account and an incoming leg on the destination account. Between
+   * accounts in different currencies the incoming leg holds the received
+   * amount (toAmount, or converted at the day's rate).
+   */
+  async createTransfer(userId, data) {
+    const fromAccountId = data.fromAccountId || null;
+    const toAccountId = data.toAccountId || null;
+
+    if (fromAccountId && toAccountId && fromAccountId.toString() === toAccountId.toString()) {
+      throw new ServiceError('Source and destination accounts must differ', 400);
+    }
+
+    await AccountService.assertAccounts(userId, [fromAccountId, toAccountId]);
+
+    const groupId = new mongoose.Types.ObjectId();
+    const outId = new mongoose.Types.ObjectId();
+    const inId = new mongoose.Types.ObjectId();
+
+    const date = data.date ? new Date(data.date) : new Date();
+    const amount = AccountService.round(data.amount);
+    const fromCurrency = await AccountService.getCurrency(userId, fromAccountId) || data.currency || null;
+    const toCurrency = await AccountService.getCurrency(userId, toAccountId) || fromCurrency;
+    const toAmount = await this.getReceivedAmount(amount, fromCurrency, toCurrency, date, data.toAmount);
+
+    const shared = {
+      userId,
+      type: 'transfer',
+      description: data.description || 'Transfer',
+      date,
+      paymentMethod: data.paymentMethod || 'bank_transfer',
+      status: data.status || 'completed',
+      isRecurring: !!data.isRecurring,
+      tags: data.tags,
+      notes: data.notes
+    };
+
+    const legs = await Transaction.insertMany([
+      {
+        ...shared,
+        _id: outId,
+        amount,
+        currency: fromCurrency,
+        accountId: fromAccountId,
+        transfer: { groupId, direction: 'out', counterpartId: inId }
+      },
+      {
+        ...shared,
+        _id: inId,
+        amount: toAmount,
+        currency: toCurrency,
+        accountId: toAccountId,
+        transfer: { groupId, direction: 'in', counterpartId: outId }
+      }
+    ]);
+
+    await ExchangeRateService.syncReportingAmounts(userId, legs);
+    await AccountService.syncBalancesForTransactions(userId, legs);
+
+    return this.formatTransfer(legs);
+  }
+
+  /**
+   * Get user's transfers, one entry per pair
+   */
+  async getTransfers(userId, filters = {}, pagination = {}) {
+    const { page = 1, limit = 50 } = pagination;
+    const query = { userId, type: 'transfer', 'transfer.direction': 'out' };
+
+    if (filters.startDate || filters.endDate) {
+      query.date = {};
+      if (filters.startDate) query.date.$gte = new Date(filters.startDate);
+      if (filters.endDate) query.date.$lte = new Date(filters.endDate);
+    }
+
+    if (filters.accountId) {
+      const groupIds = await Transaction.distinct('transfer.groupId', {
+        userId,
+        type: 'transfer',
+        accountId: filters.accountId
+      });
+      query['transfer.groupId'] = { $in: groupIds };
+    }
+
+    const [outgoing, total] = await Promise.all([
+      Transaction.find(query)
+        .sort({ date: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Transaction.countDocuments(query)
+    ]);
+
+    const incoming = await Transaction.find({
+      userId,
+      _id: { $in: outgoing.map(t => t.transfer.counterpartId) }
+    }).lean();
+
+    return {
+      transfers: outgoing.map(out => this.formatTransfer([
+        out,
+        incoming.find(t => t._id.equals(out.transfer.counterpartId))
+      ])),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Get both legs of a transfer
+   */
+  async getTransferLegs(groupId, userId) {
+    const legs = await Transaction.find({ userId, 'transfer.groupId': groupId });
+
+    if (legs.length === 0) {
+      throw new ServiceError('Transfer not found', 404);
+    }
+
+    return legs;
+  }
+
+  /**
+   * Get single transfer
+   */
+  async getTransfer(groupId, userId) {
+    return this.formatTransfer(await this.getTransferLegs(groupId, userId));
+  }
+
+  /**
+   * Update both legs together; shared fields are mirrored and either side's
+   * account can be changed
+   */
+  async updateTransfer(groupId, userId, updates) {
+    const legs = await this.getTransferLegs(groupId, userId);
+    const previous = legs.map(leg => leg.toObject());
+    const outgoing = legs.find(leg => leg.transfer.direction === 'out');
+    const incoming = legs.find(leg => leg.transfer.direction === 'in');
+
+    if (this.goalLinkedFields.some(field => updates[field] !== undefined)) {
+      await this.assertNotGoalLinked(userId, legs);
+    }
+
+    const fromAccountId = updates.fromAccountId !== undefined
+      ? updates.fromAccountId || null
+      : outgoing?.accountId;
+    const toAccountId = updates.toAccountId !== undefined
+      ? updates.toAccountId || null
+      : incoming?.accountId;
+
+    if (fromAccountId && toAccountId && fromAccountId.toString() === toAccountId.toString()) {
+      throw new ServiceError('Source and destination accounts must differ', 400);
+    }
+
+    await AccountService.assertAccounts(userId, [
+      updates.fromAccountId,
+      updates.toAccountId
+    ]);
+
+    for (const leg of legs) {
+      for (const field of this.sharedFields) {
+        if (updates[field] !== undefined) {
+          leg[field] = updates[field];
+        }
+      }
+      // A changed amount or date no longer matches the statement it was reconciled against
+      if (updates.amount !== undefined || updates.toAmount !== undefined || updates.date !== undefined) {
+        leg.reconciledAt = null;
+      }
+    }
+
+    if (outgoing && updates.fromAccountId !== undefined) {
+      outgoing.accountId = fromAccountId;
+      outgoing.currency = await AccountService.getCurrency(userId, fromAccountId) || outgoing.currency;
+      outgoing.reconciledAt = null;
+    }
+    if (incoming && updates.toAccountId !== undefined) {
+      incoming.accountId = toAccountId;
+      incoming.currency = await AccountService.getCurrency(userId, toAccountId) || incoming.currency;
+      incoming.reconciledAt = null;
+    }
+
+    if (outgoing && updates.amount !== undefined) {
+      outgoing.amount = AccountService.round(updates.amount);
+    }
+
+    if (outgoing && incoming) {
+      const amountsChanged = updates.amount !== undefined || updates.toAmount !== undefined ||
+        updates.fromAccountId !== undefined || updates.toAccountId !== undefined;
+
+      if (amountsChanged) {
+        incoming.amount = await this.getReceivedAmount(
+          outgoing.amount,
+          outgoing.currency,
+          incoming.currency,
+          outgoing.date,
+          updates.toAmount
+        );
+      }
+    } else if (incoming && updates.amount !== undefined) {
+      incoming.amount = AccountService.round(updates.amount);
+    }
+
+    await Promise.all(legs.map(leg => leg.save()));
+    await ExchangeRateService.syncReportingAmounts(userId, legs);
+    await AccountService.syncBalancesForTransactions(userId, [...previous, ...legs]);
+
+    return this.formatTransfer(legs);
+  }
+
+  /**
+   * Delete both legs of a transfer
+   */
+  async deleteTransfer(groupId, userId) {
+    const legs = await this.getTransferLegs(groupId, userId);
+    const legIds = legs.map(leg => leg._id);
+
+    await this.assertNotGoalLinked(userId, legs);
+
+    await Transaction.deleteMany({ userId, _id: { $in: legIds } });
+    await AccountService.syncBalancesForTransactions(userId, legs);
+
+    return this.formatTransfer(legs);
+  }
+
+  /**
+   * Contributions and withdrawals are changed through their savings goal so
+   * its progress stays in step with the ledger
+   */
+  async assertNotGoalLinked(userId, legs) {
+    const linkedGoal = await SavingsGoal.exists({
+      userId,
+      'contributions.transactionId': { $in: legs.map(leg => leg._id) }
+    });
+
+    if (linkedGoal) {
+      throw new ServiceError('This transfer is a savings goal contribution; withdraw from the goal instead', 409, {
+        goalId: linkedGoal._id
+      });
+    }
+  }
+
+  /**
+   * Amount that arrives on the destination side of a transfer
+   */
+  async getReceivedAmount(amount, fromCurrency, toCurrency, date, toAmount) {
+    if (!fromCurrency || !toCurrency || fromCurrency === toCurrency) {
+      return amount;
+    }
+
+    if (toAmount !== undefined && toAmount !== null) {
+      return AccountService.round(toAmount);
+    }
+
+    const converted = await ExchangeRateService.convert(amount, fromCurrency, toCurrency, date);
+    if (!converted) {
+      throw new ServiceError(`No ${fromCurrency}/${toCurrency} exchange rate available; provide the received amount`, 400, {
+        fromCurrency,
+        toCurrency
+      });
+    }
+
+    return converted.amount;
+  }
+
+  /**
+   * Shape a pair of legs as a single transfer
+   */
+  formatTransfer(legs) {
+    const outgoing = legs.find(leg => leg?.transfer?.direction === 'out');
+    const incoming = legs.find(leg => leg?.transfer?.direction === 'in');
+    const base = outgoing || incoming;
+
+    return {
+      groupId: base.transfer.groupId,
+      amount: base.amount,
+      currency: base.currency || null,
+      toAmount: incoming?.amount ?? base.amount,
+      toCurrency: incoming?.currency || base.currency || null,
+      date: base.date,
+      description: base.description,
+      status: base.status,
+      notes: base.notes,
+      tags: base.tags,
+      fromAccountId: outgoing?.accountId || null,
+      toAccountId: incoming?.accountId || null,
+      outgoing,
+      incoming
+    };
+  }
+}
+
+module.exports = new TransferService();
@@ -1,13 +1,25 @@
 const CSVParserService = require('./csvParser.service');
 const Transaction = require('../../models/Transaction');
 const Category = require('../../models/Category');
+const BudgetService = require('../financial/budget.service');
+const AccountService = require('../financial/account.service');
+const ExchangeRateService = require('../financial/exchangeRate.service');
+const RefundService = require('../financial/refund.service');
+const CategoryService = require('../financial/category.service');
+const CategorizationRuleService = require('../financial/categorizationRule.service');
 
 class CSVIngestionService {
   constructor() {
     this.parser = new CSVParserService();
   }
 
-  async importTransactions(filePath, userId, mapping = null) {
+  async importTransactions(filePath, userId, mapping = null, options = {}) {
+    // Every row of a statement import goes to the same account
+    await AccountService.assertAccounts(userId, [options.accountId]);
+
+    // Rows without a currency column are in the account's currency
+    const defaultCurrency = options.currency || await AccountService.getCurrency(userId, options.accountId);
+
     // Parse CSV file
     const parseResult = await this.parser.parseCSV(filePath, userId, mapping);
     
@@ -18,6 +30,7 @@ class CSVIngestionService {
     // Get user's categories for mapping
     const categories = await Category.find({ userId }).lean();
     const categoryMap = this.buildCategoryMap(categories);
+    const ruleContext = await CategorizationRuleService.getContext(userId, categories);
 
     // Process each transaction
     const processedTransactions = [];
@@ -25,11 +38,34 @@ class CSVIngestionService {
 
     for (const transaction of parseResult.data) {
       try {
+        // Transfers are linked pairs and refunds point at a purchase; a single
+        // statement row can be neither
+        if (transaction.type === 'transfer' || transaction.type === 'refund') {
+          categoryErrors.push({
+            transaction: transaction.description,
+            error: transaction.type === 'transfer'
+              ? 'Transfers must be created through the transfers endpoint'
+              : 'Refunds must be recorded against the original transaction'
+          });
+          continue;
+        }
+
         // Map category if needed
         if (transaction.categoryName) {
           const category = this.findCategory(transaction.categoryName, categoryMap);
           if (category) {
             transaction.categoryId = category._id;
+          }
+        }
+
+        // The user's rules fill in what the file left out
+        CategorizationRuleService.applyToTransaction(ruleContext, transaction);
+
+        // Anything still without a category lands in the seeded fallback
+        if (!transaction.categoryId) {
+          const fallback = CategoryService.getFallbackCategory(categories, transaction.type);
+          if (fallback) {
+            transaction.categoryId = fallback._id;
           } else {
             categoryErrors.push({
               transaction: transaction.description,
@@ -40,6 +76,14 @@ class CSVIngestionService {
           }
         }
 
+        if (options.accountId) {
+          transaction.accountId = options.accountId;
+        }
+
+        if (!transaction.currency && defaultCurrency) {
+          transaction.currency = defaultCurrency;
+        }
+
         // Create transaction
         const newTransaction = new Transaction(transaction);
         await newTransaction.save();
@@ -52,6 +96,17 @@ class CSVIngestionService {
       }
     }
 
+    await CategorizationRuleService.recordMatches(ruleContext);
+    await ExchangeRateService.syncReportingAmounts(userId, processedTransactions);
+    await BudgetService.syncSpentForTransactions(userId, processedTransactions);
+    await AccountService.syncBalancesForTransactions(userId, processedTransactions);
+
+    // Imported credits from a merchant already paid may be refunds; propose links
+    const credits = processedTransactions.filter(t => t.type === 'income');
+    const refundCandidates = credits.length > 0
+      ? await RefundService.findRefundCandidates(userId, { transactionIds: credits.map(t => t._id) })
+      : [];
+
     return {
       success: true,
       totalProcessed: parseResult.imported,
@@ -59,6 +114,7 @@ class CSVIngestionService {
       failed: parseResult.failed + categoryErrors.length,
       parsingErrors: parseResult.errors,
       categoryErrors,
+      refundCandidates,
       data: processedTransactions
     };
   }
@@ -5,7 +5,7 @@ const TransactionValidator = require('./validators/transaction.validator');
 class CSVParserService {
   constructor() {
     this.requiredHeaders = ['amount', 'type', 'description', 'date'];
-    this.optionalHeaders = ['category', 'paymentMethod', 'notes', 'tags', 'merchant'];
+    this.optionalHeaders = ['category', 'paymentMethod', 'notes', 'tags', 'merchant', 'currency'];
     this.supportedDateFormats = [
       'YYYY-MM-DD',
       'MM/DD/YYYY',
@@ -124,6 +124,8 @@ class CSVParserService {
           mapped.date = row[index];
         } else if (normalizedHeader.includes('type')) {
           mapped.type = row[index];
+        } else if (normalizedHeader.includes('currency')) {
+          mapped.currency = row[index];
         } else if (normalizedHeader.includes('category')) {
           mapped.categoryName = row[index];
         } else if (normalizedHeader.includes('method') || normalizedHeader.includes('payment')) {
@@ -177,6 +179,7 @@ class CSVParserService {
       merchant: {
         name: mappedRow.merchant || mappedRow.description
       },
+      currency: mappedRow.currency ? mappedRow.currency.trim().toUpperCase() : undefined,
       notes: mappedRow.notes,
       tags: mappedRow.tags ? mappedRow.tags.split(',').map(t => t.trim()) : []
     };
@@ -222,6 +225,8 @@ class CSVParserService {
         suggestions.description = index;
       } else if (lowerHeader.includes('type') || lowerHeader.includes('kind')) {
         suggestions.type = index;
+      } else if (lowerHeader.includes('currency')) {
+        suggestions.currency = index;
       } else if (lowerHeader.includes('category')) {
         suggestions.category = index;
       } else if (lowerHeader.includes('merchant') || lowerHeader.includes('payee') || lowerHeader.includes('vendor')) {
@@ -1,8 +1,27 @@
 const Transaction = require('../../models/Transaction');
 const TransactionValidator = require('./validators/transaction.validator');
+const BudgetService = require('../financial/budget.service');
+const AccountService = require('../financial/account.service');
+const TransferService = require('../financial/transfer.service');
+const RefundService = require('../financial/refund.service');
+const ExchangeRateService = require('../financial/exchangeRate.service');
+const CategorizationRuleService = require('../financial/categorizationRule.service');
+const SplitUtils = require('../../utils/splitUtils');
+const { ServiceError } = require('../../middleware/errorHandler');
 
 class ManualIngestionService {
   async createTransaction(transactionData, userId) {
+    if (transactionData.type === 'transfer') {
+      throw new ServiceError('Transfers must be created through the transfers endpoint', 400);
+    }
+
+    if (transactionData.type === 'refund') {
+      throw new ServiceError('Refunds must be recorded against the original transaction', 400);
+    }
+
+    // The user's rules may fill in the category, tags and merchant
+    await CategorizationRuleService.applyToNew(userId, [transactionData]);
+
     // Validate transaction
     const validation = TransactionValidator.validateManualEntry({
       ...transactionData,
@@ -10,20 +29,41 @@ class ManualIngestionService {
     });
 
     if (!validation.isValid) {
-      throw new Error(validation.errors.join(', '));
+      throw new ServiceError(validation.errors.join(', '), 400, { errors: validation.errors });
     }
 
+    await AccountService.assertAccounts(userId, [validation.sanitizedData.accountId]);
+
     // Create transaction
     const transaction = new Transaction({
       ...validation.sanitizedData,
+      currency: await AccountService.resolveCurrency(
+        userId,
+        validation.sanitizedData.accountId,
+        validation.sanitizedData.currency
+      ),
       userId
     });
 
     await transaction.save();
+    await ExchangeRateService.syncReportingAmounts(userId, [transaction]);
+    await BudgetService.syncSpentForTransactions(userId, [transaction]);
+    await AccountService.syncBalancesForTransactions(userId, [transaction]);
+
     return transaction;
   }
 
   async bulkCreateTransactions(transactions, userId) {
+    if (transactions.some(t => t.type === 'transfer')) {
+      throw new ServiceError('Transfers must be created through the transfers endpoint', 400);
+    }
+
+    if (transactions.some(t => t.type === 'refund')) {
+      throw new ServiceError('Refunds must be recorded against the original transaction', 400);
+    }
+
+    await CategorizationRuleService.applyToNew(userId, transactions);
+
     // Validate all transactions
     const validation = TransactionValidator.validateBulkTransactions(transactions);
     
@@ -39,6 +79,12 @@ class ManualIngestionService {
         userId
       }));
 
+    await AccountService.assertAccounts(userId, validTransactions.map(t => t.accountId));
+
+    for (const transaction of validTransactions) {
+      transaction.currency = await AccountService.resolveCurrency(userId, transaction.accountId, transaction.currency);
+    }
+
     // Insert in batches
     const batchSize = 100;
     const insertedTransactions = [];
@@ -49,6 +95,10 @@ class ManualIngestionService {
       insertedTransactions.push(...inserted);
     }
 
+    await ExchangeRateService.syncReportingAmounts(userId, insertedTransactions);
+    await BudgetService.syncSpentForTransactions(userId, insertedTransactions);
+    await AccountService.syncBalancesForTransactions(userId, insertedTransactions);
+
     return {
       success: true,
       totalRequested: transactions.length,
@@ -61,11 +111,67 @@ class ManualIngestionService {
   }
 
   async updateTransaction(transactionId, updateData, userId) {
-    // Validate update data
-    const validation = TransactionValidator.validateManualEntry(updateData);
-    
+    const previous = await Transaction.findOne({ _id: transactionId, userId }).lean();
+
+    if (!previous) {
+      throw new ServiceError('Transaction not found', 404);
+    }
+
+    if (previous.transfer?.groupId || updateData.type === 'transfer') {
+      throw new ServiceError('Transfers must be edited through the transfers endpoint', 400, {
+        transferGroupId: previous.transfer?.groupId
+      });
+    }
+
+    if (previous.type === 'refund' || updateData.type === 'refund') {
+      throw new ServiceError('Refunds cannot be edited; delete the refund and record it again', 400, {
+        refundOf: previous.refundOf
+      });
+    }
+
+    // Fields left out of a partial update keep their current values
+    const validation = TransactionValidator.validateManualEntry({
+      amount: previous.amount,
+      type: previous.type,
+      description: previous.description,
+      date: previous.date,
+      categoryId: previous.categoryId,
+      ...updateData
+    });
+
     if (!validation.isValid) {
-      throw new Error(validation.errors.join(', '));
+      throw new ServiceError(validation.errors.join(', '), 400, { errors: validation.errors });
+    }
+
+    // The purchase must still cover what has already been refunded
+    if (previous.refundedAmount > 0 && (
+      validation.sanitizedData.type !== 'expense' ||
+      validation.sanitizedData.amount < previous.refundedAmount
+    )) {
+      throw new ServiceError('This transaction has refunds; it must stay an expense of at least the refunded amount', 400, {
+        refundedAmount: previous.refundedAmount
+      });
+    }
+
+    // Existing split lines are kept unless replaced, so they must still add up
+    if (validation.sanitizedData.splits === undefined && SplitUtils.hasSplits(previous)) {
+      const splitErrors = SplitUtils.validate(validation.sanitizedData.amount, previous.splits);
+      if (splitErrors.length > 0) {
+        throw new ServiceError('Split lines no longer match the transaction amount; send updated splits', 400, {
+          errors: splitErrors
+        });
+      }
+    }
+
+    await AccountService.assertAccounts(userId, [validation.sanitizedData.accountId]);
+
+    // Amounts are recorded in the currency of the account they end up on
+    const accountId = validation.sanitizedData.accountId !== undefined
+      ? validation.sanitizedData.accountId
+      : previous.accountId;
+    const currency = await AccountService.resolveCurrency(userId, accountId, validation.sanitizedData.currency);
+    if (currency) {
+      validation.sanitizedData.currency = currency;
     }
 
     // Update transaction
@@ -75,23 +181,45 @@ class ManualIngestionService {
       { new: true, runValidators: true }
     );
 
-    if (!transaction) {
-      throw new Error('Transaction not found');
-    }
+    await ExchangeRateService.syncReportingAmounts(userId, [transaction]);
+
+    // Both the old and new category/date may need their budgets refreshed
+    await BudgetService.syncSpentForTransactions(userId, [previous, transaction]);
+    await AccountService.syncBalancesForTransactions(userId, [previous, transaction]);
 
     return transaction;
   }
 
   async deleteTransaction(transactionId, userId) {
+    const existing = await Transaction.findOne({ _id: transactionId, userId })
+      .select('transfer refundedAmount')
+      .lean();
+
+    // Deleting either leg removes the whole transfer
+    if (existing?.transfer?.groupId) {
+      const transfer = await TransferService.deleteTransfer(existing.transfer.groupId, userId);
+      return existing._id.equals(transfer.outgoing?._id) ? transfer.outgoing : transfer.incoming;
+    }
+
+    if (existing?.refundedAmount > 0) {
+      throw new ServiceError('This transaction has refunds; delete them first', 409, {
+        refundedAmount: existing.refundedAmount
+      });
+    }
+
     const transaction = await Transaction.findOneAndDelete({
       _id: transactionId,
       userId
     });
 
     if (!transaction) {
-      throw new Error('Transaction not found');
+      throw new ServiceError('Transaction not found', 404);
     }
 
+    await RefundService.releaseRefund(userId, transaction);
+    await BudgetService.syncSpentForTransactions(userId, [transaction]);
+    await AccountService.syncBalancesForTransactions(userId, [transaction]);
+
     return transaction;
   }
 
@@ -99,10 +227,10 @@ class ManualIngestionService {
     const transaction = await Transaction.findOne({
       _id: transactionId,
       userId
-    }).populate('categoryId');
+    }).populate('categoryId').populate('splits.categoryId');
 
     if (!transaction) {
-      throw new Error('Transaction not found');
+      throw new ServiceError('Transaction not found', 404);
     }
 
     return transaction;
@@ -125,14 +253,19 @@ class ManualIngestionService {
       query.type = filters.type;
     }
 
+    // Split transactions match on any of their lines
     if (filters.categoryId) {
-      query.categoryId = filters.categoryId;
+      query.$and = [SplitUtils.categoryMatch(filters.categoryId)];
     }
 
     if (filters.paymentMethod) {
       query.paymentMethod = filters.paymentMethod;
     }
 
+    if (filters.accountId) {
+      query.accountId = filters.accountId;
+    }
+
     if (filters.minAmount || filters.maxAmount) {
       query.amount = {};
       if (filters.minAmount) query.amount.$gte = filters.minAmount;
@@ -151,6 +284,7 @@ class ManualIngestionService {
     const [transactions, total] = await Promise.all([
       Transaction.find(query)
         .populate('categoryId')
+        .populate('splits.categoryId')
         .sort({ date: -1 })
         .skip(skip)
         .limit(limit)
@@ -1,3 +1,5 @@
+const SplitUtils = require('../../../utils/splitUtils');
+
 /**
  * Strict validation rules for transaction data ingestion
  * Ensures data integrity before reaching database
@@ -43,10 +45,18 @@ class TransactionValidator {
     }
 
     // Conditional validation
-    if (data.type !== 'transfer' && !data.categoryId) {
+    const hasSplits = Array.isArray(data.splits) && data.splits.length > 0;
+
+    if (data.type !== 'transfer' && !data.categoryId && !hasSplits) {
       errors.push('Category is required for income/expense transactions');
     }
 
+    if (hasSplits && data.type === 'transfer') {
+      errors.push('Transfers cannot be split');
+    }
+
+    errors.push(...SplitUtils.validate(data.amount, data.splits));
+
     // Optional fields validation
     if (data.merchant && typeof data.merchant === 'object') {
       if (data.merchant.name && data.merchant.name.length > 100) {
@@ -54,6 +64,10 @@ class TransactionValidator {
       }
     }
 
+    if (data.currency && !/^[A-Za-z]{3}$/.test(data.currency)) {
+      errors.push('Currency must be a 3-letter ISO code');
+    }
+
     if (data.paymentMethod && !['cash', 'credit_card', 'debit_card', 'bank_transfer', 'digital_wallet', 'other'].includes(data.paymentMethod)) {
       errors.push('Invalid payment method');
     }
@@ -88,6 +102,10 @@ class TransactionValidator {
       sanitized.merchant.name = sanitized.merchant.name.trim();
     }
 
+    if (sanitized.currency) {
+      sanitized.currency = sanitized.currency.toUpperCase();
+    }
+
     // Ensure amount is a number
     if (sanitized.amount) {
       sanitized.amount = parseFloat(sanitized.amount.toFixed(2));
@@ -98,6 +116,16 @@ class TransactionValidator {
     sanitized.description = stripHtml(sanitized.description);
     sanitized.notes = stripHtml(sanitized.notes);
 
+    // A split transaction is filed under its largest line's category
+    if (Array.isArray(sanitized.splits) && sanitized.splits.length > 0) {
+      sanitized.splits = sanitized.splits.map(split => ({
+        categoryId: split.categoryId,
+        amount: parseFloat(Number(split.amount).toFixed(2)),
+        notes: stripHtml(split.notes?.trim())
+      }));
+      sanitized.categoryId = SplitUtils.primaryCategoryId(sanitized.splits);
+    }
+
     return sanitized;
   }
 
@@ -1,6 +1,7 @@
 const mongoose = require('mongoose');
 const User = require('../../models/User');
 const NotificationService = require('./notification.service');
+const { ServiceError } = require('../../middleware/errorHandler');
 
 class ApprovalHandler {
   constructor() {
@@ -42,10 +43,13 @@ class ApprovalHandler {
       result.warnings.push('This suggestion requires your confirmation');
     }
 
-    // Check if requires MFA
+    // Check if requires MFA; the session must have passed step-up verification
     if (await this.requiresMFA(suggestion, userId)) {
+      if (!options.mfaVerified) {
+        throw new ServiceError('MFA verification required', 403, { requiresMFA: true });
+      }
       result.requiresMFA = true;
-      result.warnings.push('Multi-factor authentication required for this action');
+      result.nextSteps.push('Approved with MFA verification');
     }
 
     // Check cooldown
@@ -137,9 +141,7 @@ class ApprovalHandler {
       return false;
     }
 
-    // Check if MFA was recently verified
-    // This would check session/cookie for MFA verification
-
+    // Whether this session verified recently is checked against options.mfaVerified
     return true;
   }
 
@@ -181,13 +183,20 @@ class ApprovalHandler {
   async checkSimilarPending(suggestion, userId) {
     const PendingSuggestion = mongoose.model('PendingSuggestion');
     
-    const similar = await PendingSuggestion.findOne({
+    const query = {
       userId,
       type: suggestion.type,
       status: { $in: ['pending', 'approved'] },
-      _id: { $ne: suggestion._id },
-      'proposedChanges.categoryId': suggestion.proposedChanges?.categoryId
-    });
+      _id: { $ne: suggestion._id }
+    };
+
+    if (Array.isArray(suggestion.proposedChanges?.budgets)) {
+      query['proposedChanges.budgets'] = { $exists: true };
+    } else {
+      query['proposedChanges.categoryId'] = suggestion.proposedChanges?.categoryId;
+    }
+
+    const similar = await PendingSuggestion.findOne(query);
 
     if (!similar) {
       return { hasSimilar: false };
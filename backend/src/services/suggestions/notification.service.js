@@ -1,5 +1,9 @@
 const nodemailer = require('nodemailer');
 const User = require('../../models/User');
+const UserPreference = require('../../models/UserPreference');
+const InAppNotification = require('../../models/InAppNotification');
+const FrequencyController = require('../learning/frequency.controller');
+const CurrencyUtils = require('../../utils/currencyUtils');
 
 class NotificationService {
   constructor() {
@@ -104,9 +108,9 @@ class NotificationService {
     const channels = this.getUserChannels(user, 'suggestion_applied');
 
     const impactMessage = result.data?.adjustment 
-      ? ` Budget adjusted by $${Math.abs(result.data.adjustment)}`
+      ? ` Budget adjusted by ${this.formatAmount(user, Math.abs(result.data.adjustment))}`
       : result.data?.monthlySavings 
-      ? ` Saving $${result.data.monthlySavings}/month`
+      ? ` Saving ${this.formatAmount(user, result.data.monthlySavings)}/month`
       : '';
 
     for (const channel of channels) {
@@ -229,6 +233,235 @@ class NotificationService {
     }
   }
 
+  /**
+   * Notify that a budget crossed its alert threshold or its full amount
+   */
+  async notifyBudgetAlert(budget, level) {
+    const user = await User.findById(budget.userId);
+    if (!user || user.preferences?.notificationSettings?.budgetAlerts === false) {
+      return false;
+    }
+
+    const type = level === 'exceeded' ? 'budget_exceeded' : 'budget_threshold';
+    const percentUsed = budget.amount > 0 ? (budget.spent / budget.amount) * 100 : 0;
+    const budgetName = budget.name || 'Your budget';
+
+    const channels = await this.getQuietHourChannels(user, type);
+
+    for (const channel of channels) {
+      try {
+        await this.notificationChannels[channel]({
+          type,
+          user,
+          title: level === 'exceeded'
+            ? `🚨 Budget Exceeded: ${budgetName}`
+            : `⚠️ Budget Alert: ${budgetName}`,
+          message: level === 'exceeded'
+            ? `You have spent ${this.formatAmount(user, budget.spent)} of your ${this.formatAmount(user, budget.amount)} budget (${percentUsed.toFixed(0)}%).`
+            : `You have used ${percentUsed.toFixed(0)}% of your ${this.formatAmount(user, budget.amount)} budget. ${this.formatAmount(user, Math.max(0, budget.amount - budget.spent))} remains this period.`,
+          action: {
+            text: 'View Budget',
+            url: `${process.env.APP_URL}/budgets/${budget._id}`
+          },
+          data: {
+            budgetId: budget._id,
+            categoryId: budget.categoryId,
+            spent: budget.spent,
+            amount: budget.amount,
+            percentUsed,
+            threshold: budget.alerts?.threshold,
+            periodStart: budget.startDate,
+            periodEnd: budget.endDate
+          }
+        });
+      } catch (error) {
+        console.error(`Failed to send ${channel} notification:`, error);
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Remind about an upcoming subscription charge
+   */
+  async notifySubscriptionReminder(subscription, daysUntil) {
+    const user = await User.findById(subscription.userId);
+    if (!user || user.preferences?.notificationSettings?.subscriptionReminders === false) {
+      return false;
+    }
+
+    const channels = await this.getQuietHourChannels(user, 'subscription_reminder');
+    const when = daysUntil <= 0 ? 'today' : daysUntil === 1 ? 'tomorrow' : `in ${daysUntil} days`;
+
+    for (const channel of channels) {
+      try {
+        await this.notificationChannels[channel]({
+          type: 'subscription_reminder',
+          user,
+          title: `🔔 Upcoming Charge: ${subscription.name}`,
+          message: `${subscription.name} will charge ${CurrencyUtils.format(subscription.amount, subscription.currency)} ${when}.`,
+          action: {
+            text: 'Manage Subscription',
+            url: `${process.env.APP_URL}/subscriptions/${subscription._id}`
+          },
+          data: {
+            subscriptionId: subscription._id,
+            amount: subscription.amount,
+            billingDate: subscription.recurrence.nextBillingDate,
+            daysUntil
+          }
+        });
+      } catch (error) {
+        console.error(`Failed to send ${channel} notification:`, error);
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Notify that a subscription renewed and its charge was recorded
+   */
+  async notifySubscriptionRenewed(subscription, transaction) {
+    const user = await User.findById(subscription.userId);
+    if (!user || user.preferences?.notificationSettings?.subscriptionReminders === false) {
+      return false;
+    }
+
+    const channels = await this.getQuietHourChannels(user, 'subscription_renewed');
+
+    for (const channel of channels) {
+      try {
+        await this.notificationChannels[channel]({
+          type: 'subscription_renewed',
+          user,
+          title: `🔄 Subscription Renewed: ${subscription.name}`,
+          message: `A charge of ${CurrencyUtils.format(transaction.amount, transaction.currency || subscription.currency)} for ${subscription.name} was recorded. Next billing date: ${new Date(subscription.recurrence.nextBillingDate).toLocaleDateString()}.`,
+          action: {
+            text: 'View Transaction',
+            url: `${process.env.APP_URL}/transactions/${transaction._id}`
+          },
+          data: {
+            subscriptionId: subscription._id,
+            transactionId: transaction._id,
+            amount: transaction.amount,
+            nextBillingDate: subscription.recurrence.nextBillingDate
+          }
+        });
+      } catch (error) {
+        console.error(`Failed to send ${channel} notification:`, error);
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Notify that a savings goal reached a milestone
+   */
+  async notifyGoalMilestone(goal, percentage) {
+    const user = await User.findById(goal.userId);
+    if (!user) return false;
+
+    const channels = await this.getQuietHourChannels(user, 'goal_milestone');
+    const completed = percentage >= 100;
+
+    for (const channel of channels) {
+      try {
+        await this.notificationChannels[channel]({
+          type: 'goal_milestone',
+          user,
+          title: completed
+            ? `🎉 Goal Reached: ${goal.name}`
+            : `🎯 ${percentage}% of ${goal.name} Saved`,
+          message: completed
+            ? `You saved the full ${this.formatAmount(user, goal.targetAmount)} for "${goal.name}".`
+            : `You have saved ${this.formatAmount(user, goal.currentAmount)} of your ${this.formatAmount(user, goal.targetAmount)} goal "${goal.name}".`,
+          action: {
+            text: 'View Goal',
+            url: `${process.env.APP_URL}/savings/${goal._id}`
+          },
+          data: {
+            goalId: goal._id,
+            percentage,
+            currentAmount: goal.currentAmount,
+            targetAmount: goal.targetAmount
+          }
+        });
+      } catch (error) {
+        console.error(`Failed to send ${channel} notification:`, error);
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Email a password reset link (sent regardless of notification preferences)
+   */
+  async sendPasswordResetEmail(user, token, ttlMinutes) {
+    await this.sendTransactionalEmail({
+      user,
+      title: '🔑 Reset Your Password',
+      message: `We received a request to reset the password for ${user.email}. ` +
+        `The link below is valid for ${ttlMinutes} minutes and can only be used once. ` +
+        `If you didn't ask for this, you can ignore this email.`,
+      action: {
+        text: 'Reset Password',
+        url: `${process.env.APP_URL}/reset-password?token=${token}`
+      }
+    });
+  }
+
+  /**
+   * Email an address verification link (sent regardless of notification preferences)
+   */
+  async sendVerificationEmail(user, token, ttlHours) {
+    await this.sendTransactionalEmail({
+      user,
+      title: '✉️ Verify Your Email',
+      message: `Hi ${user.name}, please confirm your email address. ` +
+        `The link below is valid for ${ttlHours} hours.`,
+      action: {
+        text: 'Verify Email',
+        url: `${process.env.APP_URL}/verify-email?token=${token}`
+      }
+    });
+  }
+
+  /**
+   * Confirm that account deletion was scheduled (sent regardless of notification preferences)
+   */
+  async sendAccountDeletionEmail(user) {
+    await this.sendTransactionalEmail({
+      user,
+      title: '⚠️ Account Deletion Scheduled',
+      message: `Your account and all of its data will be permanently deleted on ` +
+        `${user.deletion.scheduledFor.toLocaleDateString()}. ` +
+        `If you change your mind, log in and cancel the deletion before then.`,
+      action: {
+        text: 'Keep My Account',
+        url: `${process.env.APP_URL}/settings/account`
+      }
+    });
+  }
+
+  /**
+   * Send account emails that must not be suppressed by user preferences
+   */
+  async sendTransactionalEmail(notification) {
+    const { user, title, message, action } = notification;
+
+    await this.emailTransporter.sendMail({
+      from: process.env.EMAIL_FROM,
+      to: user.email,
+      subject: title,
+      html: this.buildEmailTemplate(notification),
+      text: action ? `${message}\n\n${action.text}: ${action.url}` : message
+    });
+  }
+
   /**
    * Send email notification
    */
@@ -277,19 +510,6 @@ class NotificationService {
   async saveInAppNotification(notification) {
     const { user, type, title, message, action, data } = notification;
 
-    // Create InAppNotification model if it doesn't exist
-    const InAppNotification = mongoose.models.InAppNotification || 
-      mongoose.model('InAppNotification', new mongoose.Schema({
-        userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
-        type: String,
-        title: String,
-        message: String,
-        action: mongoose.Schema.Types.Mixed,
-        data: mongoose.Schema.Types.Mixed,
-        read: { type: Boolean, default: false },
-        createdAt: { type: Date, default: Date.now }
-      }));
-
     const inApp = new InAppNotification({
       userId: user._id,
       type,
@@ -323,6 +543,25 @@ class NotificationService {
     return channels;
   }
 
+  /**
+   * User's channels with email and push held back during quiet hours.
+   * The in-app record is always kept.
+   */
+  async getQuietHourChannels(user, notificationType) {
+    const userPrefs = await UserPreference.findOne({ userId: user._id });
+    const quiet = userPrefs ? FrequencyController.isQuietHour(userPrefs) : false;
+
+    return this.getUserChannels(user, notificationType)
+      .filter(channel => !quiet || channel === 'inApp');
+  }
+
+  /**
+   * An amount in the user's reporting currency
+   */
+  formatAmount(user, amount) {
+    return CurrencyUtils.format(amount, user?.preferences?.currency || undefined);
+  }
+
   /**
    * Build email template
    */
@@ -336,7 +575,7 @@ class NotificationService {
         <div style="margin: 20px 0; padding: 15px; background-color: #f0f9ff; border-radius: 8px; border-left: 4px solid #3b82f6;">
           <h3 style="margin: 0 0 10px 0; color: #1e40af; font-size: 16px;">📊 Estimated Impact</h3>
           ${impact.amount ? 
-            `<p style="margin: 5px 0;"><strong>Amount:</strong> $${impact.amount.toFixed(2)}</p>` : ''}
+            `<p style="margin: 5px 0;"><strong>Amount:</strong> ${this.formatAmount(notification.user, impact.amount)}</p>` : ''}
           ${impact.percentage ? 
             `<p style="margin: 5px 0;"><strong>Percentage:</strong> ${impact.percentage.toFixed(1)}%</p>` : ''}
           ${impact.timeframe ? 
@@ -386,8 +625,9 @@ class NotificationService {
               ${actionHtml}
               
               <div style="margin-top: 30px; padding-top: 20px; border-top: 1px solid #e5e7eb; font-size: 14px; color: #6b7280;">
-                <p style="margin: 0;">This suggestion will expire on ${new Date(suggestion?.metadata?.expiresAt).toLocaleDateString()}.</p>
-                <p style="margin: 10px 0 0 0;">You can manage notification preferences in your account settings.</p>
+                ${suggestion?.metadata?.expiresAt ?
+                  `<p style="margin: 0 0 10px 0;">This suggestion will expire on ${new Date(suggestion.metadata.expiresAt).toLocaleDateString()}.</p>` : ''}
+                <p style="margin: 0;">You can manage notification preferences in your account settings.</p>
               </div>
             </div>
           </div>
@@ -431,7 +671,6 @@ class NotificationService {
    * Get unread notifications for user
    */
   async getUnreadNotifications(userId) {
-    const InAppNotification = mongoose.model('InAppNotification');
     return await InAppNotification.find({
       userId,
       read: false
@@ -442,7 +681,6 @@ class NotificationService {
    * Mark notification as read
    */
   async markAsRead(notificationId, userId) {
-    const InAppNotification = mongoose.model('InAppNotification');
     return await InAppNotification.findOneAndUpdate(
       { _id: notificationId, userId },
       { read: true },
@@ -454,7 +692,6 @@ class NotificationService {
    * Mark all notifications as read
    */
   async markAllAsRead(userId) {
-    const InAppNotification = mongoose.model('InAppNotification');
     return await InAppNotification.updateMany(
       { userId, read: false },
       { read: true }
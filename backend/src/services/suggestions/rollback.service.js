@@ -15,7 +15,8 @@ class RollbackService {
       category_creation: this.rollbackCategoryCreation,
       budget_creation: this.rollbackBudgetCreation,
       goal_adjustment: this.rollbackGoalAdjustment,
-      transaction_categorization: this.rollbackTransactionCategorization
+      transaction_categorization: this.rollbackTransactionCategorization,
+      track_subscription: this.rollbackTrackSubscription
     };
   }
 
@@ -211,6 +212,20 @@ class RollbackService {
     const { session } = options;
     const changes = suggestion.proposedChanges;
 
+    if (Array.isArray(changes.budgets)) {
+      const budgetIds = this.getAppliedBudgetIds(suggestion);
+
+      const result = await Budget.deleteMany({
+        _id: { $in: budgetIds },
+        userId
+      }).session(session);
+
+      return {
+        budgetIds,
+        deleted: result.deletedCount
+      };
+    }
+
     const budget = await Budget.findOneAndDelete({
       _id: changes.budgetId,
       userId
@@ -300,6 +315,41 @@ class RollbackService {
     };
   }
 
+  /**
+   * Rollback subscription tracking
+   */
+  async rollbackTrackSubscription(suggestion, userId, options) {
+    const { session } = options;
+    const applied = suggestion.executionDetails?.results?.find(r => r.step === 'apply' && r.success);
+    const subscriptionId = applied?.data?.subscriptionId;
+
+    if (!subscriptionId) {
+      throw new Error('Tracked subscription not recorded on suggestion');
+    }
+
+    const subscription = await Subscription.findOneAndDelete({
+      _id: subscriptionId,
+      userId
+    }).session(session);
+
+    if (!subscription) {
+      throw new Error('Subscription not found for rollback');
+    }
+
+    // Charges posted since tracking began are real spending, so they are kept but unlinked
+    const unlinked = await Transaction.updateMany(
+      { userId, subscriptionId },
+      { $set: { subscriptionId: null, isRecurring: false } },
+      { session }
+    );
+
+    return {
+      subscriptionId,
+      deleted: true,
+      unlinkedTransactions: unlinked.modifiedCount
+    };
+  }
+
   /**
    * Check if rollback is possible
    */
@@ -350,6 +400,17 @@ class RollbackService {
   async canRollbackBudgetCreation(suggestion, userId) {
     const changes = suggestion.proposedChanges;
 
+    if (Array.isArray(changes.budgets)) {
+      const remaining = await Budget.countDocuments({
+        _id: { $in: this.getAppliedBudgetIds(suggestion) },
+        userId
+      });
+
+      return remaining > 0
+        ? { canRollback: true }
+        : { canRollback: false, reason: 'Budgets not found' };
+    }
+
     const budget = await Budget.findOne({
       _id: changes.budgetId,
       userId
@@ -365,6 +426,14 @@ class RollbackService {
     return { canRollback: true };
   }
 
+  /**
+   * Budgets created when a template suggestion was applied
+   */
+  getAppliedBudgetIds(suggestion) {
+    const applied = suggestion.executionDetails?.results?.find(r => r.step === 'apply' && r.success);
+    return applied?.data?.budgetIds || [];
+  }
+
   /**
    * Get rollback impact estimation
    */
@@ -35,12 +35,22 @@ class SuggestionManager {
       }
 
       // Check for existing similar suggestions
-      const existing = await PendingSuggestion.findOne({
+      const similarQuery = {
         userId,
         type: insight.type,
-        status: { $in: ['pending', 'approved'] },
-        'proposedChanges.categoryId': insight.proposedChanges?.categoryId
-      }).session(session);
+        status: { $in: ['pending', 'approved'] }
+      };
+
+      if (insight.type === 'track_subscription') {
+        similarQuery['proposedChanges.merchantKey'] = insight.proposedChanges?.merchantKey;
+      } else if (Array.isArray(insight.proposedChanges?.budgets)) {
+        // A newer budget template replaces the one still waiting for review
+        similarQuery['proposedChanges.budgets'] = { $exists: true };
+      } else {
+        similarQuery['proposedChanges.categoryId'] = insight.proposedChanges?.categoryId;
+      }
+
+      const existing = await PendingSuggestion.findOne(similarQuery).session(session);
 
       if (existing) {
         // Update existing suggestion instead of creating new
@@ -561,12 +571,28 @@ class SuggestionManager {
         state.subscription = subscription;
         break;
 
+      case 'budget_creation':
+        if (Array.isArray(insight.proposedChanges?.budgets)) {
+          state.budgets = await mongoose.model('Budget')
+            .find({ userId, isActive: true })
+            .select('categoryId amount period')
+            .lean();
+        }
+        break;
+
       case 'category_creation':
         // No current state for creation
         state.existingCategories = await mongoose.model('Category')
           .find({ userId })
           .lean();
         break;
+
+      case 'track_subscription':
+        state.transactions = await mongoose.model('Transaction')
+          .find({ userId, _id: { $in: insight.proposedChanges?.transactionIds || [] } })
+          .select('amount date description subscriptionId isRecurring')
+          .lean();
+        break;
     }
 
     return state;
@@ -4,6 +4,8 @@ const SavingsGoal = require('../../models/SavingsGoal');
 const Subscription = require('../../models/Subscription');
 const Category = require('../../models/Category');
 const Transaction = require('../../models/Transaction');
+const BudgetService = require('../financial/budget.service');
+const ExchangeRateService = require('../financial/exchangeRate.service');
 const AuditUtils = require('../../utils/audit.utils');
 
 class TransformationService {
@@ -15,7 +17,8 @@ class TransformationService {
       category_creation: this.transformCategoryCreation,
       budget_creation: this.transformBudgetCreation,
       goal_adjustment: this.transformGoalAdjustment,
-      transaction_categorization: this.transformTransactionCategorization
+      transaction_categorization: this.transformTransactionCategorization,
+      track_subscription: this.transformTrackSubscription
     };
   }
 
@@ -196,6 +199,78 @@ class TransformationService {
     };
   }
 
+  /**
+   * Transform detected recurring charge into a tracked subscription
+   */
+  async transformTrackSubscription(suggestion, userId, options) {
+    const { session } = options;
+    const changes = suggestion.proposedChanges;
+
+    const existing = await Subscription.findOne({
+      userId,
+      name: changes.name,
+      status: { $nin: ['cancelled', 'expired'] }
+    }).session(session);
+
+    if (existing) {
+      throw new Error('Subscription already tracked');
+    }
+
+    const transactions = await Transaction.find({
+      _id: { $in: changes.transactionIds || [] },
+      userId,
+      subscriptionId: null
+    }).sort({ date: 1 }).session(session);
+
+    const paymentMethods = ['credit_card', 'debit_card', 'bank_transfer', 'digital_wallet', 'other'];
+    const last = transactions[transactions.length - 1];
+
+    const subscription = new Subscription({
+      userId,
+      name: changes.name,
+      categoryId: changes.categoryId,
+      amount: changes.amount,
+      currency: last?.currency || await ExchangeRateService.getReportingCurrency(userId),
+      recurrence: {
+        frequency: changes.frequency,
+        interval: 1,
+        billingDate: changes.billingDate,
+        nextBillingDate: new Date(changes.nextBillingDate)
+      },
+      paymentMethod: paymentMethods.includes(changes.paymentMethod) ? changes.paymentMethod : 'other',
+      status: 'active',
+      trackingOnly: true,
+      provider: { name: changes.name },
+      totalSpent: transactions.reduce((sum, t) => sum + t.amount, 0),
+      lastBilledAt: last?.date,
+      lastBilledAmount: last?.amount,
+      billingHistory: transactions.map(t => ({
+        date: t.date,
+        amount: t.amount,
+        transactionId: t._id
+      })),
+      metadata: {
+        tags: ['detected']
+      }
+    });
+
+    await subscription.save({ session });
+
+    // Back-link the charges that revealed the subscription
+    await Transaction.updateMany(
+      { _id: { $in: transactions.map(t => t._id) }, userId },
+      { $set: { subscriptionId: subscription._id, isRecurring: true } },
+      { session }
+    );
+
+    return {
+      subscriptionId: subscription._id,
+      name: subscription.name,
+      linkedTransactionIds: transactions.map(t => t._id),
+      nextBillingDate: subscription.recurrence.nextBillingDate
+    };
+  }
+
   /**
    * Transform category creation
    */
@@ -243,6 +318,10 @@ class TransformationService {
     const { session } = options;
     const changes = suggestion.proposedChanges;
 
+    if (Array.isArray(changes.budgets)) {
+      return this.transformBudgetSet(suggestion, userId, options);
+    }
+
     // Check if budget already exists for category
     const existing = await Budget.findOne({
       userId,
@@ -284,6 +363,81 @@ class TransformationService {
     };
   }
 
+  /**
+   * Create every budget of a template for the current month. Categories that
+   * gained a budget since the suggestion was made are left as they are.
+   */
+  async transformBudgetSet(suggestion, userId, options) {
+    const { session } = options;
+    const changes = suggestion.proposedChanges;
+    const period = changes.period || 'monthly';
+
+    const [categories, existing, tree] = await Promise.all([
+      Category.find({ userId, _id: { $in: changes.budgets.map(b => b.categoryId) } }).session(session),
+      Budget.find({ userId, period, isActive: true }).select('categoryId').session(session),
+      Category.find({ userId }).select('parentCategory').session(session).lean()
+    ]);
+
+    const known = new Map(categories.map(c => [c._id.toString(), c]));
+    const budgeted = new Set(existing.map(b => b.categoryId.toString()));
+
+    const startDate = BudgetService.getCurrentPeriodStart(period);
+    const endDate = BudgetService.getPeriodEnd(period, startDate);
+
+    const budgetIds = [];
+    const skipped = [];
+
+    for (const line of changes.budgets) {
+      const key = line.categoryId.toString();
+      const category = known.get(key);
+
+      if (!category || budgeted.has(key)) {
+        skipped.push({
+          categoryId: line.categoryId,
+          reason: category ? 'Budget already exists for this category' : 'Category not found'
+        });
+        continue;
+      }
+
+      const budget = new Budget({
+        userId,
+        name: `${category.name} budget`,
+        period,
+        categoryId: category._id,
+        amount: line.amount,
+        flexibility: 'flexible',
+        startDate,
+        endDate,
+        isActive: true,
+        alerts: {
+          enabled: true,
+          threshold: 80
+        },
+        metadata: {
+          template: true,
+          tags: [changes.template, line.bucket].filter(Boolean)
+        }
+      });
+
+      budget.spent = await BudgetService.calculateSpent(budget, tree, session);
+      await budget.save({ session });
+
+      budgetIds.push(budget._id);
+      budgeted.add(key);
+    }
+
+    if (budgetIds.length === 0) {
+      throw new Error('Every category in the template already has a budget');
+    }
+
+    return {
+      budgetIds,
+      created: budgetIds.length,
+      skipped,
+      template: changes.template
+    };
+  }
+
   /**
    * Transform goal adjustment
    */
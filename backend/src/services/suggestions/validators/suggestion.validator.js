@@ -93,6 +93,21 @@ class SuggestionValidator {
         break;
 
       case 'budget_creation':
+        // Template suggestions propose a whole set of budgets at once
+        if (Array.isArray(data.proposedChanges?.budgets)) {
+          if (data.proposedChanges.budgets.length === 0) {
+            errors.push('At least one budget is required');
+          }
+          data.proposedChanges.budgets.forEach((budget, index) => {
+            if (!budget?.categoryId) {
+              errors.push(`Budget ${index + 1} needs a category`);
+            }
+            if (!(budget?.amount > 0)) {
+              errors.push(`Budget ${index + 1} needs a positive amount`);
+            }
+          });
+          break;
+        }
         if (!data.proposedChanges?.categoryId) {
           errors.push('Category ID is required for budget creation');
         }
@@ -115,6 +130,24 @@ class SuggestionValidator {
         }
         break;
 
+      case 'track_subscription':
+        if (!data.proposedChanges?.name) {
+          errors.push('Subscription name is required');
+        }
+        if (!data.proposedChanges?.categoryId) {
+          errors.push('Category ID is required to track a subscription');
+        }
+        if (!data.proposedChanges?.amount || data.proposedChanges.amount <= 0) {
+          errors.push('Subscription amount must be positive');
+        }
+        if (!['weekly', 'monthly', 'quarterly', 'yearly'].includes(data.proposedChanges?.frequency)) {
+          errors.push('Invalid subscription frequency');
+        }
+        if (!data.proposedChanges?.nextBillingDate) {
+          errors.push('Next billing date is required');
+        }
+        break;
+
       case 'transaction_categorization':
         if (!data.proposedChanges?.transactionId) {
           errors.push('Transaction ID is required');
@@ -325,6 +358,9 @@ class SuggestionValidator {
       case 'category_creation':
         query['proposedChanges.name'] = proposedChanges.name;
         break;
+      case 'track_subscription':
+        query['proposedChanges.merchantKey'] = proposedChanges.merchantKey;
+        break;
     }
 
     const existing = await PendingSuggestion.findOne(query);
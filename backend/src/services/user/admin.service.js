@@ -0,0 +1,244 @@
+const bcrypt = require('bcryptjs');
+const User = require('../../models/User');
+const Transaction = require('../../models/Transaction');
+const RefreshToken = require('../../models/RefreshToken');
+const SuggestionLog = require('../../models/SuggestionLog');
+const WeeklyScheduler = require('../weekly/scheduler.service');
+const BudgetService = require('../financial/budget.service');
+const SubscriptionService = require('../financial/subscription.service');
+const SavingsService = require('../financial/savings.service');
+const ExchangeRateService = require('../financial/exchangeRate.service');
+const SignalStorage = require('../analysis/signal/signal.storage');
+const AuditUtils = require('../../utils/audit.utils');
+const { ServiceError } = require('../../middleware/errorHandler');
+
+class AdminService {
+  constructor() {
+    this.roles = ['user', 'support', 'admin'];
+    this.userLookupFields = 'name email role emailVerified preferences.currency preferences.mfaEnabled createdAt updatedAt';
+  }
+
+  /**
+   * Create or promote the admin account named by ADMIN_EMAIL
+   */
+  async seedAdmin() {
+    const email = process.env.ADMIN_EMAIL?.toLowerCase();
+    if (!email) return null;
+
+    const existing = await User.findOne({ email });
+
+    if (existing) {
+      if (existing.role !== 'admin') {
+        existing.role = 'admin';
+        await existing.save();
+        console.log(`Promoted ${email} to admin`);
+      }
+      return existing;
+    }
+
+    if (!process.env.ADMIN_PASSWORD) {
+      console.warn('ADMIN_EMAIL is set but no account exists and ADMIN_PASSWORD is missing; admin not seeded');
+      return null;
+    }
+
+    const salt = await bcrypt.genSalt(12);
+    const admin = await User.create({
+      name: process.env.ADMIN_NAME || 'Administrator',
+      email,
+      password: await bcrypt.hash(process.env.ADMIN_PASSWORD, salt),
+      role: 'admin',
+      emailVerified: true,
+      emailVerifiedAt: new Date()
+    });
+
+    console.log(`Seeded admin account ${email}`);
+    return admin;
+  }
+
+  /**
+   * Weekly generation stats and whether each background job is mid-run
+   */
+  async getSchedulerStats(actor, days = 7) {
+    return await this.runAudited(actor, 'scheduler.stats', { days }, async () => ({
+      weeklyGeneration: await WeeklyScheduler.getGenerationStats(days),
+      jobs: {
+        weeklySummaries: { running: WeeklyScheduler.isRunning },
+        budgetRollover: { running: BudgetService.isRollingOver },
+        subscriptionBilling: { running: SubscriptionService.isProcessing },
+        savingsAutoSave: { running: SavingsService.isProcessing },
+        exchangeRateRefresh: {
+          running: ExchangeRateService.isProcessing,
+          pendingSince: await ExchangeRateService.getPendingRefresh()
+        }
+      }
+    }));
+  }
+
+  /**
+   * Regenerate weekly summaries for users who are missing one
+   */
+  async retryWeeklyGenerations(actor, daysBack = 7) {
+    if (WeeklyScheduler.isRunning) {
+      throw new ServiceError('Weekly summary generation is in progress', 409);
+    }
+
+    return await this.runAudited(actor, 'scheduler.retry_weekly', { daysBack }, () =>
+      WeeklyScheduler.retryFailed(daysBack)
+    );
+  }
+
+  /**
+   * Deactivate financial signals older than the cutoff
+   */
+  async archiveSignals(actor, daysOld = 90) {
+    return await this.runAudited(actor, 'maintenance.archive_signals', { daysOld }, async () => {
+      const result = await SignalStorage.archiveOldSignals(daysOld);
+      return { archivedCount: result.modifiedCount, daysOld };
+    });
+  }
+
+  /**
+   * Delete suggestion audit logs older than the retention period
+   */
+  async cleanAuditLogs(actor, daysToKeep = 90) {
+    return await this.runAudited(actor, 'maintenance.clean_audit_logs', { daysToKeep }, () =>
+      AuditUtils.cleanOldLogs(daysToKeep)
+    );
+  }
+
+  /**
+   * Search users by email, name or role
+   */
+  async findUsers(actor, filters = {}) {
+    const { email, q, role, limit = 20 } = filters;
+    const query = {};
+
+    if (email) {
+      query.email = email.toLowerCase();
+    } else if (q) {
+      const pattern = new RegExp(q.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+      query.$or = [{ email: pattern }, { name: pattern }];
+    }
+
+    if (role) {
+      query.role = role;
+    }
+
+    return await this.runAudited(actor, 'users.search', { email, q, role }, () =>
+      User.find(query)
+        .select(this.userLookupFields)
+        .sort({ createdAt: -1 })
+        .limit(limit)
+        .lean()
+    );
+  }
+
+  /**
+   * Single user with account activity counts
+   */
+  async getUser(actor, userId) {
+    return await this.runAudited(actor, 'users.view', { userId }, async () => {
+      const user = await User.findById(userId).select(this.userLookupFields).lean();
+
+      if (!user) {
+        throw new ServiceError('User not found', 404);
+      }
+
+      const [transactionCount, activeSessions] = await Promise.all([
+        Transaction.countDocuments({ userId }),
+        RefreshToken.countDocuments({ userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+      ]);
+
+      return { ...user, transactionCount, activeSessions };
+    }, userId);
+  }
+
+  /**
+   * Change a user's role
+   */
+  async updateRole(actor, userId, role) {
+    if (!this.roles.includes(role)) {
+      throw new ServiceError(`Role must be one of: ${this.roles.join(', ')}`, 400);
+    }
+
+    if (actor.id.toString() === userId.toString()) {
+      throw new ServiceError('You cannot change your own role', 400);
+    }
+
+    return await this.runAudited(actor, 'users.update_role', { userId, role }, async () => {
+      const user = await User.findById(userId);
+
+      if (!user) {
+        throw new ServiceError('User not found', 404);
+      }
+
+      const previousRole = user.role;
+      user.role = role;
+      await user.save();
+
+      return { userId: user._id, previousRole, role };
+    }, userId);
+  }
+
+  /**
+   * Recent admin operations, newest first
+   */
+  async getAuditLog(filters = {}) {
+    const { operation, actorId, limit = 50 } = filters;
+    const query = { action: 'admin_action' };
+
+    if (operation) {
+      query['metadata.tags'] = operation;
+    }
+
+    if (actorId) {
+      query['actor.id'] = actorId;
+    }
+
+    return await SuggestionLog.find(query)
+      .select('userId actor.id actor.email actor.ipAddress newState metadata.reason outcome.success outcome.error timestamp')
+      .sort({ timestamp: -1 })
+      .limit(limit)
+      .lean();
+  }
+
+  /**
+   * Run an admin operation and record it in the audit log, including failures
+   */
+  async runAudited(actor, operation, params, fn, targetUserId = null) {
+    const startTime = Date.now();
+    let failure;
+
+    try {
+      return await fn();
+    } catch (error) {
+      failure = error;
+      throw error;
+    } finally {
+      try {
+        await AuditUtils.logAction({
+          userId: targetUserId || actor.id,
+          action: 'admin_action',
+          actor: {
+            type: 'admin',
+            id: actor.id,
+            email: actor.email,
+            ipAddress: actor.ipAddress,
+            userAgent: actor.userAgent
+          },
+          newState: { operation, params },
+          reason: operation,
+          source: 'admin_api',
+          duration: Date.now() - startTime,
+          tags: ['admin', operation],
+          success: !failure,
+          error: failure ? { message: failure.message } : undefined
+        });
+      } catch (error) {
+        console.error(`Failed to audit admin operation ${operation}:`, error);
+      }
+    }
+  }
+}
+
+module.exports = new AdminService();
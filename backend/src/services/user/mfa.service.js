@@ -0,0 +1,220 @@
+const crypto = require('crypto');
+const User = require('../../models/User');
+const TokenService = require('./token.service');
+const TotpUtils = require('../../utils/totpUtils');
+const { ServiceError } = require('../../middleware/errorHandler');
+
+class MfaService {
+  constructor() {
+    this.issuer = process.env.MFA_ISSUER || 'Finance App';
+    this.stepUpMinutes = parseInt(process.env.MFA_STEP_UP_MINUTES) || 10;
+    this.recoveryCodeCount = 10;
+  }
+
+  /**
+   * MFA status for the settings screen
+   */
+  async getStatus(userId) {
+    const user = await this.findUser(userId, '+mfa.recoveryCodes');
+
+    return {
+      enabled: !!user.preferences?.mfaEnabled,
+      enabledAt: user.mfa?.enabledAt,
+      recoveryCodesRemaining: (user.mfa?.recoveryCodes || []).filter(c => !c.usedAt).length
+    };
+  }
+
+  /**
+   * Generate a secret and provisioning URI. MFA stays off until a code is confirmed.
+   */
+  async startEnrollment(userId) {
+    const user = await this.findUser(userId);
+
+    if (user.preferences?.mfaEnabled) {
+      throw new ServiceError('MFA is already enabled', 400);
+    }
+
+    const secret = TotpUtils.generateSecret();
+    user.mfa.pendingSecret = this.encrypt(secret);
+    await user.save();
+
+    return {
+      secret,
+      otpauthUrl: TotpUtils.buildOtpauthUrl(secret, user.email, this.issuer)
+    };
+  }
+
+  /**
+   * Confirm enrollment with a first code; returns the recovery codes (shown once)
+   */
+  async confirmEnrollment(userId, code, sessionId) {
+    const user = await this.findUser(userId, '+mfa.pendingSecret');
+
+    if (user.preferences?.mfaEnabled) {
+      throw new ServiceError('MFA is already enabled', 400);
+    }
+
+    if (!user.mfa?.pendingSecret) {
+      throw new ServiceError('Start MFA enrollment first', 400);
+    }
+
+    const step = TotpUtils.verifyCode(this.decrypt(user.mfa.pendingSecret), code);
+    if (step === null) {
+      throw new ServiceError('Invalid verification code', 400);
+    }
+
+    const recoveryCodes = this.generateRecoveryCodes();
+
+    user.mfa.secret = user.mfa.pendingSecret;
+    user.mfa.pendingSecret = undefined;
+    user.mfa.lastUsedStep = step;
+    user.mfa.recoveryCodes = recoveryCodes.map(c => ({ codeHash: this.hashCode(c) }));
+    user.mfa.enabledAt = new Date();
+    user.preferences.mfaEnabled = true;
+    await user.save();
+
+    const mfaVerifiedUntil = await this.openStepUpWindow(userId, sessionId);
+
+    return { recoveryCodes, mfaVerifiedUntil };
+  }
+
+  /**
+   * Step-up verification: mark the current session MFA-verified for a short window
+   */
+  async verify(userId, factor, sessionId) {
+    if (!sessionId) {
+      throw new ServiceError('Please log in again to verify MFA', 401);
+    }
+
+    const user = await this.findUser(userId, '+mfa.secret +mfa.lastUsedStep +mfa.recoveryCodes');
+    const method = await this.verifyFactor(user, factor);
+    const mfaVerifiedUntil = await this.openStepUpWindow(userId, sessionId);
+
+    return {
+      method,
+      mfaVerifiedUntil,
+      recoveryCodesRemaining: user.mfa.recoveryCodes.filter(c => !c.usedAt).length
+    };
+  }
+
+  /**
+   * Replace all recovery codes
+   */
+  async regenerateRecoveryCodes(userId, factor) {
+    const user = await this.findUser(userId, '+mfa.secret +mfa.lastUsedStep +mfa.recoveryCodes');
+    await this.verifyFactor(user, factor);
+
+    const recoveryCodes = this.generateRecoveryCodes();
+    user.mfa.recoveryCodes = recoveryCodes.map(c => ({ codeHash: this.hashCode(c) }));
+    await user.save();
+
+    return { recoveryCodes };
+  }
+
+  /**
+   * Turn MFA off after checking a code
+   */
+  async disable(userId, factor) {
+    const user = await this.findUser(userId, '+mfa.secret +mfa.lastUsedStep +mfa.recoveryCodes');
+    await this.verifyFactor(user, factor);
+
+    user.mfa = { secret: undefined, pendingSecret: undefined, recoveryCodes: [], enabledAt: undefined };
+    user.preferences.mfaEnabled = false;
+    await user.save();
+
+    return true;
+  }
+
+  /**
+   * Check a TOTP code (rejecting replays) or consume a recovery code
+   */
+  async verifyFactor(user, { code, recoveryCode } = {}) {
+    if (!user.preferences?.mfaEnabled || !user.mfa?.secret) {
+      throw new ServiceError('MFA is not enabled', 400);
+    }
+
+    if (code) {
+      const step = TotpUtils.verifyCode(this.decrypt(user.mfa.secret), code);
+
+      if (step === null || (user.mfa.lastUsedStep != null && step <= user.mfa.lastUsedStep)) {
+        throw new ServiceError('Invalid verification code', 401);
+      }
+
+      user.mfa.lastUsedStep = step;
+      await user.save();
+      return 'totp';
+    }
+
+    if (recoveryCode) {
+      const codeHash = this.hashCode(recoveryCode);
+      const match = user.mfa.recoveryCodes.find(c => c.codeHash === codeHash && !c.usedAt);
+
+      if (!match) {
+        throw new ServiceError('Invalid recovery code', 401);
+      }
+
+      match.usedAt = new Date();
+      await user.save();
+      return 'recovery_code';
+    }
+
+    throw new ServiceError('A verification code or recovery code is required', 400);
+  }
+
+  async openStepUpWindow(userId, sessionId) {
+    if (!sessionId) return null;
+
+    const until = new Date(Date.now() + this.stepUpMinutes * 60 * 1000);
+    await TokenService.markSessionMfaVerified(userId, sessionId, until);
+
+    return until;
+  }
+
+  async findUser(userId, select = '') {
+    const user = await User.findById(userId).select(select);
+
+    if (!user) {
+      throw new ServiceError('User not found', 404);
+    }
+
+    return user;
+  }
+
+  generateRecoveryCodes() {
+    return Array.from({ length: this.recoveryCodeCount }, () => {
+      const raw = crypto.randomBytes(5).toString('hex');
+      return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+  }
+
+  hashCode(code) {
+    const normalized = String(code).toLowerCase().replace(/[^a-z0-9]/g, '');
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+  }
+
+  /**
+   * TOTP secrets are encrypted at rest with AES-256-GCM
+   */
+  encrypt(plaintext) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.getEncryptionKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+
+    return [iv, cipher.getAuthTag(), encrypted].map(b => b.toString('base64')).join(':');
+  }
+
+  decrypt(payload) {
+    const [iv, tag, encrypted] = payload.split(':').map(p => Buffer.from(p, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', this.getEncryptionKey(), iv);
+    decipher.setAuthTag(tag);
+
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+  }
+
+  getEncryptionKey() {
+    const keySource = process.env.MFA_ENCRYPTION_KEY || process.env.JWT_SECRET;
+    return crypto.createHash('sha256').update(keySource).digest();
+  }
+}
+
+module.exports = new MfaService();
@@ -0,0 +1,217 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+const RefreshToken = require('../../models/RefreshToken');
+const User = require('../../models/User');
+const { ServiceError } = require('../../middleware/errorHandler');
+
+class TokenService {
+  constructor() {
+    this.accessTokenTtl = process.env.JWT_ACCESS_EXPIRES_IN || '15m';
+    this.refreshTokenDays = parseInt(process.env.REFRESH_TOKEN_DAYS) || 30;
+  }
+
+  /**
+   * Start a new session (token family) for a device and issue its first token pair
+   */
+  async issueTokens(user, context = {}) {
+    return await this.createTokenPair(user, uuidv4(), context);
+  }
+
+  /**
+   * Exchange a refresh token for a new pair. Presenting a token that was
+   * already rotated means it leaked, so the whole family is revoked.
+   */
+  async rotateRefreshToken(rawToken, context = {}) {
+    if (!rawToken) {
+      throw new ServiceError('Refresh token is required', 401);
+    }
+
+    const tokenHash = this.hashToken(rawToken);
+    const now = new Date();
+
+    // Claim the token atomically so two concurrent rotations cannot both win
+    const stored = await RefreshToken.findOneAndUpdate(
+      { tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+      { $set: { revokedAt: now, revokedReason: 'rotated', lastUsedAt: now } },
+      { new: true }
+    );
+
+    if (!stored) {
+      const existing = await RefreshToken.findOne({ tokenHash }).lean();
+
+      if (!existing) {
+        throw new ServiceError('Invalid refresh token', 401);
+      }
+
+      if (existing.revokedAt) {
+        if (existing.revokedReason === 'rotated') {
+          await this.revokeFamily(existing.family, 'reuse_detected');
+          console.warn(`Refresh token reuse detected for user ${existing.userId}, family ${existing.family} revoked`);
+        }
+        throw new ServiceError('Refresh token has been revoked', 401);
+      }
+
+      throw new ServiceError('Refresh token has expired', 401);
+    }
+
+    const user = await User.findById(stored.userId).select('-password');
+    if (!user) {
+      await this.revokeFamily(stored.family, 'admin');
+      throw new ServiceError('Invalid refresh token', 401);
+    }
+
+    const pair = await this.createTokenPair(user, stored.family, context, {
+      mfaVerifiedUntil: stored.mfaVerifiedUntil
+    });
+
+    await RefreshToken.updateOne({ _id: stored._id }, { $set: { replacedBy: pair.refreshTokenId } });
+
+    return { ...pair, user };
+  }
+
+  /**
+   * Revoke a single device session
+   */
+  async revokeSession(userId, family, reason = 'logout') {
+    const result = await RefreshToken.updateMany(
+      { userId, family, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+
+    return result.modifiedCount;
+  }
+
+  /**
+   * Revoke every session of a user and invalidate outstanding access tokens
+   */
+  async revokeAllSessions(userId, reason = 'logout_all') {
+    const result = await RefreshToken.updateMany(
+      { userId, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+
+    await User.updateOne({ _id: userId }, { $inc: { tokenVersion: 1 } });
+
+    return result.modifiedCount;
+  }
+
+  /**
+   * Revoke every token in a family
+   */
+  async revokeFamily(family, reason) {
+    await RefreshToken.updateMany(
+      { family, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+  }
+
+  /**
+   * Find the family a refresh token belongs to (for logout by token)
+   */
+  async getFamilyForToken(rawToken, userId) {
+    const stored = await RefreshToken.findOne({
+      tokenHash: this.hashToken(rawToken),
+      userId
+    }).select('family').lean();
+
+    return stored?.family || null;
+  }
+
+  /**
+   * List active device sessions
+   */
+  async getActiveSessions(userId, currentFamily) {
+    const tokens = await RefreshToken.find({
+      userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ updatedAt: -1 }).lean();
+
+    return tokens.map(token => ({
+      sessionId: token.family,
+      device: token.device,
+      lastUsedAt: token.lastUsedAt || token.createdAt,
+      expiresAt: token.expiresAt,
+      current: token.family === currentFamily
+    }));
+  }
+
+  /**
+   * Whether an access token's session and version are still valid, and
+   * whether the session has passed step-up MFA recently
+   */
+  async checkAccessToken(decoded, user) {
+    if ((decoded.tv || 0) !== (user.tokenVersion || 0)) {
+      return { active: false, mfaVerified: false };
+    }
+
+    // Tokens issued before sessions existed carry no session id
+    if (!decoded.sid) {
+      return { active: true, mfaVerified: false };
+    }
+
+    const session = await RefreshToken.findOne({
+      family: decoded.sid,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).select('mfaVerifiedUntil').lean();
+
+    return {
+      active: !!session,
+      mfaVerified: !!session?.mfaVerifiedUntil && session.mfaVerifiedUntil > new Date()
+    };
+  }
+
+  /**
+   * Open a step-up MFA window on a session
+   */
+  async markSessionMfaVerified(userId, family, until) {
+    const result = await RefreshToken.updateMany(
+      { userId, family, revokedAt: null },
+      { $set: { mfaVerifiedUntil: until } }
+    );
+
+    return result.modifiedCount > 0;
+  }
+
+  /**
+   * Create and persist a refresh token and sign a matching access token
+   */
+  async createTokenPair(user, family, context = {}, carried = {}) {
+    const refreshToken = crypto.randomBytes(48).toString('hex');
+    const expiresAt = new Date(Date.now() + this.refreshTokenDays * 24 * 60 * 60 * 1000);
+
+    const stored = await RefreshToken.create({
+      userId: user._id,
+      tokenHash: this.hashToken(refreshToken),
+      family,
+      device: {
+        userAgent: context.userAgent,
+        ipAddress: context.ipAddress
+      },
+      expiresAt,
+      mfaVerifiedUntil: carried.mfaVerifiedUntil
+    });
+
+    const accessToken = jwt.sign(
+      { userId: user._id, sid: family, tv: user.tokenVersion || 0 },
+      process.env.JWT_SECRET,
+      { expiresIn: this.accessTokenTtl }
+    );
+
+    return {
+      accessToken,
+      refreshToken,
+      refreshTokenId: stored._id,
+      expiresIn: this.accessTokenTtl,
+      sessionId: family
+    };
+  }
+
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+}
+
+module.exports = new TokenService();
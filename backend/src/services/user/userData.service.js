@@ -0,0 +1,310 @@
+const cron = require('node-cron');
+const bcrypt = require('bcryptjs');
+const User = require('../../models/User');
+const Transaction = require('../../models/Transaction');
+const Budget = require('../../models/Budget');
+const EnvelopePlan = require('../../models/EnvelopePlan');
+const SavingsGoal = require('../../models/SavingsGoal');
+const Subscription = require('../../models/Subscription');
+const Category = require('../../models/Category');
+const CategorizationRule = require('../../models/CategorizationRule');
+const AIInsight = require('../../models/AIInsight');
+const AISuggestion = require('../../models/AISuggestion');
+const PendingSuggestion = require('../../models/PendingSuggestion');
+const SuggestionLog = require('../../models/SuggestionLog');
+const SuggestionFeedback = require('../../models/SuggestionFeedback');
+const WeeklySummary = require('../../models/WeeklySummary');
+const WeeklyMetric = require('../../models/WeeklyMetric');
+const FinancialSignal = require('../../models/FinancialSignal');
+const Checkpoint = require('../../models/Checkpoints');
+const InAppNotification = require('../../models/InAppNotification');
+const UserPreference = require('../../models/UserPreference');
+const CategoryPreference = require('../../models/CategoryPreference');
+const RefreshToken = require('../../models/RefreshToken');
+const FinancialAccount = require('../../models/Account');
+const NetWorthItem = require('../../models/NetWorthItem');
+const NetWorthSnapshot = require('../../models/NetWorthSnapshot');
+const PreferenceManager = require('../learning/preference.manager');
+const BudgetService = require('../financial/budget.service');
+const ExchangeRateService = require('../financial/exchangeRate.service');
+const NotificationService = require('../suggestions/notification.service');
+const CsvUtils = require('../../utils/csvUtils');
+const { ServiceError } = require('../../middleware/errorHandler');
+
+class UserDataService {
+  constructor() {
+    this.isProcessing = false;
+    this.gracePeriodDays = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 30;
+
+    // Everything stored per user, by export name
+    this.collections = {
+      accounts: FinancialAccount,
+      netWorthItems: NetWorthItem,
+      netWorthSnapshots: NetWorthSnapshot,
+      transactions: Transaction,
+      budgets: Budget,
+      envelopePlans: EnvelopePlan,
+      savingsGoals: SavingsGoal,
+      subscriptions: Subscription,
+      categories: Category,
+      categorizationRules: CategorizationRule,
+      insights: AIInsight,
+      aiSuggestions: AISuggestion,
+      suggestions: PendingSuggestion,
+      suggestionLogs: SuggestionLog,
+      weeklySummaries: WeeklySummary,
+      weeklyMetrics: WeeklyMetric,
+      signals: FinancialSignal,
+      checkpoints: Checkpoint,
+      notifications: InAppNotification
+    };
+
+    // Extra conditions on what is erased; admin audit entries about the user
+    // are kept, as they are by the log cleanup
+    this.purgeFilters = {
+      suggestionLogs: { action: { $ne: 'admin_action' } }
+    };
+
+    // Preference data is exported through PreferenceManager but erased here too
+    this.preferenceCollections = [UserPreference, CategoryPreference, SuggestionFeedback];
+
+    this.profileFields = 'name email role emailVerified emailVerifiedAt preferences deletion createdAt updatedAt';
+  }
+
+  /**
+   * Start the daily purge of accounts whose grace period has ended
+   */
+  start() {
+    // Run every day at 03:00
+    cron.schedule('0 3 * * *', () => {
+      this.processScheduledDeletions();
+    });
+
+    console.log('Account deletion scheduler started');
+  }
+
+  /**
+   * Everything we store about a user, as one JSON document
+   */
+  async exportUserData(userId) {
+    const user = await User.findById(userId).select(this.profileFields).lean();
+
+    if (!user) {
+      throw new ServiceError('User not found', 404);
+    }
+
+    const names = Object.keys(this.collections);
+    const [preferences, sessions, ...results] = await Promise.all([
+      PreferenceManager.exportPreferences(userId),
+      RefreshToken.find({ userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+        .select('device lastUsedAt createdAt expiresAt')
+        .lean(),
+      ...names.map(name => this.collections[name].find({ userId }).lean())
+    ]);
+
+    const data = {};
+    names.forEach((name, index) => {
+      data[name] = results[index];
+    });
+
+    return {
+      exportedAt: new Date(),
+      format: 'json',
+      profile: user,
+      preferences: {
+        userPreferences: preferences.userPreferences,
+        categoryPreferences: preferences.categoryPreferences,
+        feedback: preferences.feedback
+      },
+      sessions,
+      ...data,
+      counts: Object.fromEntries(names.map(name => [name, data[name].length]))
+    };
+  }
+
+  /**
+   * One collection as CSV
+   */
+  async exportCollectionCSV(userId, collection) {
+    if (collection === 'profile') {
+      const user = await User.findById(userId).select(this.profileFields).lean();
+      return CsvUtils.toCSV(user ? [user] : []);
+    }
+
+    const Model = this.collections[collection];
+    if (!Model) {
+      throw new ServiceError(`Unknown collection: ${collection}`, 400, {
+        available: ['profile', ...Object.keys(this.collections)]
+      });
+    }
+
+    const documents = await Model.find({ userId }).lean();
+    return CsvUtils.toCSV(documents);
+  }
+
+  /**
+   * Collections available for CSV export
+   */
+  getExportableCollections() {
+    return ['profile', ...Object.keys(this.collections)];
+  }
+
+  /**
+   * Schedule the account for deletion after the grace period
+   */
+  async requestDeletion(userId, password, reason) {
+    const user = await User.findById(userId);
+
+    if (!user) {
+      throw new ServiceError('User not found', 404);
+    }
+
+    if (!(await bcrypt.compare(password, user.password))) {
+      throw new ServiceError('Password is incorrect', 401);
+    }
+
+    if (user.deletion?.scheduledFor) {
+      throw new ServiceError('Account deletion is already scheduled', 400, {
+        scheduledFor: user.deletion.scheduledFor
+      });
+    }
+
+    const scheduledFor = new Date();
+    scheduledFor.setDate(scheduledFor.getDate() + this.gracePeriodDays);
+
+    user.deletion = {
+      requestedAt: new Date(),
+      scheduledFor,
+      reason
+    };
+    await user.save();
+
+    try {
+      await NotificationService.sendAccountDeletionEmail(user);
+    } catch (error) {
+      console.error(`Failed to send deletion email to user ${user._id}:`, error);
+    }
+
+    return this.getDeletionStatus(user);
+  }
+
+  /**
+   * Cancel a scheduled deletion
+   */
+  async cancelDeletion(userId) {
+    const user = await User.findById(userId);
+
+    if (!user?.deletion?.scheduledFor) {
+      throw new ServiceError('No account deletion is scheduled', 400);
+    }
+
+    user.deletion = undefined;
+    await user.save();
+
+    return this.getDeletionStatus(user);
+  }
+
+  /**
+   * Change the currency reports are shown in and reconvert stored amounts
+   */
+  async setReportingCurrency(userId, currency) {
+    const user = await User.findById(userId);
+    const previous = user.preferences?.currency || ExchangeRateService.defaultReportingCurrency;
+
+    if (previous === currency) {
+      return { currency, previous, converted: 0, missingRates: 0 };
+    }
+
+    user.preferences.currency = currency;
+    await user.save();
+
+    const result = await ExchangeRateService.refreshUser(userId, currency);
+
+    // Budget spending is stored in the reporting currency too
+    const budgets = await Budget.find({ userId, isActive: true });
+    for (const budget of budgets) {
+      await BudgetService.recalculateSpent(budget);
+    }
+
+    return { currency, previous, ...result };
+  }
+
+  /**
+   * Whether and when the account will be deleted
+   */
+  getDeletionStatus(user) {
+    const scheduledFor = user.deletion?.scheduledFor;
+
+    return {
+      scheduled: !!scheduledFor,
+      requestedAt: user.deletion?.requestedAt,
+      scheduledFor,
+      daysRemaining: scheduledFor
+        ? Math.max(0, Math.ceil((scheduledFor - new Date()) / (1000 * 60 * 60 * 24)))
+        : null
+    };
+  }
+
+  /**
+   * Purge every account whose grace period has ended
+   */
+  async processScheduledDeletions(now = new Date()) {
+    if (this.isProcessing) {
+      console.log('Account deletion already in progress');
+      return null;
+    }
+
+    this.isProcessing = true;
+    const results = { processed: 0, deleted: 0, errors: [] };
+
+    try {
+      const users = await User.find({
+        'deletion.scheduledFor': { $lte: now }
+      }).select('_id');
+
+      for (const user of users) {
+        results.processed++;
+
+        try {
+          await this.purgeUser(user._id);
+          results.deleted++;
+        } catch (error) {
+          console.error(`Error deleting account ${user._id}:`, error);
+          results.errors.push({ userId: user._id, error: error.message });
+        }
+      }
+
+      console.log(`Account deletion complete: ${results.deleted} accounts removed`);
+      return results;
+
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  /**
+   * Delete the user's data from every collection, then the user.
+   * The user document goes last so a failed run is retried the next day.
+   */
+  async purgeUser(userId) {
+    const deleted = {};
+
+    await RefreshToken.deleteMany({ userId });
+
+    for (const [name, Model] of Object.entries(this.collections)) {
+      const result = await Model.deleteMany({ userId, ...this.purgeFilters[name] });
+      deleted[name] = result.deletedCount;
+    }
+
+    for (const Model of this.preferenceCollections) {
+      const result = await Model.deleteMany({ userId });
+      deleted[Model.modelName] = result.deletedCount;
+    }
+
+    await User.deleteOne({ _id: userId });
+
+    return deleted;
+  }
+}
+
+module.exports = new UserDataService();
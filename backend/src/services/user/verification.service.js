@@ -0,0 +1,128 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const User = require('../../models/User');
+const TokenService = require('./token.service');
+const NotificationService = require('../suggestions/notification.service');
+const { ServiceError } = require('../../middleware/errorHandler');
+
+class VerificationService {
+  constructor() {
+    this.passwordResetTtlMinutes = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60;
+    this.emailVerificationTtlHours = parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 48;
+  }
+
+  /**
+   * Email a password reset link. Unknown addresses are ignored silently so
+   * the endpoint can't be used to discover accounts.
+   */
+  async requestPasswordReset(email) {
+    const user = await User.findOne({ email: email.toLowerCase() });
+    if (!user) return false;
+
+    const token = this.generateToken();
+
+    user.passwordReset = {
+      tokenHash: this.hashToken(token),
+      expiresAt: new Date(Date.now() + this.passwordResetTtlMinutes * 60 * 1000)
+    };
+    await user.save();
+
+    await NotificationService.sendPasswordResetEmail(user, token, this.passwordResetTtlMinutes);
+    return true;
+  }
+
+  /**
+   * Set a new password with a reset token. The token is consumed and every
+   * existing session is signed out.
+   */
+  async resetPassword(token, password) {
+    const user = await User.findOne({
+      'passwordReset.tokenHash': this.hashToken(token),
+      'passwordReset.expiresAt': { $gt: new Date() }
+    });
+
+    if (!user) {
+      throw new ServiceError('Reset link is invalid or has expired', 400);
+    }
+
+    const salt = await bcrypt.genSalt(12);
+    user.password = await bcrypt.hash(password, salt);
+    user.passwordChangedAt = new Date();
+    user.passwordReset = undefined;
+
+    // Following the emailed link proves ownership of the address
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+
+    await user.save();
+    await TokenService.revokeAllSessions(user._id, 'password_change');
+
+    return user;
+  }
+
+  /**
+   * Issue a verification token and email it to the user
+   */
+  async sendEmailVerification(user) {
+    if (user.emailVerified) {
+      throw new ServiceError('Email is already verified', 400);
+    }
+
+    const token = this.generateToken();
+
+    user.emailVerification = {
+      tokenHash: this.hashToken(token),
+      expiresAt: new Date(Date.now() + this.emailVerificationTtlHours * 60 * 60 * 1000)
+    };
+    await user.save();
+
+    await NotificationService.sendVerificationEmail(user, token, this.emailVerificationTtlHours);
+    return true;
+  }
+
+  /**
+   * Resend the verification email for a signed-in user
+   */
+  async resendEmailVerification(userId) {
+    const user = await User.findById(userId);
+
+    if (!user) {
+      throw new ServiceError('User not found', 404);
+    }
+
+    return await this.sendEmailVerification(user);
+  }
+
+  /**
+   * Mark the email as verified and consume the token
+   */
+  async verifyEmail(token) {
+    const user = await User.findOne({
+      'emailVerification.tokenHash': this.hashToken(token),
+      'emailVerification.expiresAt': { $gt: new Date() }
+    });
+
+    if (!user) {
+      throw new ServiceError('Verification link is invalid or has expired', 400);
+    }
+
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+    user.emailVerification = undefined;
+    await user.save();
+
+    return user;
+  }
+
+  generateToken() {
+    return crypto.randomBytes(32).toString('hex');
+  }
+
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+}
+
+module.exports = new VerificationService();
@@ -5,6 +5,10 @@ const SavingsGoal = require('../../models/SavingsGoal');
 const Subscription = require('../../models/Subscription');
 const Category = require('../../models/Category');
 const WeeklyMetric = require('../../models/WeeklyMetric');
+const ExchangeRateService = require('../financial/exchangeRate.service');
+const SplitUtils = require('../../utils/splitUtils');
+const RefundUtils = require('../../utils/refundUtils');
+const CategoryTreeUtils = require('../../utils/categoryTreeUtils');
 const { getStartOfWeek, getEndOfWeek } = require('../../utils/dateUtils');
 
 class MetricAggregator {
@@ -75,16 +79,27 @@ class MetricAggregator {
   }
 
   /**
-   * Get transactions for the week
+   * Get transactions for the week (transfers only move money between accounts).
+   * Amounts are in the user's reporting currency and net of refunds; the original is
+   * kept as originalAmount and categoryLines holds each category's share.
    */
   async getTransactions(userId, weekStart, weekEnd) {
-    return Transaction.find({
+    const transactions = await Transaction.find({
       userId,
       date: { $gte: weekStart, $lte: weekEnd },
+      type: { $ne: 'transfer' },
       status: 'completed'
     })
       .populate('categoryId')
+      .populate('splits.categoryId')
       .lean();
+
+    return transactions.map(t => ({
+      ...t,
+      originalAmount: t.amount,
+      amount: RefundUtils.netAmount(t),
+      categoryLines: SplitUtils.getCategoryLines(t)
+    }));
   }
 
   /**
@@ -98,19 +113,23 @@ class MetricAggregator {
     // Calculate category breakdown
     const categoryTotals = {};
     expenses.forEach(t => {
-      const catId = t.categoryId?._id?.toString() || 'uncategorized';
-      const catName = t.categoryId?.name || 'Uncategorized';
-      
-      if (!categoryTotals[catId]) {
-        categoryTotals[catId] = {
-          categoryId: catId,
-          name: catName,
-          amount: 0,
-          count: 0
-        };
-      }
-      categoryTotals[catId].amount += t.amount;
-      categoryTotals[catId].count++;
+      const lines = t.categoryLines || [{ categoryId: t.categoryId, amount: t.amount }];
+
+      lines.forEach(line => {
+        const catId = line.categoryId?._id?.toString() || 'uncategorized';
+        const catName = line.categoryId?.name || 'Uncategorized';
+
+        if (!categoryTotals[catId]) {
+          categoryTotals[catId] = {
+            categoryId: catId,
+            name: catName,
+            amount: 0,
+            count: 0
+          };
+        }
+        categoryTotals[catId].amount += line.amount;
+        categoryTotals[catId].count++;
+      });
     });
 
     const topCategories = Object.values(categoryTotals)
@@ -121,6 +140,23 @@ class MetricAggregator {
         percentage: expenses.length > 0 ? (c.amount / this.sumExpenses(expenses)) * 100 : 0
       }));
 
+    // Parent categories with their children's spend rolled in
+    const parentCategories = CategoryTreeUtils.rollUp(
+      categories,
+      Object.values(categoryTotals)
+        .filter(c => c.categoryId !== 'uncategorized')
+        .map(c => ({ categoryId: c.categoryId, categoryName: c.name, total: c.amount, count: c.count }))
+    )
+      .filter(c => c.childCount > 0)
+      .map(c => ({
+        categoryId: c.categoryId,
+        name: c.categoryName,
+        amount: c.total,
+        ownAmount: c.ownTotal,
+        percentage: expenses.length > 0 ? (c.total / this.sumExpenses(expenses)) * 100 : 0,
+        transactionCount: c.count
+      }));
+
     // Find largest transactions
     const largestExpense = expenses.length > 0 
       ? expenses.reduce((max, t) => t.amount > max.amount ? t : max, expenses[0])
@@ -134,7 +170,7 @@ class MetricAggregator {
     const weekdayVsWeekend = this.calculateWeekdayVsWeekend(transactions);
 
     // Calculate budget metrics
-    const budgetMetrics = await this.calculateBudgetMetrics(userId, budgets, weekStart, weekEnd);
+    const budgetMetrics = await this.calculateBudgetMetrics(userId, budgets, weekStart, weekEnd, categories);
 
     // Calculate goal metrics
     const goalMetrics = this.calculateGoalMetrics(goals);
@@ -169,6 +205,7 @@ class MetricAggregator {
         : 0,
       
       topCategories,
+      parentCategories,
       
       budgetsOnTrack: budgetMetrics.onTrack,
       budgetsAtRisk: budgetMetrics.atRisk,
@@ -179,7 +216,7 @@ class MetricAggregator {
       goalsProgress: goalMetrics.progress,
       
       activeSubscriptions: subscriptions.length,
-      subscriptionCost: subscriptions.reduce((sum, s) => sum + s.amount, 0),
+      subscriptionCost: await this.sumSubscriptionCost(userId, subscriptions),
       
       weekdayVsWeekend,
       
@@ -304,27 +341,33 @@ class MetricAggregator {
   /**
    * Calculate budget metrics
    */
-  async calculateBudgetMetrics(userId, budgets, weekStart, weekEnd) {
+  async calculateBudgetMetrics(userId, budgets, weekStart, weekEnd, categories = []) {
     let onTrack = 0;
     let atRisk = 0;
     let totalBudgeted = 0;
     let totalSpent = 0;
 
     for (const budget of budgets) {
+      // Parent budgets include their subcategories
+      const categoryIds = CategoryTreeUtils.getDescendantIds(categories, budget.categoryId)
+        .map(id => new mongoose.Types.ObjectId(id));
+
       const spent = await Transaction.aggregate([
         {
           $match: {
             userId: new mongoose.Types.ObjectId(userId),
-            categoryId: budget.categoryId,
             date: { $gte: weekStart, $lte: weekEnd },
             type: 'expense',
-            status: 'completed'
+            status: 'completed',
+            ...SplitUtils.categoryMatch(categoryIds)
           }
         },
+        ...SplitUtils.categoryLineStages(),
+        { $match: { categoryId: { $in: categoryIds } } },
         {
           $group: {
             _id: null,
-            total: { $sum: '$amount' }
+            total: { $sum: '$lineAmount' }
           }
         }
       ]);
@@ -430,6 +473,28 @@ class MetricAggregator {
   sumExpenses(expenses) {
     return expenses.reduce((sum, t) => sum + t.amount, 0);
   }
+
+  /**
+   * Subscription amounts converted to the reporting currency (unconverted when no rate exists)
+   */
+  async sumSubscriptionCost(userId, subscriptions) {
+    const reportingCurrency = await ExchangeRateService.getReportingCurrency(userId);
+    const cache = new Map();
+    let total = 0;
+
+    for (const subscription of subscriptions) {
+      const converted = await ExchangeRateService.convert(
+        subscription.amount,
+        subscription.currency || reportingCurrency,
+        reportingCurrency,
+        new Date(),
+        cache
+      );
+      total += converted ? converted.amount : subscription.amount;
+    }
+
+    return total;
+  }
 }
 
 module.exports = new MetricAggregator();
\ No newline at end of file
@@ -1,18 +1,21 @@
+const CurrencyUtils = require('../../utils/currencyUtils');
+
 class ReportRenderer {
   /**
-   * Render complete weekly summary
+   * Render complete weekly summary; amounts are shown in the user's reporting currency
    */
-  renderSummary(metrics, insights, shifts, weekStart, weekEnd) {
+  renderSummary(metrics, insights, shifts, weekStart, weekEnd, { currency = 'USD' } = {}) {
     // Filter and organize insights
     const filteredInsights = this.organizeInsights(insights);
     
     // Generate summary sections
-    const summary = this.generateSummary(metrics, filteredInsights);
+    const summary = this.generateSummary(metrics, filteredInsights, currency);
 
     return {
       weekStart,
       weekEnd,
-      metrics: this.formatMetrics(metrics),
+      currency,
+      metrics: this.formatMetrics(metrics, currency),
       insights: filteredInsights,
       significantShifts: this.formatShifts(shifts),
       summary,
@@ -28,25 +31,25 @@ class ReportRenderer {
   /**
    * Format metrics for display
    */
-  formatMetrics(metrics) {
+  formatMetrics(metrics, currency = 'USD') {
     return {
       income: {
-        total: this.formatCurrency(metrics.income.total),
+        total: this.formatCurrency(metrics.income.total, currency),
         change: this.formatPercentage(metrics.income.change),
         trend: this.getTrendSymbol(metrics.income.change)
       },
       expenses: {
-        total: this.formatCurrency(metrics.expenses.total),
+        total: this.formatCurrency(metrics.expenses.total, currency),
         change: this.formatPercentage(metrics.expenses.change),
         trend: this.getTrendSymbol(metrics.expenses.change),
         topCategories: metrics.expenses.byCategory.slice(0, 3).map(c => ({
           name: c.categoryName,
-          amount: this.formatCurrency(c.amount),
+          amount: this.formatCurrency(c.amount, currency),
           percentage: this.formatPercentage(c.percentage)
         }))
       },
       savings: {
-        total: this.formatCurrency(metrics.savings.total),
+        total: this.formatCurrency(metrics.savings.total, currency),
         rate: this.formatPercentage(metrics.savings.rate),
         change: this.formatPercentage(metrics.savings.change),
         trend: this.getTrendSymbol(metrics.savings.change)
@@ -58,7 +61,7 @@ class ReportRenderer {
       },
       goals: {
         progress: this.formatPercentage(metrics.goals.progress),
-        contributions: this.formatCurrency(metrics.goals.contributions)
+        contributions: this.formatCurrency(metrics.goals.contributions, currency)
       }
     };
   }
@@ -110,7 +113,7 @@ class ReportRenderer {
   /**
    * Generate summary sections
    */
-  generateSummary(metrics, insights) {
+  generateSummary(metrics, insights, currency = 'USD') {
     const highlights = [];
     const lowlights = [];
     const neutral = [];
@@ -144,7 +147,7 @@ class ReportRenderer {
     }
 
     return {
-      overview: this.createOverview(metrics, insights),
+      overview: this.createOverview(metrics, insights, currency),
       topInsight: insights[0]?.title || 'No significant insights this week',
       highlights: highlights.slice(0, 3),
       lowlights: lowlights.slice(0, 2),
@@ -155,7 +158,7 @@ class ReportRenderer {
   /**
    * Create overview sentence
    */
-  createOverview(metrics, insights) {
+  createOverview(metrics, insights, currency = 'USD') {
     const parts = [];
 
     if (metrics.savings.rate > 20) {
@@ -165,7 +168,7 @@ class ReportRenderer {
     } else if (metrics.savings.rate > 0) {
       parts.push(`Positive week with ${metrics.savings.rate.toFixed(1)}% savings rate`);
     } else {
-      parts.push(`Tight week with spending exceeding income by $${Math.abs(metrics.savings.total).toFixed(2)}`);
+      parts.push(`Tight week with spending exceeding income by ${this.formatCurrency(Math.abs(metrics.savings.total), currency)}`);
     }
 
     if (Math.abs(metrics.expenses.change) > 20) {
@@ -231,9 +234,8 @@ class ReportRenderer {
   /**
    * Format currency
    */
-  formatCurrency(amount) {
-    if (amount === undefined || amount === null) return '$0.00';
-    return `$${amount.toFixed(2)}`;
+  formatCurrency(amount, currency = 'USD') {
+    return CurrencyUtils.format(amount, currency);
   }
 
   /**
@@ -160,9 +160,9 @@ class WeeklyScheduler {
     startDate.setDate(startDate.getDate() - daysBack);
 
     // Find users without summaries for recent weeks
-    const usersWithSummaries = await WeeklySummary.distinct('userId', {
+    const usersWithSummaries = (await WeeklySummary.distinct('userId', {
       weekStart: { $gte: startDate }
-    });
+    })).map(id => id.toString());
 
     const allUsers = await User.find().distinct('_id');
     const usersWithoutSummaries = allUsers.filter(
@@ -5,6 +5,7 @@ const MetricAggregator = require('./metric.aggregator');
 const ShiftDetector = require('./shift.detector');
 const InsightFilter = require('./insight.filter');
 const ReportRenderer = require('./report.renderer');
+const ExchangeRateService = require('../financial/exchangeRate.service');
 const GeminiClient = require('../ai/clients/gemini.client');
 const weeklySummaryTemplate = require('../ai/prompts/templates/weekly.summary.template');
 const UserPreference = require('../../models/UserPreference');
@@ -97,12 +98,14 @@ class SummaryGenerator {
       );
 
       // Render the summary
+      const currency = await ExchangeRateService.getReportingCurrency(userId);
       const rendered = ReportRenderer.renderSummary(
         metrics.metrics,
         filteredInsights,
         shifts,
         weekStart,
-        weekEnd
+        weekEnd,
+        { currency }
       );
 
       // Create and save summary
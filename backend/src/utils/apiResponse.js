@@ -0,0 +1,18 @@
+/**
+ * Standard response bodies for controllers that don't use asyncHandler
+ */
+const apiResponse = {
+  success: (message, data) => ({
+    success: true,
+    message,
+    ...(data !== undefined && { data })
+  }),
+
+  error: (message, details) => ({
+    success: false,
+    error: message,
+    ...(details !== undefined && { details })
+  })
+};
+
+module.exports = { apiResponse };
@@ -347,8 +347,10 @@ class AuditUtils {
     const cutoffDate = new Date();
     cutoffDate.setDate(cutoffDate.getDate() - daysToKeep);
 
+    // Admin actions are kept so the cleanup itself stays accountable
     const result = await SuggestionLog.deleteMany({
-      timestamp: { $lt: cutoffDate }
+      timestamp: { $lt: cutoffDate },
+      action: { $ne: 'admin_action' }
     });
 
     return {
@@ -0,0 +1,167 @@
+const CurrencyUtils = require('./currencyUtils');
+
+/**
+ * Utility functions for categories nested through parentCategory. They work
+ * on a user's full category list, which is small enough to load at once.
+ */
+class CategoryTreeUtils {
+  // Top level, child and grandchild
+  static get maxDepth() {
+    return 3;
+  }
+
+  static toKey(id) {
+    return id ? (id._id || id).toString() : null;
+  }
+
+  /**
+   * Child ids by parent id; top-level categories are under null
+   */
+  static getChildMap(categories) {
+    const children = new Map();
+
+    categories.forEach(category => {
+      const parentKey = CategoryTreeUtils.toKey(category.parentCategory);
+      if (!children.has(parentKey)) children.set(parentKey, []);
+      children.get(parentKey).push(CategoryTreeUtils.toKey(category._id));
+    });
+
+    return children;
+  }
+
+  /**
+   * The category and everything below it
+   */
+  static getDescendantIds(categories, categoryId) {
+    const children = CategoryTreeUtils.getChildMap(categories);
+    const rootKey = CategoryTreeUtils.toKey(categoryId);
+    const result = [];
+    const queue = [rootKey];
+
+    while (queue.length > 0) {
+      const key = queue.shift();
+      if (result.includes(key)) continue;
+
+      result.push(key);
+      queue.push(...(children.get(key) || []));
+    }
+
+    return result;
+  }
+
+  /**
+   * The category followed by its parent, grandparent and so on
+   */
+  static getAncestorIds(categories, categoryId) {
+    const byId = new Map(categories.map(c => [CategoryTreeUtils.toKey(c._id), c]));
+    const result = [];
+    let key = CategoryTreeUtils.toKey(categoryId);
+
+    while (key && !result.includes(key)) {
+      result.push(key);
+      key = CategoryTreeUtils.toKey(byId.get(key)?.parentCategory);
+    }
+
+    return result;
+  }
+
+  /**
+   * Number of levels from the top, starting at 1
+   */
+  static getDepth(categories, categoryId) {
+    return CategoryTreeUtils.getAncestorIds(categories, categoryId).length;
+  }
+
+  /**
+   * Levels below the category, 0 for a leaf
+   */
+  static getSubtreeHeight(categories, categoryId) {
+    const children = CategoryTreeUtils.getChildMap(categories);
+
+    const height = (key, seen) => {
+      if (seen.has(key)) return 0;
+      seen.add(key);
+
+      const kids = children.get(key) || [];
+      return kids.length === 0 ? 0 : 1 + Math.max(...kids.map(child => height(child, seen)));
+    };
+
+    return height(CategoryTreeUtils.toKey(categoryId), new Set());
+  }
+
+  /**
+   * Nested categories with children, depth and a readable path
+   */
+  static buildTree(categories) {
+    const children = CategoryTreeUtils.getChildMap(categories);
+    const byId = new Map(categories.map(c => [CategoryTreeUtils.toKey(c._id), c]));
+
+    const build = (key, depth, path) => {
+      const category = byId.get(key);
+      const nodePath = [...path, category.name];
+
+      return {
+        ...category,
+        depth,
+        path: nodePath.join(' > '),
+        children: (children.get(key) || [])
+          .map(childKey => build(childKey, depth + 1, nodePath))
+          .sort((a, b) => a.name.localeCompare(b.name))
+      };
+    };
+
+    // Categories whose parent no longer exists are treated as top level
+    return categories
+      .filter(c => !c.parentCategory || !byId.has(CategoryTreeUtils.toKey(c.parentCategory)))
+      .map(c => build(CategoryTreeUtils.toKey(c._id), 1, []))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Add each category's total to its ancestors. Rows are per-category totals
+   * ({ categoryId, total, count }); the result has one row for every category
+   * with spend in its subtree, where total includes children and ownTotal
+   * does not.
+   */
+  static rollUp(categories, rows) {
+    const byId = new Map(categories.map(c => [CategoryTreeUtils.toKey(c._id), c]));
+    const children = CategoryTreeUtils.getChildMap(categories);
+    const rollups = new Map();
+
+    rows.forEach(row => {
+      const key = CategoryTreeUtils.toKey(row.categoryId);
+
+      CategoryTreeUtils.getAncestorIds(categories, key).forEach(ancestorKey => {
+        if (!rollups.has(ancestorKey)) {
+          const category = byId.get(ancestorKey);
+          rollups.set(ancestorKey, {
+            categoryId: category?._id || row.categoryId,
+            categoryName: category?.name || row.categoryName,
+            categoryType: category?.type || row.categoryType,
+            parentCategoryId: category?.parentCategory || null,
+            depth: CategoryTreeUtils.getDepth(categories, ancestorKey),
+            ownTotal: 0,
+            total: 0,
+            count: 0,
+            childCount: (children.get(ancestorKey) || []).length
+          });
+        }
+
+        const rollup = rollups.get(ancestorKey);
+        rollup.total += row.total;
+        rollup.count += row.count || 0;
+        if (ancestorKey === key) rollup.ownTotal += row.total;
+      });
+    });
+
+    return [...rollups.values()]
+      .map(rollup => ({
+        ...rollup,
+        total: CurrencyUtils.round(rollup.total),
+        ownTotal: CurrencyUtils.round(rollup.ownTotal)
+      }))
+      .sort((a, b) => b.total - a.total);
+  }
+}
+
+module.exports = CategoryTreeUtils;
@@ -0,0 +1,81 @@
+/**
+ * Utility functions for writing CSV exports
+ */
+class CsvUtils {
+  /**
+   * Convert documents to CSV. Nested objects become dotted columns and
+   * arrays are stored as JSON so every row has the same shape.
+   */
+  static toCSV(documents, columns = null) {
+    if (!documents || documents.length === 0) return '';
+
+    const rows = documents.map(doc => CsvUtils.flatten(doc));
+    const headers = columns || [...new Set(rows.flatMap(row => Object.keys(row)))];
+
+    const lines = [headers.map(CsvUtils.escape).join(',')];
+    for (const row of rows) {
+      lines.push(headers.map(header => CsvUtils.escape(row[header])).join(','));
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Flatten a document into dotted keys
+   */
+  static flatten(value, prefix = '', result = {}) {
+    if (value === null || value === undefined) {
+      if (prefix) result[prefix] = '';
+      return result;
+    }
+
+    if (value instanceof Date) {
+      result[prefix] = value.toISOString();
+      return result;
+    }
+
+    if (Array.isArray(value)) {
+      result[prefix] = JSON.stringify(value);
+      return result;
+    }
+
+    // ObjectIds and other BSON values stringify cleanly
+    if (typeof value === 'object' && value._bsontype) {
+      result[prefix] = value.toString();
+      return result;
+    }
+
+    if (typeof value === 'object') {
+      for (const [key, nested] of Object.entries(value)) {
+        if (key === '__v') continue;
+        CsvUtils.flatten(nested, prefix ? `${prefix}.${key}` : key, result);
+      }
+      return result;
+    }
+
+    result[prefix] = value;
+    return result;
+  }
+
+  /**
+   * Quote a cell when it contains separators, quotes or newlines, and
+   * neutralize leading formula characters for spreadsheet apps
+   */
+  static escape(value) {
+    if (value === null || value === undefined) return '';
+
+    let cell = String(value);
+
+    if (/^[=+\-@\t\r]/.test(cell) && !/^-?\d+(\.\d+)?$/.test(cell)) {
+      cell = `'${cell}`;
+    }
+
+    if (/[",\n\r]/.test(cell)) {
+      cell = `"${cell.replace(/"/g, '""')}"`;
+    }
+
+    return cell;
+  }
+}
+
+module.exports = CsvUtils;
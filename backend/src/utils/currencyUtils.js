@@ -0,0 +1,48 @@
+/**
+ * Utility functions for multi-currency amounts
+ */
+class CurrencyUtils {
+  /**
+   * Upper-case a currency code, or null when none was given
+   */
+  static normalize(code) {
+    if (!code || typeof code !== 'string') return null;
+    return code.trim().toUpperCase() || null;
+  }
+
+  /**
+   * A transaction's amount in the user's reporting currency. Transactions
+   * already in that currency carry no conversion and use their own amount.
+   */
+  static reportingAmount(transaction) {
+    const converted = transaction?.reporting?.amount;
+    return converted === undefined || converted === null ? transaction.amount : converted;
+  }
+
+  /**
+   * Aggregation expression equivalent of reportingAmount
+   */
+  static reportingAmountExpr(prefix = '$') {
+    return { $ifNull: [`${prefix}reporting.amount`, `${prefix}amount`] };
+  }
+
+  /**
+   * Format an amount with the currency's symbol, e.g. $1,234.50 or €12.00
+   */
+  static format(amount, currency = 'USD') {
+    const value = amount === undefined || amount === null ? 0 : amount;
+
+    try {
+      return new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(value);
+    } catch (error) {
+      // Unknown codes still render instead of throwing
+      return `${value.toFixed(2)} ${currency}`;
+    }
+  }
+
+  static round(value) {
+    return Math.round(value * 100) / 100;
+  }
+}
+
+module.exports = CurrencyUtils;
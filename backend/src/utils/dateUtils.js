@@ -62,26 +62,30 @@ function getNextBillingDate(frequency, interval = 1, billingDate = 1, currentDat
   switch(frequency) {
     case 'daily':
       next.setDate(next.getDate() + interval);
-      break;
+      return next;
     case 'weekly':
       next.setDate(next.getDate() + (7 * interval));
-      break;
+      return next;
     case 'monthly':
+      next.setDate(1); // Avoid month overflow (e.g. Jan 31 + 1 month)
       next.setMonth(next.getMonth() + interval);
-      next.setDate(billingDate);
       break;
     case 'quarterly':
+      next.setDate(1);
       next.setMonth(next.getMonth() + (3 * interval));
-      next.setDate(billingDate);
       break;
     case 'yearly':
+      next.setDate(1);
       next.setFullYear(next.getFullYear() + interval);
-      next.setDate(billingDate);
       break;
     default:
       throw new Error('Invalid frequency');
   }
   
+  // Clamp billing day to the length of the target month
+  const lastDay = new Date(next.getFullYear(), next.getMonth() + 1, 0).getDate();
+  next.setDate(Math.min(billingDate, lastDay));
+  
   return next;
 }
 
@@ -0,0 +1,47 @@
+const CurrencyUtils = require('./currencyUtils');
+
+/**
+ * Utility functions for purchases that were partly or fully refunded
+ */
+class RefundUtils {
+  /**
+   * Share of a purchase that is still spent after its refunds
+   */
+  static remainingRatio(transaction) {
+    const refunded = transaction?.refundedAmount || 0;
+    if (!refunded || !(transaction.amount > 0)) return 1;
+    return Math.max(0, (transaction.amount - refunded) / transaction.amount);
+  }
+
+  /**
+   * Amount of a purchase that can still be refunded, in its own currency
+   */
+  static refundableAmount(transaction) {
+    return CurrencyUtils.round(Math.max(0, transaction.amount - (transaction.refundedAmount || 0)));
+  }
+
+  /**
+   * Reporting-currency amount net of refunds
+   */
+  static netAmount(transaction) {
+    return CurrencyUtils.round(CurrencyUtils.reportingAmount(transaction) * RefundUtils.remainingRatio(transaction));
+  }
+
+  /**
+   * Aggregation expression equivalent of netAmount
+   */
+  static netAmountExpr(prefix = '$') {
+    return {
+      $multiply: [
+        CurrencyUtils.reportingAmountExpr(prefix),
+        {
+          $max: [0, {
+            $subtract: [1, { $divide: [{ $ifNull: [`${prefix}refundedAmount`, 0] }, `${prefix}amount`] }]
+          }]
+        }
+      ]
+    };
+  }
+}
+
+module.exports = RefundUtils;
@@ -0,0 +1,151 @@
+const CurrencyUtils = require('./currencyUtils');
+const RefundUtils = require('./refundUtils');
+
+/**
+ * Utility functions for transactions split across several categories
+ */
+class SplitUtils {
+  static get maxLines() {
+    return 20;
+  }
+
+  static hasSplits(transaction) {
+    return Array.isArray(transaction?.splits) && transaction.splits.length > 0;
+  }
+
+  /**
+   * Check split lines against the transaction total; returns a list of errors
+   */
+  static validate(amount, splits) {
+    if (splits === undefined || splits === null) return [];
+
+    if (!Array.isArray(splits)) {
+      return ['Splits must be an array'];
+    }
+
+    if (splits.length === 0) return [];
+
+    const errors = [];
+
+    if (splits.length < 2) {
+      errors.push('A split needs at least 2 lines');
+    }
+
+    if (splits.length > SplitUtils.maxLines) {
+      errors.push(`A split can have at most ${SplitUtils.maxLines} lines`);
+    }
+
+    splits.forEach((split, index) => {
+      if (!split?.categoryId) {
+        errors.push(`Split line ${index + 1} needs a category`);
+      }
+      if (typeof split?.amount !== 'number' || split.amount <= 0) {
+        errors.push(`Split line ${index + 1} needs a positive amount`);
+      }
+      if (split?.notes && split.notes.length > 200) {
+        errors.push(`Split line ${index + 1} note exceeds 200 characters`);
+      }
+    });
+
+    const total = splits.reduce((sum, split) => sum + (split?.amount || 0), 0);
+    if (typeof amount === 'number' && Math.abs(CurrencyUtils.round(total) - amount) >= 0.01) {
+      errors.push(`Split lines add up to ${total.toFixed(2)} but the transaction is ${amount.toFixed(2)}`);
+    }
+
+    return errors;
+  }
+
+  /**
+   * Category of the largest line, used as the transaction's own category
+   */
+  static primaryCategoryId(splits) {
+    if (!splits || splits.length === 0) return null;
+    return [...splits].sort((a, b) => b.amount - a.amount)[0].categoryId;
+  }
+
+  /**
+   * Every category a transaction counts towards
+   */
+  static getCategoryIds(transaction) {
+    const ids = SplitUtils.hasSplits(transaction)
+      ? transaction.splits.map(split => split.categoryId)
+      : [transaction?.categoryId];
+
+    return [...new Set(ids.filter(Boolean).map(id => (id._id || id).toString()))];
+  }
+
+  /**
+   * One line per category with its share in the reporting currency, net of
+   * refunds; an unsplit transaction is a single line
+   */
+  static getCategoryLines(transaction) {
+    const total = RefundUtils.netAmount(transaction);
+
+    if (!SplitUtils.hasSplits(transaction)) {
+      return [{ categoryId: transaction.categoryId, amount: total }];
+    }
+
+    const ratio = transaction.amount > 0 ? total / transaction.amount : 1;
+
+    return transaction.splits.map(split => ({
+      categoryId: split.categoryId,
+      amount: CurrencyUtils.round(split.amount * ratio),
+      notes: split.notes
+    }));
+  }
+
+  /**
+   * Aggregation stages that turn each transaction into one document per
+   * category line. Afterwards categoryId is the line's category and
+   * lineAmount its share in the reporting currency, net of refunds.
+   */
+  static categoryLineStages() {
+    const total = RefundUtils.netAmountExpr();
+
+    return [
+      {
+        $addFields: {
+          categoryLines: {
+            $cond: [
+              { $gt: [{ $size: { $ifNull: ['$splits', []] } }, 0] },
+              {
+                $map: {
+                  input: '$splits',
+                  as: 'split',
+                  in: {
+                    categoryId: '$$split.categoryId',
+                    amount: { $multiply: ['$$split.amount', { $divide: [total, '$amount'] }] }
+                  }
+                }
+              },
+              [{ categoryId: '$categoryId', amount: total }]
+            ]
+          }
+        }
+      },
+      { $unwind: '$categoryLines' },
+      {
+        $addFields: {
+          categoryId: '$categoryLines.categoryId',
+          lineAmount: '$categoryLines.amount'
+        }
+      }
+    ];
+  }
+
+  /**
+   * Query condition matching transactions that count towards any of the categories
+   */
+  static categoryMatch(categoryIds) {
+    const ids = Array.isArray(categoryIds) ? categoryIds : [categoryIds];
+
+    return {
+      $or: [
+        { categoryId: { $in: ids } },
+        { 'splits.categoryId': { $in: ids } }
+      ]
+    };
+  }
+}
+
+module.exports = SplitUtils;
@@ -0,0 +1,129 @@
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * RFC 6238 time-based one-time passwords (SHA-1, 6 digits, 30 second steps),
+ * compatible with Google Authenticator, Authy and 1Password
+ */
+class TotpUtils {
+  static get period() {
+    return 30;
+  }
+
+  static get digits() {
+    return 6;
+  }
+
+  /**
+   * Generate a random base32 secret
+   */
+  static generateSecret(bytes = 20) {
+    return TotpUtils.base32Encode(crypto.randomBytes(bytes));
+  }
+
+  /**
+   * Provisioning URI rendered as a QR code by authenticator apps
+   */
+  static buildOtpauthUrl(secret, accountName, issuer) {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({
+      secret,
+      issuer,
+      algorithm: 'SHA1',
+      digits: String(TotpUtils.digits),
+      period: String(TotpUtils.period)
+    });
+
+    return `otpauth://totp/${label}?${params.toString()}`;
+  }
+
+  /**
+   * Time step for a timestamp
+   */
+  static getTimeStep(time = Date.now()) {
+    return Math.floor(time / 1000 / TotpUtils.period);
+  }
+
+  /**
+   * Code for a given time step
+   */
+  static generateCode(secret, step = TotpUtils.getTimeStep()) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', TotpUtils.base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** TotpUtils.digits;
+
+    return binary.toString().padStart(TotpUtils.digits, '0');
+  }
+
+  /**
+   * Check a code against the current step and `window` steps either side.
+   * Returns the matching step (so callers can reject replays) or null.
+   */
+  static verifyCode(secret, code, { window = 1, time = Date.now() } = {}) {
+    const normalized = String(code || '').replace(/\s+/g, '');
+    if (!/^\d{6}$/.test(normalized)) return null;
+
+    const current = TotpUtils.getTimeStep(time);
+
+    for (let step = current - window; step <= current + window; step++) {
+      const expected = TotpUtils.generateCode(secret, step);
+      if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+        return step;
+      }
+    }
+
+    return null;
+  }
+
+  static base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+      value = (value << 8) | byte;
+      bits += 8;
+
+      while (bits >= 5) {
+        output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+        bits -= 5;
+      }
+    }
+
+    if (bits > 0) {
+      output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+  }
+
+  static base32Decode(input) {
+    const cleaned = input.toUpperCase().replace(/=+$/, '').replace(/\s+/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of cleaned) {
+      const index = BASE32_ALPHABET.indexOf(char);
+      if (index === -1) {
+        throw new Error(`Invalid base32 character: ${char}`);
+      }
+
+      value = (value << 5) | index;
+      bits += 5;
+
+      if (bits >= 8) {
+        bytes.push((value >>> (bits - 8)) & 255);
+        bits -= 8;
+      }
+    }
+
+    return Buffer.from(bytes);
+  }
+}
+
+module.exports = TotpUtils;
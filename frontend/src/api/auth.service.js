@@ -1,4 +1,5 @@
 import axios from 'axios';
+import { retryWithFreshToken } from './tokenRefresh';
 
 const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api/v1';
 
@@ -18,13 +19,31 @@ api.interceptors.request.use((config) => {
   return config;
 });
 
+const storeTokens = ({ accessToken, refreshToken }) => {
+  localStorage.setItem('accessToken', accessToken);
+  localStorage.setItem('refreshToken', refreshToken);
+};
+
+const clearTokens = () => {
+  localStorage.removeItem('accessToken');
+  localStorage.removeItem('refreshToken');
+};
+
 // Handle token refresh on 401 errors
 api.interceptors.response.use(
   (response) => response,
   async (error) => {
-    if (error.response?.status === 401) {
-      localStorage.removeItem('accessToken');
-      localStorage.removeItem('refreshToken');
+    const originalRequest = error.config;
+    const refreshToken = localStorage.getItem('refreshToken');
+
+    if (error.response?.status === 401 && refreshToken && !originalRequest._retry &&
+        !originalRequest.url.startsWith('/auth/refresh')) {
+      // Parallel 401s share a single refresh
+      return retryWithFreshToken(api, originalRequest);
+    }
+
+    if (error.response?.status === 401 && originalRequest.url !== '/auth/login') {
+      clearTokens();
       window.location.href = '/login';
     }
     return Promise.reject(error);
@@ -34,11 +53,13 @@ api.interceptors.response.use(
 export const authService = {
   register: async (userData) => {
     const response = await api.post('/auth/register', userData);
+    storeTokens(response.data.data);
     return response.data.data;
   },
 
   login: async (credentials) => {
     const response = await api.post('/auth/login', credentials);
+    storeTokens(response.data.data);
     return response.data.data;
   },
 
@@ -48,9 +69,76 @@ export const authService = {
   },
 
   logout: async () => {
-    const response = await api.post('/auth/logout');
-    localStorage.removeItem('accessToken');
-    localStorage.removeItem('refreshToken');
+    const refreshToken = localStorage.getItem('refreshToken');
+    const response = await api.post('/auth/logout', { refreshToken });
+    clearTokens();
+    return response.data;
+  },
+
+  logoutAll: async () => {
+    const response = await api.post('/auth/logout-all');
+    clearTokens();
+    return response.data;
+  },
+
+  getSessions: async () => {
+    const response = await api.get('/auth/sessions');
+    return response.data.data.sessions;
+  },
+
+  revokeSession: async (sessionId) => {
+    const response = await api.delete(`/auth/sessions/${sessionId}`);
+    return response.data;
+  },
+
+  forgotPassword: async (email) => {
+    const response = await api.post('/auth/forgot-password', { email });
+    return response.data;
+  },
+
+  resetPassword: async (token, password) => {
+    const response = await api.post('/auth/reset-password', { token, password });
+    return response.data;
+  },
+
+  verifyEmail: async (token) => {
+    const response = await api.post('/auth/verify-email', { token });
+    return response.data;
+  },
+
+  resendVerification: async () => {
+    const response = await api.post('/auth/resend-verification');
+    return response.data;
+  },
+
+  // Multi-factor authentication
+  getMfaStatus: async () => {
+    const response = await api.get('/auth/mfa');
+    return response.data.data;
+  },
+
+  startMfaEnrollment: async () => {
+    const response = await api.post('/auth/mfa/enroll');
+    return response.data.data;
+  },
+
+  confirmMfaEnrollment: async (code) => {
+    const response = await api.post('/auth/mfa/enroll/verify', { code });
+    return response.data.data;
+  },
+
+  verifyMfa: async ({ code, recoveryCode }) => {
+    const response = await api.post('/auth/mfa/verify', { code, recoveryCode });
+    return response.data.data;
+  },
+
+  regenerateRecoveryCodes: async ({ code, recoveryCode }) => {
+    const response = await api.post('/auth/mfa/recovery-codes', { code, recoveryCode });
+    return response.data.data;
+  },
+
+  disableMfa: async ({ code, recoveryCode }) => {
+    const response = await api.post('/auth/mfa/disable', { code, recoveryCode });
     return response.data;
   },
 
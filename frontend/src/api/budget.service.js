@@ -0,0 +1,57 @@
+import client from './client';
+
+const BUDGETS_URL = '/budgets';
+
+export const budgetService = {
+  // Get budgets (active only unless includeInactive is set)
+  getBudgets: async (filters = {}) => {
+    return client.get(BUDGETS_URL, { params: filters });
+  },
+
+  // Get single budget
+  getBudget: async (id) => {
+    return client.get(`${BUDGETS_URL}/${id}`);
+  },
+
+  // Create budget
+  createBudget: async (data) => {
+    return client.post(BUDGETS_URL, data);
+  },
+
+  // Update budget
+  updateBudget: async (id, data) => {
+    return client.put(`${BUDGETS_URL}/${id}`, data);
+  },
+
+  // Archive budget
+  archiveBudget: async (id) => {
+    return client.delete(`${BUDGETS_URL}/${id}`);
+  },
+
+  // Get every period of a budget
+  getBudgetHistory: async (id) => {
+    return client.get(`${BUDGETS_URL}/${id}/history`);
+  },
+
+  // Recalculate spent from transactions
+  recalculateBudget: async (id) => {
+    return client.post(`${BUDGETS_URL}/${id}/recalculate`);
+  },
+
+  // Get the built-in ratio templates (e.g. 50/30/20)
+  getTemplates: async () => {
+    return client.get(`${BUDGETS_URL}/templates`);
+  },
+
+  // Preview budgets from a template key or custom { needs, wants, savings } ratios
+  previewTemplate: async (data) => {
+    return client.post(`${BUDGETS_URL}/templates/preview`, data);
+  },
+
+  // Send a template's budgets for review as a suggestion
+  proposeTemplate: async (data) => {
+    return client.post(`${BUDGETS_URL}/templates/propose`, data);
+  }
+};
+
+export default budgetService;
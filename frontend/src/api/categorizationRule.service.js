@@ -0,0 +1,37 @@
+import client from './client';
+
+const RULES_URL = '/categorization-rules';
+
+export const categorizationRuleService = {
+  // Get rules in the order they run
+  getRules: async () => {
+    return client.get(RULES_URL);
+  },
+
+  // Create a rule
+  createRule: async (data) => {
+    return client.post(RULES_URL, data);
+  },
+
+  // Update a rule
+  updateRule: async (id, data) => {
+    return client.put(`${RULES_URL}/${id}`, data);
+  },
+
+  // Delete a rule
+  deleteRule: async (id) => {
+    return client.delete(`${RULES_URL}/${id}`);
+  },
+
+  // See what re-running rules would change on past transactions
+  previewHistory: async (options = {}) => {
+    return client.post(`${RULES_URL}/history/preview`, options);
+  },
+
+  // Re-run rules on past transactions
+  applyHistory: async (options = {}) => {
+    return client.post(`${RULES_URL}/history/apply`, options);
+  }
+};
+
+export default categorizationRuleService;
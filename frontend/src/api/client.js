@@ -1,4 +1,5 @@
 import axios from 'axios';
+import { retryWithFreshToken } from './tokenRefresh';
 
 const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api/v1';
 
@@ -30,26 +31,9 @@ client.interceptors.response.use(
   async (error) => {
     const originalRequest = error.config;
 
-    // Handle token refresh
+    // Handle token refresh; parallel 401s share a single refresh
     if (error.response?.status === 401 && !originalRequest._retry) {
-      originalRequest._retry = true;
-
-      try {
-        const refreshToken = localStorage.getItem('refreshToken');
-        const response = await axios.post(`${API_BASE_URL}/auth/refresh`, {
-          refreshToken
-        });
-
-        const { accessToken } = response.data;
-        localStorage.setItem('accessToken', accessToken);
-
-        originalRequest.headers.Authorization = `Bearer ${accessToken}`;
-        return client(originalRequest);
-      } catch (refreshError) {
-        // Redirect to login
-        window.location.href = '/login';
-        return Promise.reject(refreshError);
-      }
+      return retryWithFreshToken(client, originalRequest);
     }
 
     // Format error message
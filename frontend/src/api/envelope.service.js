@@ -0,0 +1,37 @@
+import client from './client';
+
+const ENVELOPES_URL = '/envelopes';
+
+export const envelopeService = {
+  // Get a month's envelopes and the amount left to assign (month: YYYY-MM)
+  getMonth: async (month = null) => {
+    return client.get(ENVELOPES_URL, { params: month ? { month } : {} });
+  },
+
+  // Switch to envelope budgeting
+  enable: async (data = {}) => {
+    return client.post(`${ENVELOPES_URL}/enable`, data);
+  },
+
+  // Open an envelope for a category
+  createEnvelope: async (data) => {
+    return client.post(ENVELOPES_URL, data);
+  },
+
+  // Assign money to an envelope; a negative amount returns it to the pool
+  assign: async (id, amount) => {
+    return client.post(`${ENVELOPES_URL}/${id}/assign`, { amount });
+  },
+
+  // Move money between envelopes
+  moveFunds: async (fromId, toId, amount, notes) => {
+    return client.post(`${ENVELOPES_URL}/move`, { fromId, toId, amount, notes });
+  },
+
+  // Cover an overspent envelope from another one, or from the pool
+  coverOverspending: async (id, fromId = null) => {
+    return client.post(`${ENVELOPES_URL}/${id}/cover`, fromId ? { fromId } : {});
+  }
+};
+
+export default envelopeService;
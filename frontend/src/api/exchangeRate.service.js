@@ -0,0 +1,37 @@
+import client from './client';
+
+const RATES_URL = '/exchange-rates';
+
+export const exchangeRateService = {
+  // List stored daily rates
+  getRates: async (filters = {}) => {
+    return client.get(RATES_URL, { params: filters });
+  },
+
+  // Convert an amount between currencies at a date's rate
+  convert: async (amount, from, to, date) => {
+    return client.get(`${RATES_URL}/convert`, { params: { amount, from, to, date } });
+  },
+
+  // Add or replace a rate (admin)
+  setRate: async (data) => {
+    return client.post(RATES_URL, data);
+  },
+
+  // Import daily rates from a CSV with date, base, quote and rate columns (admin)
+  importRates: async (file) => {
+    const formData = new FormData();
+    formData.append('file', file);
+
+    return client.post(`${RATES_URL}/import`, formData, {
+      headers: { 'Content-Type': 'multipart/form-data' }
+    });
+  },
+
+  // Delete a rate (admin)
+  deleteRate: async (id) => {
+    return client.delete(`${RATES_URL}/${id}`);
+  }
+};
+
+export default exchangeRateService;
@@ -0,0 +1,47 @@
+import client from './client';
+
+const ACCOUNTS_URL = '/accounts';
+
+export const financialAccountService = {
+  // Get accounts (active only unless includeClosed is set)
+  getAccounts: async (filters = {}) => {
+    return client.get(ACCOUNTS_URL, { params: filters });
+  },
+
+  // Get single account
+  getAccount: async (id) => {
+    return client.get(`${ACCOUNTS_URL}/${id}`);
+  },
+
+  // Create account
+  createAccount: async (data) => {
+    return client.post(ACCOUNTS_URL, data);
+  },
+
+  // Update account
+  updateAccount: async (id, data) => {
+    return client.put(`${ACCOUNTS_URL}/${id}`, data);
+  },
+
+  // Close account (unused accounts are deleted)
+  closeAccount: async (id) => {
+    return client.delete(`${ACCOUNTS_URL}/${id}`);
+  },
+
+  // Get transactions with running balances
+  getRegister: async (id, params = {}) => {
+    return client.get(`${ACCOUNTS_URL}/${id}/register`, { params });
+  },
+
+  // Compare a statement balance without saving
+  previewReconciliation: async (id, data) => {
+    return client.post(`${ACCOUNTS_URL}/${id}/reconcile/preview`, data);
+  },
+
+  // Reconcile against a statement
+  reconcileAccount: async (id, data) => {
+    return client.post(`${ACCOUNTS_URL}/${id}/reconcile`, data);
+  }
+};
+
+export default financialAccountService;
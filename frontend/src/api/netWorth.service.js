@@ -0,0 +1,47 @@
+import client from './client';
+
+const NETWORTH_URL = '/networth';
+
+export const netWorthService = {
+  // Get net worth history (interval: day, week or month)
+  getHistory: async (params = {}) => {
+    return client.get(NETWORTH_URL, { params });
+  },
+
+  // Get current net worth with a line per account, goal and item
+  getCurrent: async () => {
+    return client.get(`${NETWORTH_URL}/current`);
+  },
+
+  // Capture today's snapshot now
+  captureSnapshot: async () => {
+    return client.post(`${NETWORTH_URL}/snapshots`);
+  },
+
+  // Get manual assets and liabilities
+  getItems: async (filters = {}) => {
+    return client.get(`${NETWORTH_URL}/items`, { params: filters });
+  },
+
+  // Add a manual asset or liability
+  createItem: async (data) => {
+    return client.post(`${NETWORTH_URL}/items`, data);
+  },
+
+  // Update a manual asset or liability
+  updateItem: async (id, data) => {
+    return client.put(`${NETWORTH_URL}/items/${id}`, data);
+  },
+
+  // Record a new valuation
+  addValuation: async (id, data) => {
+    return client.post(`${NETWORTH_URL}/items/${id}/valuations`, data);
+  },
+
+  // Delete a manual asset or liability
+  deleteItem: async (id) => {
+    return client.delete(`${NETWORTH_URL}/items/${id}`);
+  }
+};
+
+export default netWorthService;
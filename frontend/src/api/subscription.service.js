@@ -0,0 +1,47 @@
+import client from './client';
+
+const SUBSCRIPTIONS_URL = '/subscriptions';
+
+export const subscriptionService = {
+  // Get subscriptions (cancelled/expired excluded unless includeCancelled is set)
+  getSubscriptions: async (filters = {}) => {
+    return client.get(SUBSCRIPTIONS_URL, { params: filters });
+  },
+
+  // Get upcoming charges grouped by day
+  getBillingCalendar: async (from, to) => {
+    return client.get(`${SUBSCRIPTIONS_URL}/calendar`, { params: { from, to } });
+  },
+
+  // Get single subscription
+  getSubscription: async (id) => {
+    return client.get(`${SUBSCRIPTIONS_URL}/${id}`);
+  },
+
+  // Create subscription
+  createSubscription: async (data) => {
+    return client.post(SUBSCRIPTIONS_URL, data);
+  },
+
+  // Update subscription
+  updateSubscription: async (id, data) => {
+    return client.put(`${SUBSCRIPTIONS_URL}/${id}`, data);
+  },
+
+  // Pause billing
+  pauseSubscription: async (id) => {
+    return client.post(`${SUBSCRIPTIONS_URL}/${id}/pause`);
+  },
+
+  // Resume billing
+  resumeSubscription: async (id) => {
+    return client.post(`${SUBSCRIPTIONS_URL}/${id}/resume`);
+  },
+
+  // Cancel subscription
+  cancelSubscription: async (id) => {
+    return client.delete(`${SUBSCRIPTIONS_URL}/${id}`);
+  }
+};
+
+export default subscriptionService;
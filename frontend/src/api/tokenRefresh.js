@@ -0,0 +1,59 @@
+import axios from 'axios';
+
+const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api/v1';
+
+// The refresh in flight, shared by every request that got a 401 meanwhile.
+// Refresh tokens rotate, so sending the same one twice would look like reuse
+// and revoke the whole session.
+let pendingRefresh = null;
+
+const clearTokens = () => {
+  localStorage.removeItem('accessToken');
+  localStorage.removeItem('refreshToken');
+};
+
+/**
+ * Get a new access token, starting a refresh only if none is running
+ */
+export const refreshAccessToken = () => {
+  if (!pendingRefresh) {
+    const refreshToken = localStorage.getItem('refreshToken');
+
+    pendingRefresh = axios.post(`${API_BASE_URL}/auth/refresh`, { refreshToken })
+      .then((response) => {
+        const { accessToken, refreshToken: nextRefreshToken } = response.data;
+        localStorage.setItem('accessToken', accessToken);
+        localStorage.setItem('refreshToken', nextRefreshToken);
+        return accessToken;
+      })
+      .catch((error) => {
+        // Session revoked or expired: back to login
+        clearTokens();
+        window.location.href = '/login';
+        throw error;
+      })
+      .finally(() => {
+        pendingRefresh = null;
+      });
+  }
+
+  return pendingRefresh;
+};
+
+/**
+ * Retry a request that failed with a 401 once, with a fresh access token.
+ * A request sent before another one finished refreshing just uses the
+ * token that refresh already stored.
+ */
+export const retryWithFreshToken = async (instance, request) => {
+  request._retry = true;
+
+  const sentWith = request.headers?.Authorization;
+  const current = localStorage.getItem('accessToken');
+  const accessToken = current && sentWith !== `Bearer ${current}`
+    ? current
+    : await refreshAccessToken();
+
+  request.headers.Authorization = `Bearer ${accessToken}`;
+  return instance(request);
+};
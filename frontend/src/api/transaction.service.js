@@ -34,6 +34,26 @@ export const transactionService = {
     return client.delete(`${TRANSACTIONS_URL}/${id}`);
   },
 
+  // Get refunds recorded against a transaction
+  getRefunds: async (id) => {
+    return client.get(`${TRANSACTIONS_URL}/${id}/refunds`);
+  },
+
+  // Record a full or partial refund
+  createRefund: async (id, data = {}) => {
+    return client.post(`${TRANSACTIONS_URL}/${id}/refunds`, data);
+  },
+
+  // Link an existing credit as a refund of another transaction
+  linkRefund: async (id, originalId) => {
+    return client.post(`${TRANSACTIONS_URL}/${id}/link-refund`, { originalId });
+  },
+
+  // Get proposed refund links for recent credits
+  getRefundCandidates: async (since = null) => {
+    return client.get(`${TRANSACTIONS_URL}/refund-candidates`, { params: since ? { since } : {} });
+  },
+
   // Import CSV
   importCSV: async (file, mapping = null) => {
     const formData = new FormData();
@@ -57,9 +77,14 @@ export const transactionService = {
     });
   },
 
-  // Get categories
-  getCategories: async () => {
-    return client.get('/categories');
+  // Get categories, flat and ordered as a tree with depth and path
+  getCategories: async (params = {}) => {
+    return client.get('/categories', { params });
+  },
+
+  // Get categories nested under their parents
+  getCategoryTree: async () => {
+    return client.get('/categories', { params: { tree: true } });
   },
 
   // Create category
@@ -72,8 +97,20 @@ export const transactionService = {
     return client.put(`/categories/${id}`, data);
   },
 
-  // Delete category
-  deleteCategory: async (id) => {
-    return client.delete(`/categories/${id}`);
+  // Delete category, moving anything that uses it to reassignTo
+  deleteCategory: async (id, reassignTo = null) => {
+    return client.delete(`/categories/${id}`, {
+      params: reassignTo ? { reassignTo } : {}
+    });
+  },
+
+  // Merge a category into another
+  mergeCategory: async (id, targetId) => {
+    return client.post(`/categories/${id}/merge`, { targetId });
+  },
+
+  // Add any missing default categories
+  restoreDefaultCategories: async () => {
+    return client.post('/categories/defaults');
   }
 };
\ No newline at end of file
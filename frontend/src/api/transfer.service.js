@@ -0,0 +1,32 @@
+import client from './client';
+
+const TRANSFERS_URL = '/transfers';
+
+export const transferService = {
+  // Get transfers, optionally for one account
+  getTransfers: async (filters = {}) => {
+    return client.get(TRANSFERS_URL, { params: filters });
+  },
+
+  // Get single transfer with both legs
+  getTransfer: async (groupId) => {
+    return client.get(`${TRANSFERS_URL}/${groupId}`);
+  },
+
+  // Move money between two accounts
+  createTransfer: async (data) => {
+    return client.post(TRANSFERS_URL, data);
+  },
+
+  // Update both legs of a transfer
+  updateTransfer: async (groupId, data) => {
+    return client.put(`${TRANSFERS_URL}/${groupId}`, data);
+  },
+
+  // Delete both legs of a transfer
+  deleteTransfer: async (groupId) => {
+    return client.delete(`${TRANSFERS_URL}/${groupId}`);
+  }
+};
+
+export default transferService;
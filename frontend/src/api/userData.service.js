@@ -0,0 +1,57 @@
+import client from './client';
+
+const USER_DATA_URL = '/me';
+
+const saveBlob = (blob, filename) => {
+  const url = window.URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  window.URL.revokeObjectURL(url);
+};
+
+export const userDataService = {
+  // Download all personal data as JSON, or one collection as CSV
+  downloadExport: async ({ format = 'json', collection } = {}) => {
+    const blob = await client.get(`${USER_DATA_URL}/export`, {
+      params: { format, collection },
+      responseType: 'blob'
+    });
+    const date = new Date().toISOString().split('T')[0];
+    const filename = format === 'csv'
+      ? `${collection}-${date}.csv`
+      : `account-export-${date}.json`;
+
+    saveBlob(blob, filename);
+  },
+
+  // Get collections available for CSV export
+  getExportCollections: async () => {
+    return client.get(`${USER_DATA_URL}/export/collections`);
+  },
+
+  // Get account deletion status
+  getDeletionStatus: async () => {
+    return client.get(`${USER_DATA_URL}/deletion`);
+  },
+
+  // Schedule account deletion (requires password, and MFA step-up when enabled)
+  requestDeletion: async (password, reason) => {
+    return client.post(`${USER_DATA_URL}/deletion`, { password, reason });
+  },
+
+  // Cancel scheduled deletion
+  cancelDeletion: async () => {
+    return client.delete(`${USER_DATA_URL}/deletion`);
+  },
+
+  // Change the currency totals and reports are shown in
+  updateReportingCurrency: async (currency) => {
+    return client.put(`${USER_DATA_URL}/reporting-currency`, { currency });
+  }
+};
+
+export default userDataService;
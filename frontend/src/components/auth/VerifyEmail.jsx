@@ -0,0 +1,47 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { authService } from '../../api/auth.service';
+import './Auth.css';
+
+const VerifyEmail = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [status, setStatus] = useState(token ? 'verifying' : 'error');
+  const [error, setError] = useState(token ? '' : 'This verification link is invalid.');
+  const requested = useRef(false);
+
+  useEffect(() => {
+    // Tokens are single-use, so don't submit twice in StrictMode
+    if (!token || requested.current) return;
+    requested.current = true;
+
+    authService.verifyEmail(token)
+      .then(() => setStatus('verified'))
+      .catch((error) => {
+        setStatus('error');
+        setError(error.response?.data?.error || 'Email verification failed.');
+      });
+  }, [token]);
+
+  return (
+    <div className="auth-container">
+      <div className="auth-card">
+        <h2>Email Verification</h2>
+
+        {status === 'verifying' && <p>Verifying your email...</p>}
+        {status === 'verified' && (
+          <div className="success-message">Your email has been verified.</div>
+        )}
+        {status === 'error' && <div className="error-message">{error}</div>}
+
+        <div className="auth-links">
+          {authService.isAuthenticated()
+            ? <Link to="/dashboard">Go to dashboard</Link>
+            : <Link to="/login">Go to login</Link>}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmail;
@@ -7,6 +7,7 @@ import { fetchLatestSummary } from '../../store/slices/weekly.slice';
 
 import OverviewCards from './OverviewCards';
 import SpendingChart from './SpendingChart';
+import NetWorthChart from './NetWorthChart';
 import BudgetProgress from './BudgetProgress';
 import RecentTransactions from './RecentTransactions';
 import QuickActions from './QuickActions';
@@ -61,6 +62,10 @@ const Dashboard = () => {
         </div>
       </div>
 
+      <div className={styles.netWorthSection}>
+        <NetWorthChart />
+      </div>
+
       <div className={styles.secondaryGrid}>
         <div className={styles.transactionsSection}>
           <h2>Recent Transactions</h2>
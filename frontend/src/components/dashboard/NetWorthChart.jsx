@@ -0,0 +1,94 @@
+import React, { useEffect, useState } from 'react';
+import {
+  ResponsiveContainer,
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  Tooltip,
+  CartesianGrid,
+  Legend
+} from 'recharts';
+import { netWorthService } from '../../api/netWorth.service';
+import { formatCurrency, formatDate } from '../../utils/formatters';
+import LoadingSpinner from '../common/LoadingSpinner';
+import styles from './Dashboard.module.css';
+
+const NetWorthChart = () => {
+  const [history, setHistory] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    netWorthService.getHistory({ interval: 'week' })
+      .then((response) => {
+        if (!cancelled) setHistory(response.data);
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.message);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  if (loading) {
+    return <LoadingSpinner />;
+  }
+
+  if (error) {
+    return <p className={styles.chartMessage}>Could not load net worth: {error}</p>;
+  }
+
+  const points = history?.points || [];
+
+  if (points.length === 0) {
+    return <p className={styles.chartMessage}>Net worth history appears after the first daily snapshot.</p>;
+  }
+
+  const latest = points[points.length - 1];
+  const currency = latest.currency;
+  const data = points.map((p) => ({
+    date: formatDate(p.date, 'short'),
+    netWorth: p.netWorth,
+    assets: p.totalAssets,
+    liabilities: p.totalLiabilities
+  }));
+
+  return (
+    <div>
+      <div className={styles.netWorthHeader}>
+        <h2>Net Worth</h2>
+        <div>
+          <strong>{formatCurrency(latest.netWorth, currency)}</strong>
+          {history.change && (
+            <span className={history.change.amount >= 0 ? styles.positive : styles.negative}>
+              {' '}{history.change.amount >= 0 ? '+' : ''}{formatCurrency(history.change.amount, currency)}
+            </span>
+          )}
+        </div>
+      </div>
+
+      <ResponsiveContainer width="100%" height={260}>
+        <LineChart data={data}>
+          <CartesianGrid strokeDasharray="3 3" />
+          <XAxis dataKey="date" />
+          <YAxis tickFormatter={(value) => formatCurrency(value, currency)} width={90} />
+          <Tooltip formatter={(value) => formatCurrency(value, currency)} />
+          <Legend />
+          <Line type="monotone" dataKey="netWorth" name="Net worth" stroke="#3b82f6" strokeWidth={2} dot={false} />
+          <Line type="monotone" dataKey="assets" name="Assets" stroke="#10b981" dot={false} />
+          <Line type="monotone" dataKey="liabilities" name="Liabilities" stroke="#ef4444" dot={false} />
+        </LineChart>
+      </ResponsiveContainer>
+    </div>
+  );
+};
+
+export default NetWorthChart;
@@ -10,7 +10,8 @@ const SuggestionCard = ({ suggestion, isSelected, onClick }) => {
       subscription_cancellation: '🔄',
       category_creation: '🏷️',
       budget_creation: '📋',
-      goal_adjustment: '🎯'
+      goal_adjustment: '🎯',
+      track_subscription: '🔁'
     };
     return icons[type] || '💡';
   };
@@ -5,9 +5,7 @@ export const login = createAsyncThunk(
   'auth/login',
   async ({ email, password }, { rejectWithValue }) => {
     try {
-      const response = await authService.login(email, password);
-      localStorage.setItem('accessToken', response.token);
-      return response;
+      return await authService.login({ email, password });
     } catch (error) {
       return rejectWithValue(error.message);
     }
@@ -18,9 +16,7 @@ export const register = createAsyncThunk(
   'auth/register',
   async (userData, { rejectWithValue }) => {
     try {
-      const response = await authService.register(userData);
-      localStorage.setItem('accessToken', response.token);
-      return response;
+      return await authService.register(userData);
     } catch (error) {
       return rejectWithValue(error.message);
     }
@@ -32,8 +28,17 @@ export const logout = createAsyncThunk(
   async (_, { rejectWithValue }) => {
     try {
       await authService.logout();
-      localStorage.removeItem('accessToken');
-      localStorage.removeItem('refreshToken');
+    } catch (error) {
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+export const logoutAll = createAsyncThunk(
+  'auth/logoutAll',
+  async (_, { rejectWithValue }) => {
+    try {
+      await authService.logoutAll();
     } catch (error) {
       return rejectWithValue(error.message);
     }
@@ -102,6 +107,10 @@ const authSlice = createSlice({
         state.user = null;
         state.isAuthenticated = false;
       })
+      .addCase(logoutAll.fulfilled, (state) => {
+        state.user = null;
+        state.isAuthenticated = false;
+      })
       // Get current user
       .addCase(getCurrentUser.pending, (state) => {
         state.loading = true;
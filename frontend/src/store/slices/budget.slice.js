@@ -1,12 +1,61 @@
 import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import { budgetService } from '../../api/budget.service';
 
 export const fetchBudgets = createAsyncThunk(
   'budget/fetchBudgets',
-  async (_, { rejectWithValue }) => {
+  async (filters = {}, { rejectWithValue }) => {
     try {
-      // Mock API call - replace with actual API
-      const response = await fetch('/api/budgets');
-      return response.json();
+      return await budgetService.getBudgets(filters);
+    } catch (error) {
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+export const createBudget = createAsyncThunk(
+  'budget/create',
+  async (data, { rejectWithValue, dispatch }) => {
+    try {
+      const response = await budgetService.createBudget(data);
+      dispatch(fetchBudgets());
+      return response;
+    } catch (error) {
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+export const updateBudget = createAsyncThunk(
+  'budget/update',
+  async ({ id, data }, { rejectWithValue, dispatch }) => {
+    try {
+      const response = await budgetService.updateBudget(id, data);
+      dispatch(fetchBudgets());
+      return response;
+    } catch (error) {
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+export const archiveBudget = createAsyncThunk(
+  'budget/archive',
+  async (id, { rejectWithValue, dispatch }) => {
+    try {
+      await budgetService.archiveBudget(id);
+      dispatch(fetchBudgets());
+      return id;
+    } catch (error) {
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+export const fetchBudgetHistory = createAsyncThunk(
+  'budget/fetchHistory',
+  async (id, { rejectWithValue }) => {
+    try {
+      return await budgetService.getBudgetHistory(id);
     } catch (error) {
       return rejectWithValue(error.message);
     }
@@ -15,6 +64,7 @@ export const fetchBudgets = createAsyncThunk(
 
 const initialState = {
   budgets: [],
+  history: [],
   loading: false,
   error: null,
 };
@@ -40,14 +90,23 @@ const budgetSlice = createSlice({
       })
       .addCase(fetchBudgets.fulfilled, (state, action) => {
         state.loading = false;
-        state.budgets = action.payload;
+        state.budgets = action.payload.data || [];
       })
       .addCase(fetchBudgets.rejected, (state, action) => {
         state.loading = false;
         state.error = action.payload;
+      })
+      .addCase(fetchBudgetHistory.fulfilled, (state, action) => {
+        state.history = action.payload.data || [];
+      })
+      .addCase(createBudget.rejected, (state, action) => {
+        state.error = action.payload;
+      })
+      .addCase(updateBudget.rejected, (state, action) => {
+        state.error = action.payload;
       });
   },
 });
 
 export const { setBudgets, setLoading, setError } = budgetSlice.actions;
-export default budgetSlice.reducer;
\ No newline at end of file
+export default budgetSlice.reducer;
@@ -1,7 +1,96 @@
-import { createSlice } from '@reduxjs/toolkit';
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import { subscriptionService } from '../../api/subscription.service';
+
+export const fetchSubscriptions = createAsyncThunk(
+  'subscription/fetchSubscriptions',
+  async (filters = {}, { rejectWithValue }) => {
+    try {
+      return await subscriptionService.getSubscriptions(filters);
+    } catch (error) {
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+export const fetchBillingCalendar = createAsyncThunk(
+  'subscription/fetchCalendar',
+  async ({ from, to } = {}, { rejectWithValue }) => {
+    try {
+      return await subscriptionService.getBillingCalendar(from, to);
+    } catch (error) {
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+export const createSubscription = createAsyncThunk(
+  'subscription/create',
+  async (data, { rejectWithValue, dispatch }) => {
+    try {
+      const response = await subscriptionService.createSubscription(data);
+      dispatch(fetchSubscriptions());
+      return response;
+    } catch (error) {
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+export const updateSubscription = createAsyncThunk(
+  'subscription/update',
+  async ({ id, data }, { rejectWithValue, dispatch }) => {
+    try {
+      const response = await subscriptionService.updateSubscription(id, data);
+      dispatch(fetchSubscriptions());
+      return response;
+    } catch (error) {
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+export const pauseSubscription = createAsyncThunk(
+  'subscription/pause',
+  async (id, { rejectWithValue, dispatch }) => {
+    try {
+      const response = await subscriptionService.pauseSubscription(id);
+      dispatch(fetchSubscriptions());
+      return response;
+    } catch (error) {
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+export const resumeSubscription = createAsyncThunk(
+  'subscription/resume',
+  async (id, { rejectWithValue, dispatch }) => {
+    try {
+      const response = await subscriptionService.resumeSubscription(id);
+      dispatch(fetchSubscriptions());
+      return response;
+    } catch (error) {
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+export const cancelSubscription = createAsyncThunk(
+  'subscription/cancel',
+  async (id, { rejectWithValue, dispatch }) => {
+    try {
+      await subscriptionService.cancelSubscription(id);
+      dispatch(fetchSubscriptions());
+      return id;
+    } catch (error) {
+      return rejectWithValue(error.message);
+    }
+  }
+);
 
 const initialState = {
   subscriptions: [],
+  calendar: null,
   loading: false,
   error: null,
 };
@@ -20,7 +109,30 @@ const subscriptionSlice = createSlice({
       state.error = action.payload;
     },
   },
+  extraReducers: (builder) => {
+    builder
+      .addCase(fetchSubscriptions.pending, (state) => {
+        state.loading = true;
+      })
+      .addCase(fetchSubscriptions.fulfilled, (state, action) => {
+        state.loading = false;
+        state.subscriptions = action.payload.data || [];
+      })
+      .addCase(fetchSubscriptions.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload;
+      })
+      .addCase(fetchBillingCalendar.fulfilled, (state, action) => {
+        state.calendar = action.payload.data || null;
+      })
+      .addCase(createSubscription.rejected, (state, action) => {
+        state.error = action.payload;
+      })
+      .addCase(updateSubscription.rejected, (state, action) => {
+        state.error = action.payload;
+      });
+  },
 });
 
 export const { setSubscriptions, setLoading, setError } = subscriptionSlice.actions;
-export default subscriptionSlice.reducer;
\ No newline at end of file
+export default subscriptionSlice.reducer;
@@ -116,7 +116,7 @@ const transactionSlice = createSlice({
       })
       .addCase(fetchTransactions.fulfilled, (state, action) => {
         state.loading = false;
-        state.transactions = action.payload.transactions || [];
+        state.transactions = action.payload.data || [];
         state.pagination = action.payload.pagination || state.pagination;
       })
       .addCase(fetchTransactions.rejected, (state, action) => {
@@ -125,7 +125,7 @@ const transactionSlice = createSlice({
       })
       // Fetch categories
       .addCase(fetchCategories.fulfilled, (state, action) => {
-        state.categories = action.payload;
+        state.categories = action.payload.data || [];
       })
       // Import CSV
       .addCase(importCSV.pending, (state) => {